@@ -0,0 +1,26 @@
+/**
+ * ESLint configuration (npm run lint)
+ * The recommended rules for CommonJS on Node. Unused variables only warn:
+ * the generated service stubs keep their placeholder arguments.
+ */
+
+const js = require('@eslint/js');
+const globals = require('globals');
+
+module.exports = [
+  {
+    ignores: ['node_modules/', 'uploads/']
+  },
+  js.configs.recommended,
+  {
+    files: ['**/*.js'],
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'commonjs',
+      globals: { ...globals.node }
+    },
+    rules: {
+      'no-unused-vars': ['warn', { args: 'none', caughtErrors: 'none' }]
+    }
+  }
+];
@@ -10,7 +10,8 @@
  * - Staging/Content editing
  *
  * All routes are prefixed with /api/admin
- * All routes require authentication (except health check)
+ * All routes require authentication (except health check); reads need
+ * admin:read and changes admin:write
  * CORS restricted to allowed origins
  */
 
@@ -49,7 +50,7 @@ const corsOptions = {
 router.use(cors(corsOptions));
 
 // Import auth middleware
-const { authenticateToken, isAdmin } = require('../auth/middleware/auth');
+const { authenticateToken, requireModuleAccess } = require('../auth/middleware/auth');
 
 // Import route modules
 const competitorsRoutes = require('./routes/competitors');
@@ -70,7 +71,7 @@ router.get('/health', (req, res) => {
 
 // Apply authentication middleware to all admin routes
 router.use(authenticateToken);
-router.use(isAdmin);
+router.use(requireModuleAccess('admin'));
 
 // Mount routes (all protected by auth middleware above)
 router.use('/competitors', competitorsRoutes);
@@ -7,6 +7,12 @@
 
 const express = require('express');
 const router = express.Router();
+const conflictCheckService = require('../../matters/services/conflictCheckService');
+const { visibleClause } = require('../../matters/services/ethicalWallService');
+const { screen } = require('../../matters/middleware/ethicalWall');
+
+// Clients behind an ethical wall are hidden from the users it screens
+router.param('id', screen('customer'));
 
 // GET /api/admin/customers - List all customers with pagination
 router.get('/', async (req, res) => {
@@ -38,6 +44,10 @@ router.get('/', async (req, res) => {
       paramIndex++;
     }
 
+    whereClause += ` AND ${visibleClause(`$${paramIndex}`, { customer: 'id' })}`;
+    params.push(req.user.id);
+    paramIndex++;
+
     const countResult = await pool.query(
       `SELECT COUNT(*) FROM customers ${whereClause}`,
       params
@@ -122,9 +132,10 @@ router.get('/at-risk', async (req, res) => {
       SELECT * FROM customers
       WHERE last_order_at < NOW() - INTERVAL '30 days'
         AND order_count > 1
+        AND ${visibleClause('$1', { customer: 'id' })}
       ORDER BY total_spent DESC
       LIMIT 20
-    `);
+    `, [req.user.id]);
 
     res.json(result.rows);
   } catch (error) {
@@ -145,9 +156,10 @@ router.get('/top', async (req, res) => {
 
     const result = await pool.query(`
       SELECT * FROM customers
+      WHERE ${visibleClause('$2', { customer: 'id' })}
       ORDER BY total_spent DESC
       LIMIT $1
-    `, [limit]);
+    `, [limit, req.user.id]);
 
     res.json(result.rows);
   } catch (error) {
@@ -202,6 +214,27 @@ router.get('/:id/orders', async (req, res) => {
   }
 });
 
+// GET /api/admin/customers/:id/matters - Get customer's legal matters
+router.get('/:id/matters', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    if (!pool) {
+      return res.json([]);
+    }
+
+    const result = await pool.query(`
+      SELECT * FROM matters
+      WHERE customer_id = $1 AND ${visibleClause('$2', { matter: 'id' })}
+      ORDER BY created_at DESC
+    `, [req.params.id, req.user.id]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching customer matters:', error);
+    res.json([]);
+  }
+});
+
 // GET /api/admin/customers/:id/communications - Get customer communications
 router.get('/:id/communications', async (req, res) => {
   try {
@@ -212,10 +245,10 @@ router.get('/:id/communications', async (req, res) => {
 
     const result = await pool.query(`
       SELECT * FROM customer_communications
-      WHERE customer_id = $1
+      WHERE customer_id = $1 AND ${visibleClause('$2', { matter: 'matter_id' })}
       ORDER BY created_at DESC
       LIMIT 50
-    `, [req.params.id]);
+    `, [req.params.id, req.user.id]);
 
     res.json(result.rows);
   } catch (error) {
@@ -232,22 +265,51 @@ router.post('/', async (req, res) => {
       return res.status(500).json({ error: 'Database not available' });
     }
 
-    const { full_name, email, phone, segment = 'new', notes } = req.body;
+    const { full_name, email, phone, segment = 'new', notes, conflict_check_id } = req.body;
 
     if (!email) {
       return res.status(400).json({ error: 'Email is required' });
     }
 
+    // New clients need a passing conflict check: either one already cleared
+    // or waived by staff, or a fresh check that comes back with no hits
+    let conflictCheck;
+    if (conflict_check_id) {
+      conflictCheck = await conflictCheckService.getConflictCheck(conflict_check_id, pool);
+      if (!conflictCheckService.isPassing(conflictCheck)) {
+        return res.status(409).json({
+          error: 'Conflict check has not been cleared',
+          conflictCheck: await conflictCheckService.withoutWalledHits(conflictCheck, req.user && req.user.id, pool)
+        });
+      }
+    } else {
+      conflictCheck = await conflictCheckService.runConflictCheck({
+        name: full_name || email,
+        email,
+        phone,
+        source: 'customer',
+        requestedBy: req.user && req.user.id
+      }, pool);
+      if (!conflictCheckService.isPassing(conflictCheck)) {
+        return res.status(409).json({
+          error: 'Potential conflicts of interest found; clear or waive them, then retry with conflict_check_id',
+          conflictCheck: await conflictCheckService.withoutWalledHits(conflictCheck, req.user && req.user.id, pool)
+        });
+      }
+    }
+
     const result = await pool.query(`
       INSERT INTO customers (full_name, email, phone, segment, notes, created_at)
       VALUES ($1, $2, $3, $4, $5, NOW())
       RETURNING *
     `, [full_name, email, phone, segment, notes]);
 
-    res.status(201).json(result.rows[0]);
+    await conflictCheckService.linkConflictCheck(conflictCheck.id, result.rows[0].id, pool);
+
+    res.status(201).json({ ...result.rows[0], conflict_check_id: conflictCheck.id });
   } catch (error) {
     console.error('Error creating customer:', error);
-    res.status(500).json({ error: 'Failed to create customer' });
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to create customer' });
   }
 });
 
@@ -292,13 +354,13 @@ router.post('/:id/communicate', async (req, res) => {
       return res.status(500).json({ error: 'Database not available' });
     }
 
-    const { type, subject, content } = req.body;
+    const { type, subject, content, matter_id } = req.body;
 
     const result = await pool.query(`
-      INSERT INTO customer_communications (customer_id, type, subject, content, sent_at)
-      VALUES ($1, $2, $3, $4, NOW())
+      INSERT INTO customer_communications (customer_id, type, subject, content, matter_id, sent_at)
+      VALUES ($1, $2, $3, $4, $5, NOW())
       RETURNING *
-    `, [req.params.id, type, subject, content]);
+    `, [req.params.id, type, subject, content, matter_id || null]);
 
     res.status(201).json(result.rows[0]);
   } catch (error) {
@@ -1,16 +1,6 @@
 /**
- * Calendar Service Stub
+ * Calendar Service
+ * Shared Postgres-backed firm calendar; see modules/calendar.
  */
 
-module.exports = {
-  addEvent: async (event) => {
-    console.log('📅 Add event (stub):', event);
-    return { success: true, eventId: 'stub_' + Date.now() };
-  },
-  getEvents: async (userId, startDate, endDate) => {
-    return [];
-  },
-  syncWithGoogle: async (userId) => {
-    return { synced: 0 };
-  }
-};
+module.exports = require('../../calendar/services/calendarService');
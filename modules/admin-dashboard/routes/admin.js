@@ -10,7 +10,8 @@ const Card = require('../models/Card');
 const PendingAction = require('../models/PendingAction');
 const Trade = require('../models/Trade');
 const Listing = require('../models/Listing');
-const authMiddleware = require('../middleware/authMiddleware');
+const authMiddleware = require('../../auth/middleware/auth');
+const { requireModuleAccess } = authMiddleware;
 const { notifyUser } = require('../services/notificationService');
 
 // ============================================================================
@@ -110,15 +111,15 @@ const createRateLimiter = (windowMs, max, message) => rateLimit({
     if (req.ip === process.env.TEST_IP || req.user?._id === process.env.ADMIN_USER_ID) {
       return 10000; // Very high limit instead of 0
     }
-    return req.user?.isAdmin || req.user?.role === 'master' ? max * 5 : max;
+    return req.user?.is_admin ? max * 5 : max;
   },
   message: { error: message },
   standardHeaders: true,
   legacyHeaders: false,
   keyGenerator: (req) => `admin-${req.ip}-${req.user?._id || 'anonymous'}`,
   skip: (req) => {
-    // Skip rate limiting for admin/master users
-    return req.user?.isAdmin || req.user?.role === 'master';
+    // Skip rate limiting for firm administrators
+    return Boolean(req.user?.is_admin);
   }
 });
 
@@ -158,87 +159,9 @@ const cacheMiddleware = (keyPrefix, ttl = 300) => async (req, res, next) => {
 // ============================================================================
 // ENHANCED ADMIN VERIFICATION MIDDLEWARE
 // ============================================================================
-const requireAdminOrMaster = async (req, res, next) => {
-  try {
-    if (!req.user?.isAdmin && req.user?.role !== 'master') {
-      console.log(`[Admin] Access denied for user ${req.user._id} with role ${req.user?.role}`);
-      
-      // Log failed access attempt with enhanced details
-      await User.updateOne(
-        { _id: req.user._id },
-        { 
-          $push: { 
-            activities: {
-              type: 'admin_access_denied',
-              details: { 
-                endpoint: req.originalUrl,
-                method: req.method,
-                reason: 'insufficient_privileges',
-                ip: req.ip,
-                userAgent: req.get('User-Agent'),
-                timestamp: new Date()
-              },
-              timestamp: new Date()
-            }
-          }
-        }
-      );
-      
-      return res.status(403).json({ 
-        success: false,
-        message: 'Admin or Master role required',
-        errorCode: 'INSUFFICIENT_PRIVILEGES'
-      });
-    }
-
-    // Verify user still exists and is active
-    const currentUser = await User.findById(req.user._id)
-      .select('isAdmin role isSuspended isBanned username')
-      .lean();
-      
-    if (!currentUser || currentUser.isSuspended || currentUser.isBanned) {
-      return res.status(403).json({ 
-        success: false,
-        message: 'Account access restricted',
-        errorCode: 'ACCOUNT_RESTRICTED'
-      });
-    }
-
-    // Log successful admin access (non-blocking)
-    setImmediate(async () => {
-      try {
-        await User.updateOne(
-          { _id: req.user._id },
-          { 
-            $push: { 
-              activities: {
-                type: 'admin_access',
-                details: { 
-                  endpoint: req.originalUrl,
-                  method: req.method,
-                  ip: req.ip,
-                  timestamp: new Date()
-                },
-                timestamp: new Date()
-              }
-            }
-          }
-        );
-      } catch (err) {
-        console.warn('[Admin] Failed to log admin access:', err.message);
-      }
-    });
-
-    next();
-  } catch (err) {
-    console.error('[Admin] Error in admin verification:', err.message);
-    res.status(500).json({ 
-      success: false,
-      message: 'Error verifying admin access',
-      errorCode: 'VERIFICATION_ERROR'
-    });
-  }
-};
+// Role, active flag and permissions come from the Postgres users and
+// role_permissions tables: reads need admin:read, changes admin:write.
+const requireAdminOrMaster = requireModuleAccess('admin');
 
 // ============================================================================
 // INPUT VALIDATION HELPERS
@@ -1057,8 +980,7 @@ async function generateSystemAlerts() {
 
     // Check for orphaned cards
     const orphanedCards = await Card.countDocuments({
-      assignedTo: { $exists: true, $ne: null },
-      assignedTo: { $nin: await User.distinct('_id') }
+      assignedTo: { $exists: true, $ne: null, $nin: await User.distinct('_id') }
     });
     
     if (orphanedCards > 0) {
@@ -1331,7 +1253,7 @@ router.put('/user/:id', postLimiter, authMiddleware.verifyToken, requireAdminOrM
     }
 
     // Enhanced permission checks
-    if (targetUser.role === 'master' && req.user.role !== 'master') {
+    if (targetUser.role === 'master' && !req.user.is_admin) {
       console.log(`[Admin User Management] Admin ${adminId} attempted to modify master user ${id}`);
       return res.status(403).json({ 
         success: false,
@@ -1339,10 +1261,10 @@ router.put('/user/:id', postLimiter, authMiddleware.verifyToken, requireAdminOrM
       });
     }
 
-    if (action === 'updateRole' && newRole === 'master' && req.user.role !== 'master') {
+    if (action === 'updateRole' && newRole === 'master' && !req.user.is_admin) {
       return res.status(403).json({ 
         success: false,
-        message: 'Only master users can create master accounts' 
+        message: 'Only firm administrators can create master accounts' 
       });
     }
 
@@ -1565,17 +1487,17 @@ router.post('/actions', postLimiter, authMiddleware.verifyToken, requireAdminOrM
     }
 
     // Enhanced security check for destructive operations
-    if (['balanceReset', 'clearExpired', 'systemMaintenance'].includes(action) && req.user.role !== 'master') {
+    if (['balanceReset', 'clearExpired', 'systemMaintenance'].includes(action) && !req.user.is_admin) {
       return res.status(403).json({ 
         success: false,
-        message: 'Master role required for this operation' 
+        message: 'Firm administrator required for this operation' 
       });
     }
 
     let result = {};
 
     switch (action) {
-      case 'bulkUpdate':
+      case 'bulkUpdate': {
         if (!target || !updates || Object.keys(updates).length === 0) {
           return res.status(400).json({ 
             success: false,
@@ -1596,7 +1518,7 @@ router.post('/actions', postLimiter, authMiddleware.verifyToken, requireAdminOrM
         switch (target) {
           case 'users':
             // Prevent modification of master users by non-masters
-            if (req.user.role !== 'master') {
+            if (!req.user.is_admin) {
               filters.role = { $ne: 'master' };
             }
             result = await User.updateMany(filters, { $set: sanitizedUpdates }, { session });
@@ -1617,13 +1539,14 @@ router.post('/actions', postLimiter, authMiddleware.verifyToken, requireAdminOrM
             });
         }
         break;
+      }
 
-      case 'balanceReset':
+      case 'balanceReset': {
         const defaultKidzCoin = Math.max(0, updates.kidzcoinBalance || 10000);
         const defaultDollars = Math.max(0, updates.dollarBalance || 10);
         
         // Prevent reset of master accounts unless admin is master
-        if (req.user.role !== 'master') {
+        if (!req.user.is_admin) {
           filters.role = { $ne: 'master' };
         }
         
@@ -1638,8 +1561,9 @@ router.post('/actions', postLimiter, authMiddleware.verifyToken, requireAdminOrM
           { session }
         );
         break;
+      }
 
-      case 'clearExpired':
+      case 'clearExpired': {
         const [expiredActions, expiredListings] = await Promise.all([
           PendingAction.updateMany(
             { 
@@ -1664,8 +1588,9 @@ router.post('/actions', postLimiter, authMiddleware.verifyToken, requireAdminOrM
           expiredListings: expiredListings.modifiedCount
         };
         break;
+      }
 
-      case 'dataExport':
+      case 'dataExport': {
         // Enhanced data export with safety limits and better structure
         const exportLimit = 1000;
         const exportData = {
@@ -1705,8 +1630,9 @@ router.post('/actions', postLimiter, authMiddleware.verifyToken, requireAdminOrM
           note: 'Export data available in response (limited to 1000 records per collection)'
         };
         break;
+      }
 
-      case 'systemMaintenance':
+      case 'systemMaintenance': {
         // Enhanced system maintenance with more comprehensive cleanup
         const maintenanceTasks = await Promise.all([
           // Clean up old pending actions
@@ -1763,6 +1689,7 @@ router.post('/actions', postLimiter, authMiddleware.verifyToken, requireAdminOrM
           ]
         };
         break;
+      }
 
       default:
         return res.status(400).json({ 
@@ -2020,177 +1947,32 @@ function generateLogDescription(activity) {
   const { type, details } = activity;
   
   switch (type) {
-    case 'admin_action':
+    case 'admin_action': {
       const action = details?.action || 'unknown';
       const target = details?.targetUsername || 'user';
       return `${action.charAt(0).toUpperCase() + action.slice(1)} action performed on ${target}`;
+    }
     
-    case 'admin_bulk_action':
+    case 'admin_bulk_action': {
       const bulkAction = details?.action || 'unknown';
       const affected = details?.impact?.recordsAffected || 0;
       return `Bulk ${bulkAction} performed, ${affected} records affected`;
+    }
     
-    case 'admin_access':
+    case 'admin_access': {
       const endpoint = details?.endpoint || 'unknown endpoint';
       return `Admin accessed ${endpoint}`;
+    }
     
-    case 'admin_access_denied':
+    case 'admin_access_denied': {
       const deniedEndpoint = details?.endpoint || 'unknown endpoint';
       const reason = details?.reason || 'unknown reason';
       return `Admin access denied to ${deniedEndpoint} (${reason})`;
+    }
     
     default:
       return 'Admin activity logged';
   }
 }
 
-// Enhanced system alerts generator (already included above)
-async function generateSystemAlerts() {
-  const alerts = [];
-
-  try {
-    // Check for high number of pending actions
-    const pendingCount = await PendingAction.countDocuments({ status: 'pending' });
-    if (pendingCount > 50) {
-      alerts.push({
-        level: 'warning',
-        message: `High number of pending actions: ${pendingCount}`,
-        action: 'Review pending approvals in admin dashboard',
-        priority: 'medium',
-        timestamp: new Date().toISOString()
-      });
-    }
-
-    // Check for expired actions that haven't been cleaned up
-    const expiredCount = await PendingAction.countDocuments({
-      status: 'pending',
-      expiresAt: { $lt: new Date() }
-    });
-    if (expiredCount > 0) {
-      alerts.push({
-        level: 'info',
-        message: `${expiredCount} expired pending actions need cleanup`,
-        action: 'Run clearExpired bulk action',
-        priority: 'low',
-        timestamp: new Date().toISOString()
-      });
-    }
-
-    // Check for users with very high balances (potential issues)
-    const highBalanceUsers = await User.countDocuments({
-      $or: [
-        { kidzcoinBalance: { $gt: 1000000 } },
-        { dollarBalance: { $gt: 10000 } }
-      ]
-    });
-    if (highBalanceUsers > 0) {
-      alerts.push({
-        level: 'warning',
-        message: `${highBalanceUsers} users with unusually high balances`,
-        action: 'Review user balances for potential issues',
-        priority: 'medium',
-        timestamp: new Date().toISOString()
-      });
-    }
-
-    // Check memory usage
-    const memUsage = process.memoryUsage();
-    const heapUsedPercent = (memUsage.heapUsed / memUsage.heapTotal) * 100;
-    
-    if (heapUsedPercent > 90) {
-      alerts.push({
-        level: 'critical',
-        message: `High memory usage detected: ${Math.round(heapUsedPercent)}%`,
-        action: 'Consider restarting server or investigating memory leaks',
-        priority: 'high',
-        timestamp: new Date().toISOString()
-      });
-    } else if (heapUsedPercent > 75) {
-      alerts.push({
-        level: 'warning',
-        message: `Memory usage above 75%: ${Math.round(heapUsedPercent)}%`,
-        action: 'Monitor memory usage closely',
-        priority: 'medium',
-        timestamp: new Date().toISOString()
-      });
-    }
-
-    // Check for suspended/banned users
-    const [suspendedCount, bannedCount] = await Promise.all([
-      User.countDocuments({ isSuspended: true }),
-      User.countDocuments({ isBanned: true })
-    ]);
-    
-    if (suspendedCount > 10) {
-      alerts.push({
-        level: 'info',
-        message: `${suspendedCount} suspended users`,
-        action: 'Review suspended accounts in user management',
-        priority: 'low',
-        timestamp: new Date().toISOString()
-      });
-    }
-
-    if (bannedCount > 5) {
-      alerts.push({
-        level: 'warning',
-        message: `${bannedCount} banned users`,
-        action: 'Review banned accounts',
-        priority: 'medium',
-        timestamp: new Date().toISOString()
-      });
-    }
-
-    // Check database connection
-    if (mongoose.connection.readyState !== 1) {
-      alerts.push({
-        level: 'critical',
-        message: 'Database connection issue detected',
-        action: 'Check MongoDB connection immediately',
-        priority: 'critical',
-        timestamp: new Date().toISOString()
-      });
-    }
-
-    // Check Redis connection
-    if (!isRedisConnected) {
-      alerts.push({
-        level: 'warning',
-        message: 'Redis cache unavailable',
-        action: 'Check Redis server status',
-        priority: 'medium',
-        timestamp: new Date().toISOString()
-      });
-    }
-
-    // Check for orphaned cards
-    const orphanedCards = await Card.countDocuments({
-      assignedTo: { $exists: true, $ne: null },
-      assignedTo: { $nin: await User.distinct('_id') }
-    });
-    
-    if (orphanedCards > 0) {
-      alerts.push({
-        level: 'warning',
-        message: `${orphanedCards} orphaned cards detected`,
-        action: 'Run system maintenance to fix orphaned references',
-        priority: 'medium',
-        timestamp: new Date().toISOString()
-      });
-    }
-
-  } catch (err) {
-    alerts.push({
-      level: 'error',
-      message: 'Error generating system alerts',
-      action: 'Check server logs for detailed error information',
-      priority: 'high',
-      timestamp: new Date().toISOString(),
-      error: err.message
-    });
-  }
-
-  return alerts;
-}
-
 module.exports = router;
@@ -1,4 +1,6 @@
 const jwt = require('jsonwebtoken');
+const { loadAccess } = require('../services/accessService');
+const { isSessionActive } = require('../services/sessionService');
 
 function authenticateToken(req, res, next) {
     const authHeader = req.headers['authorization'];
@@ -8,17 +10,36 @@ function authenticateToken(req, res, next) {
         return res.status(401).json({ success: false, error: 'Access token required' });
     }
 
-    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+    jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
         if (err) {
+            if (err.name === 'TokenExpiredError') {
+                // Clients refresh with POST /api/auth/refresh and retry
+                return res.status(401).json({ success: false, error: 'Access token expired', code: 'TOKEN_EXPIRED' });
+            }
             return res.status(403).json({ success: false, error: 'Invalid token' });
         }
 
+        // Tokens are tied to a session so logout and force-logout take
+        // effect straight away; tokens from before sessions carry no sid
+        if (!user.sid) {
+            return res.status(401).json({ success: false, error: 'Session has expired; please sign in again' });
+        }
+        try {
+            if (!(await isSessionActive(user.sid, user.id))) {
+                return res.status(401).json({ success: false, error: 'Session has been revoked; please sign in again' });
+            }
+        } catch (error) {
+            console.error('[Auth] Error checking session:', error);
+            return res.status(500).json({ success: false, error: 'Failed to verify session' });
+        }
+
         // Preserve all user data from JWT
         req.user = {
             id: user.id,
             userId: user.id,
             email: user.email,
-            is_admin: user.is_admin || false
+            is_admin: user.is_admin || false,
+            sessionId: user.sid
         };
         next();
     });
@@ -37,4 +58,71 @@ function isAdmin(req, res, next) {
     next();
 }
 
-module.exports = { authenticateToken, isAdmin };
+// Role and permissions come from Postgres, read once per request, so role
+// changes and deactivation take effect on the user's next request
+async function accessOf(req) {
+    if (req.access === undefined) {
+        req.access = await loadAccess(req.user.id);
+    }
+    return req.access;
+}
+
+/**
+ * Whether the signed-in user holds a permission; for checks that depend on
+ * the request (e.g. their own records or someone else's)
+ */
+async function userCan(req, permission) {
+    const access = await accessOf(req);
+    return Boolean(access && access.isActive && access.permissions.includes(permission));
+}
+
+// Permission check middleware - must be used AFTER authenticateToken.
+// Every listed permission is required; firm administrators hold them all.
+function requirePermission(...permissions) {
+    return async (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ success: false, error: 'Authentication required' });
+        }
+
+        try {
+            const access = await accessOf(req);
+            if (!access) {
+                return res.status(401).json({ success: false, error: 'User not found' });
+            }
+            if (!access.isActive) {
+                return res.status(403).json({ success: false, error: 'Account is deactivated' });
+            }
+
+            const missing = permissions.filter(permission => !access.permissions.includes(permission));
+            if (missing.length > 0) {
+                return res.status(403).json({
+                    success: false,
+                    error: `Permission required: ${missing.join(', ')}`
+                });
+            }
+
+            req.user.role = access.role;
+            req.user.permissions = access.permissions;
+            next();
+        } catch (error) {
+            console.error('[Auth] Error checking permissions:', error);
+            res.status(500).json({ success: false, error: 'Failed to check permissions' });
+        }
+    };
+}
+
+// Reads need `<area>:read`, anything else `<area>:write`
+function requireModuleAccess(area) {
+    const read = requirePermission(`${area}:read`);
+    const write = requirePermission(`${area}:write`);
+    return (req, res, next) => (['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? read : write)(req, res, next);
+}
+
+module.exports = {
+    authenticateToken,
+    verifyToken: authenticateToken,
+    isAdmin,
+    requirePermission,
+    requireModuleAccess,
+    userCan
+};
@@ -0,0 +1,239 @@
+/**
+ * Access Routes
+ * Roles, role permissions, staff accounts, their sessions and two-factor
+ * resets, and the account audit log (see accessService, sessionService
+ * and twoFactorService). Every route needs users:manage.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const accessService = require('../services/accessService');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const auditService = require('../services/auditService');
+
+router.use(authenticateToken, requirePermission('users:manage'));
+
+function sendError(res, error, fallback) {
+    if (!error.status) {
+        console.error(`[Auth] Error ${fallback}:`, error);
+    }
+    res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : `Failed ${fallback}`
+    });
+}
+
+// GET every permission with what it allows
+router.get('/permissions', (req, res) => {
+    const permissions = accessService.listPermissions();
+
+    res.json({
+        success: true,
+        count: permissions.length,
+        data: permissions
+    });
+});
+
+// GET roles with their permissions and number of users
+router.get('/roles', async (req, res) => {
+    try {
+        const roles = await accessService.listRoles();
+
+        res.json({
+            success: true,
+            count: roles.length,
+            data: roles
+        });
+    } catch (error) {
+        sendError(res, error, 'fetching roles');
+    }
+});
+
+// REPLACE the permissions granted to a role
+// Body: { permissions: ['documents:read', ...] }
+router.put('/roles/:role/permissions', async (req, res) => {
+    try {
+        const role = await accessService.setRolePermissions(req.params.role, req.body.permissions);
+
+        console.log(`[Auth] User ${req.user.id} set permissions of role ${req.params.role}`);
+
+        res.json({
+            success: true,
+            message: 'Role permissions updated',
+            data: role
+        });
+    } catch (error) {
+        sendError(res, error, 'updating role permissions');
+    }
+});
+
+// REQUIRE two-factor authentication for everyone with a role
+// Body: { required }
+router.put('/roles/:role/2fa', async (req, res) => {
+    try {
+        const role = await accessService.setRoleTwoFactor(req.params.role, req.body.required);
+
+        await auditService.record({
+            actorId: req.user.id,
+            action: 'role_two_factor_changed',
+            details: { role: role.name, required: role.require_two_factor },
+            ip: req.ip
+        });
+        console.log(`[Auth] User ${req.user.id} ${role.require_two_factor ? 'required' : 'stopped requiring'} 2FA for role ${role.name}`);
+
+        res.json({
+            success: true,
+            message: role.require_two_factor ? 'Two-factor authentication required' : 'Two-factor authentication optional',
+            data: role
+        });
+    } catch (error) {
+        sendError(res, error, 'updating role two-factor requirement');
+    }
+});
+
+// GET users with their roles
+// Query: role, active=true|false
+router.get('/users', async (req, res) => {
+    try {
+        const users = await accessService.listUsers({
+            role: req.query.role,
+            active: req.query.active === undefined ? undefined : req.query.active === 'true'
+        });
+
+        res.json({
+            success: true,
+            count: users.length,
+            data: users
+        });
+    } catch (error) {
+        sendError(res, error, 'fetching users');
+    }
+});
+
+// CHANGE a user's role or deactivate their account
+// Body: { role, isActive }
+router.put('/users/:userId', async (req, res) => {
+    try {
+        const user = await accessService.updateUser(req.params.userId, {
+            role: req.body.role,
+            isActive: req.body.isActive
+        }, { actorId: req.user.id });
+
+        console.log(`[Auth] User ${req.user.id} updated access of user ${user.id} (role ${user.role}, ${user.is_active ? 'active' : 'deactivated'})`);
+
+        res.json({
+            success: true,
+            message: 'User access updated',
+            data: user
+        });
+    } catch (error) {
+        sendError(res, error, 'updating user access');
+    }
+});
+
+// GET a user's active sessions
+router.get('/users/:userId/sessions', async (req, res) => {
+    try {
+        const sessions = await sessionService.listSessions(req.params.userId);
+
+        res.json({
+            success: true,
+            count: sessions.length,
+            data: sessions
+        });
+    } catch (error) {
+        sendError(res, error, 'fetching sessions');
+    }
+});
+
+// FORCE-LOGOUT a user from every session
+router.post('/users/:userId/logout', async (req, res) => {
+    try {
+        const revoked = await sessionService.revokeUserSessions(req.params.userId, {
+            revokedBy: req.user.id,
+            reason: 'forced_logout'
+        });
+
+        console.log(`[Auth] User ${req.user.id} signed out user ${req.params.userId} (${revoked} session(s))`);
+
+        res.json({
+            success: true,
+            message: `Signed out ${revoked} session(s)`,
+            data: { revoked }
+        });
+    } catch (error) {
+        sendError(res, error, 'signing out user');
+    }
+});
+
+// REVOKE one of a user's sessions
+router.delete('/users/:userId/sessions/:sessionId', async (req, res) => {
+    try {
+        await sessionService.revokeSession(req.params.sessionId, {
+            userId: req.params.userId,
+            revokedBy: req.user.id,
+            reason: 'forced_logout'
+        });
+
+        console.log(`[Auth] User ${req.user.id} revoked session ${req.params.sessionId} of user ${req.params.userId}`);
+
+        res.json({
+            success: true,
+            message: 'Session revoked'
+        });
+    } catch (error) {
+        sendError(res, error, 'revoking session');
+    }
+});
+
+// RESET a user's two-factor authentication (lost device) and sign them
+// out; audit-logged with the reason
+// Body: { reason }
+router.post('/users/:userId/2fa/reset', async (req, res) => {
+    try {
+        const entry = await twoFactorService.reset(req.params.userId, {
+            actorId: req.user.id,
+            reason: req.body.reason,
+            ip: req.ip
+        });
+        await sessionService.revokeUserSessions(req.params.userId, {
+            revokedBy: req.user.id,
+            reason: 'two_factor_reset'
+        });
+
+        console.log(`[Auth] User ${req.user.id} reset two-factor authentication of user ${req.params.userId}`);
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication reset; the user must enrol again if their role requires it',
+            data: entry
+        });
+    } catch (error) {
+        sendError(res, error, 'resetting two-factor authentication');
+    }
+});
+
+// GET the account audit log, newest first
+// Query: userId, actorId, action, limit
+router.get('/audit', async (req, res) => {
+    try {
+        const entries = await auditService.list({
+            userId: req.query.userId,
+            actorId: req.query.actorId,
+            action: req.query.action,
+            limit: req.query.limit
+        });
+
+        res.json({
+            success: true,
+            count: entries.length,
+            data: entries
+        });
+    } catch (error) {
+        sendError(res, error, 'fetching audit log');
+    }
+});
+
+module.exports = router;
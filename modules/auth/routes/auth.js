@@ -1,8 +1,16 @@
 ﻿const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const db = require('../database/db');
+const { DEFAULT_ROLE } = require('../services/permissions');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const { accountSummary } = require('../services/accessService');
+
+// Device and address recorded on the session
+function sessionContext(req) {
+    return { ip: req.ip, userAgent: req.get('User-Agent') };
+}
 
 // Rate limiting (protect against brute force)
 let rateLimiters = {};
@@ -43,9 +51,9 @@ router.post('/register', rateLimiters.registerLimiter, async (req, res) => {
 
         // Insert user with referral tracking
         const insertResult = await db.query(
-            `INSERT INTO users (email, password_hash, full_name, referred_by, referral_code_id, referred_at) 
-             VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
-            [email, passwordHash, fullName, referralCodeValue, referralCodeId, referralCodeId ? new Date() : null]
+            `INSERT INTO users (email, password_hash, full_name, referred_by, referral_code_id, referred_at, role) 
+             VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
+            [email, passwordHash, fullName, referralCodeValue, referralCodeId, referralCodeId ? new Date() : null, DEFAULT_ROLE]
         );
 
         // Get user ID
@@ -57,22 +65,13 @@ router.post('/register', rateLimiters.registerLimiter, async (req, res) => {
 
         // Fetch created user
         const userResult = await db.query(
-            'SELECT id, email, full_name, subscription_tier, is_admin FROM users WHERE id = $1',
+            'SELECT id, email, full_name, subscription_tier, is_admin, role FROM users WHERE id = $1',
             [userId]
         );
         const user = userResult.rows[0];
 
-        // Generate JWT - INCLUDE id, userId, email, AND is_admin
-        const token = jwt.sign(
-            {
-                id: user.id,
-                userId: user.id,
-                email: user.email,
-                is_admin: user.is_admin || false
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        // Open a session: short-lived access token plus refresh token
+        const tokens = await sessionService.createSession(user, sessionContext(req));
 
         // Update referral stats if user was referred
         if (referralCodeId) {
@@ -95,13 +94,14 @@ router.post('/register', rateLimiters.registerLimiter, async (req, res) => {
         // Respond
         res.json({
             success: true,
-            token,
+            ...tokens,
             user: {
                 id: user.id,
                 email: user.email,
                 fullName: user.full_name,
                 subscriptionTier: user.subscription_tier,
                 isAdmin: user.is_admin || false,
+                role: user.role,
                 scansUsed: user.scans_used || 0
             }
         });
@@ -116,7 +116,12 @@ router.post('/login', rateLimiters.loginLimiter, async (req, res) => {
 
         // Find user - FIXED QUERY SYNTAX
         const userResult = await db.query(
-            'SELECT id, email, password_hash, full_name, subscription_tier, is_admin, scans_used FROM users WHERE email = $1', 
+            `SELECT u.id, u.email, u.password_hash, u.full_name, u.subscription_tier, u.is_admin, u.role,
+               u.is_active, u.scans_used, u.two_factor_enabled,
+               COALESCE(r.require_two_factor, false) AS two_factor_required
+             FROM users u
+             LEFT JOIN roles r ON r.name = u.role
+             WHERE u.email = $1`,
             [email]
         );
         const user = userResult.rows[0];
@@ -131,29 +136,28 @@ router.post('/login', rateLimiters.loginLimiter, async (req, res) => {
             return res.status(401).json({ success: false, error: 'Invalid credentials' });
         }
 
-        // Generate JWT - INCLUDE id, userId, email, AND is_admin
-        const token = jwt.sign(
-            {
-                id: user.id,
-                userId: user.id,
-                email: user.email,
-                is_admin: user.is_admin || false
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        if (user.is_active === false) {
+            return res.status(403).json({ success: false, error: 'Account is deactivated' });
+        }
+
+        // Second step: a code at /2fa/login, or enrolment at /2fa/login/setup
+        // when the role requires 2FA and the user has not set it up yet
+        if (user.two_factor_enabled || user.two_factor_required) {
+            return res.json({
+                success: true,
+                twoFactorRequired: true,
+                enrollmentRequired: !user.two_factor_enabled,
+                challengeToken: twoFactorService.issueChallenge(user.id, user.two_factor_enabled ? 'login' : 'enroll')
+            });
+        }
+
+        // Open a session: short-lived access token plus refresh token
+        const tokens = await sessionService.createSession(user, sessionContext(req));
 
         res.json({
             success: true,
-            token,
-            user: {
-                id: user.id,
-                email: user.email,
-                fullName: user.full_name,
-                subscriptionTier: user.subscription_tier,
-                isAdmin: user.is_admin || false,
-                scansUsed: user.scans_used || 0
-            }
+            ...tokens,
+            user: accountSummary(user)
         });
     } catch (error) {
         console.error('Login error:', error);
@@ -163,6 +167,7 @@ router.post('/login', rateLimiters.loginLimiter, async (req, res) => {
 
 // Get current user info
 const { authenticateToken } = require('../middleware/auth');
+const { loadAccess } = require('../services/accessService');
 
 // Get current user info - supports both /me and /profile endpoints
 const getUserProfile = async (req, res) => {
@@ -178,6 +183,7 @@ const getUserProfile = async (req, res) => {
         }
 
         const user = userResult.rows[0];
+        const access = await loadAccess(user.id);
 
         res.json({
             success: true,
@@ -189,6 +195,8 @@ const getUserProfile = async (req, res) => {
                 subscriptionTier: user.subscription_tier,
                 is_admin: user.is_admin || false,
                 isAdmin: user.is_admin || false,
+                role: access.role,
+                permissions: access.permissions,
                 scansUsed: user.scans_used || 0,
                 createdAt: user.created_at
             }
@@ -201,6 +209,85 @@ const getUserProfile = async (req, res) => {
 router.get('/me', authenticateToken, getUserProfile);
 router.get('/profile', authenticateToken, getUserProfile);
 
+// Refresh - swap a refresh token for a new access token and refresh token.
+// Each refresh token works once; reusing an old one revokes the session.
+router.post('/refresh', async (req, res) => {
+    try {
+        const tokens = await sessionService.refreshSession(req.body.refreshToken, sessionContext(req));
+        res.json({ success: true, ...tokens });
+    } catch (error) {
+        if (!error.status) {
+            console.error('[Auth] Error refreshing session:', error);
+        }
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to refresh session'
+        });
+    }
+});
+
+// Logout - revoke the session of a refresh token
+router.post('/logout', async (req, res) => {
+    try {
+        await sessionService.revokeByRefreshToken(req.body.refreshToken);
+        res.json({ success: true, message: 'Signed out' });
+    } catch (error) {
+        if (!error.status) {
+            console.error('[Auth] Error signing out:', error);
+        }
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to sign out'
+        });
+    }
+});
+
+// Active sessions of the current user, with device and IP
+router.get('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const sessions = await sessionService.listSessions(req.user.id, { currentSessionId: req.user.sessionId });
+        res.json({ success: true, count: sessions.length, data: sessions });
+    } catch (error) {
+        console.error('[Auth] Error fetching sessions:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch sessions' });
+    }
+});
+
+// Sign out every other session of the current user
+router.delete('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const revoked = await sessionService.revokeUserSessions(req.user.id, {
+            revokedBy: req.user.id,
+            reason: 'signed_out_elsewhere',
+            exceptSessionId: req.user.sessionId
+        });
+        res.json({ success: true, message: `Signed out ${revoked} other session(s)`, data: { revoked } });
+    } catch (error) {
+        console.error('[Auth] Error revoking sessions:', error);
+        res.status(500).json({ success: false, error: 'Failed to revoke sessions' });
+    }
+});
+
+// Sign out one session of the current user
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+    try {
+        await sessionService.revokeSession(req.params.sessionId, {
+            userId: req.user.id,
+            revokedBy: req.user.id,
+            reason: 'revoked_by_user'
+        });
+        res.json({ success: true, message: 'Session revoked' });
+    } catch (error) {
+        if (!error.status) {
+            console.error('[Auth] Error revoking session:', error);
+        }
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to revoke session'
+        });
+    }
+});
+
 // Forgot Password - Request reset
 router.post('/forgot-password', async (req, res) => {
     try {
@@ -303,6 +390,9 @@ router.post('/reset-password/:token', async (req, res) => {
             [passwordHash, user.id]
         );
 
+        // Whoever had the old password is signed out
+        await sessionService.revokeUserSessions(user.id, { reason: 'password_reset' });
+
         res.json({
             success: true,
             message: 'Password reset successful! You can now login.'
@@ -312,4 +402,8 @@ router.post('/reset-password/:token', async (req, res) => {
     }
 });
 
+// Roles, permissions and staff accounts
+router.use('/access', require('./access'));
+router.use('/2fa', require('./twoFactor'));
+
 module.exports = router;
\ No newline at end of file
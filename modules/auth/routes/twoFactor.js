@@ -0,0 +1,171 @@
+/**
+ * Two-Factor Routes
+ * Second sign-in step (POST /login with the challenge token from
+ * /api/auth/login), enrolment during sign-in when a role requires 2FA, and
+ * managing 2FA on one's own account (see twoFactorService).
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../database/db');
+const { authenticateToken } = require('../middleware/auth');
+const { accountSummary } = require('../services/accessService');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+
+// Rate limiting, as on /api/auth/login
+let loginLimiter;
+try {
+    ({ loginLimiter } = require('../middleware/rateLimiter'));
+} catch (e) {
+    // Rate limiter not available, create no-op middleware
+    loginLimiter = (req, res, next) => next();
+}
+
+function sendError(res, error, fallback) {
+    if (!error.status) {
+        console.error(`[Auth] Error ${fallback}:`, error);
+    }
+    res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : `Failed ${fallback}`
+    });
+}
+
+// Finish signing in: open a session and return it like /login does
+async function signIn(req, res, userId, extra = {}) {
+    const result = await db.query(
+        'SELECT id, email, full_name, subscription_tier, is_admin, role, scans_used FROM users WHERE id = $1',
+        [userId]
+    );
+    const user = result.rows[0];
+    const tokens = await sessionService.createSession(user, { ip: req.ip, userAgent: req.get('User-Agent') });
+
+    res.json({
+        success: true,
+        ...tokens,
+        ...extra,
+        user: accountSummary(user)
+    });
+}
+
+// ---- Sign-in ----
+
+// VERIFY the second factor and sign in
+// Body: { challengeToken, code } or { challengeToken, recoveryCode }
+router.post('/login', loginLimiter, async (req, res) => {
+    try {
+        const user = await twoFactorService.verifyChallenge(req.body.challengeToken, 'login');
+        if (!user.two_factor_enabled) {
+            return res.status(409).json({ success: false, error: 'Two-factor authentication is not enabled' });
+        }
+
+        if (req.body.recoveryCode) {
+            await twoFactorService.consumeRecoveryCode(user, req.body.recoveryCode, { ip: req.ip });
+        } else {
+            await twoFactorService.consumeCode(user, req.body.code);
+        }
+
+        await signIn(req, res, user.id);
+    } catch (error) {
+        sendError(res, error, 'verifying two-factor code');
+    }
+});
+
+// START required enrolment during sign-in
+// Body: { challengeToken }
+router.post('/login/setup', async (req, res) => {
+    try {
+        const user = await twoFactorService.verifyChallenge(req.body.challengeToken, 'enroll');
+        const setup = await twoFactorService.beginSetup(user.id);
+
+        res.json({ success: true, data: setup });
+    } catch (error) {
+        sendError(res, error, 'starting two-factor setup');
+    }
+});
+
+// CONFIRM required enrolment and sign in; recovery codes are shown once
+// Body: { challengeToken, code }
+router.post('/login/enable', loginLimiter, async (req, res) => {
+    try {
+        const user = await twoFactorService.verifyChallenge(req.body.challengeToken, 'enroll');
+        const recoveryCodes = await twoFactorService.enable(user.id, req.body.code, { ip: req.ip });
+
+        console.log(`[Auth] User ${user.id} enabled two-factor authentication at sign-in`);
+        await signIn(req, res, user.id, { recoveryCodes });
+    } catch (error) {
+        sendError(res, error, 'enabling two-factor authentication');
+    }
+});
+
+// ---- Own account ----
+
+// GET 2FA status: enabled, required by role, recovery codes left
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        res.json({ success: true, data: await twoFactorService.status(req.user.id) });
+    } catch (error) {
+        sendError(res, error, 'fetching two-factor status');
+    }
+});
+
+// START enrolment: secret, otpauth:// provisioning URI and QR code image
+router.post('/setup', authenticateToken, async (req, res) => {
+    try {
+        const setup = await twoFactorService.beginSetup(req.user.id);
+        res.json({ success: true, data: setup });
+    } catch (error) {
+        sendError(res, error, 'starting two-factor setup');
+    }
+});
+
+// CONFIRM enrolment with a code from the app; recovery codes are shown once
+// Body: { code }
+router.post('/enable', authenticateToken, async (req, res) => {
+    try {
+        const recoveryCodes = await twoFactorService.enable(req.user.id, req.body.code, { ip: req.ip });
+
+        console.log(`[Auth] User ${req.user.id} enabled two-factor authentication`);
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled; store the recovery codes somewhere safe',
+            data: { recoveryCodes }
+        });
+    } catch (error) {
+        sendError(res, error, 'enabling two-factor authentication');
+    }
+});
+
+// TURN OFF 2FA (not allowed when the role requires it)
+// Body: { code }
+router.post('/disable', authenticateToken, async (req, res) => {
+    try {
+        await twoFactorService.disable(req.user.id, req.body.code, { ip: req.ip });
+
+        console.log(`[Auth] User ${req.user.id} disabled two-factor authentication`);
+
+        res.json({ success: true, message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        sendError(res, error, 'disabling two-factor authentication');
+    }
+});
+
+// REPLACE recovery codes; the old ones stop working
+// Body: { code }
+router.post('/recovery-codes', authenticateToken, async (req, res) => {
+    try {
+        const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.id, req.body.code, { ip: req.ip });
+
+        res.json({
+            success: true,
+            message: 'New recovery codes issued',
+            data: { recoveryCodes }
+        });
+    } catch (error) {
+        sendError(res, error, 'regenerating recovery codes');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,184 @@
+/**
+ * Access Service
+ * Reads and changes who may do what: users' roles, whether their account
+ * is active, and the permissions granted to each role.
+ */
+
+const db = require('../database/db');
+const { ROLES, PERMISSIONS } = require('./permissions');
+const { revokeUserSessions } = require('./sessionService');
+const { httpError } = require('../../shared/utils');
+
+/**
+ * A user's role, active flag and effective permissions, or null when the
+ * user no longer exists
+ */
+async function loadAccess(userId) {
+    const result = await db.query(
+        `SELECT u.id, u.role, u.is_admin, u.is_active,
+           COALESCE(ARRAY(SELECT rp.permission FROM role_permissions rp WHERE rp.role = u.role ORDER BY rp.permission), '{}') AS permissions
+         FROM users u
+         WHERE u.id = $1`,
+        [userId]
+    );
+    const user = result.rows[0];
+    if (!user) return null;
+
+    return {
+        userId: user.id,
+        role: user.role,
+        isAdmin: Boolean(user.is_admin),
+        isActive: user.is_active !== false,
+        permissions: user.is_admin ? Object.keys(PERMISSIONS) : user.permissions
+    };
+}
+
+// Account fields returned when signing in
+function accountSummary(user) {
+    return {
+        id: user.id,
+        email: user.email,
+        fullName: user.full_name,
+        subscriptionTier: user.subscription_tier,
+        isAdmin: user.is_admin || false,
+        role: user.role,
+        scansUsed: user.scans_used || 0
+    };
+}
+
+async function listRoles() {
+    const result = await db.query(
+        `SELECT r.name, r.description, r.require_two_factor,
+           COALESCE(ARRAY(SELECT rp.permission FROM role_permissions rp WHERE rp.role = r.name ORDER BY rp.permission), '{}') AS permissions,
+           (SELECT COUNT(*) FROM users u WHERE u.role = r.name) AS user_count
+         FROM roles r
+         ORDER BY r.name`
+    );
+    return result.rows.map(row => ({ ...row, user_count: parseInt(row.user_count) }));
+}
+
+function listPermissions() {
+    return Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }));
+}
+
+/**
+ * Replace the permissions granted to a role
+ */
+async function setRolePermissions(role, permissions) {
+    if (!ROLES[role]) {
+        throw httpError(404, 'Role not found');
+    }
+    if (!Array.isArray(permissions)) {
+        throw httpError(400, 'permissions must be an array');
+    }
+    const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+    if (unknown.length > 0) {
+        throw httpError(400, `Unknown permissions: ${unknown.join(', ')}`);
+    }
+
+    const client = await db.pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query('DELETE FROM role_permissions WHERE role = $1', [role]);
+        await client.query(
+            `INSERT INTO role_permissions (role, permission)
+             SELECT $1, permission FROM UNNEST($2::text[]) AS permission
+             ON CONFLICT DO NOTHING`,
+            [role, permissions]
+        );
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    const roles = await listRoles();
+    return roles.find(entry => entry.name === role);
+}
+
+/**
+ * Require (or stop requiring) two-factor authentication for a role. Users
+ * of the role who have not enrolled must do so at their next sign-in.
+ */
+async function setRoleTwoFactor(role, required) {
+    if (!ROLES[role]) {
+        throw httpError(404, 'Role not found');
+    }
+    if (typeof required !== 'boolean') {
+        throw httpError(400, 'required must be true or false');
+    }
+
+    await db.query('UPDATE roles SET require_two_factor = $2 WHERE name = $1', [role, required]);
+    const roles = await listRoles();
+    return roles.find(entry => entry.name === role);
+}
+
+const USER_COLUMNS = 'id, email, full_name, role, is_admin, is_active, privileged_access, two_factor_enabled, created_at';
+
+async function listUsers({ role, active } = {}) {
+    const conditions = [];
+    const params = [];
+    if (role) {
+        params.push(role);
+        conditions.push(`role = $${params.length}`);
+    }
+    if (active !== undefined) {
+        params.push(active);
+        conditions.push(`is_active = $${params.length}`);
+    }
+
+    const result = await db.query(
+        `SELECT ${USER_COLUMNS} FROM users
+         ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY full_name, email`,
+        params
+    );
+    return result.rows;
+}
+
+/**
+ * Change a user's role or deactivate them. Users cannot change their own
+ * access, so the firm cannot lock out its last manager by accident.
+ * Deactivating also signs the user out everywhere.
+ */
+async function updateUser(userId, { role, isActive }, { actorId }) {
+    if (String(userId) === String(actorId)) {
+        throw httpError(409, 'You cannot change your own role or deactivate yourself');
+    }
+    if (role !== undefined && !ROLES[role]) {
+        throw httpError(400, `role must be one of: ${Object.keys(ROLES).join(', ')}`);
+    }
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+        throw httpError(400, 'isActive must be true or false');
+    }
+
+    const result = await db.query(
+        `UPDATE users SET
+            role = COALESCE($1, role),
+            is_active = COALESCE($2, is_active),
+            updated_at = NOW()
+         WHERE id = $3
+         RETURNING ${USER_COLUMNS}`,
+        [role || null, isActive === undefined ? null : isActive, userId]
+    );
+    if (result.rows.length === 0) {
+        throw httpError(404, 'User not found');
+    }
+    if (isActive === false) {
+        await revokeUserSessions(userId, { revokedBy: actorId, reason: 'deactivated' });
+    }
+    return result.rows[0];
+}
+
+module.exports = {
+    loadAccess,
+    accountSummary,
+    listRoles,
+    listPermissions,
+    setRolePermissions,
+    setRoleTwoFactor,
+    listUsers,
+    updateUser
+};
@@ -0,0 +1,53 @@
+/**
+ * Audit Service
+ * Append-only log of security-relevant actions: who did what to whose
+ * account (or, for a broken document check-out, whose lock), from where.
+ * Rows are never updated or deleted.
+ */
+
+const db = require('../database/db');
+
+/**
+ * entry: { actorId, userId, action, details, ip }
+ */
+async function record({ actorId, userId, action, details, ip }, client = db) {
+    const result = await client.query(
+        `INSERT INTO auth_audit_log (actor_id, user_id, action, details, ip_address)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [actorId || null, userId || null, action, JSON.stringify(details || {}), ip || null]
+    );
+    return result.rows[0];
+}
+
+async function list({ userId, actorId, action, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (userId) {
+        params.push(userId);
+        conditions.push(`l.user_id = $${params.length}`);
+    }
+    if (actorId) {
+        params.push(actorId);
+        conditions.push(`l.actor_id = $${params.length}`);
+    }
+    if (action) {
+        params.push(action);
+        conditions.push(`l.action = $${params.length}`);
+    }
+    params.push(Math.min(parseInt(limit) || 100, 500));
+
+    const result = await db.query(
+        `SELECT l.*, a.full_name AS actor_name, u.full_name AS user_name, u.email AS user_email
+         FROM auth_audit_log l
+         LEFT JOIN users a ON a.id = l.actor_id
+         LEFT JOIN users u ON u.id = l.user_id
+         ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY l.created_at DESC, l.id DESC
+         LIMIT $${params.length}`,
+        params
+    );
+    return result.rows;
+}
+
+module.exports = { record, list };
@@ -0,0 +1,109 @@
+/**
+ * Roles and Permissions
+ * The firm's roles, the permissions routes check, and what each role is
+ * granted on a fresh install. setup-db.js seeds these into Postgres; after
+ * that the grants are edited through /api/auth/access and the database is
+ * the source of truth.
+ *
+ * Permissions are `area:action`, with a third part for narrower rights
+ * (documents:read:privileged). Users with is_admin are firm
+ * administrators and pass every permission check.
+ */
+
+const ROLES = {
+    partner: 'Partner: every permission',
+    associate: 'Associate attorney',
+    paralegal: 'Paralegal',
+    billing: 'Billing and accounts staff',
+    receptionist: 'Reception and scheduling',
+    client: 'Client of the firm'
+};
+
+const PERMISSIONS = {
+    'bookings:read': 'View bookings, attorney schedules, holidays and rooms',
+    'bookings:write': 'Change, reschedule and cancel bookings',
+    'bookings:delete': 'Delete bookings',
+    'availability:manage': 'Set attorney hours and time off, firm holidays and rooms',
+    'matters:read': 'View matters, parties, conflict checks and deadlines',
+    'matters:write': 'Open and update matters, run conflict checks and calculate deadlines',
+    'matters:walls': 'Put up and lift ethical walls and review attempted access',
+    'documents:read': 'View, search and download documents',
+    'documents:read:privileged': 'View every privileged document',
+    'documents:write': 'Upload, edit, check in and out, and generate documents',
+    'documents:checkout:override': "Release another user's check-out (recorded in the audit log)",
+    'documents:delete': 'Delete documents',
+    'documents:share': 'Create and revoke share links',
+    'documents:sign': 'Send documents for electronic signature',
+    'documents:templates': 'Manage document templates',
+    'documents:produce': 'Create discovery productions',
+    'documents:retention': 'Manage retention policies, legal holds and purges',
+    'time:read': 'View time entries and expenses',
+    'time:write': 'Record time entries and expenses',
+    'billing:read': 'View invoices, payments, trust accounts and work in progress',
+    'billing:write': 'Bill clients, record payments, manage trust accounts and set rates',
+    'calendar:read': 'View the firm calendar',
+    'calendar:read:all': "View every user's calendar at once",
+    'calendar:write': 'Add, change and import calendar events',
+    'intake:read': 'View intake forms and submissions',
+    'intake:write': 'Manage intake forms and process submissions',
+    'notifications:read': 'Receive notifications',
+    'portal:access': 'Use the client portal for the client the login is linked to',
+    'portal:manage': 'Invite clients to the portal, unlink portal logins and answer secure messages',
+    'admin:read': 'View the admin dashboard, CRM, orders, inventory and analytics',
+    'admin:write': 'Manage CRM, orders, inventory and site content',
+    'users:manage': 'Assign roles, change role permissions and grant privileged access'
+};
+
+const DEFAULT_ROLE_PERMISSIONS = {
+    partner: Object.keys(PERMISSIONS),
+    associate: [
+        'bookings:read', 'bookings:write',
+        'matters:read', 'matters:write',
+        'documents:read', 'documents:write', 'documents:delete', 'documents:share',
+        'documents:sign', 'documents:templates', 'documents:produce',
+        'time:read', 'time:write', 'billing:read',
+        'calendar:read', 'calendar:write',
+        'intake:read', 'intake:write',
+        'notifications:read',
+        'portal:manage'
+    ],
+    paralegal: [
+        'bookings:read', 'bookings:write',
+        'matters:read', 'matters:write',
+        'documents:read', 'documents:write', 'documents:share', 'documents:sign', 'documents:produce',
+        'time:read', 'time:write',
+        'calendar:read', 'calendar:write',
+        'intake:read',
+        'notifications:read',
+        'portal:manage'
+    ],
+    billing: [
+        'bookings:read',
+        'matters:read',
+        'documents:read',
+        'time:read', 'time:write', 'billing:read', 'billing:write',
+        'calendar:read',
+        'notifications:read'
+    ],
+    receptionist: [
+        'bookings:read', 'bookings:write', 'availability:manage',
+        'matters:read',
+        'calendar:read', 'calendar:read:all',
+        'intake:read', 'intake:write',
+        'notifications:read'
+    ],
+    client: [
+        'notifications:read',
+        'portal:access'
+    ]
+};
+
+// Registration creates clients; staff roles are assigned by users:manage
+const DEFAULT_ROLE = 'client';
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    DEFAULT_ROLE_PERMISSIONS,
+    DEFAULT_ROLE
+};
@@ -0,0 +1,271 @@
+/**
+ * Session Service
+ * Sign-in sessions: a short-lived JWT access token carrying the session id
+ * (sid) and a rotating refresh token stored server-side as a hash. Each
+ * refresh replaces the refresh token; presenting a replaced token again
+ * means it was copied, so the whole session is revoked. authenticateToken
+ * rejects access tokens whose session has been revoked.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../database/db');
+const { httpError } = require('../../shared/utils');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const SESSION_COLUMNS = 'id, user_id, device, user_agent, ip_address, created_at, last_used_at, expires_at';
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newRefreshToken() {
+    return crypto.randomBytes(48).toString('base64url');
+}
+
+const BROWSERS = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Chrome\//, 'Chrome'],
+    [/Firefox\//, 'Firefox'],
+    [/Safari\//, 'Safari']
+];
+
+const PLATFORMS = [
+    [/iPhone|iPad/, 'iOS'],
+    [/Android/, 'Android'],
+    [/Windows/, 'Windows'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/Linux/, 'Linux']
+];
+
+/**
+ * Short label for a session's device, e.g. "Chrome on Windows"
+ */
+function describeDevice(userAgent) {
+    if (!userAgent) return 'Unknown device';
+    const match = list => (list.find(([pattern]) => pattern.test(userAgent)) || [])[1];
+    const browser = match(BROWSERS);
+    const platform = match(PLATFORMS);
+    if (browser && platform) return `${browser} on ${platform}`;
+    return browser || platform || userAgent.slice(0, 60);
+}
+
+function signAccessToken(user, sessionId) {
+    return jwt.sign(
+        {
+            id: user.id,
+            userId: user.id,
+            email: user.email,
+            is_admin: user.is_admin || false,
+            sid: sessionId
+        },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+}
+
+function tokensFor(user, sessionId, refreshToken, expiresAt) {
+    return {
+        token: signAccessToken(user, sessionId),
+        refreshToken,
+        refreshTokenExpiresAt: expiresAt,
+        sessionId
+    };
+}
+
+/**
+ * Open a session for a user who has just signed in
+ * context: { ip, userAgent }
+ */
+async function createSession(user, { ip, userAgent } = {}) {
+    const refreshToken = newRefreshToken();
+    const result = await db.query(
+        `INSERT INTO user_sessions (user_id, refresh_token_hash, device, user_agent, ip_address, expires_at)
+         VALUES ($1, $2, $3, $4, $5, NOW() + ($6 || ' days')::interval)
+         RETURNING id, expires_at`,
+        [
+            user.id, hashToken(refreshToken), describeDevice(userAgent),
+            userAgent ? userAgent.slice(0, 500) : null, ip || null, REFRESH_TOKEN_DAYS
+        ]
+    );
+    const session = result.rows[0];
+    return tokensFor(user, session.id, refreshToken, session.expires_at);
+}
+
+/**
+ * Swap a refresh token for a new access token and refresh token
+ */
+async function refreshSession(refreshToken, { ip, userAgent } = {}) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        throw httpError(400, 'refreshToken is required');
+    }
+    const tokenHash = hashToken(refreshToken);
+
+    const client = await db.pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const found = await client.query(
+            `SELECT s.id, s.refresh_token_hash, s.revoked_at, s.expires_at < NOW() AS expired,
+               u.id AS user_id, u.email, u.is_admin, u.is_active
+             FROM user_sessions s
+             JOIN users u ON u.id = s.user_id
+             WHERE s.refresh_token_hash = $1 OR s.previous_token_hash = $1
+             FOR UPDATE OF s`,
+            [tokenHash]
+        );
+        const session = found.rows[0];
+
+        if (!session || session.revoked_at || session.expired) {
+            await client.query('ROLLBACK');
+            throw httpError(401, 'Session has expired; please sign in again');
+        }
+
+        if (session.refresh_token_hash !== tokenHash) {
+            // An already rotated token: someone else holds a copy
+            await client.query(
+                `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = 'refresh_token_reuse'
+                 WHERE id = $1`,
+                [session.id]
+            );
+            await client.query('COMMIT');
+            console.warn(`[Auth] Refresh token reuse on session ${session.id} of user ${session.user_id}; session revoked`);
+            throw httpError(401, 'Session has been revoked; please sign in again');
+        }
+
+        if (session.is_active === false) {
+            await client.query(
+                `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = 'deactivated'
+                 WHERE id = $1`,
+                [session.id]
+            );
+            await client.query('COMMIT');
+            throw httpError(403, 'Account is deactivated');
+        }
+
+        const nextToken = newRefreshToken();
+        const updated = await client.query(
+            `UPDATE user_sessions SET
+                previous_token_hash = refresh_token_hash,
+                refresh_token_hash = $2,
+                last_used_at = NOW(),
+                ip_address = COALESCE($3, ip_address),
+                user_agent = COALESCE($4, user_agent),
+                device = COALESCE($5, device)
+             WHERE id = $1
+             RETURNING expires_at`,
+            [
+                session.id, hashToken(nextToken), ip || null,
+                userAgent ? userAgent.slice(0, 500) : null, userAgent ? describeDevice(userAgent) : null
+            ]
+        );
+        await client.query('COMMIT');
+
+        return tokensFor(
+            { id: session.user_id, email: session.email, is_admin: session.is_admin },
+            session.id,
+            nextToken,
+            updated.rows[0].expires_at
+        );
+    } catch (error) {
+        if (!error.status) {
+            await client.query('ROLLBACK').catch(() => {});
+        }
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Whether an access token's session is still open
+ */
+async function isSessionActive(sessionId, userId) {
+    const result = await db.query(
+        `SELECT 1 FROM user_sessions
+         WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > NOW()`,
+        [sessionId, userId]
+    );
+    return result.rows.length > 0;
+}
+
+async function listSessions(userId, { currentSessionId } = {}) {
+    const result = await db.query(
+        `SELECT ${SESSION_COLUMNS} FROM user_sessions
+         WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+         ORDER BY last_used_at DESC NULLS LAST, created_at DESC`,
+        [userId]
+    );
+    return result.rows.map(session => ({
+        ...session,
+        current: String(session.id) === String(currentSessionId)
+    }));
+}
+
+/**
+ * Sign out one session. With userId the session must belong to that user.
+ */
+async function revokeSession(sessionId, { userId, revokedBy, reason }) {
+    const params = [sessionId, revokedBy || null, reason];
+    let ownerClause = '';
+    if (userId) {
+        params.push(userId);
+        ownerClause = `AND user_id = $${params.length}`;
+    }
+
+    const result = await db.query(
+        `UPDATE user_sessions SET revoked_at = NOW(), revoked_by = $2, revoked_reason = $3
+         WHERE id = $1 ${ownerClause} AND revoked_at IS NULL
+         RETURNING id, user_id`,
+        params
+    );
+    if (result.rows.length === 0) {
+        throw httpError(404, 'Session not found');
+    }
+    return result.rows[0];
+}
+
+/**
+ * Sign out a refresh token's session; unknown tokens are ignored so logout
+ * always succeeds
+ */
+async function revokeByRefreshToken(refreshToken, reason = 'logout') {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        throw httpError(400, 'refreshToken is required');
+    }
+    const result = await db.query(
+        `UPDATE user_sessions SET revoked_at = NOW(), revoked_by = user_id, revoked_reason = $2
+         WHERE (refresh_token_hash = $1 OR previous_token_hash = $1) AND revoked_at IS NULL
+         RETURNING id, user_id`,
+        [hashToken(refreshToken), reason]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Sign a user out everywhere, optionally keeping one session; returns the
+ * number of sessions closed
+ */
+async function revokeUserSessions(userId, { revokedBy, reason, exceptSessionId } = {}, client = db) {
+    const result = await client.query(
+        `UPDATE user_sessions SET revoked_at = NOW(), revoked_by = $2, revoked_reason = $3
+         WHERE user_id = $1 AND revoked_at IS NULL AND ($4::int IS NULL OR id <> $4)`,
+        [userId, revokedBy || null, reason, exceptSessionId || null]
+    );
+    return result.rowCount;
+}
+
+module.exports = {
+    ACCESS_TOKEN_TTL,
+    describeDevice,
+    createSession,
+    refreshSession,
+    isSessionActive,
+    listSessions,
+    revokeSession,
+    revokeByRefreshToken,
+    revokeUserSessions
+};
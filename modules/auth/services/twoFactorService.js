@@ -0,0 +1,423 @@
+/**
+ * Two-Factor Service
+ * TOTP (RFC 6238: SHA-1, 6 digits, 30-second steps) second factor with
+ * one-time recovery codes. Secrets are stored encrypted (AES-256-GCM)
+ * and each code is accepted once.
+ *
+ * Sign-in with a second factor is two steps: the password step returns a
+ * short-lived challenge token, which is exchanged for a session together
+ * with a code. Users whose role requires 2FA but who have not enrolled get
+ * an enrolment challenge instead, so they must enrol before signing in.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const db = require('../database/db');
+const auditService = require('./auditService');
+const { httpError } = require('../../shared/utils');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || process.env.FIRM_NAME || 'Sterling & Associates';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Steps either side of now that are accepted, for clock drift
+const WINDOW = 1;
+const CHALLENGE_TTL = '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// ---- TOTP ----
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of text.replace(/=+$/, '').toUpperCase()) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 secret');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+function hotp(secret, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const digest = crypto.createHmac('sha1', secret).update(message).digest();
+    const offset = digest[digest.length - 1] & 15;
+    const code = (digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+    return String(code).padStart(DIGITS, '0');
+}
+
+/**
+ * The time step a code belongs to, or null when it matches none in the
+ * window around now
+ */
+function matchStep(base32Secret, code, now = Date.now()) {
+    const normalized = String(code || '').replace(/\s+/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+    const secret = base32Decode(base32Secret);
+    const current = Math.floor(now / 1000 / STEP_SECONDS);
+    for (let drift = -WINDOW; drift <= WINDOW; drift++) {
+        const expected = hotp(secret, current + drift);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return current + drift;
+        }
+    }
+    return null;
+}
+
+// ---- Secret storage ----
+
+function encryptionKey() {
+    const material = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    return crypto.createHash('sha256').update(`2fa:${material}`).digest();
+}
+
+function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+function decryptSecret(stored) {
+    const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+// ---- Recovery codes ----
+
+function hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex');
+}
+
+/**
+ * Replace a user's recovery codes; the plain codes are only ever returned
+ * here
+ */
+async function issueRecoveryCodes(userId, client = db) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+    await client.query(
+        `INSERT INTO two_factor_recovery_codes (user_id, code_hash)
+         SELECT $1, code_hash FROM UNNEST($2::text[]) AS code_hash`,
+        [userId, codes.map(hashRecoveryCode)]
+    );
+    return codes;
+}
+
+// ---- Users ----
+
+async function loadUser(userId, client = db) {
+    const result = await client.query(
+        `SELECT u.id, u.email, u.is_active, u.two_factor_enabled, u.two_factor_secret,
+           u.two_factor_pending_secret, u.two_factor_last_step, u.two_factor_enabled_at,
+           COALESCE(r.require_two_factor, false) AS two_factor_required
+         FROM users u
+         LEFT JOIN roles r ON r.name = u.role
+         WHERE u.id = $1`,
+        [userId]
+    );
+    const user = result.rows[0];
+    if (!user) {
+        throw httpError(404, 'User not found');
+    }
+    return user;
+}
+
+async function status(userId) {
+    const user = await loadUser(userId);
+    const remaining = await db.query(
+        'SELECT COUNT(*) FROM two_factor_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+        [userId]
+    );
+    return {
+        enabled: Boolean(user.two_factor_enabled),
+        required: Boolean(user.two_factor_required),
+        enabledAt: user.two_factor_enabled_at,
+        recoveryCodesRemaining: parseInt(remaining.rows[0].count)
+    };
+}
+
+/**
+ * Accept a TOTP code for a user's active (or pending) secret, once
+ */
+async function consumeCode(user, code, { pending = false } = {}, client = db) {
+    const stored = pending ? user.two_factor_pending_secret : user.two_factor_secret;
+    if (!stored) {
+        throw httpError(409, pending ? 'Start two-factor setup first' : 'Two-factor authentication is not enabled');
+    }
+
+    const step = matchStep(decryptSecret(stored), code);
+    if (step === null) {
+        throw httpError(401, 'Invalid authentication code');
+    }
+
+    // Record the step so the same code cannot be replayed
+    const result = await client.query(
+        `UPDATE users SET two_factor_last_step = $2
+         WHERE id = $1 AND (two_factor_last_step IS NULL OR two_factor_last_step < $2)
+         RETURNING id`,
+        [user.id, step]
+    );
+    if (result.rows.length === 0) {
+        throw httpError(401, 'Authentication code already used; wait for the next one');
+    }
+}
+
+async function consumeRecoveryCode(user, recoveryCode, { ip } = {}) {
+    const result = await db.query(
+        `UPDATE two_factor_recovery_codes SET used_at = NOW()
+         WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+         RETURNING id`,
+        [user.id, hashRecoveryCode(recoveryCode)]
+    );
+    if (result.rows.length === 0) {
+        throw httpError(401, 'Invalid recovery code');
+    }
+
+    const remaining = await db.query(
+        'SELECT COUNT(*) FROM two_factor_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+        [user.id]
+    );
+    await auditService.record({
+        actorId: user.id,
+        userId: user.id,
+        action: 'two_factor_recovery_code_used',
+        details: { remaining: parseInt(remaining.rows[0].count) },
+        ip
+    });
+}
+
+/**
+ * Start enrolment: a new pending secret with its provisioning URI and QR
+ * code. The secret only takes effect once a code from it is confirmed.
+ */
+async function beginSetup(userId) {
+    const user = await loadUser(userId);
+    if (user.two_factor_enabled) {
+        throw httpError(409, 'Two-factor authentication is already enabled');
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    await db.query(
+        'UPDATE users SET two_factor_pending_secret = $2, updated_at = NOW() WHERE id = $1',
+        [userId, encryptSecret(secret)]
+    );
+
+    const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+    const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}`
+        + `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+    return {
+        secret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl)
+    };
+}
+
+/**
+ * Confirm enrolment with a code from the pending secret; returns the
+ * recovery codes
+ */
+async function enable(userId, code, { ip } = {}) {
+    const client = await db.pool.connect();
+    try {
+        await client.query('BEGIN');
+        const user = await loadUser(userId, client);
+        if (user.two_factor_enabled) {
+            throw httpError(409, 'Two-factor authentication is already enabled');
+        }
+        await consumeCode(user, code, { pending: true }, client);
+
+        await client.query(
+            `UPDATE users SET
+                two_factor_secret = two_factor_pending_secret,
+                two_factor_pending_secret = NULL,
+                two_factor_enabled = true,
+                two_factor_enabled_at = NOW(),
+                updated_at = NOW()
+             WHERE id = $1`,
+            [userId]
+        );
+        const recoveryCodes = await issueRecoveryCodes(userId, client);
+        await auditService.record({ actorId: userId, userId, action: 'two_factor_enabled', ip }, client);
+
+        await client.query('COMMIT');
+        return recoveryCodes;
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+async function clearTwoFactor(userId, client) {
+    await client.query(
+        `UPDATE users SET
+            two_factor_enabled = false,
+            two_factor_secret = NULL,
+            two_factor_pending_secret = NULL,
+            two_factor_enabled_at = NULL,
+            updated_at = NOW()
+         WHERE id = $1`,
+        [userId]
+    );
+    await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+}
+
+/**
+ * Turn 2FA off with a current code. Not allowed while the user's role
+ * requires it.
+ */
+async function disable(userId, code, { ip } = {}) {
+    const client = await db.pool.connect();
+    try {
+        await client.query('BEGIN');
+        const user = await loadUser(userId, client);
+        if (user.two_factor_required) {
+            throw httpError(409, 'Your role requires two-factor authentication');
+        }
+        await consumeCode(user, code, {}, client);
+        await clearTwoFactor(userId, client);
+        await auditService.record({ actorId: userId, userId, action: 'two_factor_disabled', ip }, client);
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+async function regenerateRecoveryCodes(userId, code, { ip } = {}) {
+    const client = await db.pool.connect();
+    try {
+        await client.query('BEGIN');
+        const user = await loadUser(userId, client);
+        await consumeCode(user, code, {}, client);
+        const recoveryCodes = await issueRecoveryCodes(userId, client);
+        await auditService.record({ actorId: userId, userId, action: 'two_factor_recovery_codes_regenerated', ip }, client);
+        await client.query('COMMIT');
+        return recoveryCodes;
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Administrator reset for a user who lost their device: removes the
+ * secret and recovery codes. Audit-logged with the reason; the caller
+ * signs the user out.
+ */
+async function reset(userId, { actorId, reason, ip }) {
+    if (!reason || !String(reason).trim()) {
+        throw httpError(400, 'reason is required');
+    }
+
+    const client = await db.pool.connect();
+    try {
+        await client.query('BEGIN');
+        const user = await loadUser(userId, client);
+        await clearTwoFactor(userId, client);
+        const entry = await auditService.record({
+            actorId,
+            userId,
+            action: 'two_factor_reset',
+            details: { reason: String(reason).trim(), wasEnabled: Boolean(user.two_factor_enabled) },
+            ip
+        }, client);
+        await client.query('COMMIT');
+        return entry;
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// ---- Sign-in challenges ----
+
+/**
+ * Challenge token handed out after the password step. purpose is 'login'
+ * (enter a code) or 'enroll' (role requires 2FA, set it up first).
+ */
+function issueChallenge(userId, purpose) {
+    return jwt.sign({ sub: String(userId), purpose: `2fa:${purpose}` }, process.env.JWT_SECRET, {
+        expiresIn: CHALLENGE_TTL
+    });
+}
+
+/**
+ * The user a challenge token was issued to; throws 401 when it is invalid,
+ * expired or for another purpose
+ */
+async function verifyChallenge(challengeToken, purpose) {
+    let payload;
+    try {
+        payload = jwt.verify(String(challengeToken || ''), process.env.JWT_SECRET);
+    } catch (error) {
+        throw httpError(401, 'Sign-in challenge has expired; please sign in again');
+    }
+    if (payload.purpose !== `2fa:${purpose}`) {
+        throw httpError(401, 'Invalid sign-in challenge');
+    }
+
+    const user = await loadUser(payload.sub);
+    if (user.is_active === false) {
+        throw httpError(403, 'Account is deactivated');
+    }
+    return user;
+}
+
+module.exports = {
+    status,
+    beginSetup,
+    enable,
+    disable,
+    regenerateRecoveryCodes,
+    reset,
+    consumeCode,
+    consumeRecoveryCode,
+    issueChallenge,
+    verifyChallenge
+};
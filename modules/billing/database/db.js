@@ -0,0 +1,25 @@
+/**
+ * Database Connection
+ * Auto-generated by Module Library Assembler
+ */
+
+const { Pool } = require('pg');
+
+// Create PostgreSQL connection pool
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+// Test connection on startup
+pool.query('SELECT NOW()')
+  .then(() => console.log('✅ Database connected'))
+  .catch(() => {
+    console.log('⚠️  Database not connected - some features may not work');
+    console.log('   Set DATABASE_URL in .env to enable database features');
+  });
+
+module.exports = {
+  query: (text, params) => pool.query(text, params),
+  pool
+};
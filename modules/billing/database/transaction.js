@@ -0,0 +1,29 @@
+/**
+ * Transaction helper for billing routes
+ * Runs `work(client)` inside BEGIN/COMMIT. On failure it rolls back, sends
+ * the error response and resolves to null so the route can just return.
+ */
+
+const db = require('./db');
+
+async function inTransaction(res, label, work) {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error(`[Billing] Error ${label}:`, error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : `Failed ${label}`
+    });
+    return null;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { inTransaction };
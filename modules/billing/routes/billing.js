@@ -0,0 +1,116 @@
+/**
+ * Billing Routes - PostgreSQL Version
+ * Time tracking, expenses, invoicing, work-in-progress and client trust
+ * accounts for legal billing.
+ * Everything except the client payment page and Stripe webhook is staff
+ * only: time entries and expenses need time:*, invoices, work in progress
+ * and trust accounts billing:*.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../database/db');
+const { authenticateToken, requirePermission, requireModuleAccess } = require('../../auth/middleware/auth');
+const { TASK_CODES, ACTIVITY_CODES, EXPENSE_CODES } = require('../services/utbms');
+const paymentRoutes = require('./payments');
+const timeRoutes = require('./time');
+const expenseRoutes = require('./expenses');
+const invoiceRoutes = require('./invoices');
+const wipRoutes = require('./wip');
+const trustRoutes = require('./trust');
+
+// Public: invoice payment links and Stripe webhooks
+router.use('/', paymentRoutes);
+
+router.use(authenticateToken);
+
+router.use('/time-entries', requireModuleAccess('time'), timeRoutes);
+router.use('/expenses', requireModuleAccess('time'), expenseRoutes);
+router.use('/invoices', requireModuleAccess('billing'), invoiceRoutes);
+router.use('/wip', requireModuleAccess('billing'), wipRoutes);
+router.use('/trust', requireModuleAccess('billing'), trustRoutes);
+
+// GET UTBMS task, activity and expense codes
+router.get('/codes', requirePermission('time:read'), (req, res) => {
+  const toList = codes => Object.entries(codes).map(([code, description]) => ({ code, description }));
+
+  res.json({
+    success: true,
+    data: {
+      tasks: toList(TASK_CODES),
+      activities: toList(ACTIVITY_CODES),
+      expenses: toList(EXPENSE_CODES)
+    }
+  });
+});
+
+// GET attorneys' standard hourly rates
+router.get('/rates', requirePermission('time:read'), async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT id, full_name, email, hourly_rate, timekeeper_classification
+       FROM users
+       WHERE is_admin = true OR role <> 'client' OR hourly_rate IS NOT NULL
+       ORDER BY full_name ASC`
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('[Billing] Error fetching rates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch rates'
+    });
+  }
+});
+
+// SET an attorney's standard hourly rate (applies to new entries only)
+// and LEDES timekeeper classification (PT, AS, OC, LA, OT)
+// Body: { hourlyRate, classification }
+router.put('/rates/:userId', requirePermission('billing:write'), async (req, res) => {
+  try {
+    const hourlyRate = Number(req.body.hourlyRate);
+
+    if (!Number.isFinite(hourlyRate) || hourlyRate < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'hourlyRate must be a positive number'
+      });
+    }
+
+    const result = await db.query(
+      `UPDATE users SET
+        hourly_rate = $1,
+        timekeeper_classification = COALESCE($2, timekeeper_classification),
+        updated_at = NOW()
+       WHERE id = $3
+       RETURNING id, full_name, email, hourly_rate, timekeeper_classification`,
+      [hourlyRate, req.body.classification || null, req.params.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Hourly rate updated',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('[Billing] Error updating rate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update rate'
+    });
+  }
+});
+
+module.exports = router;
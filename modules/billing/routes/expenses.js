@@ -0,0 +1,221 @@
+/**
+ * Expense Routes
+ * Disbursements recorded against a matter (filing fees, couriers, experts)
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../database/db');
+const { assertMatterExists } = require('../../matters/services/matterService');
+const { isExpenseCode } = require('../services/utbms');
+const { visibleClause } = require('../../matters/services/ethicalWallService');
+const { screen, screenBody } = require('../../matters/middleware/ethicalWall');
+
+// Expenses on a walled matter are hidden from the users it screens
+router.param('id', screen('expense'));
+
+function roundMoney(value) {
+  return Math.round(Number(value) * 100) / 100;
+}
+
+// GET expenses (filters: matterId, status, from, to)
+router.get('/', async (req, res) => {
+  try {
+    const { matterId, status, from, to } = req.query;
+    const limit = parseInt(req.query.limit) || 100;
+
+    let query = `
+      SELECT e.*, u.full_name AS recorded_by_name, m.matter_number
+      FROM expenses e
+      LEFT JOIN users u ON u.id = e.user_id
+      JOIN matters m ON m.id = e.matter_id
+      WHERE 1=1`;
+    const params = [];
+    let paramCount = 0;
+
+    if (matterId) {
+      paramCount++;
+      query += ` AND e.matter_id = $${paramCount}`;
+      params.push(matterId);
+    }
+
+    if (status) {
+      paramCount++;
+      query += ` AND e.status = $${paramCount}`;
+      params.push(status);
+    }
+
+    if (from) {
+      paramCount++;
+      query += ` AND e.expense_date >= $${paramCount}`;
+      params.push(from);
+    }
+
+    if (to) {
+      paramCount++;
+      query += ` AND e.expense_date <= $${paramCount}`;
+      params.push(to);
+    }
+
+    paramCount++;
+    query += ` AND ${visibleClause(`$${paramCount}`, { matter: 'e.matter_id' })}`;
+    params.push(req.user.id);
+
+    paramCount++;
+    query += ` ORDER BY e.expense_date DESC, e.id DESC LIMIT $${paramCount}`;
+    params.push(limit);
+
+    const result = await db.query(query, params);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('[Billing] Error fetching expenses:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch expenses'
+    });
+  }
+});
+
+// CREATE expense
+// Body: { matterId, date, description, expenseCode, quantity, unitCost | amount, billable, receiptUrl }
+router.post('/', screenBody({ matterId: 'matter' }), async (req, res) => {
+  try {
+    const { matterId, date, description, expenseCode, receiptUrl, billable } = req.body;
+    const quantity = req.body.quantity !== undefined ? Number(req.body.quantity) : 1;
+    const unitCost = req.body.unitCost !== undefined
+      ? Number(req.body.unitCost)
+      : Number(req.body.amount) / quantity;
+
+    if (!matterId || !description || !Number.isFinite(unitCost) || !(quantity > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'matterId, description and unitCost or amount are required'
+      });
+    }
+
+    if (expenseCode && !isExpenseCode(expenseCode)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown UTBMS expense code: ${expenseCode}`
+      });
+    }
+
+    await assertMatterExists(matterId);
+
+    const result = await db.query(
+      `INSERT INTO expenses (
+        matter_id, user_id, expense_date, description, expense_code,
+        quantity, unit_cost, amount, is_billable, receipt_url
+      ) VALUES ($1, $2, COALESCE($3, CURRENT_DATE), $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *`,
+      [
+        matterId,
+        req.user.id,
+        date || null,
+        description,
+        expenseCode || null,
+        quantity,
+        roundMoney(unitCost),
+        roundMoney(quantity * unitCost),
+        billable !== false,
+        receiptUrl || null
+      ]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Expense recorded',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('[Billing] Error creating expense:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to record expense'
+    });
+  }
+});
+
+// UPDATE expense (unbilled and not on a pre-bill)
+router.put('/:id', async (req, res) => {
+  try {
+    const { date, description, expenseCode, quantity, unitCost, billable, receiptUrl } = req.body;
+
+    if (expenseCode && !isExpenseCode(expenseCode)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown UTBMS expense code: ${expenseCode}`
+      });
+    }
+
+    const result = await db.query(
+      `UPDATE expenses SET
+        expense_date = COALESCE($1, expense_date),
+        description = COALESCE($2, description),
+        expense_code = COALESCE($3, expense_code),
+        quantity = COALESCE($4, quantity),
+        unit_cost = COALESCE($5, unit_cost),
+        amount = ROUND(COALESCE($4, quantity) * COALESCE($5, unit_cost), 2),
+        is_billable = COALESCE($6, is_billable),
+        receipt_url = COALESCE($7, receipt_url),
+        updated_at = NOW()
+      WHERE id = $8 AND status = 'unbilled' AND invoice_id IS NULL
+      RETURNING *`,
+      [date, description, expenseCode, quantity, unitCost, billable, receiptUrl, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Expense not found, billed or on a pre-bill'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Expense updated',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('[Billing] Error updating expense:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update expense'
+    });
+  }
+});
+
+// DELETE expense (unbilled and not on a pre-bill)
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await db.query(
+      "DELETE FROM expenses WHERE id = $1 AND status = 'unbilled' AND invoice_id IS NULL RETURNING id",
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Expense not found, billed or on a pre-bill'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Expense deleted'
+    });
+  } catch (error) {
+    console.error('[Billing] Error deleting expense:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete expense'
+    });
+  }
+});
+
+module.exports = router;
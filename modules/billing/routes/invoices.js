@@ -0,0 +1,342 @@
+/**
+ * Invoice Routes
+ * Pre-bill review, approval, PDF and LEDES export, and payment links
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../database/db');
+const { inTransaction } = require('../database/transaction');
+const invoiceService = require('../services/invoiceService');
+const { renderInvoicePdf } = require('../services/invoicePdfService');
+const { buildLedes1998B } = require('../services/ledesService');
+const { visibleClause } = require('../../matters/services/ethicalWallService');
+const { screen, screenBody } = require('../../matters/middleware/ethicalWall');
+
+// Invoices on a walled matter are hidden from the users it screens
+router.param('id', screen('invoice'));
+
+// Load an invoice for a read-only endpoint or send 404
+async function findInvoice(req, res) {
+  const invoice = await invoiceService.getInvoice(req.params.id);
+  if (!invoice) {
+    res.status(404).json({
+      success: false,
+      error: 'Invoice not found'
+    });
+  }
+  return invoice;
+}
+
+function fileName(invoice, extension) {
+  return `${invoice.invoice_number || `prebill-${invoice.id}`}.${extension}`;
+}
+
+// GET invoices (filters: status, matterId, customerId)
+router.get('/', async (req, res) => {
+  try {
+    const { status, matterId, customerId } = req.query;
+    const limit = parseInt(req.query.limit) || 50;
+
+    let query = `
+      SELECT i.*, i.total - i.amount_paid AS balance_due,
+        m.matter_number, m.title AS matter_title, c.full_name AS client_name
+      FROM invoices i
+      JOIN matters m ON m.id = i.matter_id
+      LEFT JOIN customers c ON c.id = i.customer_id
+      WHERE 1=1`;
+    const params = [];
+    let paramCount = 0;
+
+    if (status) {
+      paramCount++;
+      query += ` AND i.status = $${paramCount}`;
+      params.push(status);
+    }
+
+    if (matterId) {
+      paramCount++;
+      query += ` AND i.matter_id = $${paramCount}`;
+      params.push(matterId);
+    }
+
+    if (customerId) {
+      paramCount++;
+      query += ` AND i.customer_id = $${paramCount}`;
+      params.push(customerId);
+    }
+
+    paramCount++;
+    query += ` AND ${visibleClause(`$${paramCount}`, { matter: 'i.matter_id', customer: 'i.customer_id' })}`;
+    params.push(req.user.id);
+
+    paramCount++;
+    query += ` ORDER BY i.created_at DESC LIMIT $${paramCount}`;
+    params.push(limit);
+
+    const result = await db.query(query, params);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('[Billing] Error fetching invoices:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invoices'
+    });
+  }
+});
+
+// CREATE pre-bill from a matter's unbilled time and expenses
+// Body: { matterId, from, to, notes }
+router.post('/prebill', screenBody({ matterId: 'matter' }), async (req, res) => {
+  const { matterId, from, to, notes } = req.body;
+
+  const invoice = await inTransaction(res, 'creating pre-bill', client =>
+    invoiceService.createPrebill({ matterId, from, to, notes, createdBy: req.user.id }, client)
+  );
+  if (!invoice) return;
+
+  res.status(201).json({
+    success: true,
+    message: 'Pre-bill created',
+    data: invoice
+  });
+});
+
+// GET single invoice with lines and payments
+router.get('/:id', async (req, res) => {
+  try {
+    const invoice = await findInvoice(req, res);
+    if (!invoice) return;
+
+    res.json({
+      success: true,
+      data: invoice
+    });
+  } catch (error) {
+    console.error('[Billing] Error fetching invoice:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invoice'
+    });
+  }
+});
+
+// UPDATE pre-bill notes
+router.put('/:id', async (req, res) => {
+  const invoice = await inTransaction(res, 'updating pre-bill', async client => {
+    const result = await client.query(
+      "UPDATE invoices SET notes = $1, updated_at = NOW() WHERE id = $2 AND status = 'draft' RETURNING id",
+      [req.body.notes || null, req.params.id]
+    );
+    if (result.rows.length === 0) {
+      const error = new Error('Draft pre-bill not found');
+      error.status = 404;
+      throw error;
+    }
+    return invoiceService.getInvoice(req.params.id, client);
+  });
+  if (!invoice) return;
+
+  res.json({
+    success: true,
+    message: 'Pre-bill updated',
+    data: invoice
+  });
+});
+
+// DELETE pre-bill (entries go back to WIP)
+router.delete('/:id', async (req, res) => {
+  const done = await inTransaction(res, 'deleting pre-bill', async client => {
+    await invoiceService.deleteDraft(req.params.id, client);
+    return true;
+  });
+  if (!done) return;
+
+  res.json({
+    success: true,
+    message: 'Pre-bill deleted'
+  });
+});
+
+// EDIT a pre-bill line
+// Body: { description, date, quantity, rate, amount }
+router.put('/:id/lines/:lineId', async (req, res) => {
+  const invoice = await inTransaction(res, 'updating invoice line', client =>
+    invoiceService.updateLine(req.params.id, req.params.lineId, req.body, client)
+  );
+  if (!invoice) return;
+
+  res.json({
+    success: true,
+    message: 'Line updated',
+    data: invoice
+  });
+});
+
+// REMOVE a pre-bill line
+router.delete('/:id/lines/:lineId', async (req, res) => {
+  const invoice = await inTransaction(res, 'removing invoice line', client =>
+    invoiceService.removeLine(req.params.id, req.params.lineId, client)
+  );
+  if (!invoice) return;
+
+  res.json({
+    success: true,
+    message: 'Line removed',
+    data: invoice
+  });
+});
+
+// ADD an adjustment (discount or write-down) to a pre-bill
+// Body: { description, amount }
+router.post('/:id/adjustments', async (req, res) => {
+  const invoice = await inTransaction(res, 'adding adjustment', client =>
+    invoiceService.addAdjustment(req.params.id, req.body, client)
+  );
+  if (!invoice) return;
+
+  res.status(201).json({
+    success: true,
+    message: 'Adjustment added',
+    data: invoice
+  });
+});
+
+// APPROVE pre-bill: assigns the invoice number and creates the payment link
+// Body: { dueDate, notes }
+router.post('/:id/approve', async (req, res) => {
+  const { dueDate, notes } = req.body;
+
+  const approved = await inTransaction(res, 'approving invoice', client =>
+    invoiceService.approveInvoice(req.params.id, { userId: req.user.id, dueDate, notes }, client)
+  );
+  if (!approved) return;
+
+  console.log(`[Billing] Invoice ${approved.invoice_number} approved by user ${req.user.id}`);
+
+  let invoice = approved;
+  try {
+    invoice = (await invoiceService.ensurePaymentIntent(approved.id)).invoice;
+  } catch (error) {
+    // The invoice stands; the link can be created later via /payment-link
+    console.error('[Billing] Error creating payment intent:', error.message);
+  }
+
+  res.json({
+    success: true,
+    message: `Invoice ${invoice.invoice_number} approved`,
+    data: invoice
+  });
+});
+
+// VOID an unpaid invoice (entries go back to WIP)
+// Body: { reason }
+router.post('/:id/void', async (req, res) => {
+  const invoice = await inTransaction(res, 'voiding invoice', client =>
+    invoiceService.voidInvoice(req.params.id, { userId: req.user.id, reason: req.body.reason }, client)
+  );
+  if (!invoice) return;
+
+  res.json({
+    success: true,
+    message: 'Invoice voided',
+    data: invoice
+  });
+});
+
+// CREATE or refresh the Stripe payment link for the balance due
+router.post('/:id/payment-link', async (req, res) => {
+  try {
+    const { invoice } = await invoiceService.ensurePaymentIntent(req.params.id);
+
+    res.json({
+      success: true,
+      data: {
+        invoiceId: invoice.id,
+        paymentUrl: invoice.payment_url,
+        paymentIntentId: invoice.stripe_payment_intent_id,
+        balanceDue: parseFloat(invoice.balance_due)
+      }
+    });
+  } catch (error) {
+    console.error('[Billing] Error creating payment link:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to create payment link'
+    });
+  }
+});
+
+// RECORD an offline payment (cheque, wire)
+// Body: { amount, method, reference }
+router.post('/:id/payments', async (req, res) => {
+  const { amount, method, reference } = req.body;
+
+  const invoice = await inTransaction(res, 'recording payment', client =>
+    invoiceService.recordPayment(req.params.id, {
+      amount,
+      method,
+      reference,
+      receivedBy: req.user.id
+    }, client)
+  );
+  if (!invoice) return;
+
+  res.status(201).json({
+    success: true,
+    message: 'Payment recorded',
+    data: invoice
+  });
+});
+
+// DOWNLOAD invoice (or pre-bill) as PDF
+router.get('/:id/pdf', async (req, res) => {
+  try {
+    const invoice = await findInvoice(req, res);
+    if (!invoice) return;
+
+    const pdf = await renderInvoicePdf(invoice);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName(invoice, 'pdf')}"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('[Billing] Error rendering invoice PDF:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to render invoice PDF'
+    });
+  }
+});
+
+// DOWNLOAD invoice as LEDES 1998B
+router.get('/:id/ledes', async (req, res) => {
+  try {
+    const invoice = await findInvoice(req, res);
+    if (!invoice) return;
+
+    if (!invoice.invoice_number) {
+      return res.status(409).json({
+        success: false,
+        error: 'Approve the pre-bill before exporting LEDES'
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName(invoice, 'txt')}"`);
+    res.send(buildLedes1998B(invoice));
+  } catch (error) {
+    console.error('[Billing] Error exporting LEDES:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export LEDES'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,99 @@
+/**
+ * Payment Routes (public)
+ * Client-facing invoice payment page data and the Stripe webhook
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../database/db');
+const invoiceService = require('../services/invoiceService');
+const stripeService = require('../services/stripe-service');
+
+// GET what the payment page needs for an invoice link
+router.get('/pay/:token', async (req, res) => {
+  try {
+    const result = await db.query(
+      'SELECT id FROM invoices WHERE payment_token = $1',
+      [req.params.token]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found'
+      });
+    }
+
+    const { invoice, paymentIntent } = await invoiceService.ensurePaymentIntent(result.rows[0].id);
+
+    res.json({
+      success: true,
+      data: {
+        invoiceNumber: invoice.invoice_number,
+        matter: invoice.matter_title,
+        clientName: invoice.client_name,
+        issueDate: invoice.issue_date,
+        dueDate: invoice.due_date,
+        total: parseFloat(invoice.total),
+        amountPaid: parseFloat(invoice.amount_paid),
+        balanceDue: parseFloat(invoice.balance_due),
+        clientSecret: paymentIntent.client_secret,
+        publishableKey: process.env.STRIPE_PUBLISHABLE_KEY || null
+      }
+    });
+  } catch (error) {
+    console.error('[Billing] Error loading payment page:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to load invoice'
+    });
+  }
+});
+
+// Stripe webhook - marks invoices paid when their payment intent succeeds
+router.post('/webhooks/stripe', async (req, res) => {
+  let event;
+  try {
+    event = stripeService.constructWebhookEvent(req.rawBody, req.headers['stripe-signature']);
+  } catch (error) {
+    console.error('[Billing] Stripe webhook rejected:', error.message);
+    return res.status(400).json({ error: 'Invalid webhook signature' });
+  }
+
+  const paymentIntent = event.data.object;
+  const invoiceId = paymentIntent.metadata && paymentIntent.metadata.invoice_id;
+
+  if (!invoiceId) {
+    return res.json({ received: true });
+  }
+
+  const client = await db.pool.connect();
+  try {
+    if (event.type === 'payment_intent.succeeded') {
+      await client.query('BEGIN');
+      await invoiceService.recordPayment(invoiceId, {
+        amount: paymentIntent.amount_received / 100,
+        method: 'stripe',
+        reference: paymentIntent.latest_charge || paymentIntent.id,
+        stripePaymentIntentId: paymentIntent.id
+      }, client);
+      await client.query('COMMIT');
+
+      console.log(`[Billing] Invoice ${invoiceId} paid via Stripe (${paymentIntent.id})`);
+    } else if (event.type === 'payment_intent.payment_failed') {
+      const reason = paymentIntent.last_payment_error && paymentIntent.last_payment_error.message;
+      console.log(`[Billing] Payment failed for invoice ${invoiceId}: ${reason || 'unknown reason'}`);
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('[Billing] Error handling Stripe webhook:', error);
+    // 409s (e.g. invoice voided) will not succeed on retry
+    res.status(error.status === 409 ? 200 : 500).json({ received: error.status === 409 });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,252 @@
+/**
+ * Time Entry Routes
+ * Start/stop timers and manual time entries per attorney and matter
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../database/db');
+const { inTransaction } = require('../database/transaction');
+const timeService = require('../services/timeService');
+const { visibleClause } = require('../../matters/services/ethicalWallService');
+const { screen, screenBody } = require('../../matters/middleware/ethicalWall');
+
+// Time on a walled matter is hidden from the users it screens
+router.param('id', screen('timeEntry'));
+
+const screenMatter = screenBody({ matterId: 'matter' });
+
+// GET time entries (filters: matterId, userId, status, billable, from, to)
+router.get('/', async (req, res) => {
+  try {
+    const { matterId, userId, status, billable, from, to } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 100;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+    let paramCount = 0;
+
+    if (matterId) {
+      paramCount++;
+      whereClause += ` AND t.matter_id = $${paramCount}`;
+      params.push(matterId);
+    }
+
+    if (userId) {
+      paramCount++;
+      whereClause += ` AND t.user_id = $${paramCount}`;
+      params.push(userId);
+    }
+
+    if (status) {
+      paramCount++;
+      whereClause += ` AND t.status = $${paramCount}`;
+      params.push(status);
+    }
+
+    if (billable !== undefined) {
+      paramCount++;
+      whereClause += ` AND t.is_billable = $${paramCount}`;
+      params.push(billable === 'true');
+    }
+
+    if (from) {
+      paramCount++;
+      whereClause += ` AND t.entry_date >= $${paramCount}`;
+      params.push(from);
+    }
+
+    if (to) {
+      paramCount++;
+      whereClause += ` AND t.entry_date <= $${paramCount}`;
+      params.push(to);
+    }
+
+    paramCount++;
+    whereClause += ` AND ${visibleClause(`$${paramCount}`, { matter: 't.matter_id' })}`;
+    params.push(req.user.id);
+
+    const totalsResult = await db.query(
+      `SELECT COUNT(*) AS count,
+        COALESCE(SUM(t.hours), 0) AS hours,
+        COALESCE(SUM(t.hours) FILTER (WHERE t.is_billable), 0) AS billable_hours,
+        COALESCE(SUM(t.amount), 0) AS amount
+       FROM time_entries t ${whereClause}`,
+      params
+    );
+
+    params.push(limit, offset);
+    const result = await db.query(
+      `SELECT t.*, u.full_name AS attorney_name, m.matter_number, m.title AS matter_title
+       FROM time_entries t
+       JOIN users u ON u.id = t.user_id
+       JOIN matters m ON m.id = t.matter_id
+       ${whereClause}
+       ORDER BY t.entry_date DESC, t.created_at DESC
+       LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`,
+      params
+    );
+
+    const totals = totalsResult.rows[0];
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      total: parseInt(totals.count),
+      page,
+      limit,
+      totals: {
+        hours: parseFloat(totals.hours),
+        billableHours: parseFloat(totals.billable_hours),
+        amount: parseFloat(totals.amount)
+      },
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('[Billing] Error fetching time entries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch time entries'
+    });
+  }
+});
+
+// GET the current user's running timer
+router.get('/timer', async (req, res) => {
+  try {
+    const timer = await timeService.getRunningTimer(req.user.id);
+
+    res.json({
+      success: true,
+      data: timer
+    });
+  } catch (error) {
+    console.error('[Billing] Error fetching timer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch timer'
+    });
+  }
+});
+
+// START a timer
+// Body: { matterId, description, taskCode, activityCode, billable, rate }
+router.post('/timer/start', screenMatter, async (req, res) => {
+  const entry = await inTransaction(res, 'starting timer', client =>
+    timeService.startTimer({ ...req.body, userId: req.user.id }, client)
+  );
+  if (!entry) return;
+
+  res.status(201).json({
+    success: true,
+    message: 'Timer started',
+    data: entry
+  });
+});
+
+// STOP the running timer (or a specific one with entryId)
+// Body: { entryId, description }
+router.post('/timer/stop', async (req, res) => {
+  const { entryId, description } = req.body;
+
+  const entry = await inTransaction(res, 'stopping timer', client =>
+    timeService.stopTimer(req.user.id, entryId, { description }, client)
+  );
+  if (!entry) return;
+
+  res.json({
+    success: true,
+    message: `Timer stopped at ${entry.hours} hours`,
+    data: entry
+  });
+});
+
+// CREATE manual time entry
+// Body: { matterId, userId, date, hours | minutes, description, billable, taskCode, activityCode, rate }
+router.post('/', screenMatter, async (req, res) => {
+  const entry = await inTransaction(res, 'creating time entry', client =>
+    timeService.createEntry({
+      ...req.body,
+      userId: req.body.userId || req.user.id,
+      createdBy: req.user.id
+    }, client)
+  );
+  if (!entry) return;
+
+  res.status(201).json({
+    success: true,
+    message: 'Time entry recorded',
+    data: entry
+  });
+});
+
+// GET single time entry
+router.get('/:id', async (req, res) => {
+  try {
+    const entry = await timeService.getEntry(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Time entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    console.error('[Billing] Error fetching time entry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch time entry'
+    });
+  }
+});
+
+// UPDATE time entry (unbilled only)
+router.put('/:id', screenMatter, async (req, res) => {
+  const entry = await inTransaction(res, 'updating time entry', client =>
+    timeService.updateEntry(req.params.id, req.body, client)
+  );
+  if (!entry) return;
+
+  res.json({
+    success: true,
+    message: 'Time entry updated',
+    data: entry
+  });
+});
+
+// DELETE time entry (unbilled only)
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM time_entries WHERE id = $1 AND status = ANY($2) AND invoice_id IS NULL RETURNING id',
+      [req.params.id, timeService.EDITABLE_STATUSES]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Time entry not found, billed or on a pre-bill'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Time entry deleted'
+    });
+  } catch (error) {
+    console.error('[Billing] Error deleting time entry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete time entry'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,470 @@
+/**
+ * Trust Account Routes
+ * IOLTA accounts, client sub-ledgers, deposits, disbursements, transfers to
+ * operating and three-way reconciliation against a CSV bank statement.
+ */
+
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const db = require('../database/db');
+const { inTransaction } = require('../database/transaction');
+const trustService = require('../services/trustService');
+const { parseStatement } = require('../services/statementParser');
+const { visibleClause } = require('../../matters/services/ethicalWallService');
+const { screen, screenBody } = require('../../matters/middleware/ethicalWall');
+
+// Statements are parsed in memory and never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (/\.csv$/i.test(file.originalname) || /csv|text\/plain/.test(file.mimetype)) {
+      return cb(null, true);
+    }
+    cb(new Error('Statement must be a CSV file'));
+  }
+});
+
+// Client sub-ledgers behind an ethical wall are hidden from the users it
+// screens; account totals and reconciliations still count them
+router.param('customerId', screen('customer'));
+
+const screenClient = screenBody({ customerId: 'customer', matterId: 'matter' });
+
+// GET trust accounts with current balances
+router.get('/accounts', async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT a.*, COALESCE(SUM(t.amount), 0) AS balance
+       FROM trust_accounts a
+       LEFT JOIN trust_transactions t ON t.trust_account_id = a.id
+       GROUP BY a.id
+       ORDER BY a.is_active DESC, a.name ASC`
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('[Billing] Error fetching trust accounts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch trust accounts'
+    });
+  }
+});
+
+// CREATE trust account
+// Body: { name, bankName, accountLast4 }
+router.post('/accounts', async (req, res) => {
+  try {
+    const { name, bankName, accountLast4 } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'name is required'
+      });
+    }
+
+    if (accountLast4 && !/^\d{4}$/.test(accountLast4)) {
+      return res.status(400).json({
+        success: false,
+        error: 'accountLast4 must be four digits'
+      });
+    }
+
+    const result = await db.query(
+      `INSERT INTO trust_accounts (name, bank_name, account_last4)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [name, bankName || null, accountLast4 || null]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Trust account created',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('[Billing] Error creating trust account:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create trust account'
+    });
+  }
+});
+
+// UPDATE trust account details, or close it with isActive: false
+router.put('/accounts/:accountId', async (req, res) => {
+  try {
+    const { name, bankName, accountLast4, isActive } = req.body;
+
+    if (accountLast4 && !/^\d{4}$/.test(accountLast4)) {
+      return res.status(400).json({
+        success: false,
+        error: 'accountLast4 must be four digits'
+      });
+    }
+
+    if (isActive === false) {
+      const balance = await db.query(
+        'SELECT COALESCE(SUM(amount), 0) AS balance FROM trust_transactions WHERE trust_account_id = $1',
+        [req.params.accountId]
+      );
+      if (parseFloat(balance.rows[0].balance) !== 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'A trust account can only be closed once every client balance is zero'
+        });
+      }
+    }
+
+    const result = await db.query(
+      `UPDATE trust_accounts SET
+        name = COALESCE($1, name),
+        bank_name = COALESCE($2, bank_name),
+        account_last4 = COALESCE($3, account_last4),
+        is_active = COALESCE($4, is_active),
+        updated_at = NOW()
+       WHERE id = $5
+       RETURNING *`,
+      [name, bankName, accountLast4, typeof isActive === 'boolean' ? isActive : null, req.params.accountId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trust account not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Trust account updated',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('[Billing] Error updating trust account:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update trust account'
+    });
+  }
+});
+
+// GET client balances in an account (optional asOf date)
+router.get('/accounts/:accountId/clients', async (req, res) => {
+  try {
+    const balances = await trustService.getClientBalances(req.params.accountId, {
+      asOf: req.query.asOf || null,
+      viewerId: req.user.id
+    });
+    const total = balances.reduce((sum, row) => sum + row.balance, 0);
+
+    res.json({
+      success: true,
+      count: balances.length,
+      total: Math.round(total * 100) / 100,
+      data: balances
+    });
+  } catch (error) {
+    console.error('[Billing] Error fetching client trust balances:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch client trust balances'
+    });
+  }
+});
+
+// GET one client's sub-ledger with running balance
+router.get('/accounts/:accountId/clients/:customerId', async (req, res) => {
+  try {
+    const { accountId, customerId } = req.params;
+    const transactions = await trustService.getClientLedger(accountId, customerId);
+
+    res.json({
+      success: true,
+      count: transactions.length,
+      balance: await trustService.getClientBalance(accountId, customerId),
+      data: transactions
+    });
+  } catch (error) {
+    console.error('[Billing] Error fetching client trust ledger:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch client trust ledger'
+    });
+  }
+});
+
+// GET account ledger (filters: customerId, matterId, type, from, to, uncleared)
+router.get('/accounts/:accountId/transactions', async (req, res) => {
+  try {
+    const { customerId, matterId, type, from, to, uncleared } = req.query;
+    const limit = parseInt(req.query.limit) || 100;
+
+    let query = `
+      SELECT t.*, c.full_name AS client_name, m.matter_number, i.invoice_number
+      FROM trust_transactions t
+      JOIN customers c ON c.id = t.customer_id
+      LEFT JOIN matters m ON m.id = t.matter_id
+      LEFT JOIN invoices i ON i.id = t.invoice_id
+      WHERE t.trust_account_id = $1`;
+    const params = [req.params.accountId];
+    let paramCount = 1;
+
+    if (customerId) {
+      paramCount++;
+      query += ` AND t.customer_id = $${paramCount}`;
+      params.push(customerId);
+    }
+
+    if (matterId) {
+      paramCount++;
+      query += ` AND t.matter_id = $${paramCount}`;
+      params.push(matterId);
+    }
+
+    if (type) {
+      paramCount++;
+      query += ` AND t.transaction_type = $${paramCount}`;
+      params.push(type);
+    }
+
+    if (from) {
+      paramCount++;
+      query += ` AND t.transaction_date >= $${paramCount}`;
+      params.push(from);
+    }
+
+    if (to) {
+      paramCount++;
+      query += ` AND t.transaction_date <= $${paramCount}`;
+      params.push(to);
+    }
+
+    if (uncleared === 'true') {
+      query += ' AND t.cleared_at IS NULL';
+    }
+
+    paramCount++;
+    query += ` AND ${visibleClause(`$${paramCount}`, { matter: 't.matter_id', customer: 't.customer_id' })}`;
+    params.push(req.user.id);
+
+    paramCount++;
+    query += ` ORDER BY t.transaction_date DESC, t.id DESC LIMIT $${paramCount}`;
+    params.push(limit);
+
+    const result = await db.query(query, params);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('[Billing] Error fetching trust transactions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch trust transactions'
+    });
+  }
+});
+
+// RECORD a deposit into a client's sub-ledger
+// Body: { customerId, matterId, amount, date, reference, payor, description }
+router.post('/accounts/:accountId/deposits', screenClient, async (req, res) => {
+  const { customerId, matterId, amount, date, reference, payor, description } = req.body;
+
+  const result = await inTransaction(res, 'recording trust deposit', client =>
+    trustService.recordDeposit({
+      accountId: req.params.accountId,
+      customerId,
+      matterId,
+      amount,
+      date,
+      reference,
+      counterparty: payor,
+      description,
+      userId: req.user.id
+    }, client)
+  );
+  if (!result) return;
+
+  res.status(201).json({
+    success: true,
+    message: 'Deposit recorded',
+    data: result
+  });
+});
+
+// RECORD a disbursement to a third party; refused if it would overdraw the client
+// Body: { customerId, matterId, amount, date, reference, payee, description }
+router.post('/accounts/:accountId/disbursements', screenClient, async (req, res) => {
+  const { customerId, matterId, amount, date, reference, payee, description } = req.body;
+
+  const result = await inTransaction(res, 'recording trust disbursement', client =>
+    trustService.recordDisbursement({
+      accountId: req.params.accountId,
+      customerId,
+      matterId,
+      amount,
+      date,
+      reference,
+      counterparty: payee,
+      description,
+      userId: req.user.id
+    }, client)
+  );
+  if (!result) return;
+
+  res.status(201).json({
+    success: true,
+    message: 'Disbursement recorded',
+    data: result
+  });
+});
+
+// TRANSFER earned fees to operating against an approved invoice
+// Body: { invoiceId, amount (defaults to balance due), date }
+router.post('/accounts/:accountId/transfers', screenBody({ invoiceId: 'invoice' }), async (req, res) => {
+  const { invoiceId, amount, date } = req.body;
+
+  const result = await inTransaction(res, 'transferring trust funds', client =>
+    trustService.transferToOperating({
+      accountId: req.params.accountId,
+      invoiceId,
+      amount,
+      date,
+      userId: req.user.id
+    }, client)
+  );
+  if (!result) return;
+
+  console.log(`[Billing] Trust transfer of ${result.transaction.amount} applied to invoice ${result.invoice.invoice_number}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Transfer to operating recorded',
+    data: result
+  });
+});
+
+// GET reconciliations for an account
+router.get('/accounts/:accountId/reconciliations', async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT id, trust_account_id, statement_date, statement_balance, deposits_in_transit,
+        outstanding_disbursements, adjusted_bank_balance, ledger_balance, client_ledgers_total,
+        is_balanced, status, statement_file_name, created_by, created_at, finalized_at
+       FROM trust_reconciliations
+       WHERE trust_account_id = $1
+       ORDER BY statement_date DESC, id DESC`,
+      [req.params.accountId]
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('[Billing] Error fetching reconciliations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch reconciliations'
+    });
+  }
+});
+
+// RUN a three-way reconciliation against a bank statement
+// Multipart: statement (CSV file), statementDate, statementBalance
+// or JSON: { csv, statementDate, statementBalance }
+// statementBalance may be omitted when the CSV has a Balance column.
+router.post('/accounts/:accountId/reconciliations', upload.single('statement'), async (req, res) => {
+  const { statementDate, statementBalance } = req.body;
+  const csv = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+
+  if (!csv) {
+    return res.status(400).json({
+      success: false,
+      error: 'Upload a CSV statement as "statement" or send it as "csv"'
+    });
+  }
+
+  let statement;
+  try {
+    statement = parseStatement(csv);
+  } catch (error) {
+    return res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      details: error.details
+    });
+  }
+
+  const reconciliation = await inTransaction(res, 'reconciling trust account', client =>
+    trustService.reconcile({
+      accountId: req.params.accountId,
+      statementDate,
+      statementBalance,
+      statement,
+      fileName: req.file ? req.file.originalname : null,
+      userId: req.user.id
+    }, client)
+  );
+  if (!reconciliation) return;
+
+  res.status(201).json({
+    success: true,
+    message: reconciliation.is_balanced
+      ? 'Trust account reconciles'
+      : 'Trust account does not reconcile; review the exceptions',
+    data: reconciliation
+  });
+});
+
+// GET single reconciliation report
+router.get('/reconciliations/:id', async (req, res) => {
+  try {
+    const result = await db.query('SELECT * FROM trust_reconciliations WHERE id = $1', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Reconciliation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('[Billing] Error fetching reconciliation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch reconciliation'
+    });
+  }
+});
+
+// FINALISE a balanced reconciliation; matched entries are marked cleared
+router.post('/reconciliations/:id/finalize', async (req, res) => {
+  const reconciliation = await inTransaction(res, 'finalising reconciliation', client =>
+    trustService.finalizeReconciliation(req.params.id, { userId: req.user.id }, client)
+  );
+  if (!reconciliation) return;
+
+  res.json({
+    success: true,
+    message: 'Reconciliation finalised',
+    data: reconciliation
+  });
+});
+
+module.exports = router;
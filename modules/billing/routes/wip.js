@@ -0,0 +1,161 @@
+/**
+ * Work-in-Progress Routes
+ * Unbilled time per matter and per attorney
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../database/db');
+const { visibleClause } = require('../../matters/services/ethicalWallService');
+const { screen } = require('../../matters/middleware/ethicalWall');
+
+// Walled matters are hidden from the users they screen
+router.param('matterId', screen('matter'));
+
+// Optional entry date range shared by the WIP reports
+function dateFilter(query, params) {
+  let clause = '';
+  if (query.from) {
+    params.push(query.from);
+    clause += ` AND t.entry_date >= $${params.length}`;
+  }
+  if (query.to) {
+    params.push(query.to);
+    clause += ` AND t.entry_date <= $${params.length}`;
+  }
+  return clause;
+}
+
+function summarize(row) {
+  return {
+    ...row,
+    entry_count: parseInt(row.entry_count),
+    billable_hours: parseFloat(row.billable_hours),
+    non_billable_hours: parseFloat(row.non_billable_hours),
+    amount: parseFloat(row.amount)
+  };
+}
+
+const WIP_COLUMNS = `
+  COUNT(t.id) AS entry_count,
+  COALESCE(SUM(t.hours) FILTER (WHERE t.is_billable), 0) AS billable_hours,
+  COALESCE(SUM(t.hours) FILTER (WHERE NOT t.is_billable), 0) AS non_billable_hours,
+  COALESCE(SUM(t.amount), 0) AS amount,
+  MIN(t.entry_date) AS oldest_entry,
+  MAX(t.entry_date) AS newest_entry`;
+
+// GET unbilled WIP grouped by matter
+router.get('/matters', async (req, res) => {
+  try {
+    const params = [req.user.id];
+    const dates = dateFilter(req.query, params);
+
+    const result = await db.query(
+      `SELECT m.id AS matter_id, m.matter_number, m.title, m.status,
+        c.full_name AS client_name, ${WIP_COLUMNS}
+       FROM time_entries t
+       JOIN matters m ON m.id = t.matter_id
+       LEFT JOIN customers c ON c.id = m.customer_id
+       WHERE t.status = 'unbilled' AND ${visibleClause('$1', { matter: 'm.id', customer: 'm.customer_id' })} ${dates}
+       GROUP BY m.id, c.full_name
+       ORDER BY amount DESC`,
+      params
+    );
+
+    const data = result.rows.map(summarize);
+
+    res.json({
+      success: true,
+      count: data.length,
+      totals: {
+        billableHours: data.reduce((sum, row) => sum + row.billable_hours, 0),
+        amount: Math.round(data.reduce((sum, row) => sum + row.amount, 0) * 100) / 100
+      },
+      data
+    });
+  } catch (error) {
+    console.error('[Billing] Error fetching matter WIP:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch work in progress'
+    });
+  }
+});
+
+// GET unbilled WIP for one matter, broken down by attorney
+router.get('/matters/:matterId', async (req, res) => {
+  try {
+    const params = [req.params.matterId];
+    const dates = dateFilter(req.query, params);
+
+    const result = await db.query(
+      `SELECT u.id AS user_id, u.full_name AS attorney_name, ${WIP_COLUMNS}
+       FROM time_entries t
+       JOIN users u ON u.id = t.user_id
+       WHERE t.status = 'unbilled' AND t.matter_id = $1 ${dates}
+       GROUP BY u.id
+       ORDER BY amount DESC`,
+      params
+    );
+
+    const entries = await db.query(
+      `SELECT t.*, u.full_name AS attorney_name
+       FROM time_entries t
+       JOIN users u ON u.id = t.user_id
+       WHERE t.status = 'unbilled' AND t.matter_id = $1 ${dates}
+       ORDER BY t.entry_date ASC, t.id ASC`,
+      params
+    );
+
+    res.json({
+      success: true,
+      data: {
+        matterId: parseInt(req.params.matterId),
+        byAttorney: result.rows.map(summarize),
+        entries: entries.rows
+      }
+    });
+  } catch (error) {
+    console.error('[Billing] Error fetching matter WIP:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch work in progress'
+    });
+  }
+});
+
+// GET unbilled WIP grouped by attorney
+router.get('/attorneys', async (req, res) => {
+  try {
+    const params = [];
+    const dates = dateFilter(req.query, params);
+
+    const result = await db.query(
+      `SELECT u.id AS user_id, u.full_name AS attorney_name, u.hourly_rate,
+        COUNT(DISTINCT t.matter_id) AS matter_count, ${WIP_COLUMNS}
+       FROM time_entries t
+       JOIN users u ON u.id = t.user_id
+       WHERE t.status = 'unbilled' ${dates}
+       GROUP BY u.id
+       ORDER BY amount DESC`,
+      params
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows.map(row => ({
+        ...summarize(row),
+        matter_count: parseInt(row.matter_count)
+      }))
+    });
+  } catch (error) {
+    console.error('[Billing] Error fetching attorney WIP:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch work in progress'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,224 @@
+/**
+ * Invoice PDF Service
+ * Renders an invoice from invoiceService.getInvoice() as a Letter-size PDF
+ */
+
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 50;
+const LINE_HEIGHT = 14;
+
+// Table columns: x position and width
+const COLUMNS = {
+  date: { x: MARGIN, width: 60 },
+  who: { x: MARGIN + 62, width: 70 },
+  description: { x: MARGIN + 134, width: 238 },
+  quantity: { x: MARGIN + 374, width: 40 },
+  rate: { x: MARGIN + 416, width: 50 },
+  amount: { x: MARGIN + 468, width: 44 }
+};
+
+function formatMoney(value) {
+  return Number(value || 0).toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+}
+
+function formatDate(value) {
+  if (!value) return '';
+  const date = value instanceof Date ? value : new Date(value);
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+// The standard fonts only cover WinAnsi; replace anything else
+function printable(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201C\u201D]/g, '"')
+    .replace(/[\u2013\u2014]/g, '-')
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+}
+
+// Split text into lines that fit the given width
+function wrapText(text, font, size, width) {
+  const words = printable(text).split(/\s+/).filter(Boolean);
+  const lines = [];
+  let current = '';
+
+  for (const word of words) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (font.widthOfTextAtSize(candidate, size) <= width) {
+      current = candidate;
+    } else {
+      if (current) lines.push(current);
+      current = word;
+    }
+  }
+  if (current) lines.push(current);
+  return lines.length > 0 ? lines : [''];
+}
+
+async function renderInvoicePdf(invoice) {
+  const pdf = await PDFDocument.create();
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+  const grey = rgb(0.4, 0.4, 0.4);
+
+  pdf.setTitle(`Invoice ${invoice.invoice_number || '(pre-bill)'}`);
+  pdf.setAuthor(process.env.FIRM_NAME || 'Sterling & Associates');
+
+  let page = pdf.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+  let y = PAGE_HEIGHT - MARGIN;
+
+  const text = (value, x, options = {}) => {
+    page.drawText(printable(value), {
+      x,
+      y,
+      size: options.size || 9,
+      font: options.font || font,
+      color: options.color || rgb(0, 0, 0)
+    });
+  };
+  const rightText = (value, column, options = {}) => {
+    const size = options.size || 9;
+    const width = (options.font || font).widthOfTextAtSize(printable(value), size);
+    text(value, column.x + column.width - width, options);
+  };
+
+  const drawTableHeader = () => {
+    text('Date', COLUMNS.date.x, { font: bold });
+    text('By', COLUMNS.who.x, { font: bold });
+    text('Description', COLUMNS.description.x, { font: bold });
+    rightText('Hrs/Qty', COLUMNS.quantity, { font: bold });
+    rightText('Rate', COLUMNS.rate, { font: bold });
+    rightText('Amount', COLUMNS.amount, { font: bold });
+    y -= 4;
+    page.drawLine({ start: { x: MARGIN, y }, end: { x: PAGE_WIDTH - MARGIN, y }, thickness: 0.5, color: grey });
+    y -= LINE_HEIGHT;
+  };
+
+  const ensureSpace = (needed) => {
+    if (y - needed < MARGIN) {
+      page = pdf.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+      y = PAGE_HEIGHT - MARGIN;
+      drawTableHeader();
+    }
+  };
+
+  // Letterhead
+  text(process.env.FIRM_NAME || 'Sterling & Associates', MARGIN, { font: bold, size: 16 });
+  rightText(invoice.status === 'draft' ? 'PRE-BILL (DRAFT)' : 'INVOICE', { x: MARGIN, width: PAGE_WIDTH - 2 * MARGIN }, { font: bold, size: 16 });
+  y -= LINE_HEIGHT * 2;
+
+  // Bill-to and invoice details
+  const details = [
+    ['Invoice #', invoice.invoice_number || '-'],
+    ['Issue date', formatDate(invoice.issue_date) || '-'],
+    ['Due date', formatDate(invoice.due_date) || '-'],
+    ['Matter', `${invoice.matter_number} ${invoice.matter_title}`],
+    ['Period', `${formatDate(invoice.period_start)} - ${formatDate(invoice.period_end)}`]
+  ];
+  const billTo = [
+    invoice.client_name,
+    invoice.client_address,
+    [invoice.client_city, invoice.client_state, invoice.client_zip].filter(Boolean).join(', '),
+    invoice.client_email
+  ].filter(Boolean);
+
+  const blockTop = y;
+  text('Bill to', MARGIN, { font: bold });
+  y -= LINE_HEIGHT;
+  for (const line of billTo) {
+    text(line, MARGIN);
+    y -= LINE_HEIGHT;
+  }
+  const billToBottom = y;
+
+  y = blockTop;
+  for (const [label, value] of details) {
+    text(label, 330, { font: bold });
+    text(wrapText(value, font, 9, 180)[0], 400);
+    y -= LINE_HEIGHT;
+  }
+  y = Math.min(y, billToBottom) - LINE_HEIGHT;
+
+  drawTableHeader();
+
+  const sections = [
+    ['fee', 'Professional services'],
+    ['expense', 'Expenses'],
+    ['adjustment', 'Adjustments']
+  ];
+
+  for (const [type, heading] of sections) {
+    const lines = invoice.lines.filter(line => line.line_type === type);
+    if (lines.length === 0) continue;
+
+    ensureSpace(LINE_HEIGHT * 2);
+    text(heading, MARGIN, { font: bold });
+    y -= LINE_HEIGHT;
+
+    for (const line of lines) {
+      const description = [line.task_code, line.activity_code || line.expense_code, line.description]
+        .filter(Boolean)
+        .join(' ');
+      const wrapped = wrapText(description, font, 9, COLUMNS.description.width);
+      ensureSpace(wrapped.length * LINE_HEIGHT);
+
+      text(formatDate(line.item_date), COLUMNS.date.x, { size: 8 });
+      text(wrapText(line.timekeeper_name || '', font, 8, COLUMNS.who.width)[0], COLUMNS.who.x, { size: 8 });
+      if (type !== 'adjustment') {
+        rightText(Number(line.quantity).toString(), COLUMNS.quantity);
+        rightText(formatMoney(line.rate), COLUMNS.rate);
+      }
+      rightText(formatMoney(line.amount), COLUMNS.amount);
+
+      for (const row of wrapped) {
+        text(row, COLUMNS.description.x);
+        y -= LINE_HEIGHT;
+      }
+    }
+    y -= 4;
+  }
+
+  // Totals
+  const totals = [
+    ['Fees', invoice.fees_total],
+    ['Expenses', invoice.expenses_total],
+    ['Adjustments', invoice.adjustments_total],
+    ['Total', invoice.total],
+    ['Paid', invoice.amount_paid],
+    ['Balance due', invoice.balance_due]
+  ].filter(([label, value]) => label === 'Total' || label === 'Balance due' || Number(value) !== 0);
+
+  ensureSpace(totals.length * LINE_HEIGHT + LINE_HEIGHT);
+  page.drawLine({ start: { x: 360, y: y + 8 }, end: { x: PAGE_WIDTH - MARGIN, y: y + 8 }, thickness: 0.5, color: grey });
+  for (const [label, value] of totals) {
+    const emphasis = label === 'Balance due' ? { font: bold } : {};
+    text(label, 380, emphasis);
+    rightText(formatMoney(value), COLUMNS.amount, emphasis);
+    y -= LINE_HEIGHT;
+  }
+
+  if (invoice.payment_url) {
+    y -= LINE_HEIGHT;
+    ensureSpace(LINE_HEIGHT);
+    text(`Pay online: ${invoice.payment_url}`, MARGIN, { color: grey });
+    y -= LINE_HEIGHT;
+  }
+
+  if (invoice.notes) {
+    y -= LINE_HEIGHT;
+    for (const row of wrapText(invoice.notes, font, 9, PAGE_WIDTH - 2 * MARGIN)) {
+      ensureSpace(LINE_HEIGHT);
+      text(row, MARGIN, { color: grey });
+      y -= LINE_HEIGHT;
+    }
+  }
+
+  return Buffer.from(await pdf.save());
+}
+
+module.exports = {
+  renderInvoicePdf
+};
@@ -0,0 +1,509 @@
+/**
+ * Invoice Service
+ * Pre-bills built from unbilled time and expenses, partner review and
+ * approval, invoice numbering and payments.
+ *
+ * A pre-bill is a draft invoice. Its lines can be edited, written down or
+ * removed (which returns the entry to WIP). Approval assigns the invoice
+ * number and marks the underlying entries billed; voiding releases them.
+ *
+ * Functions that write accept an optional pg client so callers can run
+ * them inside their own transaction.
+ */
+
+const crypto = require('crypto');
+const db = require('../database/db');
+const { assertMatterExists } = require('../../matters/services/matterService');
+const stripeService = require('./stripe-service');
+const { httpError } = require('../../shared/utils');
+
+const STATUSES = ['draft', 'approved', 'partially_paid', 'paid', 'void'];
+const LINE_TYPES = ['fee', 'expense', 'adjustment'];
+const DEFAULT_PAYMENT_TERMS_DAYS = 30;
+
+function roundMoney(value) {
+  return Math.round(Number(value) * 100) / 100;
+}
+
+/**
+ * Next invoice number in the form INV-YYYY-00001
+ */
+async function generateInvoiceNumber(client = db) {
+  const result = await client.query("SELECT nextval('invoice_number_seq') AS seq");
+  const year = new Date().getFullYear();
+  return `INV-${year}-${String(result.rows[0].seq).padStart(5, '0')}`;
+}
+
+function paymentUrl(invoice) {
+  if (!invoice.payment_token) return null;
+  return `${process.env.FRONTEND_URL || ''}/pay/${invoice.payment_token}`;
+}
+
+async function getInvoice(invoiceId, client = db) {
+  const invoiceResult = await client.query(
+    `SELECT i.*, i.total - i.amount_paid AS balance_due,
+       m.matter_number, m.title AS matter_title,
+       c.full_name AS client_name, c.email AS client_email, c.address AS client_address,
+       c.city AS client_city, c.state AS client_state, c.zip_code AS client_zip,
+       a.full_name AS approved_by_name
+     FROM invoices i
+     JOIN matters m ON m.id = i.matter_id
+     LEFT JOIN customers c ON c.id = i.customer_id
+     LEFT JOIN users a ON a.id = i.approved_by
+     WHERE i.id = $1`,
+    [invoiceId]
+  );
+
+  if (invoiceResult.rows.length === 0) return null;
+  const invoice = invoiceResult.rows[0];
+
+  const linesResult = await client.query(
+    `SELECT l.*, u.full_name AS timekeeper_name, u.timekeeper_classification
+     FROM invoice_line_items l
+     LEFT JOIN users u ON u.id = l.user_id
+     WHERE l.invoice_id = $1
+     ORDER BY CASE l.line_type WHEN 'fee' THEN 1 WHEN 'expense' THEN 2 ELSE 3 END,
+       l.item_date ASC NULLS LAST, l.id ASC`,
+    [invoiceId]
+  );
+
+  const paymentsResult = await client.query(
+    'SELECT * FROM invoice_payments WHERE invoice_id = $1 ORDER BY received_at ASC',
+    [invoiceId]
+  );
+
+  return {
+    ...invoice,
+    payment_url: paymentUrl(invoice),
+    lines: linesResult.rows,
+    payments: paymentsResult.rows
+  };
+}
+
+/**
+ * Recompute subtotals from the lines
+ */
+async function recalculateTotals(invoiceId, client = db) {
+  await client.query(
+    `UPDATE invoices SET
+      fees_total = totals.fees,
+      expenses_total = totals.expenses,
+      adjustments_total = totals.adjustments,
+      total = totals.fees + totals.expenses + totals.adjustments,
+      updated_at = NOW()
+    FROM (
+      SELECT
+        COALESCE(SUM(amount) FILTER (WHERE line_type = 'fee'), 0) AS fees,
+        COALESCE(SUM(amount) FILTER (WHERE line_type = 'expense'), 0) AS expenses,
+        COALESCE(SUM(amount) FILTER (WHERE line_type = 'adjustment'), 0) AS adjustments
+      FROM invoice_line_items WHERE invoice_id = $1
+    ) totals
+    WHERE invoices.id = $1`,
+    [invoiceId]
+  );
+}
+
+/**
+ * Lock an invoice and make sure it can still be edited
+ */
+async function lockDraft(invoiceId, client) {
+  const result = await client.query('SELECT * FROM invoices WHERE id = $1 FOR UPDATE', [invoiceId]);
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Invoice not found');
+  }
+  if (result.rows[0].status !== 'draft') {
+    throw httpError(409, 'Only draft pre-bills can be changed');
+  }
+  return result.rows[0];
+}
+
+/**
+ * Build a draft pre-bill from a matter's unbilled, billable time and
+ * expenses, optionally limited to a date range.
+ */
+async function createPrebill({ matterId, from, to, notes, createdBy }, client = db) {
+  if (!matterId) {
+    throw httpError(400, 'matterId is required');
+  }
+  await assertMatterExists(matterId, client);
+
+  const matterResult = await client.query('SELECT customer_id FROM matters WHERE id = $1', [matterId]);
+
+  const timeResult = await client.query(
+    `SELECT * FROM time_entries
+     WHERE matter_id = $1 AND status = 'unbilled' AND is_billable = true AND invoice_id IS NULL
+       AND ($2::date IS NULL OR entry_date >= $2) AND ($3::date IS NULL OR entry_date <= $3)
+     ORDER BY entry_date ASC, id ASC
+     FOR UPDATE`,
+    [matterId, from || null, to || null]
+  );
+
+  const expenseResult = await client.query(
+    `SELECT * FROM expenses
+     WHERE matter_id = $1 AND status = 'unbilled' AND is_billable = true AND invoice_id IS NULL
+       AND ($2::date IS NULL OR expense_date >= $2) AND ($3::date IS NULL OR expense_date <= $3)
+     ORDER BY expense_date ASC, id ASC
+     FOR UPDATE`,
+    [matterId, from || null, to || null]
+  );
+
+  if (timeResult.rows.length === 0 && expenseResult.rows.length === 0) {
+    throw httpError(400, 'No unbilled time or expenses for this matter in that period');
+  }
+
+  const dates = [
+    ...timeResult.rows.map(entry => entry.entry_date),
+    ...expenseResult.rows.map(expense => expense.expense_date)
+  ].sort((a, b) => a - b);
+
+  const invoiceResult = await client.query(
+    `INSERT INTO invoices (
+      matter_id, customer_id, status, period_start, period_end, notes, created_by
+    ) VALUES ($1, $2, 'draft', $3, $4, $5, $6)
+    RETURNING id`,
+    [
+      matterId,
+      matterResult.rows[0].customer_id,
+      from || dates[0],
+      to || dates[dates.length - 1],
+      notes || null,
+      createdBy || null
+    ]
+  );
+  const invoiceId = invoiceResult.rows[0].id;
+
+  for (const entry of timeResult.rows) {
+    await client.query(
+      `INSERT INTO invoice_line_items (
+        invoice_id, line_type, time_entry_id, user_id, item_date, description,
+        task_code, activity_code, quantity, rate, amount
+      ) VALUES ($1, 'fee', $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [invoiceId, entry.id, entry.user_id, entry.entry_date, entry.description,
+        entry.task_code, entry.activity_code, entry.hours, entry.rate, entry.amount]
+    );
+  }
+
+  for (const expense of expenseResult.rows) {
+    await client.query(
+      `INSERT INTO invoice_line_items (
+        invoice_id, line_type, expense_id, user_id, item_date, description,
+        expense_code, quantity, rate, amount
+      ) VALUES ($1, 'expense', $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [invoiceId, expense.id, expense.user_id, expense.expense_date, expense.description,
+        expense.expense_code, expense.quantity, expense.unit_cost, expense.amount]
+    );
+  }
+
+  await client.query(
+    'UPDATE time_entries SET invoice_id = $1, updated_at = NOW() WHERE id = ANY($2)',
+    [invoiceId, timeResult.rows.map(entry => entry.id)]
+  );
+  await client.query(
+    'UPDATE expenses SET invoice_id = $1, updated_at = NOW() WHERE id = ANY($2)',
+    [invoiceId, expenseResult.rows.map(expense => expense.id)]
+  );
+
+  await recalculateTotals(invoiceId, client);
+  return getInvoice(invoiceId, client);
+}
+
+/**
+ * Edit a pre-bill line. Changing quantity or rate reprices it; an explicit
+ * amount overrides (e.g. a flat write-down).
+ */
+async function updateLine(invoiceId, lineId, data, client = db) {
+  await lockDraft(invoiceId, client);
+
+  const lineResult = await client.query(
+    'SELECT * FROM invoice_line_items WHERE id = $1 AND invoice_id = $2',
+    [lineId, invoiceId]
+  );
+  if (lineResult.rows.length === 0) {
+    throw httpError(404, 'Invoice line not found');
+  }
+  const line = lineResult.rows[0];
+
+  const quantity = data.quantity !== undefined ? Number(data.quantity) : Number(line.quantity);
+  const rate = data.rate !== undefined ? Number(data.rate) : Number(line.rate);
+  if (!Number.isFinite(quantity) || !Number.isFinite(rate)) {
+    throw httpError(400, 'quantity and rate must be numbers');
+  }
+  const amount = data.amount !== undefined ? roundMoney(data.amount) : roundMoney(quantity * rate);
+
+  await client.query(
+    `UPDATE invoice_line_items SET
+      description = COALESCE($1, description),
+      item_date = COALESCE($2, item_date),
+      quantity = $3,
+      rate = $4,
+      amount = $5
+    WHERE id = $6`,
+    [data.description, data.date || null, quantity, rate, amount, lineId]
+  );
+
+  await recalculateTotals(invoiceId, client);
+  return getInvoice(invoiceId, client);
+}
+
+/**
+ * Add an adjustment line (a negative amount for a discount or write-down)
+ */
+async function addAdjustment(invoiceId, { description, amount }, client = db) {
+  await lockDraft(invoiceId, client);
+
+  if (!description || !Number.isFinite(Number(amount))) {
+    throw httpError(400, 'description and amount are required');
+  }
+
+  await client.query(
+    `INSERT INTO invoice_line_items (invoice_id, line_type, item_date, description, quantity, rate, amount)
+     VALUES ($1, 'adjustment', CURRENT_DATE, $2, 1, $3, $3)`,
+    [invoiceId, description, roundMoney(amount)]
+  );
+
+  await recalculateTotals(invoiceId, client);
+  return getInvoice(invoiceId, client);
+}
+
+/**
+ * Drop a line from the pre-bill; its time entry or expense goes back to WIP
+ */
+async function removeLine(invoiceId, lineId, client = db) {
+  await lockDraft(invoiceId, client);
+
+  const result = await client.query(
+    'DELETE FROM invoice_line_items WHERE id = $1 AND invoice_id = $2 RETURNING *',
+    [lineId, invoiceId]
+  );
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Invoice line not found');
+  }
+  const line = result.rows[0];
+
+  if (line.time_entry_id) {
+    await client.query('UPDATE time_entries SET invoice_id = NULL, updated_at = NOW() WHERE id = $1', [line.time_entry_id]);
+  }
+  if (line.expense_id) {
+    await client.query('UPDATE expenses SET invoice_id = NULL, updated_at = NOW() WHERE id = $1', [line.expense_id]);
+  }
+
+  await recalculateTotals(invoiceId, client);
+  return getInvoice(invoiceId, client);
+}
+
+/**
+ * Put an invoice's entries back into WIP
+ */
+async function releaseEntries(invoiceId, client) {
+  await client.query(
+    "UPDATE time_entries SET invoice_id = NULL, status = 'unbilled', updated_at = NOW() WHERE invoice_id = $1",
+    [invoiceId]
+  );
+  await client.query(
+    "UPDATE expenses SET invoice_id = NULL, status = 'unbilled', updated_at = NOW() WHERE invoice_id = $1",
+    [invoiceId]
+  );
+}
+
+async function deleteDraft(invoiceId, client = db) {
+  await lockDraft(invoiceId, client);
+  await releaseEntries(invoiceId, client);
+  await client.query('DELETE FROM invoices WHERE id = $1', [invoiceId]);
+}
+
+/**
+ * Approve a pre-bill: number it, date it and mark its entries billed
+ */
+async function approveInvoice(invoiceId, { userId, dueDate, notes } = {}, client = db) {
+  const draft = await lockDraft(invoiceId, client);
+
+  const lineCount = await client.query(
+    'SELECT COUNT(*) FROM invoice_line_items WHERE invoice_id = $1',
+    [invoiceId]
+  );
+  if (parseInt(lineCount.rows[0].count) === 0) {
+    throw httpError(400, 'Cannot approve an invoice with no lines');
+  }
+  if (Number(draft.total) < 0) {
+    throw httpError(400, 'Invoice total cannot be negative');
+  }
+
+  const invoiceNumber = await generateInvoiceNumber(client);
+
+  await client.query(
+    `UPDATE invoices SET
+      invoice_number = $1,
+      status = 'approved',
+      issue_date = CURRENT_DATE,
+      due_date = COALESCE($2::date, CURRENT_DATE + $3::int),
+      notes = COALESCE($4, notes),
+      payment_token = $5,
+      approved_by = $6,
+      approved_at = NOW(),
+      updated_at = NOW()
+    WHERE id = $7`,
+    [
+      invoiceNumber,
+      dueDate || null,
+      DEFAULT_PAYMENT_TERMS_DAYS,
+      notes,
+      crypto.randomBytes(24).toString('hex'),
+      userId || null,
+      invoiceId
+    ]
+  );
+
+  await client.query(
+    "UPDATE time_entries SET status = 'billed', updated_at = NOW() WHERE invoice_id = $1",
+    [invoiceId]
+  );
+  await client.query(
+    "UPDATE expenses SET status = 'billed', updated_at = NOW() WHERE invoice_id = $1",
+    [invoiceId]
+  );
+
+  return getInvoice(invoiceId, client);
+}
+
+/**
+ * Void an unpaid invoice and return its entries to WIP. The number is kept
+ * so the sequence has no gaps.
+ */
+async function voidInvoice(invoiceId, { userId, reason } = {}, client = db) {
+  const result = await client.query('SELECT * FROM invoices WHERE id = $1 FOR UPDATE', [invoiceId]);
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Invoice not found');
+  }
+  const invoice = result.rows[0];
+
+  if (invoice.status === 'draft') {
+    throw httpError(409, 'Delete a draft pre-bill instead of voiding it');
+  }
+  if (invoice.status === 'void') {
+    return getInvoice(invoiceId, client);
+  }
+  if (Number(invoice.amount_paid) > 0) {
+    throw httpError(409, 'Invoices with payments cannot be voided');
+  }
+
+  await releaseEntries(invoiceId, client);
+  await client.query(
+    `UPDATE invoices SET
+      status = 'void',
+      void_reason = $1,
+      voided_by = $2,
+      voided_at = NOW(),
+      updated_at = NOW()
+    WHERE id = $3`,
+    [reason || null, userId || null, invoiceId]
+  );
+
+  return getInvoice(invoiceId, client);
+}
+
+/**
+ * Create (or reuse) the Stripe payment intent for an invoice's balance.
+ * Call outside a transaction - it talks to Stripe.
+ */
+async function ensurePaymentIntent(invoiceId) {
+  const invoice = await getInvoice(invoiceId);
+  if (!invoice) {
+    throw httpError(404, 'Invoice not found');
+  }
+  if (!['approved', 'partially_paid'].includes(invoice.status)) {
+    throw httpError(409, `A ${invoice.status.replace('_', ' ')} invoice cannot be paid online`);
+  }
+
+  const balanceCents = Math.round(Number(invoice.balance_due) * 100);
+
+  if (invoice.stripe_payment_intent_id) {
+    const existing = await stripeService.retrievePaymentIntent(invoice.stripe_payment_intent_id);
+    const reusable = existing.status !== 'canceled' && existing.status !== 'succeeded' &&
+      (existing.amount === undefined || existing.amount === balanceCents);
+    if (reusable) {
+      return { invoice, paymentIntent: existing };
+    }
+    if (existing.status !== 'canceled' && existing.status !== 'succeeded') {
+      await stripeService.cancelPaymentIntent(existing.id);
+    }
+  }
+
+  const paymentIntent = await stripeService.createPaymentIntent(balanceCents, 'usd', {
+    description: `Invoice ${invoice.invoice_number} - ${invoice.matter_title}`,
+    receiptEmail: invoice.client_email || undefined,
+    metadata: {
+      invoice_id: String(invoice.id),
+      invoice_number: invoice.invoice_number,
+      matter_number: invoice.matter_number
+    }
+  });
+
+  await db.query(
+    'UPDATE invoices SET stripe_payment_intent_id = $1, updated_at = NOW() WHERE id = $2',
+    [paymentIntent.id, invoice.id]
+  );
+
+  return { invoice: await getInvoice(invoice.id), paymentIntent };
+}
+
+/**
+ * Record a payment against an invoice. Stripe payments are idempotent on
+ * the payment intent id, so webhook retries are harmless.
+ */
+async function recordPayment(invoiceId, { amount, method, reference, stripePaymentIntentId, receivedBy }, client = db) {
+  const result = await client.query('SELECT * FROM invoices WHERE id = $1 FOR UPDATE', [invoiceId]);
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Invoice not found');
+  }
+  const invoice = result.rows[0];
+
+  if (!['approved', 'partially_paid'].includes(invoice.status)) {
+    throw httpError(409, `Cannot record a payment on a ${invoice.status.replace('_', ' ')} invoice`);
+  }
+  const value = roundMoney(amount);
+  if (!(value > 0)) {
+    throw httpError(400, 'Payment amount must be positive');
+  }
+
+  const inserted = await client.query(
+    `INSERT INTO invoice_payments (
+      invoice_id, amount, method, reference, stripe_payment_intent_id, received_by
+    ) VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (stripe_payment_intent_id) DO NOTHING
+    RETURNING id`,
+    [invoiceId, value, method || 'other', reference || null, stripePaymentIntentId || null, receivedBy || null]
+  );
+
+  if (inserted.rows.length > 0) {
+    const amountPaid = roundMoney(Number(invoice.amount_paid) + value);
+    await client.query(
+      `UPDATE invoices SET
+        amount_paid = $1,
+        status = CASE WHEN $1 >= total THEN 'paid' ELSE 'partially_paid' END,
+        paid_at = CASE WHEN $1 >= total THEN NOW() ELSE paid_at END,
+        updated_at = NOW()
+      WHERE id = $2`,
+      [amountPaid, invoiceId]
+    );
+  }
+
+  return getInvoice(invoiceId, client);
+}
+
+module.exports = {
+  STATUSES,
+  LINE_TYPES,
+  generateInvoiceNumber,
+  paymentUrl,
+  getInvoice,
+  recalculateTotals,
+  createPrebill,
+  updateLine,
+  addAdjustment,
+  removeLine,
+  deleteDraft,
+  approveInvoice,
+  voidInvoice,
+  ensurePaymentIntent,
+  recordPayment
+};
@@ -0,0 +1,109 @@
+/**
+ * LEDES Service
+ * LEDES 1998B export: pipe-delimited fields, every record ends with "[]".
+ */
+
+const FIELDS = [
+  'INVOICE_DATE',
+  'INVOICE_NUMBER',
+  'CLIENT_ID',
+  'LAW_FIRM_MATTER_ID',
+  'INVOICE_TOTAL',
+  'BILLING_START_DATE',
+  'BILLING_END_DATE',
+  'INVOICE_DESCRIPTION',
+  'LINE_ITEM_NUMBER',
+  'EXP/FEE/INV_ADJ_TYPE',
+  'LINE_ITEM_NUMBER_OF_UNITS',
+  'LINE_ITEM_ADJUSTMENT_AMOUNT',
+  'LINE_ITEM_TOTAL',
+  'LINE_ITEM_DATE',
+  'LINE_ITEM_TASK_CODE',
+  'LINE_ITEM_EXPENSE_CODE',
+  'LINE_ITEM_ACTIVITY_CODE',
+  'TIMEKEEPER_ID',
+  'LINE_ITEM_DESCRIPTION',
+  'LAW_FIRM_ID',
+  'LINE_ITEM_UNIT_COST',
+  'TIMEKEEPER_NAME',
+  'TIMEKEEPER_CLASSIFICATION',
+  'CLIENT_MATTER_ID'
+];
+
+// LEDES dates are YYYYMMDD
+function ledesDate(value) {
+  if (!value) return '';
+  const date = value instanceof Date ? value : new Date(value);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+}
+
+function money(value) {
+  return Number(value || 0).toFixed(2);
+}
+
+// Pipes and the record terminator are not allowed inside a field
+function clean(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/[|\r\n]+/g, ' ')
+    .replace(/\[\]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function lineType(line) {
+  if (line.line_type === 'fee') return 'F';
+  if (line.line_type === 'expense') return 'E';
+  // Adjustments are applied to fees unless they came from an expense
+  return line.expense_id ? 'IE' : 'IF';
+}
+
+/**
+ * Build the LEDES 1998B file for an invoice from invoiceService.getInvoice()
+ */
+function buildLedes1998B(invoice) {
+  const lawFirmId = process.env.LEDES_LAW_FIRM_ID || '';
+  const records = [
+    'LEDES1998B[]',
+    `${FIELDS.join('|')}[]`
+  ];
+
+  invoice.lines.forEach((line, index) => {
+    const isAdjustment = line.line_type === 'adjustment';
+    const values = [
+      ledesDate(invoice.issue_date),
+      invoice.invoice_number,
+      invoice.customer_id,
+      invoice.matter_number,
+      money(invoice.total),
+      ledesDate(invoice.period_start),
+      ledesDate(invoice.period_end),
+      invoice.matter_title,
+      index + 1,
+      lineType(line),
+      isAdjustment ? '' : Number(line.quantity),
+      isAdjustment ? money(line.amount) : '0.00',
+      money(line.amount),
+      ledesDate(line.item_date),
+      line.task_code,
+      line.expense_code,
+      line.activity_code,
+      line.line_type === 'fee' ? line.user_id : '',
+      line.description,
+      lawFirmId,
+      isAdjustment ? '' : money(line.rate),
+      line.line_type === 'fee' ? line.timekeeper_name : '',
+      line.line_type === 'fee' ? line.timekeeper_classification : '',
+      invoice.client_matter_id || invoice.matter_number
+    ];
+
+    records.push(`${values.map(clean).join('|')}[]`);
+  });
+
+  return records.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  FIELDS,
+  buildLedes1998B
+};
@@ -0,0 +1,192 @@
+/**
+ * Bank Statement Parser
+ * Reads a CSV bank statement export into dated, signed amounts.
+ *
+ * Column names vary by bank, so headers are matched loosely:
+ *   date:        Date, Posting Date, Transaction Date
+ *   description: Description, Memo, Details, Payee
+ *   reference:   Reference, Check Number, Cheque No, Ref
+ *   amount:      Amount (signed), or separate Debit / Credit columns
+ *   balance:     Balance, Running Balance (optional)
+ */
+
+const HEADER_ALIASES = {
+  date: ['date', 'posting date', 'posted date', 'transaction date', 'value date'],
+  description: ['description', 'memo', 'details', 'payee', 'narrative'],
+  reference: ['reference', 'ref', 'check number', 'check no', 'cheque number', 'cheque no', 'check #'],
+  amount: ['amount', 'transaction amount'],
+  debit: ['debit', 'withdrawal', 'withdrawals', 'debit amount'],
+  credit: ['credit', 'deposit', 'deposits', 'credit amount'],
+  balance: ['balance', 'running balance', 'ending balance']
+};
+
+function parseError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Split CSV text into rows of fields. Handles quoted fields, doubled
+ * quotes and line breaks inside quotes.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// "$1,234.50", "(1,234.50)" and "1234.50-" are all valid bank amounts
+function parseAmount(value) {
+  if (value === undefined || value === null) return null;
+  let text = String(value).trim();
+  if (text === '') return null;
+
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  if (text.endsWith('-')) {
+    negative = true;
+    text = text.slice(0, -1);
+  }
+
+  const number = Number(text.replace(/[$,\s]/g, ''));
+  if (!Number.isFinite(number)) return NaN;
+  return negative ? -Math.abs(number) : number;
+}
+
+// Accepts YYYY-MM-DD, MM/DD/YYYY and MM/DD/YY; returns YYYY-MM-DD
+function parseDate(value) {
+  const text = String(value || '').trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) {
+    return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+  }
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+  if (match) {
+    const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+    return `${year}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+  }
+  return null;
+}
+
+function findColumns(header) {
+  const normalized = header.map(name => name.trim().toLowerCase());
+  const columns = {};
+  for (const [key, aliases] of Object.entries(HEADER_ALIASES)) {
+    const index = normalized.findIndex(name => aliases.includes(name));
+    if (index !== -1) columns[key] = index;
+  }
+  return columns;
+}
+
+/**
+ * Parse statement CSV text.
+ * Returns { lines: [{ line, date, description, reference, amount, balance }], endingBalance }
+ * where deposits are positive and withdrawals negative.
+ */
+function parseStatement(text) {
+  const rows = parseCsv(String(text || '').replace(/^\uFEFF/, ''));
+  if (rows.length < 2) {
+    throw parseError('Statement must have a header row and at least one transaction');
+  }
+
+  const columns = findColumns(rows[0]);
+  const hasAmount = columns.amount !== undefined || columns.debit !== undefined || columns.credit !== undefined;
+  if (columns.date === undefined || !hasAmount) {
+    throw parseError('Statement needs a Date column and an Amount (or Debit/Credit) column');
+  }
+
+  const lines = [];
+  const errors = [];
+
+  rows.slice(1).forEach((row, index) => {
+    const lineNumber = index + 2;
+    const date = parseDate(row[columns.date]);
+
+    let amount;
+    if (columns.amount !== undefined) {
+      amount = parseAmount(row[columns.amount]);
+    } else {
+      const debit = parseAmount(row[columns.debit]) || 0;
+      const credit = parseAmount(row[columns.credit]) || 0;
+      amount = Number.isNaN(debit) || Number.isNaN(credit) ? NaN : credit - Math.abs(debit);
+    }
+
+    if (!date || amount === null || Number.isNaN(amount)) {
+      errors.push(`Line ${lineNumber}: could not read date or amount`);
+      return;
+    }
+
+    const balance = columns.balance !== undefined ? parseAmount(row[columns.balance]) : null;
+
+    lines.push({
+      line: lineNumber,
+      date,
+      description: columns.description !== undefined ? String(row[columns.description] || '').trim() : '',
+      reference: columns.reference !== undefined ? String(row[columns.reference] || '').trim() : '',
+      amount: Math.round(amount * 100) / 100,
+      balance: Number.isFinite(balance) ? balance : null
+    });
+  });
+
+  if (errors.length > 0) {
+    const error = parseError('Could not parse the statement');
+    error.details = errors;
+    throw error;
+  }
+
+  // Running balance on the latest line, when the bank provides one
+  const withBalance = lines.filter(line => line.balance !== null);
+  const latest = withBalance.sort((a, b) => a.date.localeCompare(b.date) || a.line - b.line).pop();
+
+  return {
+    lines: lines.sort((a, b) => a.date.localeCompare(b.date) || a.line - b.line),
+    endingBalance: latest ? latest.balance : null
+  };
+}
+
+module.exports = {
+  parseCsv,
+  parseAmount,
+  parseDate,
+  parseStatement
+};
@@ -0,0 +1,55 @@
+/**
+ * Stripe Service
+ * Payment intents for invoices and webhook verification.
+ * Falls back to stubs when STRIPE_SECRET_KEY is not set.
+ */
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+module.exports = {
+  createCustomer: async (email, name) => {
+    if (!process.env.STRIPE_SECRET_KEY) {
+      console.log('⚠️ Stripe not configured - using stub');
+      return { id: 'cus_stub_' + Date.now() };
+    }
+    return await stripe.customers.create({ email, name });
+  },
+
+  // amount is in cents; metadata ties the intent back to our records
+  createPaymentIntent: async (amount, currency = 'usd', options = {}) => {
+    if (!process.env.STRIPE_SECRET_KEY) {
+      const id = 'pi_stub_' + Date.now();
+      return { id, client_secret: id + '_secret', amount, currency, status: 'requires_payment_method' };
+    }
+    return await stripe.paymentIntents.create({
+      amount,
+      currency,
+      description: options.description,
+      receipt_email: options.receiptEmail,
+      metadata: options.metadata || {},
+      automatic_payment_methods: { enabled: true }
+    });
+  },
+
+  retrievePaymentIntent: async (paymentIntentId) => {
+    if (!process.env.STRIPE_SECRET_KEY) {
+      return { id: paymentIntentId, client_secret: paymentIntentId + '_secret', status: 'requires_payment_method' };
+    }
+    return await stripe.paymentIntents.retrieve(paymentIntentId);
+  },
+
+  cancelPaymentIntent: async (paymentIntentId) => {
+    if (!process.env.STRIPE_SECRET_KEY) {
+      return { id: paymentIntentId, status: 'canceled' };
+    }
+    return await stripe.paymentIntents.cancel(paymentIntentId);
+  },
+
+  // Throws when the signature does not match STRIPE_WEBHOOK_SECRET
+  constructWebhookEvent: (rawBody, signature) => {
+    if (!process.env.STRIPE_WEBHOOK_SECRET) {
+      throw new Error('STRIPE_WEBHOOK_SECRET is not set');
+    }
+    return stripe.webhooks.constructEvent(rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+  }
+};
@@ -0,0 +1,292 @@
+/**
+ * Time Service
+ * Timers, manual entries and billing rules for attorney time.
+ *
+ * Time is billed in tenths of an hour: every started six minutes counts as
+ * 0.1 hours. The hourly rate is copied onto the entry when it is recorded so
+ * later rate changes do not reprice earlier work.
+ *
+ * Functions that write accept an optional pg client so callers can run
+ * them inside their own transaction.
+ */
+
+const db = require('../database/db');
+const { assertMatterExists } = require('../../matters/services/matterService');
+const { isTaskCode, isActivityCode } = require('./utbms');
+const { httpError } = require('../../shared/utils');
+
+const MINUTES_PER_TENTH = 6;
+
+// Entries in these states can still be edited or deleted
+const EDITABLE_STATUSES = ['running', 'unbilled'];
+
+/**
+ * Round minutes up to the next tenth of an hour (1 minute -> 0.1, 7 -> 0.2)
+ */
+function roundToTenth(minutes) {
+  if (!minutes || minutes <= 0) return 0;
+  // toFixed drops float noise such as 0.1 * 60 = 6.000000000000001
+  return Math.ceil(Number((minutes / MINUTES_PER_TENTH).toFixed(6))) / 10;
+}
+
+function amountFor(hours, rate) {
+  return Math.round(hours * (rate || 0) * 100) / 100;
+}
+
+function validateCodes({ taskCode, activityCode }) {
+  if (taskCode && !isTaskCode(taskCode)) {
+    throw httpError(400, `Unknown UTBMS task code: ${taskCode}`);
+  }
+  if (activityCode && !isActivityCode(activityCode)) {
+    throw httpError(400, `Unknown UTBMS activity code: ${activityCode}`);
+  }
+}
+
+/**
+ * Rate for an entry: an explicit rate wins, otherwise the attorney's
+ * standard hourly rate.
+ */
+async function resolveRate(userId, rate, client = db) {
+  if (rate !== undefined && rate !== null && rate !== '') {
+    const value = Number(rate);
+    if (!Number.isFinite(value) || value < 0) {
+      throw httpError(400, 'rate must be a positive number');
+    }
+    return value;
+  }
+
+  const result = await client.query('SELECT hourly_rate FROM users WHERE id = $1', [userId]);
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Attorney not found');
+  }
+  return Number(result.rows[0].hourly_rate) || 0;
+}
+
+async function getEntry(entryId, client = db) {
+  const result = await client.query(
+    `SELECT t.*, u.full_name AS attorney_name, m.matter_number, m.title AS matter_title
+     FROM time_entries t
+     JOIN users u ON u.id = t.user_id
+     JOIN matters m ON m.id = t.matter_id
+     WHERE t.id = $1`,
+    [entryId]
+  );
+  return result.rows[0] || null;
+}
+
+async function getRunningTimer(userId, client = db) {
+  const result = await client.query(
+    "SELECT id FROM time_entries WHERE user_id = $1 AND status = 'running'",
+    [userId]
+  );
+  return result.rows.length > 0 ? getEntry(result.rows[0].id, client) : null;
+}
+
+/**
+ * Record a manual entry. Give either `hours` or `minutes`; both round up to
+ * the next tenth.
+ */
+async function createEntry(data, client = db) {
+  const minutes = Math.round(data.minutes !== undefined
+    ? Number(data.minutes)
+    : Number(data.hours) * 60);
+
+  if (!data.matterId || !Number.isFinite(minutes) || minutes <= 0) {
+    throw httpError(400, 'matterId and a positive hours or minutes value are required');
+  }
+  validateCodes(data);
+  await assertMatterExists(data.matterId, client);
+
+  const hours = roundToTenth(minutes);
+  const billable = data.billable !== false;
+  const rate = await resolveRate(data.userId, data.rate, client);
+
+  const result = await client.query(
+    `INSERT INTO time_entries (
+      matter_id, user_id, entry_date, description, minutes, hours, rate, amount,
+      is_billable, task_code, activity_code, status, created_by
+    ) VALUES ($1, $2, COALESCE($3, CURRENT_DATE), $4, $5, $6, $7, $8, $9, $10, $11, 'unbilled', $12)
+    RETURNING id`,
+    [
+      data.matterId,
+      data.userId,
+      data.date || null,
+      data.description || null,
+      minutes,
+      hours,
+      rate,
+      billable ? amountFor(hours, rate) : 0,
+      billable,
+      data.taskCode || null,
+      data.activityCode || null,
+      data.createdBy || data.userId
+    ]
+  );
+
+  return getEntry(result.rows[0].id, client);
+}
+
+/**
+ * Start a timer. Each attorney has at most one running timer; the partial
+ * unique index on time_entries enforces it under concurrent requests.
+ */
+async function startTimer(data, client = db) {
+  if (!data.matterId) {
+    throw httpError(400, 'matterId is required');
+  }
+  validateCodes(data);
+  await assertMatterExists(data.matterId, client);
+
+  const running = await getRunningTimer(data.userId, client);
+  if (running) {
+    throw httpError(409, `A timer is already running on matter ${running.matter_number}`);
+  }
+
+  const rate = await resolveRate(data.userId, data.rate, client);
+
+  try {
+    const result = await client.query(
+      `INSERT INTO time_entries (
+        matter_id, user_id, entry_date, description, started_at, rate,
+        is_billable, task_code, activity_code, status, created_by
+      ) VALUES ($1, $2, CURRENT_DATE, $3, NOW(), $4, $5, $6, $7, 'running', $2)
+      RETURNING id`,
+      [
+        data.matterId,
+        data.userId,
+        data.description || null,
+        rate,
+        data.billable !== false,
+        data.taskCode || null,
+        data.activityCode || null
+      ]
+    );
+    return getEntry(result.rows[0].id, client);
+  } catch (error) {
+    if (error.code === '23505') {
+      throw httpError(409, 'A timer is already running');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Stop a running timer and price it. Pass an entry id, or omit it to stop
+ * the attorney's current timer.
+ */
+async function stopTimer(userId, entryId, updates = {}, client = db) {
+  const result = await client.query(
+    `SELECT *, EXTRACT(EPOCH FROM (NOW() - started_at)) / 60 AS elapsed_minutes
+     FROM time_entries
+     WHERE user_id = $1 AND status = 'running' AND ($2::int IS NULL OR id = $2)
+     FOR UPDATE`,
+    [userId, entryId || null]
+  );
+
+  if (result.rows.length === 0) {
+    throw httpError(404, 'No running timer');
+  }
+  const entry = result.rows[0];
+
+  // A timer stopped straight away still records the minimum 0.1 hours
+  const minutes = Math.max(1, Math.ceil(Number(entry.elapsed_minutes)));
+  const hours = roundToTenth(minutes);
+
+  await client.query(
+    `UPDATE time_entries SET
+      stopped_at = NOW(),
+      minutes = $1,
+      hours = $2,
+      amount = CASE WHEN is_billable THEN $3 ELSE 0 END,
+      description = COALESCE($4, description),
+      status = 'unbilled',
+      updated_at = NOW()
+    WHERE id = $5`,
+    [minutes, hours, amountFor(hours, Number(entry.rate)), updates.description || null, entry.id]
+  );
+
+  return getEntry(entry.id, client);
+}
+
+/**
+ * Edit an unbilled entry. Changing hours, rate or the billable flag reprices it.
+ */
+async function updateEntry(entryId, data, client = db) {
+  const result = await client.query('SELECT * FROM time_entries WHERE id = $1 FOR UPDATE', [entryId]);
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Time entry not found');
+  }
+  const entry = result.rows[0];
+
+  if (!EDITABLE_STATUSES.includes(entry.status)) {
+    throw httpError(409, `A ${entry.status.replace('_', ' ')} time entry cannot be changed`);
+  }
+  if (entry.invoice_id) {
+    throw httpError(409, 'This time entry is on a pre-bill; edit the pre-bill line instead');
+  }
+  validateCodes(data);
+  if (data.matterId) {
+    await assertMatterExists(data.matterId, client);
+  }
+
+  let minutes = entry.minutes;
+  if (data.minutes !== undefined || data.hours !== undefined) {
+    if (entry.status === 'running') {
+      throw httpError(409, 'Stop the timer before changing its time');
+    }
+    minutes = data.minutes !== undefined ? Number(data.minutes) : Number(data.hours) * 60;
+    if (!Number.isFinite(minutes) || minutes <= 0) {
+      throw httpError(400, 'hours or minutes must be positive');
+    }
+    minutes = Math.round(minutes);
+  }
+
+  const hours = entry.status === 'running' ? null : roundToTenth(minutes);
+  const rate = data.rate !== undefined ? await resolveRate(entry.user_id, data.rate, client) : Number(entry.rate);
+  const billable = data.billable !== undefined ? data.billable !== false : entry.is_billable;
+
+  await client.query(
+    `UPDATE time_entries SET
+      matter_id = COALESCE($1, matter_id),
+      entry_date = COALESCE($2, entry_date),
+      description = COALESCE($3, description),
+      task_code = COALESCE($4, task_code),
+      activity_code = COALESCE($5, activity_code),
+      minutes = $6,
+      hours = $7,
+      rate = $8,
+      is_billable = $9,
+      amount = $10,
+      updated_at = NOW()
+    WHERE id = $11`,
+    [
+      data.matterId || null,
+      data.date || null,
+      data.description,
+      data.taskCode || null,
+      data.activityCode || null,
+      minutes,
+      hours,
+      rate,
+      billable,
+      hours && billable ? amountFor(hours, rate) : 0,
+      entryId
+    ]
+  );
+
+  return getEntry(entryId, client);
+}
+
+module.exports = {
+  MINUTES_PER_TENTH,
+  EDITABLE_STATUSES,
+  roundToTenth,
+  amountFor,
+  resolveRate,
+  getEntry,
+  getRunningTimer,
+  createEntry,
+  startTimer,
+  stopTimer,
+  updateEntry
+};
@@ -0,0 +1,431 @@
+/**
+ * Trust Service
+ * IOLTA trust ledger: per-client sub-ledgers, deposits, disbursements,
+ * transfers to operating against approved invoices, and three-way
+ * reconciliation.
+ *
+ * Amounts are stored signed (deposits positive, money out negative) so a
+ * balance is always SUM(amount). Ledger rows are never edited; a mistake
+ * is corrected with an offsetting entry.
+ *
+ * Functions that write expect a pg client inside a transaction.
+ */
+
+const db = require('../database/db');
+const invoiceService = require('./invoiceService');
+const { visibleClause } = require('../../matters/services/ethicalWallService');
+const { httpError } = require('../../shared/utils');
+
+const TRANSACTION_TYPES = ['deposit', 'disbursement', 'transfer'];
+
+// How far a bank posting date may trail the ledger date and still match
+const MATCH_WINDOW_DAYS = 10;
+
+function roundMoney(value) {
+  return Math.round(Number(value) * 100) / 100;
+}
+
+function positiveAmount(amount) {
+  const value = roundMoney(amount);
+  if (!(value > 0)) {
+    throw httpError(400, 'amount must be a positive number');
+  }
+  return value;
+}
+
+async function assertAccount(accountId, client = db) {
+  const result = await client.query('SELECT * FROM trust_accounts WHERE id = $1', [accountId]);
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Trust account not found');
+  }
+  if (!result.rows[0].is_active) {
+    throw httpError(409, 'Trust account is closed');
+  }
+  return result.rows[0];
+}
+
+/**
+ * Serialise writes to one client's sub-ledger so two withdrawals cannot
+ * both pass the balance check.
+ */
+async function lockClientLedger(client, accountId, customerId) {
+  await client.query(
+    "SELECT pg_advisory_xact_lock(hashtext('trust:' || $1::text || ':' || $2::text))",
+    [accountId, customerId]
+  );
+}
+
+async function getClientBalance(accountId, customerId, client = db) {
+  const result = await client.query(
+    `SELECT COALESCE(SUM(amount), 0) AS balance
+     FROM trust_transactions
+     WHERE trust_account_id = $1 AND customer_id = $2`,
+    [accountId, customerId]
+  );
+  return roundMoney(result.rows[0].balance);
+}
+
+async function assertMatterBelongsToClient(matterId, customerId, client) {
+  if (!matterId) return;
+  const result = await client.query('SELECT customer_id FROM matters WHERE id = $1', [matterId]);
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Matter not found');
+  }
+  if (String(result.rows[0].customer_id) !== String(customerId)) {
+    throw httpError(400, 'Matter does not belong to this client');
+  }
+}
+
+async function insertTransaction(data, client) {
+  const result = await client.query(
+    `INSERT INTO trust_transactions (
+      trust_account_id, customer_id, matter_id, invoice_id, transaction_type,
+      amount, transaction_date, reference, counterparty, description, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, CURRENT_DATE), $8, $9, $10, $11)
+    RETURNING *`,
+    [
+      data.accountId,
+      data.customerId,
+      data.matterId || null,
+      data.invoiceId || null,
+      data.type,
+      data.amount,
+      data.date || null,
+      data.reference || null,
+      data.counterparty || null,
+      data.description || null,
+      data.userId || null
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Take money out of a client's sub-ledger, refusing to overdraw it
+ */
+async function withdraw(data, client) {
+  await lockClientLedger(client, data.accountId, data.customerId);
+
+  const balance = await getClientBalance(data.accountId, data.customerId, client);
+  if (data.amount > balance) {
+    throw httpError(409, `Insufficient trust funds: client balance is ${balance.toFixed(2)}, requested ${data.amount.toFixed(2)}`);
+  }
+
+  const transaction = await insertTransaction({ ...data, amount: -data.amount }, client);
+  return { transaction, balance: roundMoney(balance - data.amount) };
+}
+
+/**
+ * Record a retainer or other client deposit
+ */
+async function recordDeposit(data, client) {
+  await assertAccount(data.accountId, client);
+  if (!data.customerId) {
+    throw httpError(400, 'customerId is required');
+  }
+  const amount = positiveAmount(data.amount);
+  await assertMatterBelongsToClient(data.matterId, data.customerId, client);
+
+  await lockClientLedger(client, data.accountId, data.customerId);
+  const transaction = await insertTransaction({ ...data, type: 'deposit', amount }, client);
+
+  return {
+    transaction,
+    balance: await getClientBalance(data.accountId, data.customerId, client)
+  };
+}
+
+/**
+ * Pay a third party (court, expert, settlement) from a client's funds
+ */
+async function recordDisbursement(data, client) {
+  await assertAccount(data.accountId, client);
+  if (!data.customerId || !data.counterparty) {
+    throw httpError(400, 'customerId and payee are required');
+  }
+  const amount = positiveAmount(data.amount);
+  await assertMatterBelongsToClient(data.matterId, data.customerId, client);
+
+  return withdraw({ ...data, type: 'disbursement', amount }, client);
+}
+
+/**
+ * Move earned fees to operating by paying an approved invoice from the
+ * client's trust balance. Defaults to the full balance due.
+ */
+async function transferToOperating({ accountId, invoiceId, amount, date, userId }, client) {
+  await assertAccount(accountId, client);
+  if (!invoiceId) {
+    throw httpError(400, 'invoiceId is required');
+  }
+
+  const invoiceResult = await client.query(
+    'SELECT *, total - amount_paid AS balance_due FROM invoices WHERE id = $1 FOR UPDATE',
+    [invoiceId]
+  );
+  if (invoiceResult.rows.length === 0) {
+    throw httpError(404, 'Invoice not found');
+  }
+  const invoice = invoiceResult.rows[0];
+
+  if (!['approved', 'partially_paid'].includes(invoice.status)) {
+    throw httpError(409, 'Trust funds can only be applied to approved, unpaid invoices');
+  }
+  if (!invoice.customer_id) {
+    throw httpError(409, 'Invoice has no client to draw trust funds from');
+  }
+
+  const value = amount !== undefined ? positiveAmount(amount) : roundMoney(invoice.balance_due);
+  if (value > roundMoney(invoice.balance_due)) {
+    throw httpError(400, `Transfer exceeds the invoice balance due of ${roundMoney(invoice.balance_due).toFixed(2)}`);
+  }
+
+  const { transaction, balance } = await withdraw({
+    accountId,
+    customerId: invoice.customer_id,
+    matterId: invoice.matter_id,
+    invoiceId: invoice.id,
+    type: 'transfer',
+    amount: value,
+    date,
+    reference: invoice.invoice_number,
+    counterparty: 'Operating account',
+    description: `Transfer to operating for invoice ${invoice.invoice_number}`,
+    userId
+  }, client);
+
+  const paidInvoice = await invoiceService.recordPayment(invoice.id, {
+    amount: value,
+    method: 'trust',
+    reference: `Trust transaction ${transaction.id}`,
+    receivedBy: userId
+  }, client);
+
+  return { transaction, balance, invoice: paidInvoice };
+}
+
+/**
+ * A client's sub-ledger with a running balance
+ */
+async function getClientLedger(accountId, customerId, client = db) {
+  const result = await client.query(
+    `SELECT t.*, m.matter_number, i.invoice_number,
+       SUM(t.amount) OVER (ORDER BY t.transaction_date, t.id) AS running_balance
+     FROM trust_transactions t
+     LEFT JOIN matters m ON m.id = t.matter_id
+     LEFT JOIN invoices i ON i.id = t.invoice_id
+     WHERE t.trust_account_id = $1 AND t.customer_id = $2
+     ORDER BY t.transaction_date, t.id`,
+    [accountId, customerId]
+  );
+  return result.rows;
+}
+
+/**
+ * Every client's balance in an account, optionally as of a date. With
+ * viewerId, clients walled off from that user are left out; a
+ * reconciliation needs them all and passes none.
+ */
+async function getClientBalances(accountId, { asOf = null, viewerId = null } = {}, client = db) {
+  const result = await client.query(
+    `SELECT c.id AS customer_id, c.full_name AS client_name,
+       COALESCE(SUM(t.amount), 0) AS balance,
+       MAX(t.transaction_date) AS last_activity
+     FROM trust_transactions t
+     JOIN customers c ON c.id = t.customer_id
+     WHERE t.trust_account_id = $1 AND ($2::date IS NULL OR t.transaction_date <= $2)
+       AND ($3::int IS NULL OR ${visibleClause('$3', { customer: 'c.id' })})
+     GROUP BY c.id
+     ORDER BY c.full_name ASC`,
+    [accountId, asOf, viewerId]
+  );
+  return result.rows.map(row => ({ ...row, balance: roundMoney(row.balance) }));
+}
+
+function daysBetween(a, b) {
+  return Math.abs(new Date(`${a}T00:00:00Z`) - new Date(`${b}T00:00:00Z`)) / 86400000;
+}
+
+function isoDate(value) {
+  if (typeof value === 'string') return value.slice(0, 10);
+  const pad = n => String(n).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+/**
+ * Pair statement lines with uncleared ledger entries: same amount, posted
+ * within MATCH_WINDOW_DAYS, preferring a matching reference and then the
+ * closest date.
+ */
+function matchStatement(statementLines, ledgerEntries) {
+  const unmatchedLedger = ledgerEntries.map(entry => ({
+    ...entry,
+    date: isoDate(entry.transaction_date),
+    amount: roundMoney(entry.amount)
+  }));
+  const matches = [];
+  const exceptions = [];
+
+  for (const line of statementLines) {
+    let bestIndex = -1;
+    let bestScore = Infinity;
+
+    unmatchedLedger.forEach((entry, index) => {
+      if (entry.amount !== line.amount) return;
+      const days = daysBetween(entry.date, line.date);
+      if (days > MATCH_WINDOW_DAYS) return;
+      const referenceMatch = line.reference && entry.reference && line.reference === entry.reference;
+      const score = (referenceMatch ? 0 : 100) + days;
+      if (score < bestScore) {
+        bestScore = score;
+        bestIndex = index;
+      }
+    });
+
+    if (bestIndex === -1) {
+      exceptions.push(line);
+    } else {
+      const [entry] = unmatchedLedger.splice(bestIndex, 1);
+      matches.push({ statementLine: line, transactionId: entry.id, amount: line.amount });
+    }
+  }
+
+  return { matches, outstanding: unmatchedLedger, exceptions };
+}
+
+/**
+ * Build a three-way reconciliation report and save it as a draft:
+ *   1. bank statement balance, adjusted for deposits in transit and
+ *      outstanding disbursements
+ *   2. trust ledger balance
+ *   3. sum of client sub-ledger balances
+ */
+async function reconcile({ accountId, statementDate, statementBalance, statement, fileName, userId }, client) {
+  await assertAccount(accountId, client);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(statementDate || '')) {
+    throw httpError(400, 'statementDate is required (YYYY-MM-DD)');
+  }
+
+  const bankBalance = statementBalance !== undefined && statementBalance !== null && statementBalance !== ''
+    ? roundMoney(statementBalance)
+    : statement.endingBalance;
+  if (bankBalance === null || !Number.isFinite(bankBalance)) {
+    throw httpError(400, 'statementBalance is required when the statement has no Balance column');
+  }
+
+  const ledgerResult = await client.query(
+    `SELECT COALESCE(SUM(amount), 0) AS balance
+     FROM trust_transactions
+     WHERE trust_account_id = $1 AND transaction_date <= $2`,
+    [accountId, statementDate]
+  );
+  const ledgerBalance = roundMoney(ledgerResult.rows[0].balance);
+
+  const clientBalances = await getClientBalances(accountId, { asOf: statementDate }, client);
+  const clientLedgersTotal = roundMoney(clientBalances.reduce((sum, row) => sum + row.balance, 0));
+  const overdrawnClients = clientBalances.filter(row => row.balance < 0);
+
+  const unclearedResult = await client.query(
+    `SELECT id, transaction_type, amount, transaction_date, reference, counterparty, customer_id
+     FROM trust_transactions
+     WHERE trust_account_id = $1 AND cleared_at IS NULL AND transaction_date <= $2
+     ORDER BY transaction_date, id`,
+    [accountId, statementDate]
+  );
+
+  const statementLines = statement.lines.filter(line => line.date <= statementDate);
+  const { matches, outstanding, exceptions } = matchStatement(statementLines, unclearedResult.rows);
+
+  const depositsInTransit = roundMoney(outstanding.filter(e => e.amount > 0).reduce((sum, e) => sum + e.amount, 0));
+  const outstandingDisbursements = roundMoney(outstanding.filter(e => e.amount < 0).reduce((sum, e) => sum + e.amount, 0));
+  const adjustedBankBalance = roundMoney(bankBalance + depositsInTransit + outstandingDisbursements);
+
+  const isBalanced = adjustedBankBalance === ledgerBalance &&
+    ledgerBalance === clientLedgersTotal &&
+    overdrawnClients.length === 0;
+
+  const report = {
+    matches,
+    outstanding,
+    exceptions,
+    clientBalances,
+    overdrawnClients
+  };
+
+  const result = await client.query(
+    `INSERT INTO trust_reconciliations (
+      trust_account_id, statement_date, statement_balance, deposits_in_transit,
+      outstanding_disbursements, adjusted_bank_balance, ledger_balance,
+      client_ledgers_total, is_balanced, statement_file_name, report, status, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'draft', $12)
+    RETURNING *`,
+    [
+      accountId,
+      statementDate,
+      bankBalance,
+      depositsInTransit,
+      outstandingDisbursements,
+      adjustedBankBalance,
+      ledgerBalance,
+      clientLedgersTotal,
+      isBalanced,
+      fileName || null,
+      JSON.stringify(report),
+      userId || null
+    ]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Accept a balanced reconciliation and mark its matched entries cleared
+ */
+async function finalizeReconciliation(reconciliationId, { userId } = {}, client) {
+  const result = await client.query(
+    'SELECT * FROM trust_reconciliations WHERE id = $1 FOR UPDATE',
+    [reconciliationId]
+  );
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Reconciliation not found');
+  }
+  const reconciliation = result.rows[0];
+
+  if (reconciliation.status === 'final') {
+    throw httpError(409, 'Reconciliation is already final');
+  }
+  if (!reconciliation.is_balanced) {
+    throw httpError(409, 'Only a balanced reconciliation can be finalised; resolve the exceptions first');
+  }
+
+  for (const match of reconciliation.report.matches) {
+    await client.query(
+      `UPDATE trust_transactions SET cleared_at = $1, reconciliation_id = $2
+       WHERE id = $3 AND cleared_at IS NULL`,
+      [match.statementLine.date, reconciliation.id, match.transactionId]
+    );
+  }
+
+  const updated = await client.query(
+    `UPDATE trust_reconciliations SET status = 'final', finalized_by = $1, finalized_at = NOW()
+     WHERE id = $2
+     RETURNING *`,
+    [userId || null, reconciliation.id]
+  );
+
+  return updated.rows[0];
+}
+
+module.exports = {
+  TRANSACTION_TYPES,
+  MATCH_WINDOW_DAYS,
+  getClientBalance,
+  getClientLedger,
+  getClientBalances,
+  recordDeposit,
+  recordDisbursement,
+  transferToOperating,
+  matchStatement,
+  reconcile,
+  finalizeReconciliation
+};
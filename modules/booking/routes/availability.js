@@ -0,0 +1,365 @@
+/**
+ * Availability Routes
+ * Attorney working hours, time off, firm holidays and rooms. Staff with
+ * bookings:read see them; changes need availability:manage.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../database/db');
+const { authenticateToken, requirePermission } = require('../../auth/middleware/auth');
+const { toMinutes } = require('../services/availabilityService');
+
+router.use(authenticateToken, requirePermission('bookings:read'));
+
+const canManage = requirePermission('availability:manage');
+
+// GET an attorney's weekly schedule and upcoming time off
+router.get('/attorneys/:attorneyId', async (req, res) => {
+  try {
+    const { attorneyId } = req.params;
+
+    const scheduleResult = await db.query(
+      'SELECT * FROM attorney_schedules WHERE user_id = $1 ORDER BY day_of_week ASC',
+      [attorneyId]
+    );
+
+    const timeOffResult = await db.query(
+      `SELECT * FROM attorney_time_off
+       WHERE user_id = $1 AND end_date >= CURRENT_DATE
+       ORDER BY start_date ASC`,
+      [attorneyId]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        attorneyId: parseInt(attorneyId),
+        schedule: scheduleResult.rows,
+        timeOff: timeOffResult.rows
+      }
+    });
+  } catch (error) {
+    console.error('[Booking] Error fetching attorney availability:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch attorney availability'
+    });
+  }
+});
+
+// REPLACE an attorney's weekly schedule
+// Body: { days: [{ dayOfWeek, startTime, endTime, lunchStart, lunchEnd, bufferMinutes }] }
+router.put('/attorneys/:attorneyId/schedule', canManage, async (req, res) => {
+  const { attorneyId } = req.params;
+  const { days } = req.body;
+
+  if (!Array.isArray(days)) {
+    return res.status(400).json({
+      success: false,
+      error: 'days must be an array'
+    });
+  }
+
+  for (const day of days) {
+    const invalidDay = !Number.isInteger(day.dayOfWeek) || day.dayOfWeek < 0 || day.dayOfWeek > 6;
+    const invalidHours = !day.startTime || !day.endTime || toMinutes(day.startTime) >= toMinutes(day.endTime);
+    const invalidLunch = Boolean(day.lunchStart) !== Boolean(day.lunchEnd) ||
+      (day.lunchStart && toMinutes(day.lunchStart) >= toMinutes(day.lunchEnd));
+
+    if (invalidDay || invalidHours || invalidLunch) {
+      return res.status(400).json({
+        success: false,
+        error: 'Each day needs dayOfWeek (0-6), startTime before endTime, and a complete lunch block if any'
+      });
+    }
+  }
+
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM attorney_schedules WHERE user_id = $1', [attorneyId]);
+
+    for (const day of days) {
+      await client.query(
+        `INSERT INTO attorney_schedules (
+          user_id, day_of_week, start_time, end_time, lunch_start, lunch_end, buffer_minutes
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [
+          attorneyId,
+          day.dayOfWeek,
+          day.startTime,
+          day.endTime,
+          day.lunchStart || null,
+          day.lunchEnd || null,
+          day.bufferMinutes || 0
+        ]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    const result = await db.query(
+      'SELECT * FROM attorney_schedules WHERE user_id = $1 ORDER BY day_of_week ASC',
+      [attorneyId]
+    );
+
+    res.json({
+      success: true,
+      message: 'Schedule updated',
+      data: result.rows
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('[Booking] Error updating schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update schedule'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// ADD time off for an attorney (omit times for a full day)
+router.post('/attorneys/:attorneyId/time-off', canManage, async (req, res) => {
+  try {
+    const { startDate, endDate, startTime, endTime, reason } = req.body;
+
+    if (!startDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'startDate is required'
+      });
+    }
+
+    if (Boolean(startTime) !== Boolean(endTime)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide both startTime and endTime, or neither for a full day'
+      });
+    }
+
+    const result = await db.query(
+      `INSERT INTO attorney_time_off (user_id, start_date, end_date, start_time, end_time, reason)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [req.params.attorneyId, startDate, endDate || startDate, startTime || null, endTime || null, reason || null]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Time off added',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('[Booking] Error adding time off:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add time off'
+    });
+  }
+});
+
+// DELETE time off
+router.delete('/time-off/:id', canManage, async (req, res) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM attorney_time_off WHERE id = $1 RETURNING id',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Time off not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Time off removed'
+    });
+  } catch (error) {
+    console.error('[Booking] Error removing time off:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove time off'
+    });
+  }
+});
+
+// GET firm holidays (optionally for one year)
+router.get('/holidays', async (req, res) => {
+  try {
+    const { year } = req.query;
+    const params = [];
+    let query = 'SELECT * FROM firm_holidays';
+
+    if (year) {
+      params.push(year);
+      query += ' WHERE EXTRACT(YEAR FROM holiday_date) = $1';
+    }
+
+    query += ' ORDER BY holiday_date ASC';
+    const result = await db.query(query, params);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('[Booking] Error fetching holidays:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch holidays'
+    });
+  }
+});
+
+// ADD a firm holiday
+router.post('/holidays', canManage, async (req, res) => {
+  try {
+    const { date, name } = req.body;
+
+    if (!date || !name) {
+      return res.status(400).json({
+        success: false,
+        error: 'date and name are required'
+      });
+    }
+
+    const result = await db.query(
+      `INSERT INTO firm_holidays (holiday_date, name)
+       VALUES ($1, $2)
+       ON CONFLICT (holiday_date) DO UPDATE SET name = EXCLUDED.name
+       RETURNING *`,
+      [date, name]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Holiday saved',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('[Booking] Error saving holiday:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save holiday'
+    });
+  }
+});
+
+// DELETE a firm holiday
+router.delete('/holidays/:id', canManage, async (req, res) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM firm_holidays WHERE id = $1 RETURNING id',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Holiday not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Holiday removed'
+    });
+  } catch (error) {
+    console.error('[Booking] Error removing holiday:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove holiday'
+    });
+  }
+});
+
+// GET meeting rooms
+router.get('/rooms', async (req, res) => {
+  try {
+    const result = await db.query(
+      'SELECT * FROM conference_rooms WHERE active = true ORDER BY name ASC'
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('[Booking] Error fetching rooms:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch rooms'
+    });
+  }
+});
+
+// ADD a meeting room
+router.post('/rooms', canManage, async (req, res) => {
+  try {
+    const { name, capacity, location } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'name is required'
+      });
+    }
+
+    const result = await db.query(
+      `INSERT INTO conference_rooms (name, capacity, location)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [name, capacity || null, location || null]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Room added',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('[Booking] Error adding room:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add room'
+    });
+  }
+});
+
+// DEACTIVATE a meeting room (existing bookings keep their reference)
+router.delete('/rooms/:id', canManage, async (req, res) => {
+  try {
+    const result = await db.query(
+      'UPDATE conference_rooms SET active = false, updated_at = NOW() WHERE id = $1 RETURNING id',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Room not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Room deactivated'
+    });
+  } catch (error) {
+    console.error('[Booking] Error deactivating room:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to deactivate room'
+    });
+  }
+});
+
+module.exports = router;
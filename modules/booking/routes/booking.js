@@ -1,16 +1,56 @@
 /**
  * Booking Routes - PostgreSQL Version
- * Universal booking system for any business type
+ * Universal booking system for any business type. Booking and checking
+ * free slots are public; viewing and changing bookings need bookings:*.
  */
 
 const express = require('express');
 const router = express.Router();
 const db = require('../database/db');
+const {
+  getAvailability,
+  loadServiceDurations,
+  resolveDuration,
+  toMinutes,
+  toTime
+} = require('../services/availabilityService');
+const { lockBookingDate, findOverlaps, suggestAlternatives } = require('../services/overlapService');
+const { assertMatterExists } = require('../../matters/services/matterService');
+const { runConflictCheck, linkConflictCheck } = require('../../matters/services/conflictCheckService');
+const { visibleClause } = require('../../matters/services/ethicalWallService');
+const { screen } = require('../../matters/middleware/ethicalWall');
+const { authenticateToken, requirePermission, userCan } = require('../../auth/middleware/auth');
+const availabilityRoutes = require('./availability');
+
+const canRead = [authenticateToken, requirePermission('bookings:read')];
+const canWrite = [authenticateToken, requirePermission('bookings:write')];
+
+// Bookings of matters and clients behind an ethical wall
+const BOOKING_WALL = { matter: 'matter_id', customer: 'customer_id', customerEmail: 'customer_email' };
+
+// The public booking form works signed out; a token, when sent, must be
+// valid and is the only source of who made the booking
+function optionalAuth(req, res, next) {
+  if (!req.headers['authorization']) return next();
+  return authenticateToken(req, res, next);
+}
+
+// The client staff link a booking to: the given client, or the client of
+// the given matter. The client portal lists bookings by this link.
+async function linkedCustomerId(customerId, matterId, client) {
+  if (customerId) return customerId;
+  if (!matterId) return null;
+  const result = await client.query('SELECT customer_id FROM matters WHERE id = $1', [matterId]);
+  return result.rows.length > 0 ? result.rows[0].customer_id : null;
+}
+
+// Attorney hours, time off and firm holidays
+router.use('/availability', availabilityRoutes);
 
 // GET all bookings (with filters)
-router.get('/', async (req, res) => {
+router.get('/', canRead, async (req, res) => {
   try {
-    const { status, date, startDate, endDate, userId } = req.query;
+    const { status, date, startDate, endDate, userId, attorneyId, matterId } = req.query;
     
     let query = 'SELECT * FROM bookings WHERE 1=1';
     const params = [];
@@ -28,6 +68,18 @@ router.get('/', async (req, res) => {
       params.push(userId);
     }
     
+    if (attorneyId) {
+      paramCount++;
+      query += ` AND attorney_id = $${paramCount}`;
+      params.push(attorneyId);
+    }
+    
+    if (matterId) {
+      paramCount++;
+      query += ` AND matter_id = $${paramCount}`;
+      params.push(matterId);
+    }
+    
     if (date) {
       paramCount++;
       query += ` AND DATE(booking_date) = $${paramCount}`;
@@ -41,6 +93,10 @@ router.get('/', async (req, res) => {
       params.push(endDate);
     }
     
+    paramCount++;
+    query += ` AND ${visibleClause(`$${paramCount}`, BOOKING_WALL)}`;
+    params.push(req.user.id);
+
     query += ' ORDER BY booking_date ASC, start_time ASC';
     
     const result = await db.query(query, params);
@@ -60,7 +116,7 @@ router.get('/', async (req, res) => {
 });
 
 // GET single booking
-router.get('/:id', async (req, res) => {
+router.get('/:id', canRead, screen('booking', 'id'), async (req, res) => {
   try {
     const result = await db.query(
       'SELECT * FROM bookings WHERE id = $1',
@@ -88,67 +144,59 @@ router.get('/:id', async (req, res) => {
 });
 
 // GET available time slots for a date
+// Optional query: serviceType, attorneyId, interval (5-240 minutes between start times)
 router.get('/slots/:date', async (req, res) => {
   try {
     const { date } = req.params;
+    const { serviceType, attorneyId, interval } = req.query;
     
-    // Get business hours (configurable)
-    const businessHours = {
-      open: '09:00',
-      close: '18:00',
-      slotDuration: 60 // minutes
-    };
-    
-    // Get booked slots for this date
-    const bookedResult = await db.query(
-      `SELECT start_time, end_time FROM bookings 
-       WHERE DATE(booking_date) = $1 AND status != 'cancelled'`,
-      [date]
-    );
-    
-    const bookedTimes = bookedResult.rows.map(b => b.start_time);
-    
-    // Generate available slots
-    const slots = [];
-    let currentTime = businessHours.open;
-    
-    while (currentTime < businessHours.close) {
-      if (!bookedTimes.includes(currentTime)) {
-        slots.push({
-          time: currentTime,
-          available: true
-        });
-      }
-      
-      // Increment by slot duration
-      const [hours, mins] = currentTime.split(':').map(Number);
-      const totalMins = hours * 60 + mins + businessHours.slotDuration;
-      const newHours = Math.floor(totalMins / 60);
-      const newMins = totalMins % 60;
-      currentTime = `${String(newHours).padStart(2, '0')}:${String(newMins).padStart(2, '0')}`;
-    }
+    const availability = await getAvailability(date, { serviceType, attorneyId, interval });
     
     res.json({
       success: true,
-      date,
-      businessHours,
-      slots,
-      bookedCount: bookedTimes.length
+      ...availability
     });
   } catch (error) {
-    console.error('[Booking] Error fetching slots:', error);
-    res.status(500).json({
+    if (!error.status) {
+      console.error('[Booking] Error fetching slots:', error);
+    }
+    res.status(error.status || 500).json({
       success: false,
-      error: 'Failed to fetch available slots'
+      error: error.status ? error.message : 'Failed to fetch available slots'
     });
   }
 });
 
-// CREATE new booking
-router.post('/', async (req, res) => {
+// Respond 409 with the overlapping bookings and the nearest free slots
+async function sendOverlapConflict(res, conflicts, date, startTime, options) {
+  const alternatives = await suggestAlternatives(date, startTime, options);
+  return res.status(409).json({
+    success: false,
+    error: 'This time overlaps an existing booking',
+    conflicts,
+    alternatives
+  });
+}
+
+// Respond 409 with the nearest free slots when no attorney can take the
+// requested time
+async function sendNoAttorneyConflict(res, date, startTime, options) {
+  const alternatives = await suggestAlternatives(date, startTime, options);
+  return res.status(409).json({
+    success: false,
+    error: 'No attorney is available at this time',
+    conflicts: [],
+    alternatives
+  });
+}
+
+// CREATE new booking. Only signed-in staff with bookings:write link it to
+// a client; customerEmail and matterId from anyone else link nothing.
+router.post('/', optionalAuth, async (req, res) => {
+  let client;
   try {
-    const { 
-      userId, 
+    client = await db.pool.connect();
+    const {
       customerName,
       customerEmail,
       customerPhone,
@@ -157,106 +205,258 @@ router.post('/', async (req, res) => {
       startTime,
       endTime,
       notes,
-      partySize
+      partySize,
+      attorneyId,
+      roomId,
+      matterId,
+      customerId
     } = req.body;
+    const bookedBy = req.user ? req.user.id : null;
     
-    // Check for conflicts
-    const conflictResult = await db.query(
-      `SELECT id FROM bookings 
-       WHERE DATE(booking_date) = $1 
-       AND start_time = $2 
-       AND status != 'cancelled'`,
-      [bookingDate, startTime]
-    );
+    if (!customerName || !bookingDate || !startTime) {
+      return res.status(400).json({
+        success: false,
+        error: 'customerName, bookingDate and startTime are required'
+      });
+    }
+    
+    if (matterId) {
+      await assertMatterExists(matterId);
+    }
+    
+    // Default the end time from the service length so the booking blocks
+    // every slot it overlaps
+    const durations = await loadServiceDurations();
+    const durationMinutes = endTime
+      ? toMinutes(endTime) - toMinutes(startTime)
+      : resolveDuration(durations, serviceType);
+    const bookingEndTime = endTime || toTime(toMinutes(startTime) + durationMinutes);
     
-    if (conflictResult.rows.length > 0) {
+    if (durationMinutes <= 0) {
       return res.status(400).json({
         success: false,
-        error: 'This time slot is already booked'
+        error: 'endTime must be after startTime'
+      });
+    }
+    
+    // Route to the first free attorney when none was requested
+    let assignedAttorneyId = attorneyId || null;
+    if (!assignedAttorneyId) {
+      const availability = await getAvailability(bookingDate, { durationMinutes });
+      const slot = availability.slots.find(s => s.time === toTime(toMinutes(startTime)));
+      if (!slot) {
+        return sendNoAttorneyConflict(res, bookingDate, startTime, { durationMinutes });
+      }
+      assignedAttorneyId = slot.attorneys[0].id;
+    }
+    
+    await client.query('BEGIN');
+    await lockBookingDate(client, bookingDate);
+    
+    const conflicts = await findOverlaps(client, {
+      date: bookingDate,
+      startTime,
+      endTime: bookingEndTime,
+      attorneyId: assignedAttorneyId,
+      roomId
+    });
+    
+    if (conflicts.length > 0) {
+      await client.query('ROLLBACK');
+      return sendOverlapConflict(res, conflicts, bookingDate, startTime, {
+        durationMinutes,
+        attorneyId: attorneyId || undefined
       });
     }
     
+    // Run a conflict check before accepting the consultation; any hit holds
+    // the booking as pending until staff clear or waive it
+    const conflictCheck = await runConflictCheck({
+      name: customerName,
+      email: customerEmail,
+      phone: customerPhone,
+      matterId,
+      source: 'booking',
+      requestedBy: bookedBy
+    }, client);
+    const linkedCustomer = req.user && await userCan(req, 'bookings:write')
+      ? await linkedCustomerId(customerId, matterId, client)
+      : null;
+    const bookingStatus = conflictCheck.hit_count > 0 ? 'pending' : 'confirmed';
+    
     // Create booking
-    const result = await db.query(
+    const result = await client.query(
       `INSERT INTO bookings (
         user_id, customer_name, customer_email, customer_phone,
         service_type, booking_date, start_time, end_time, 
-        notes, party_size, status, created_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'confirmed', NOW())
+        notes, party_size, attorney_id, room_id, matter_id, status, customer_id, created_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, NOW())
       RETURNING *`,
       [
-        userId || null,
+        bookedBy,
         customerName,
         customerEmail,
         customerPhone,
         serviceType || 'general',
         bookingDate,
         startTime,
-        endTime || null,
+        bookingEndTime,
         notes || null,
-        partySize || 1
+        partySize || 1,
+        assignedAttorneyId,
+        roomId || null,
+        matterId || null,
+        bookingStatus,
+        linkedCustomer
       ]
     );
     
+    await linkConflictCheck(conflictCheck.id, result.rows[0].id, client);
+    
+    await client.query('COMMIT');
+    
     console.log('[Booking] Created booking:', result.rows[0].id);
     
+    // Hit details stay with staff; the caller only learns the check outcome
     res.status(201).json({
       success: true,
-      message: 'Booking created successfully',
-      data: result.rows[0]
+      message: bookingStatus === 'pending'
+        ? 'Booking received and awaiting conflict review'
+        : 'Booking created successfully',
+      data: result.rows[0],
+      conflictCheck: {
+        id: conflictCheck.id,
+        status: conflictCheck.status
+      }
     });
   } catch (error) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
     console.error('[Booking] Error creating booking:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: 'Failed to create booking'
+      error: error.status ? error.message : 'Failed to create booking'
     });
+  } finally {
+    if (client) client.release();
   }
 });
 
-// UPDATE booking
-router.put('/:id', async (req, res) => {
+// UPDATE booking (re-checks overlaps when the time, attorney or room changes)
+router.put('/:id', canWrite, screen('booking', 'id'), async (req, res) => {
+  let client;
   try {
-    const { serviceType, bookingDate, startTime, endTime, notes, partySize } = req.body;
+    client = await db.pool.connect();
+    const { serviceType, bookingDate, startTime, endTime, notes, partySize, attorneyId, roomId, matterId, customerId } = req.body;
     
-    const result = await db.query(
-      `UPDATE bookings SET
-        service_type = COALESCE($1, service_type),
-        booking_date = COALESCE($2, booking_date),
-        start_time = COALESCE($3, start_time),
-        end_time = COALESCE($4, end_time),
-        notes = COALESCE($5, notes),
-        party_size = COALESCE($6, party_size),
-        updated_at = NOW()
-      WHERE id = $7
-      RETURNING *`,
-      [serviceType, bookingDate, startTime, endTime, notes, partySize, req.params.id]
+    if (matterId) {
+      await assertMatterExists(matterId);
+    }
+    
+    await client.query('BEGIN');
+    
+    const existingResult = await client.query(
+      `SELECT *, to_char(booking_date, 'YYYY-MM-DD') AS booking_day
+       FROM bookings WHERE id = $1 FOR UPDATE`,
+      [req.params.id]
     );
     
-    if (result.rows.length === 0) {
+    if (existingResult.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({
         success: false,
         error: 'Booking not found'
       });
     }
     
+    const existing = existingResult.rows[0];
+    const date = bookingDate || existing.booking_day;
+    const start = startTime || existing.start_time;
+    const service = serviceType || existing.service_type;
+    
+    let finalEndTime = endTime || existing.end_time;
+    if (!endTime && (startTime || serviceType || !existing.end_time)) {
+      const durations = await loadServiceDurations();
+      finalEndTime = toTime(toMinutes(start) + resolveDuration(durations, service));
+    }
+    
+    if (toMinutes(finalEndTime) <= toMinutes(start)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: 'endTime must be after startTime'
+      });
+    }
+    
+    const finalAttorneyId = attorneyId || existing.attorney_id;
+    const finalRoomId = roomId || existing.room_id;
+    
+    if (existing.status !== 'cancelled') {
+      await lockBookingDate(client, date);
+      
+      const conflicts = await findOverlaps(client, {
+        date,
+        startTime: start,
+        endTime: finalEndTime,
+        attorneyId: finalAttorneyId,
+        roomId: finalRoomId,
+        excludeBookingId: existing.id
+      });
+      
+      if (conflicts.length > 0) {
+        await client.query('ROLLBACK');
+        return sendOverlapConflict(res, conflicts, date, start, {
+          durationMinutes: toMinutes(finalEndTime) - toMinutes(start),
+          attorneyId: attorneyId || undefined,
+          excludeBookingId: existing.id
+        });
+      }
+    }
+    
+    const linkedCustomer = await linkedCustomerId(customerId, matterId, client);
+    
+    const result = await client.query(
+      `UPDATE bookings SET
+        service_type = $1,
+        booking_date = $2,
+        start_time = $3,
+        end_time = $4,
+        notes = COALESCE($5, notes),
+        party_size = COALESCE($6, party_size),
+        attorney_id = $7,
+        room_id = $8,
+        matter_id = COALESCE($9, matter_id),
+        customer_id = COALESCE($10, customer_id),
+        updated_at = NOW()
+      WHERE id = $11
+      RETURNING *`,
+      [service, date, start, finalEndTime, notes, partySize, finalAttorneyId, finalRoomId, matterId, linkedCustomer, existing.id]
+    );
+    
+    await client.query('COMMIT');
+    
     res.json({
       success: true,
       message: 'Booking updated successfully',
       data: result.rows[0]
     });
   } catch (error) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
     console.error('[Booking] Error updating booking:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: 'Failed to update booking'
+      error: error.status ? error.message : 'Failed to update booking'
     });
+  } finally {
+    if (client) client.release();
   }
 });
 
-// UPDATE booking status
-router.patch('/:id/status', async (req, res) => {
+// UPDATE booking status (re-checks overlaps when a cancelled booking is
+// brought back, since it takes its slot again)
+router.patch('/:id/status', canWrite, screen('booking', 'id'), async (req, res) => {
+  let client;
   try {
+    client = await db.pool.connect();
     const { status } = req.body;
     const validStatuses = ['pending', 'confirmed', 'cancelled', 'completed', 'no-show'];
     
@@ -267,34 +467,78 @@ router.patch('/:id/status', async (req, res) => {
       });
     }
     
-    const result = await db.query(
-      `UPDATE bookings SET status = $1, updated_at = NOW() WHERE id = $2 RETURNING *`,
-      [status, req.params.id]
+    await client.query('BEGIN');
+    
+    const existingResult = await client.query(
+      `SELECT *, to_char(booking_date, 'YYYY-MM-DD') AS booking_day
+       FROM bookings WHERE id = $1 FOR UPDATE`,
+      [req.params.id]
     );
     
-    if (result.rows.length === 0) {
+    if (existingResult.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({
         success: false,
         error: 'Booking not found'
       });
     }
     
+    const existing = existingResult.rows[0];
+    
+    if (existing.status === 'cancelled' && status !== 'cancelled') {
+      const date = existing.booking_day;
+      let endTime = existing.end_time;
+      if (!endTime) {
+        const durations = await loadServiceDurations();
+        endTime = toTime(toMinutes(existing.start_time) + resolveDuration(durations, existing.service_type));
+      }
+      
+      await lockBookingDate(client, date);
+      
+      const conflicts = await findOverlaps(client, {
+        date,
+        startTime: existing.start_time,
+        endTime,
+        attorneyId: existing.attorney_id,
+        roomId: existing.room_id,
+        excludeBookingId: existing.id
+      });
+      
+      if (conflicts.length > 0) {
+        await client.query('ROLLBACK');
+        return sendOverlapConflict(res, conflicts, date, existing.start_time, {
+          durationMinutes: toMinutes(endTime) - toMinutes(existing.start_time),
+          excludeBookingId: existing.id
+        });
+      }
+    }
+    
+    const result = await client.query(
+      `UPDATE bookings SET status = $1, updated_at = NOW() WHERE id = $2 RETURNING *`,
+      [status, existing.id]
+    );
+    
+    await client.query('COMMIT');
+    
     res.json({
       success: true,
       message: 'Booking status updated',
       data: result.rows[0]
     });
   } catch (error) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
     console.error('[Booking] Error updating status:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: 'Failed to update status'
+      error: error.status ? error.message : 'Failed to update status'
     });
+  } finally {
+    if (client) client.release();
   }
 });
 
 // CANCEL booking
-router.post('/:id/cancel', async (req, res) => {
+router.post('/:id/cancel', canWrite, screen('booking', 'id'), async (req, res) => {
   try {
     const { reason } = req.body;
     
@@ -333,7 +577,7 @@ router.post('/:id/cancel', async (req, res) => {
 });
 
 // DELETE booking
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('bookings:delete'), screen('booking', 'id'), async (req, res) => {
   try {
     const result = await db.query(
       'DELETE FROM bookings WHERE id = $1 RETURNING id',
@@ -360,12 +604,21 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// GET user's bookings
-router.get('/user/:userId', async (req, res) => {
+// GET user's bookings; users may always see their own
+router.get('/user/:userId', authenticateToken, async (req, res) => {
   try {
+    if (String(req.user.id) !== String(req.params.userId) && !(await userCan(req, 'bookings:read'))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Permission required: bookings:read'
+      });
+    }
+
     const result = await db.query(
-      `SELECT * FROM bookings WHERE user_id = $1 ORDER BY booking_date DESC`,
-      [req.params.userId]
+      `SELECT * FROM bookings
+       WHERE user_id = $1 AND ${visibleClause('$2', BOOKING_WALL)}
+       ORDER BY booking_date DESC`,
+      [req.params.userId, req.user.id]
     );
     
     res.json({
@@ -0,0 +1,267 @@
+/**
+ * Availability Service
+ * Builds bookable slots from attorney working hours, lunch blocks,
+ * holidays, time off and existing bookings.
+ */
+
+const db = require('../database/db');
+const { httpError } = require('../../shared/utils');
+
+const DEFAULT_DURATION_MINUTES = 60;
+const DEFAULT_SLOT_INTERVAL = 30;
+
+// Accepted ranges, in minutes, for caller-supplied lengths and intervals
+const INTERVAL_RANGE = { min: 5, max: 240 };
+const DURATION_RANGE = { min: 5, max: 480 };
+
+/**
+ * A whole number of minutes within range, or the fallback when the value
+ * is absent; anything else is a 400
+ */
+function parseMinutes(value, name, { min, max }, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < min || minutes > max) {
+    throw httpError(400, `${name} must be a whole number of minutes from ${min} to ${max}`);
+  }
+  return minutes;
+}
+
+// ---------------------------------------------
+// Time helpers (TIME columns come back as 'HH:MM:SS')
+// ---------------------------------------------
+
+function toMinutes(time) {
+  if (time === null || time === undefined) return null;
+  const [hours, mins] = String(time).split(':').map(Number);
+  return hours * 60 + (mins || 0);
+}
+
+function toTime(totalMins) {
+  const hours = Math.floor(totalMins / 60);
+  const mins = totalMins % 60;
+  return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+}
+
+function overlaps(startA, endA, startB, endB) {
+  return startA < endB && startB < endA;
+}
+
+function dayOfWeek(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+// ---------------------------------------------
+// Service durations
+// ---------------------------------------------
+
+/**
+ * Load active service durations keyed by slug and lower-cased name,
+ * so bookings can be matched on either form of service_type.
+ */
+async function loadServiceDurations() {
+  const result = await db.query(
+    'SELECT slug, name, duration_minutes FROM services WHERE active = true'
+  );
+
+  const durations = {};
+  for (const service of result.rows) {
+    if (!service.duration_minutes) continue;
+    if (service.slug) durations[service.slug] = service.duration_minutes;
+    if (service.name) durations[service.name.toLowerCase()] = service.duration_minutes;
+  }
+  return durations;
+}
+
+function resolveDuration(durations, serviceType) {
+  if (!serviceType) return DEFAULT_DURATION_MINUTES;
+  return durations[serviceType] || durations[String(serviceType).toLowerCase()] || DEFAULT_DURATION_MINUTES;
+}
+
+/**
+ * Minutes occupied by a booking row, falling back to its service duration
+ * when end_time was never set.
+ */
+function bookingSpan(booking, durations) {
+  const start = toMinutes(booking.start_time);
+  const end = booking.end_time
+    ? toMinutes(booking.end_time)
+    : start + resolveDuration(durations, booking.service_type);
+  return { start, end };
+}
+
+// ---------------------------------------------
+// Availability
+// ---------------------------------------------
+
+async function getHoliday(date) {
+  const result = await db.query(
+    'SELECT id, holiday_date, name FROM firm_holidays WHERE holiday_date = $1',
+    [date]
+  );
+  return result.rows[0] || null;
+}
+
+async function getSchedules(date, attorneyId) {
+  const params = [dayOfWeek(date)];
+  let query = `
+    SELECT s.*, u.full_name, u.email
+    FROM attorney_schedules s
+    JOIN users u ON u.id = s.user_id
+    WHERE s.day_of_week = $1 AND s.active = true`;
+
+  if (attorneyId) {
+    params.push(attorneyId);
+    query += ' AND s.user_id = $2';
+  }
+
+  query += ' ORDER BY u.full_name ASC';
+  const result = await db.query(query, params);
+  return result.rows;
+}
+
+async function getTimeOff(date, attorneyIds) {
+  const result = await db.query(
+    `SELECT * FROM attorney_time_off
+     WHERE $1 BETWEEN start_date AND end_date AND user_id = ANY($2)`,
+    [date, attorneyIds]
+  );
+  return result.rows;
+}
+
+async function getBookings(date, attorneyIds, excludeBookingId) {
+  const params = [date, attorneyIds];
+  let query = `
+    SELECT id, attorney_id, service_type, start_time, end_time
+    FROM bookings
+    WHERE booking_date = $1
+      AND attorney_id = ANY($2)
+      AND status != 'cancelled'`;
+
+  if (excludeBookingId) {
+    params.push(excludeBookingId);
+    query += ' AND id != $3';
+  }
+
+  const result = await db.query(query, params);
+  return result.rows;
+}
+
+/**
+ * Busy intervals (in minutes from midnight) for one attorney on one day.
+ * Existing bookings are widened by the attorney's buffer on both sides.
+ */
+function buildBusyIntervals(schedule, timeOff, bookings, durations) {
+  const busy = [];
+  const buffer = schedule.buffer_minutes || 0;
+
+  if (schedule.lunch_start && schedule.lunch_end) {
+    busy.push({ start: toMinutes(schedule.lunch_start), end: toMinutes(schedule.lunch_end), reason: 'lunch' });
+  }
+
+  for (const entry of timeOff) {
+    busy.push({ start: toMinutes(entry.start_time), end: toMinutes(entry.end_time), reason: 'time_off' });
+  }
+
+  for (const booking of bookings) {
+    const span = bookingSpan(booking, durations);
+    busy.push({ start: span.start - buffer, end: span.end + buffer, reason: 'booking', bookingId: booking.id });
+  }
+
+  return busy;
+}
+
+/**
+ * Compute bookable slots for a date.
+ *
+ * Options:
+ *   serviceType      - used to look up the meeting length from `services`
+ *   durationMinutes  - explicit meeting length, overrides serviceType
+ *   attorneyId       - restrict to a single attorney
+ *   interval         - minutes between candidate start times
+ *   excludeBookingId - ignore this booking (used when rescheduling)
+ */
+async function getAvailability(date, options = {}) {
+  const interval = parseMinutes(options.interval, 'interval', INTERVAL_RANGE, DEFAULT_SLOT_INTERVAL);
+  const explicitDuration = parseMinutes(options.durationMinutes, 'durationMinutes', DURATION_RANGE, null);
+  const durations = await loadServiceDurations();
+  const duration = explicitDuration || resolveDuration(durations, options.serviceType);
+
+  const holiday = await getHoliday(date);
+  if (holiday) {
+    return { date, durationMinutes: duration, interval, holiday: holiday.name, attorneys: [], slots: [], bookedCount: 0 };
+  }
+
+  const schedules = await getSchedules(date, options.attorneyId);
+  const attorneyIds = schedules.map(s => s.user_id);
+
+  if (attorneyIds.length === 0) {
+    return { date, durationMinutes: duration, interval, holiday: null, attorneys: [], slots: [], bookedCount: 0 };
+  }
+
+  const [timeOff, bookings] = await Promise.all([
+    getTimeOff(date, attorneyIds),
+    getBookings(date, attorneyIds, options.excludeBookingId)
+  ]);
+
+  const slotMap = new Map();
+  const attorneys = [];
+
+  for (const schedule of schedules) {
+    const attorneyTimeOff = timeOff.filter(t => t.user_id === schedule.user_id);
+
+    // A time-off row without hours blocks the whole day
+    if (attorneyTimeOff.some(t => !t.start_time || !t.end_time)) continue;
+
+    const attorney = { id: schedule.user_id, name: schedule.full_name || schedule.email };
+    attorneys.push({
+      ...attorney,
+      workingHours: { start: toTime(toMinutes(schedule.start_time)), end: toTime(toMinutes(schedule.end_time)) },
+      bufferMinutes: schedule.buffer_minutes || 0
+    });
+
+    const busy = buildBusyIntervals(
+      schedule,
+      attorneyTimeOff,
+      bookings.filter(b => b.attorney_id === schedule.user_id),
+      durations
+    );
+
+    const dayStart = toMinutes(schedule.start_time);
+    const dayEnd = toMinutes(schedule.end_time);
+
+    for (let start = dayStart; start + duration <= dayEnd; start += interval) {
+      const end = start + duration;
+      if (busy.some(b => overlaps(start, end, b.start, b.end))) continue;
+
+      if (!slotMap.has(start)) {
+        slotMap.set(start, { time: toTime(start), endTime: toTime(end), available: true, attorneys: [] });
+      }
+      slotMap.get(start).attorneys.push(attorney);
+    }
+  }
+
+  const slots = [...slotMap.keys()].sort((a, b) => a - b).map(key => slotMap.get(key));
+
+  return {
+    date,
+    durationMinutes: duration,
+    interval,
+    holiday: null,
+    attorneys,
+    slots,
+    bookedCount: bookings.length
+  };
+}
+
+module.exports = {
+  DEFAULT_DURATION_MINUTES,
+  DEFAULT_SLOT_INTERVAL,
+  toMinutes,
+  toTime,
+  overlaps,
+  loadServiceDurations,
+  resolveDuration,
+  bookingSpan,
+  getAvailability
+};
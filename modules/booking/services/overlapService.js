@@ -0,0 +1,118 @@
+/**
+ * Overlap Service
+ * Time-range conflict detection for bookings, per attorney and per room.
+ *
+ * Callers run these inside a transaction after lockBookingDate(), so two
+ * concurrent requests for the same day are checked one after the other.
+ */
+
+const {
+  getAvailability,
+  loadServiceDurations,
+  bookingSpan,
+  overlaps,
+  toMinutes,
+  toTime
+} = require('./availabilityService');
+
+const ALTERNATIVE_LIMIT = 5;
+const ALTERNATIVE_SEARCH_DAYS = 7;
+
+/**
+ * Serialise booking writes for one calendar day. The lock is released
+ * automatically on COMMIT or ROLLBACK.
+ */
+async function lockBookingDate(client, date) {
+  await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`booking:${date}`]);
+}
+
+async function getBufferMinutes(client, attorneyId, date) {
+  if (!attorneyId) return 0;
+
+  const result = await client.query(
+    `SELECT buffer_minutes FROM attorney_schedules
+     WHERE user_id = $1 AND day_of_week = EXTRACT(DOW FROM $2::date)`,
+    [attorneyId, date]
+  );
+  return result.rows[0]?.buffer_minutes || 0;
+}
+
+/**
+ * Find bookings that overlap [startTime, endTime) on the given date for the
+ * same attorney (widened by their buffer) or the same room.
+ *
+ * Bookings without an attorney only collide with other unassigned bookings,
+ * which keeps the old firm-wide behaviour for un-routed requests.
+ */
+async function findOverlaps(client, { date, startTime, endTime, attorneyId, roomId, excludeBookingId }) {
+  const result = await client.query(
+    `SELECT id, attorney_id, room_id, service_type, start_time, end_time
+     FROM bookings
+     WHERE booking_date = $1
+       AND status != 'cancelled'
+       AND ($2::int IS NULL OR id != $2)
+       AND (attorney_id IS NOT DISTINCT FROM $3::int OR ($4::int IS NOT NULL AND room_id = $4))
+     FOR UPDATE`,
+    [date, excludeBookingId || null, attorneyId || null, roomId || null]
+  );
+
+  if (result.rows.length === 0) return [];
+
+  const durations = await loadServiceDurations();
+  const buffer = await getBufferMinutes(client, attorneyId, date);
+  const start = toMinutes(startTime);
+  const end = toMinutes(endTime);
+  const conflicts = [];
+
+  for (const booking of result.rows) {
+    const span = bookingSpan(booking, durations);
+    const sameAttorney = booking.attorney_id === (attorneyId ? parseInt(attorneyId) : null);
+    const sameRoom = roomId && booking.room_id === parseInt(roomId);
+
+    if (sameAttorney && overlaps(start, end, span.start - buffer, span.end + buffer)) {
+      conflicts.push({ bookingId: booking.id, startTime: toTime(span.start), endTime: toTime(span.end), reason: 'attorney', attorneyId: booking.attorney_id });
+    } else if (sameRoom && overlaps(start, end, span.start, span.end)) {
+      conflicts.push({ bookingId: booking.id, startTime: toTime(span.start), endTime: toTime(span.end), reason: 'room', roomId: booking.room_id });
+    }
+  }
+
+  return conflicts;
+}
+
+function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+/**
+ * Nearest free slots to the requested time: same day first (closest start
+ * time wins), then the following days in order.
+ */
+async function suggestAlternatives(date, startTime, options = {}) {
+  const limit = options.limit || ALTERNATIVE_LIMIT;
+  const requested = toMinutes(startTime);
+  const alternatives = [];
+
+  for (let offset = 0; offset <= ALTERNATIVE_SEARCH_DAYS && alternatives.length < limit; offset++) {
+    const day = addDays(date, offset);
+    const availability = await getAvailability(day, options);
+
+    const slots = offset === 0
+      ? [...availability.slots].sort((a, b) => Math.abs(toMinutes(a.time) - requested) - Math.abs(toMinutes(b.time) - requested))
+      : availability.slots;
+
+    for (const slot of slots) {
+      if (alternatives.length >= limit) break;
+      alternatives.push({ date: day, ...slot });
+    }
+  }
+
+  return alternatives;
+}
+
+module.exports = {
+  lockBookingDate,
+  findOverlaps,
+  suggestAlternatives
+};
@@ -0,0 +1,358 @@
+/**
+ * Calendar Routes - PostgreSQL Version
+ * Firm calendar merging bookings, court deadlines and personal events,
+ * token-protected ICS subscription feeds and ICS import.
+ * Everything except the ICS feed itself needs calendar:read, and changes
+ * calendar:write.
+ */
+
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const db = require('../database/db');
+const { authenticateToken, requireModuleAccess, userCan } = require('../../auth/middleware/auth');
+const { screen, screenBody } = require('../../matters/middleware/ethicalWall');
+const calendarService = require('../services/calendarService');
+const icsService = require('../services/icsService');
+
+// ICS files are parsed in memory and never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+// Subscription feeds cover recent history and the year ahead
+const FEED_PAST_DAYS = 90;
+const FEED_FUTURE_DAYS = 366;
+
+function isoDay(offsetDays) {
+  const date = new Date();
+  date.setDate(date.getDate() + offsetDays);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function feedUrl(req, token) {
+  const base = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/$/, '')}/api/calendar/feeds/${token}.ics`;
+}
+
+// Public: ICS subscription feed, authenticated by the secret in the URL
+router.get('/feeds/:token.ics', async (req, res) => {
+  try {
+    const user = await calendarService.findUserByFeedToken(req.params.token);
+
+    if (!user) {
+      return res.status(404).send('Calendar feed not found');
+    }
+
+    const events = await calendarService.getEvents(user.id, isoDay(-FEED_PAST_DAYS), isoDay(FEED_FUTURE_DAYS), {
+      viewerId: user.id
+    });
+    const ics = icsService.buildCalendar(events, {
+      name: `${user.full_name || user.email} - Firm Calendar`,
+      uidDomain: req.get('host') || 'firm-calendar'
+    });
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.send(ics);
+  } catch (error) {
+    console.error('[Calendar] Error building ICS feed:', error);
+    res.status(500).send('Failed to build calendar feed');
+  }
+});
+
+router.use(authenticateToken, requireModuleAccess('calendar'));
+
+// Events on a walled matter are hidden from the users it screens
+router.param('id', screen('calendarEvent'));
+
+const screenMatter = screenBody({ matterId: 'matter' });
+
+// GET merged calendar (filters: from, to, userId, matterId, types)
+// userId=all returns the whole firm (needs calendar:read:all); the default
+// is the current user
+router.get('/events', async (req, res) => {
+  try {
+    if (req.query.userId === 'all' && !(await userCan(req, 'calendar:read:all'))) {
+      return res.status(403).json({
+        success: false,
+        error: "Viewing everyone's calendar needs the calendar:read:all permission"
+      });
+    }
+
+    const from = req.query.from || isoDay(0);
+    const to = req.query.to || isoDay(30);
+    const userId = req.query.userId === 'all' ? null : (req.query.userId || req.user.id);
+    const types = req.query.types ? String(req.query.types).split(',').map(type => type.trim()) : null;
+
+    const events = await calendarService.getEvents(userId, from, to, {
+      matterId: req.query.matterId,
+      types,
+      viewerId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      count: events.length,
+      data: events
+    });
+  } catch (error) {
+    console.error('[Calendar] Error fetching events:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch calendar events'
+    });
+  }
+});
+
+// CREATE event (personal events, meetings, hearings entered by hand)
+// Body: { title, date, startTime, endTime, eventType, description, location, matterId, userId }
+router.post('/events', screenMatter, async (req, res) => {
+  try {
+    const { title, date, startTime, endTime, eventType, description, location, matterId, userId } = req.body;
+
+    const event = await calendarService.addEvent({
+      userId: userId || req.user.id,
+      matterId,
+      title,
+      date,
+      startTime,
+      endTime,
+      eventType: eventType || 'personal',
+      description,
+      location,
+      source: 'manual',
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Event created',
+      data: event
+    });
+  } catch (error) {
+    console.error('[Calendar] Error creating event:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to create event'
+    });
+  }
+});
+
+// UPDATE event. Deadline dates come from their trigger, so only their
+// status, assignee and notes can change here.
+router.put('/events/:id', screenMatter, async (req, res) => {
+  try {
+    const existing = await calendarService.getEvent(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      });
+    }
+
+    const changes = { ...req.body };
+    if (existing.source === 'deadline' && (changes.date || changes.startTime || changes.eventType)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Court deadlines move with their trigger; change the trigger date instead'
+      });
+    }
+
+    const event = await calendarService.updateEvent(req.params.id, changes);
+
+    res.json({
+      success: true,
+      message: 'Event updated',
+      data: event
+    });
+  } catch (error) {
+    console.error('[Calendar] Error updating event:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to update event'
+    });
+  }
+});
+
+// DELETE event (court deadlines are removed with their trigger)
+router.delete('/events/:id', async (req, res) => {
+  try {
+    const result = await db.query(
+      "DELETE FROM calendar_events WHERE id = $1 AND source <> 'deadline' RETURNING id",
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found or it is a court deadline'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Event deleted'
+    });
+  } catch (error) {
+    console.error('[Calendar] Error deleting event:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete event'
+    });
+  }
+});
+
+// GET the current user's ICS subscription URL. It is created on the first
+// request and only shown then; afterwards url is null and rotating gives a
+// new one.
+router.get('/feed', async (req, res) => {
+  try {
+    const token = await calendarService.getFeedToken(req.user.id);
+
+    if (!token) {
+      return res.json({
+        success: true,
+        message: 'A feed URL already exists and cannot be shown again; rotate it to get a new one',
+        data: { url: null, active: true }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { url: feedUrl(req, token), active: true }
+    });
+  } catch (error) {
+    console.error('[Calendar] Error fetching feed URL:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to fetch calendar feed'
+    });
+  }
+});
+
+// ROTATE the ICS subscription URL; the old one stops working
+router.post('/feed/rotate', async (req, res) => {
+  try {
+    const token = await calendarService.getFeedToken(req.user.id, { rotate: true });
+
+    res.json({
+      success: true,
+      message: 'Calendar feed URL replaced',
+      data: { url: feedUrl(req, token), active: true }
+    });
+  } catch (error) {
+    console.error('[Calendar] Error rotating feed URL:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to rotate calendar feed'
+    });
+  }
+});
+
+// IMPORT an ICS file (e.g. a court's published calendar)
+// Multipart: file (.ics), or JSON: { ics }. Optional: userId, matterId, eventType
+// Re-importing the same file updates events by their UID instead of duplicating them.
+router.post('/import', upload.single('file'), async (req, res) => {
+  const text = req.file ? req.file.buffer.toString('utf8') : req.body.ics;
+
+  if (!text) {
+    return res.status(400).json({
+      success: false,
+      error: 'Upload an .ics file as "file" or send it as "ics"'
+    });
+  }
+
+  const userId = req.body.userId || req.user.id;
+  const eventType = req.body.eventType || 'hearing';
+  if (!calendarService.EVENT_TYPES.includes(eventType)) {
+    return res.status(400).json({
+      success: false,
+      error: `eventType must be one of: ${calendarService.EVENT_TYPES.join(', ')}`
+    });
+  }
+
+  let parsed;
+  try {
+    parsed = icsService.parseCalendar(text);
+  } catch (error) {
+    return res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to read calendar file'
+    });
+  }
+
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    let created = 0;
+    let updated = 0;
+    for (const event of parsed.events) {
+      const existing = event.uid
+        ? await client.query(
+          "SELECT id FROM calendar_events WHERE user_id = $1 AND external_uid = $2 AND source = 'import'",
+          [userId, event.uid]
+        )
+        : { rows: [] };
+
+      if (existing.rows.length > 0) {
+        await client.query(
+          `UPDATE calendar_events SET
+            title = $1, description = $2, location = $3, event_date = $4,
+            start_time = $5, end_time = $6, updated_at = NOW()
+          WHERE id = $7`,
+          [event.summary, event.description, event.location, event.date, event.startTime, event.endTime, existing.rows[0].id]
+        );
+        updated++;
+      } else {
+        await calendarService.addEvent({
+          userId,
+          matterId: req.body.matterId,
+          title: event.summary,
+          description: event.description,
+          location: event.location,
+          date: event.date,
+          startTime: event.startTime,
+          endTime: event.endTime,
+          eventType,
+          source: 'import',
+          externalUid: event.uid,
+          createdBy: req.user.id
+        }, client);
+        created++;
+      }
+    }
+
+    await client.query('COMMIT');
+
+    const recurring = parsed.events.filter(event => event.recurring).length;
+    console.log(`[Calendar] Imported ${created} new and ${updated} updated events for user ${userId}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${created} new and ${updated} updated events`,
+      data: {
+        created,
+        updated,
+        skipped: parsed.skipped,
+        // Only the first occurrence of a repeating event is imported
+        recurringFirstOccurrenceOnly: recurring
+      }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('[Calendar] Error importing calendar:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to import calendar'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,204 @@
+/**
+ * Calendar Service
+ * Stores firm calendar events in Postgres and merges them with bookings,
+ * so court deadlines, hearings, client appointments and personal events
+ * come back as one list. Events are all-day when they have no start time
+ * (deadlines are always all-day).
+ *
+ * Every module's services/calendarService.js re-exports this one.
+ *
+ * Functions that write accept an optional pg client so callers can run
+ * them inside their own transaction.
+ */
+
+const crypto = require('crypto');
+const db = require('../database/db');
+const { visibleClause } = require('../../matters/services/ethicalWallService');
+const { httpError } = require('../../shared/utils');
+
+const EVENT_TYPES = ['deadline', 'hearing', 'booking', 'meeting', 'personal', 'other'];
+const EVENT_STATUSES = ['scheduled', 'completed', 'cancelled'];
+const EVENT_SOURCES = ['manual', 'deadline', 'import'];
+
+async function addEvent(event, client = db) {
+  if (!event.title || !event.date) {
+    throw httpError(400, 'Event title and date are required');
+  }
+  const eventType = event.eventType || 'other';
+  if (!EVENT_TYPES.includes(eventType)) {
+    throw httpError(400, `eventType must be one of: ${EVENT_TYPES.join(', ')}`);
+  }
+
+  const result = await client.query(
+    `INSERT INTO calendar_events (
+      user_id, matter_id, title, description, location, event_type,
+      event_date, start_time, end_time, source, deadline_trigger_id,
+      rule_code, citation, external_uid, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+    RETURNING *`,
+    [
+      event.userId || null,
+      event.matterId || null,
+      event.title,
+      event.description || null,
+      event.location || null,
+      eventType,
+      event.date,
+      event.startTime || null,
+      event.endTime || null,
+      event.source || 'manual',
+      event.deadlineTriggerId || null,
+      event.ruleCode || null,
+      event.citation || null,
+      event.externalUid || null,
+      event.createdBy || null
+    ]
+  );
+
+  return result.rows[0];
+}
+
+async function getEvent(eventId, client = db) {
+  const result = await client.query('SELECT * FROM calendar_events WHERE id = $1', [eventId]);
+  return result.rows[0] || null;
+}
+
+async function updateEvent(eventId, changes, client = db) {
+  if (changes.status && !EVENT_STATUSES.includes(changes.status)) {
+    throw httpError(400, `status must be one of: ${EVENT_STATUSES.join(', ')}`);
+  }
+  if (changes.eventType && !EVENT_TYPES.includes(changes.eventType)) {
+    throw httpError(400, `eventType must be one of: ${EVENT_TYPES.join(', ')}`);
+  }
+
+  const result = await client.query(
+    `UPDATE calendar_events SET
+      title = COALESCE($1, title),
+      description = COALESCE($2, description),
+      location = COALESCE($3, location),
+      event_type = COALESCE($4, event_type),
+      event_date = COALESCE($5, event_date),
+      start_time = COALESCE($6, start_time),
+      end_time = COALESCE($7, end_time),
+      user_id = COALESCE($8, user_id),
+      matter_id = COALESCE($9, matter_id),
+      status = COALESCE($10, status),
+      updated_at = NOW()
+    WHERE id = $11
+    RETURNING *`,
+    [
+      changes.title,
+      changes.description,
+      changes.location,
+      changes.eventType,
+      changes.date,
+      changes.startTime,
+      changes.endTime,
+      changes.userId,
+      changes.matterId,
+      changes.status,
+      eventId
+    ]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Calendar events and bookings between two dates, oldest first.
+ * Filters: userId (owner / booked attorney; null for everyone), matterId,
+ * types (array of event types; bookings are type 'booking'). With viewerId,
+ * entries on matters or for clients walled off from that user are left out.
+ */
+async function getEvents(userId, startDate, endDate, { matterId, types, viewerId } = {}, client = db) {
+  const result = await client.query(
+    `SELECT * FROM (
+      SELECT 'event' AS kind, e.id, e.user_id, e.matter_id, e.title, e.description,
+        e.location, e.event_type, TO_CHAR(e.event_date, 'YYYY-MM-DD') AS event_date,
+        e.start_time, e.end_time, e.status, e.source, e.rule_code, e.citation,
+        e.external_uid, e.updated_at, NULL AS customer_email
+      FROM calendar_events e
+      WHERE e.status <> 'cancelled'
+      UNION ALL
+      SELECT 'booking' AS kind, b.id, b.attorney_id AS user_id, b.matter_id,
+        'Appointment: ' || b.customer_name AS title, b.notes AS description,
+        r.name AS location, 'booking' AS event_type, TO_CHAR(b.booking_date, 'YYYY-MM-DD') AS event_date,
+        b.start_time, b.end_time, b.status, 'booking' AS source, NULL AS rule_code, NULL AS citation,
+        NULL AS external_uid, b.updated_at, b.customer_email
+      FROM bookings b
+      LEFT JOIN conference_rooms r ON r.id = b.room_id
+      WHERE b.status NOT IN ('cancelled', 'no-show')
+    ) merged
+    LEFT JOIN LATERAL (
+      SELECT m.matter_number, m.title AS matter_title FROM matters m WHERE m.id = merged.matter_id
+    ) matter ON true
+    WHERE ($1::int IS NULL OR merged.user_id = $1)
+      AND merged.event_date BETWEEN $2 AND $3
+      AND ($4::int IS NULL OR merged.matter_id = $4)
+      AND ($5::text[] IS NULL OR merged.event_type = ANY($5))
+      AND ($6::int IS NULL OR ${visibleClause('$6', { matter: 'merged.matter_id', customerEmail: 'merged.customer_email' })})
+    ORDER BY merged.event_date, merged.start_time NULLS FIRST, merged.kind, merged.id`,
+    [userId || null, startDate, endDate, matterId || null, types && types.length ? types : null, viewerId || null]
+  );
+  return result.rows;
+}
+
+function hashFeedToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Secret token for a user's ICS subscription. Only its hash is stored, so
+ * the token can be shown once: when it is first created or rotated. Returns
+ * null when the user already has one and rotate is not set.
+ */
+async function getFeedToken(userId, { rotate = false } = {}, client = db) {
+  if (!rotate) {
+    const existing = await client.query('SELECT calendar_feed_token_hash FROM users WHERE id = $1', [userId]);
+    if (existing.rows.length === 0) {
+      throw httpError(404, 'User not found');
+    }
+    if (existing.rows[0].calendar_feed_token_hash) {
+      return null;
+    }
+  }
+
+  const token = crypto.randomBytes(24).toString('hex');
+  const result = await client.query(
+    'UPDATE users SET calendar_feed_token_hash = $1, updated_at = NOW() WHERE id = $2 RETURNING id',
+    [hashFeedToken(token), userId]
+  );
+  if (result.rows.length === 0) {
+    throw httpError(404, 'User not found');
+  }
+  return token;
+}
+
+/**
+ * The owner of a feed token, while they are active and their role still
+ * grants calendar:read (administrators always do)
+ */
+async function findUserByFeedToken(token, client = db) {
+  const result = await client.query(
+    `SELECT u.id, u.full_name, u.email FROM users u
+     WHERE u.calendar_feed_token_hash = $1
+       AND u.is_active IS NOT false
+       AND (u.is_admin = true OR EXISTS (
+         SELECT 1 FROM role_permissions rp WHERE rp.role = u.role AND rp.permission = 'calendar:read'
+       ))`,
+    [hashFeedToken(token)]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  EVENT_STATUSES,
+  EVENT_SOURCES,
+  addEvent,
+  getEvent,
+  updateEvent,
+  getEvents,
+  getFeedToken,
+  findUserByFeedToken
+};
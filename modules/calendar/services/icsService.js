@@ -0,0 +1,309 @@
+/**
+ * iCalendar (RFC 5545) Service
+ * Builds ICS subscription feeds and reads ICS files for import.
+ *
+ * Event dates and times are stored as firm-local wall time. When
+ * CALENDAR_TIMEZONE (an IANA name such as America/New_York) is set, timed
+ * events are written in UTC and imported UTC times are converted back;
+ * without it times are left "floating" in the subscriber's zone.
+ */
+
+const PRODUCT_ID = '-//Legal Practice//Firm Calendar//EN';
+
+function pad(n, width = 2) {
+  return String(n).padStart(width, '0');
+}
+
+// UTC offset (ms) of a time zone at a moment
+function zoneOffset(timestamp, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(timestamp)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - timestamp;
+}
+
+function isValidZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall time in a zone -> Date
+function zonedToUtc(date, time, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute, second] = time.split(':').map(Number);
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second || 0);
+  const first = guess - zoneOffset(guess, timeZone);
+  // Re-check across a DST change
+  return new Date(guess - zoneOffset(first, timeZone));
+}
+
+// Date -> { date, time } wall time in a zone (server zone when none)
+function utcToZoned(instant, timeZone) {
+  const shifted = timeZone ? new Date(instant.getTime() + zoneOffset(instant.getTime(), timeZone)) : null;
+  const get = shifted
+    ? { y: shifted.getUTCFullYear(), mo: shifted.getUTCMonth() + 1, d: shifted.getUTCDate(), h: shifted.getUTCHours(), mi: shifted.getUTCMinutes(), s: shifted.getUTCSeconds() }
+    : { y: instant.getFullYear(), mo: instant.getMonth() + 1, d: instant.getDate(), h: instant.getHours(), mi: instant.getMinutes(), s: instant.getSeconds() };
+  return {
+    date: `${get.y}-${pad(get.mo)}-${pad(get.d)}`,
+    time: `${pad(get.h)}:${pad(get.mi)}:${pad(get.s)}`
+  };
+}
+
+function formatUtc(instant) {
+  return instant.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function compactDate(date) {
+  return date.replace(/-/g, '');
+}
+
+function nextDay(date) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded with CRLF + space
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const chunks = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char, 'utf8');
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (size + charSize > limit) {
+      chunks.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+function timeProperty(name, date, time, timeZone) {
+  const normalized = time.length === 5 ? `${time}:00` : time;
+  if (timeZone) {
+    return `${name}:${formatUtc(zonedToUtc(date, normalized, timeZone))}`;
+  }
+  return `${name}:${compactDate(date)}T${normalized.replace(/:/g, '')}`;
+}
+
+/**
+ * Build a VCALENDAR from calendarService.getEvents() rows
+ */
+function buildCalendar(events, { name, uidDomain = 'firm-calendar', timeZone = process.env.CALENDAR_TIMEZONE } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+  if (timeZone) {
+    lines.push(`X-WR-TIMEZONE:${timeZone}`);
+  }
+
+  const stamp = formatUtc(new Date());
+
+  for (const event of events) {
+    lines.push('BEGIN:VEVENT');
+    lines.push(`UID:${event.kind}-${event.id}@${uidDomain}`);
+    lines.push(`DTSTAMP:${event.updated_at ? formatUtc(new Date(event.updated_at)) : stamp}`);
+
+    if (event.start_time) {
+      lines.push(timeProperty('DTSTART', event.event_date, event.start_time, timeZone));
+      if (event.end_time) {
+        lines.push(timeProperty('DTEND', event.event_date, event.end_time, timeZone));
+      }
+    } else {
+      lines.push(`DTSTART;VALUE=DATE:${compactDate(event.event_date)}`);
+      lines.push(`DTEND;VALUE=DATE:${compactDate(nextDay(event.event_date))}`);
+    }
+
+    const summary = event.matter_number && !event.title.includes(event.matter_number)
+      ? `${event.title} (${event.matter_number})`
+      : event.title;
+    lines.push(`SUMMARY:${escapeText(summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    lines.push(`CATEGORIES:${escapeText(event.event_type)}`);
+    if (event.status === 'pending') lines.push('STATUS:TENTATIVE');
+    if (event.event_type === 'deadline') lines.push('TRANSP:TRANSPARENT');
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// "DTSTART;TZID=America/Chicago:20261201T090000" -> { name, params, value }
+function parseLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const part of paramParts) {
+    const [key, value] = part.split('=');
+    if (key && value !== undefined) {
+      params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+    }
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * ICS date-time property -> { date, time } in firm-local wall time
+ * (time is null for all-day values)
+ */
+function parseDateTime(property, timeZone) {
+  const match = property.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const date = `${year}-${month}-${day}`;
+  if (property.params.VALUE === 'DATE' || hour === undefined) {
+    return { date, time: null };
+  }
+
+  const time = `${hour}:${minute}:${second || '00'}`;
+  if (utc) {
+    return utcToZoned(new Date(`${date}T${time}Z`), timeZone);
+  }
+
+  const sourceZone = property.params.TZID;
+  if (sourceZone && timeZone && sourceZone !== timeZone && isValidZone(sourceZone)) {
+    return utcToZoned(zonedToUtc(date, time, sourceZone), timeZone);
+  }
+  // Floating time, or a zone we cannot resolve (e.g. Windows zone names)
+  return { date, time };
+}
+
+/**
+ * Read the VEVENTs from ICS text. Returns { events, skipped } where
+ * skipped lists cancelled or unreadable events with a reason.
+ */
+function parseCalendar(text, { timeZone = process.env.CALENDAR_TIMEZONE } = {}) {
+  const unfolded = String(text || '').replace(/^\uFEFF/, '').replace(/\r?\n[ \t]/g, '');
+  const lines = unfolded.split(/\r?\n/);
+
+  if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    const error = new Error('File is not an iCalendar (.ics) file');
+    error.status = 400;
+    throw error;
+  }
+
+  const events = [];
+  const skipped = [];
+  let current = null;
+  let depth = 0;
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    if (line.toUpperCase() === 'BEGIN:VEVENT') {
+      current = { properties: {} };
+      depth = 0;
+      continue;
+    }
+    if (!current) continue;
+
+    // Skip nested components such as VALARM
+    if (/^BEGIN:/i.test(line)) {
+      depth++;
+      continue;
+    }
+    if (/^END:/i.test(line) && depth > 0) {
+      depth--;
+      continue;
+    }
+    if (depth > 0) continue;
+
+    if (line.toUpperCase() === 'END:VEVENT') {
+      const props = current.properties;
+      const summary = props.SUMMARY ? unescapeText(props.SUMMARY.value) : null;
+      const start = props.DTSTART ? parseDateTime(props.DTSTART, timeZone) : null;
+      const end = props.DTEND ? parseDateTime(props.DTEND, timeZone) : null;
+
+      if (props.STATUS && props.STATUS.value.toUpperCase() === 'CANCELLED') {
+        skipped.push({ uid: props.UID && props.UID.value, summary, reason: 'cancelled' });
+      } else if (!summary || !start) {
+        skipped.push({ uid: props.UID && props.UID.value, summary, reason: 'missing summary or start date' });
+      } else {
+        events.push({
+          uid: props.UID ? props.UID.value : null,
+          summary,
+          description: props.DESCRIPTION ? unescapeText(props.DESCRIPTION.value) : null,
+          location: props.LOCATION ? unescapeText(props.LOCATION.value) : null,
+          date: start.date,
+          startTime: start.time,
+          endTime: start.time && end && end.date === start.date ? end.time : null,
+          recurring: Boolean(props.RRULE)
+        });
+      }
+      current = null;
+      continue;
+    }
+
+    const property = parseLine(line);
+    if (property && !current.properties[property.name]) {
+      current.properties[property.name] = property;
+    }
+  }
+
+  return { events, skipped };
+}
+
+module.exports = {
+  buildCalendar,
+  parseCalendar,
+  escapeText,
+  foldLine,
+  zonedToUtc,
+  utcToZoned
+};
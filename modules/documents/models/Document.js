@@ -1,14 +0,0 @@
-/**
- * Document Model Stub
- * Auto-generated - Replace with actual schema
- */
-
-const mongoose = require('mongoose');
-
-const DocumentSchema = new mongoose.Schema({
-  // Add your schema fields here
-  createdAt: { type: Date, default: Date.now },
-  updatedAt: { type: Date, default: Date.now }
-}, { timestamps: true });
-
-module.exports = mongoose.models.Document || mongoose.model('Document', DocumentSchema);
@@ -1,14 +0,0 @@
-/**
- * Family Model Stub
- * Auto-generated - Replace with actual schema
- */
-
-const mongoose = require('mongoose');
-
-const FamilySchema = new mongoose.Schema({
-  // Add your schema fields here
-  createdAt: { type: Date, default: Date.now },
-  updatedAt: { type: Date, default: Date.now }
-}, { timestamps: true });
-
-module.exports = mongoose.models.Family || mongoose.model('Family', FamilySchema);
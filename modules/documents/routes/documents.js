@@ -1,628 +1,852 @@
-// backend/routes/documents.js
+/**
+ * Document Routes - PostgreSQL Version
+ * Law-firm document management: upload, list, search, download and delete
+ * documents filed by client and matter, with version history,
+ * check-out/check-in, background text extraction (OCR), expiring share
+ * links, sharing in the client portal, template-based document assembly (templates.js) and electronic
+ * signatures (signatures.js). Staff with documents:read, except the public
+ * share link and signing routes in shared.js and signing.js; changes need
+ * the narrower documents:* permissions.
+ */
+
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs').promises;
+const fs = require('fs');
+const db = require('../database/db');
+const { inTransaction } = require('../database/transaction');
+const { authenticateToken, requirePermission, userCan } = require('../../auth/middleware/auth');
+const documentService = require('../services/documentService');
+const versionService = require('../services/versionService');
+const ocrService = require('../services/ocrService');
+const searchService = require('../services/searchService');
+const classificationService = require('../services/classificationService');
+const shareService = require('../services/shareService');
+const retentionService = require('../services/retentionService');
+const productionService = require('../services/productionService');
+const { screen } = require('../../matters/middleware/ethicalWall');
+
+const ALLOWED_EXTENSIONS = [
+  '.pdf', '.doc', '.docx', '.rtf', '.txt', '.odt',
+  '.xls', '.xlsx', '.csv', '.ppt', '.pptx',
+  '.msg', '.eml',
+  '.jpg', '.jpeg', '.png', '.gif', '.tif', '.tiff', '.heic'
+];
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
-    destination: async (req, file, cb) => {
-        const uploadPath = path.join(__dirname, '../../uploads/documents');
-        await fs.mkdir(uploadPath, { recursive: true });
-        cb(null, uploadPath);
-    },
-    filename: (req, file, cb) => {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-    }
+  destination: (req, file, cb) => {
+    fs.mkdir(documentService.STORAGE_DIR, { recursive: true }, error => cb(error, documentService.STORAGE_DIR));
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'document-' + uniqueSuffix + path.extname(file.originalname).toLowerCase());
+  }
 });
 
-const upload = multer({ 
-    storage: storage,
-    limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit
-    fileFilter: (req, file, cb) => {
-        const allowedTypes = /jpeg|jpg|png|gif|pdf|doc|docx|txt|heic/;
-        const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-        const mimetype = allowedTypes.test(file.mimetype);
-        
-        if (mimetype && extname) {
-            return cb(null, true);
-        } else {
-            cb(new Error('Invalid file type'));
-        }
+const upload = multer({
+  storage,
+  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
     }
+    const error = new Error('Invalid file type');
+    error.status = 400;
+    cb(error);
+  }
 });
 
-// Import models
-const Document = require('../models/Document');
-const Family = require('../models/Family');
-const socketService = require('../services/socketService');
-
-// Get all documents for family
-router.get('/family/:familyId', async (req, res) => {
-    try {
-        const documents = await Document.find({ 
-            familyId: req.params.familyId,
-            isDeleted: false 
-        }).sort('-uploadDate');
-        
-        res.json({ success: true, documents });
-    } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+// Multer errors (size, type) become 400s instead of reaching the global handler
+function uploadDocument(req, res, next) {
+  upload.single('document')(req, res, error => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.code === 'LIMIT_FILE_SIZE' ? 'File is larger than 50MB' : error.message
+      });
     }
-});
+    next();
+  });
+}
 
-// Get documents by category
-router.get('/category/:familyId/:category', async (req, res) => {
-    try {
-        const { familyId, category } = req.params;
-        
-        const documents = await Document.find({ 
-            familyId,
-            category,
-            isDeleted: false 
-        }).sort('-uploadDate');
-        
-        res.json({ success: true, documents });
-    } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+// Pick up documents queued before this process started
+ocrService.start();
+productionService.start();
+
+// Destroy documents past retention on RETENTION_PURGE_SCHEDULE
+retentionService.schedulePurge();
+
+// Public: share and signing links, authenticated by the token in the URL
+router.use('/shared', require('./shared'));
+router.use('/signing', require('./signing'));
+
+router.use(authenticateToken, requirePermission('documents:read'));
+
+router.use('/templates', require('./templates'));
+router.use('/signatures', requirePermission('documents:sign'), require('./signatures'));
+router.use('/retention', requirePermission('documents:retention'), require('./retention'));
+router.use('/productions', requirePermission('documents:produce'), require('./productions'));
+
+// Documents, matters and clients behind an ethical wall
+router.param('documentId', screen('document'));
+router.param('matterId', screen('matter'));
+router.param('customerId', screen('customer'));
+
+// Privileged documents the user may not see are missing on every route
+// that names one, so nothing can be read or changed through them
+router.param('documentId', async (req, res, next, documentId) => {
+  try {
+    req.document = await documentService.getDocumentForUser(documentId, req.user.id);
+  } catch (error) {
+    if (error.code !== '22P02') {
+      console.error('[Documents] Error checking document access:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to check document access'
+      });
     }
+    req.document = null;
+  }
+
+  if (!req.document) {
+    return res.status(404).json({
+      success: false,
+      error: 'Document not found'
+    });
+  }
+  next();
 });
 
-// Get documents by member
-router.get('/member/:familyId/:memberId', async (req, res) => {
-    try {
-        const { familyId, memberId } = req.params;
-        
-        const documents = await Document.find({ 
-            familyId,
-            owner: memberId,
-            isDeleted: false 
-        }).sort('-uploadDate');
-        
-        res.json({ success: true, documents });
-    } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-    }
-});
+const canWrite = requirePermission('documents:write');
 
-// Upload document
-router.post('/upload', upload.single('document'), async (req, res) => {
-    try {
-        const { familyId, category, owner, extracted } = req.body;
-        
-        const document = new Document({
-            familyId,
-            name: req.file.originalname,
-            filename: req.file.filename,
-            path: req.file.path,
-            type: req.file.mimetype,
-            size: req.file.size,
-            category: category || 'uncategorized',
-            owner: owner || 'unknown',
-            extracted: extracted ? JSON.parse(extracted) : {},
-            uploadDate: new Date()
-        });
-        
-        await document.save();
-        
-        // Process with AI
-        const processedDoc = await processDocumentWithAI(document);
-        
-        // Sync to relevant platforms
-        await syncDocumentToPlatforms(processedDoc);
-        
-        // Notify family members via WebSocket
-        socketService.emitToFamily(familyId, 'document_uploaded', {
-            document: processedDoc,
-            uploadedBy: owner
-        });
-        
-        res.json({ 
-            success: true, 
-            document: processedDoc,
-            message: 'Document uploaded and processed successfully' 
-        });
-        
-    } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+function shareUrl(req, token) {
+  const base = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/$/, '')}/api/documents/shared/${token}`;
+}
+
+function pageOf(req) {
+  return {
+    page: parseInt(req.query.page) || 1,
+    limit: Math.min(parseInt(req.query.limit) || 50, 200)
+  };
+}
+
+// GET document types, confidentiality levels, categories and extracted fields
+router.get('/types', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      documentTypes: documentService.DOCUMENT_TYPES,
+      confidentialityLevels: documentService.CONFIDENTIALITY_LEVELS,
+      categories: classificationService.listCategories(),
+      fields: classificationService.FIELD_NAMES
     }
+  });
 });
 
-// Process document with AI (OCR, categorization, extraction)
-async function processDocumentWithAI(document) {
-    try {
-        // Simulate AI processing
-        // In production, integrate with Tesseract.js or cloud OCR service
-        
-        // OCR Processing
-        if (document.type.startsWith('image/')) {
-            document.extractedText = await performOCR(document.path);
-        }
-        
-        // AI Categorization
-        if (document.extractedText) {
-            document.category = await categorizeDocument(document.extractedText);
-            
-            // Extract category-specific fields
-            document.extracted = await extractFields(document.extractedText, document.category);
-        }
-        
-        // Generate insights
-        document.insights = await generateInsights(document);
-        
-        await document.save();
-        return document;
-        
-    } catch (error) {
-        console.error('AI processing error:', error);
-        return document;
-    }
-}
+// GET how often staff correct each extracted field and category
+// Query: limit (recent corrections, default 50)
+router.get('/classification/corrections', async (req, res) => {
+  try {
+    const report = await classificationService.correctionReport({
+      limit: Math.min(parseInt(req.query.limit) || 50, 500)
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('[Documents] Error fetching correction report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch correction report'
+    });
+  }
+});
 
-// Perform OCR
-async function performOCR(imagePath) {
-    // In production, use Tesseract.js or cloud service
-    // Simulating OCR result
-    return 'Sample extracted text from document';
-}
+// GET users granted access to every privileged document
+router.get('/privileged-access', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT id, full_name, email FROM users
+       WHERE privileged_access = true
+       ORDER BY full_name`
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('[Documents] Error fetching privileged access:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch privileged access'
+    });
+  }
+});
 
-// Categorize document
-async function categorizeDocument(text) {
-    const textLower = text.toLowerCase();
-    
-    if (textLower.includes('receipt') || textLower.includes('total') || textLower.includes('payment')) {
-        return 'receipts';
-    } else if (textLower.includes('medical') || textLower.includes('doctor') || textLower.includes('patient')) {
-        return 'medical';
-    } else if (textLower.includes('school') || textLower.includes('grade') || textLower.includes('student')) {
-        return 'school';
-    } else if (textLower.includes('warranty') || textLower.includes('guarantee')) {
-        return 'warranties';
-    } else if (textLower.includes('insurance') || textLower.includes('policy')) {
-        return 'insurance';
+// GRANT or REVOKE firm-wide access to privileged documents. Without it a
+// user sees privileged documents they uploaded or whose matter they lead.
+// Body: { enabled }
+router.put('/privileged-access/:userId', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const enabled = documentService.parseBoolean(req.body.enabled);
+
+    if (enabled === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'enabled is required'
+      });
     }
-    
-    return 'general';
-}
 
-// Extract fields based on category
-async function extractFields(text, category) {
-    const extracted = {};
-    
-    switch(category) {
-        case 'receipts':
-            extracted.vendor = extractVendor(text);
-            extracted.amount = extractAmount(text);
-            extracted.date = extractDate(text);
-            extracted.items = extractItems(text);
-            break;
-            
-        case 'medical':
-            extracted.patient = extractPatientName(text);
-            extracted.provider = extractProvider(text);
-            extracted.diagnosis = extractDiagnosis(text);
-            extracted.prescriptions = extractPrescriptions(text);
-            break;
-            
-        case 'school':
-            extracted.student = extractStudentName(text);
-            extracted.grade = extractGrade(text);
-            extracted.subject = extractSubject(text);
-            extracted.dueDate = extractDueDate(text);
-            break;
-            
-        case 'warranties':
-            extracted.product = extractProduct(text);
-            extracted.purchaseDate = extractPurchaseDate(text);
-            extracted.expiryDate = extractExpiryDate(text);
-            extracted.coverage = extractCoverage(text);
-            break;
+    const result = await db.query(
+      `UPDATE users SET privileged_access = $1, updated_at = NOW()
+       WHERE id = $2
+       RETURNING id, full_name, email, privileged_access`,
+      [enabled, req.params.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
     }
-    
-    return extracted;
-}
 
-// Helper extraction functions
-function extractVendor(text) {
-    // Implement vendor extraction logic
-    return 'Sample Vendor';
-}
+    console.log(`[Documents] User ${req.user.id} ${enabled ? 'granted' : 'revoked'} privileged access for user ${req.params.userId}`);
+
+    res.json({
+      success: true,
+      message: enabled ? 'Privileged access granted' : 'Privileged access revoked',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('[Documents] Error updating privileged access:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update privileged access'
+    });
+  }
+});
 
-function extractAmount(text) {
-    const amountMatch = text.match(/\$[\d,]+\.?\d*/);
-    return amountMatch ? amountMatch[0] : null;
-}
+// GET documents (filters as query params, see searchService.buildFilters)
+router.get('/', async (req, res) => {
+  try {
+    const { page, limit } = pageOf(req);
+    res.json(await searchService.listDocuments({ ...req.query, viewerId: req.user.id }, page, limit));
+  } catch (error) {
+    console.error('[Documents] Error fetching documents:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch documents'
+    });
+  }
+});
 
-function extractDate(text) {
-    const dateMatch = text.match(/\d{1,2}\/\d{1,2}\/\d{2,4}/);
-    return dateMatch ? dateMatch[0] : new Date().toLocaleDateString();
-}
+// GET documents for a matter
+router.get('/matter/:matterId', async (req, res) => {
+  try {
+    const { page, limit } = pageOf(req);
+    res.json(await searchService.listDocuments({
+      ...req.query,
+      matterId: req.params.matterId,
+      viewerId: req.user.id
+    }, page, limit));
+  } catch (error) {
+    console.error('[Documents] Error fetching matter documents:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch matter documents'
+    });
+  }
+});
 
-function extractItems(text) {
-    // Extract line items from receipt
-    return [];
-}
+// GET documents for a client (all of their matters)
+router.get('/client/:customerId', async (req, res) => {
+  try {
+    const { page, limit } = pageOf(req);
+    res.json(await searchService.listDocuments({
+      ...req.query,
+      customerId: req.params.customerId,
+      viewerId: req.user.id
+    }, page, limit));
+  } catch (error) {
+    console.error('[Documents] Error fetching client documents:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch client documents'
+    });
+  }
+});
 
-function extractPatientName(text) {
-    return 'Patient Name';
-}
+// UPLOAD document
+// Multipart: document (file), customerId and/or matterId, title, documentType,
+// author, isPrivileged, confidentiality, description, tags (comma-separated), comment
+// With documentId the file is checked in as a new version of that document instead.
+router.post('/upload', canWrite, uploadDocument, async (req, res) => {
+  if (req.body.documentId) {
+    return checkInVersion(req, res, req.body.documentId);
+  }
+
+  const document = await inTransaction(res, 'uploading document', async client => {
+    const created = await documentService.createDocument({
+      ...req.body,
+      uploadedBy: req.user.id
+    }, req.file, client);
+    await versionService.createInitialVersion(created, req.file, {
+      comment: req.body.comment,
+      userId: req.user.id
+    }, client);
+    return created;
+  });
+  if (!document) {
+    if (req.file) fs.unlink(req.file.path, () => {});
+    return;
+  }
+
+  console.log(`[Documents] Uploaded document ${document.id} (${document.original_name})`);
+  ocrService.wake();
+
+  res.status(201).json({
+    success: true,
+    message: 'Document uploaded successfully',
+    data: document
+  });
+});
 
-function extractProvider(text) {
-    return 'Dr. Smith';
-}
+// SEARCH documents: ranked full-text search over titles, tags, metadata
+// and extracted text, with highlighted snippets (see searchService)
+// Body: { query, filters: { customerId, matterId, documentType, category, confidentiality, privileged, author, dateRange: { start, end } }, page, limit }
+// Without a query this is a filtered listing.
+router.post('/search', async (req, res) => {
+  try {
+    const { query, filters = {} } = req.body;
+    const { dateRange, ...rest } = filters;
+    const page = parseInt(req.body.page) || 1;
+    const limit = Math.min(parseInt(req.body.limit) || 50, 200);
+
+    const searchFilters = {
+      ...rest,
+      from: dateRange && dateRange.start,
+      to: dateRange && dateRange.end,
+      viewerId: req.user.id
+    };
 
-function extractDiagnosis(text) {
-    return null;
-}
+    const text = typeof query === 'string' ? query.trim() : '';
+    const result = text
+      ? await searchService.search(text, searchFilters, page, limit)
+      : await searchService.listDocuments(searchFilters, page, limit);
+
+    res.json(result);
+  } catch (error) {
+    console.error('[Documents] Error searching documents:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search documents'
+    });
+  }
+});
 
-function extractPrescriptions(text) {
-    return [];
-}
+// GET single document
+router.get('/:documentId', async (req, res) => {
+  try {
+    const document = req.document;
+
+    res.json({
+      success: true,
+      data: document
+    });
+  } catch (error) {
+    console.error('[Documents] Error fetching document:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch document'
+    });
+  }
+});
 
-function extractStudentName(text) {
-    return 'Student Name';
-}
+// DOWNLOAD document file
+router.get('/:documentId/download', async (req, res) => {
+  try {
+    const document = req.document;
+
+    res.download(documentService.filePath(document), document.original_name, error => {
+      if (error && !res.headersSent) {
+        console.error('[Documents] Error sending document file:', error.message);
+        res.status(404).json({
+          success: false,
+          error: 'Document file is missing'
+        });
+      }
+    });
+  } catch (error) {
+    console.error('[Documents] Error downloading document:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download document'
+    });
+  }
+});
 
-function extractGrade(text) {
-    return null;
-}
+// UPDATE document metadata or refile it under another client/matter
+// Body: { title, documentType, author, isPrivileged, confidentiality, description, tags, customerId, matterId }
+router.put('/:documentId', canWrite, async (req, res) => {
+  try {
+    const document = await documentService.updateDocument(req.params.documentId, req.body);
+
+    res.json({
+      success: true,
+      message: 'Document updated',
+      data: document
+    });
+  } catch (error) {
+    console.error('[Documents] Error updating document:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to update document'
+    });
+  }
+});
 
-function extractSubject(text) {
-    return null;
-}
+// GET a document's retention policy, keep-until date and legal holds
+router.get('/:documentId/retention', async (req, res) => {
+  try {
+    const retention = await retentionService.documentRetention(req.params.documentId);
 
-function extractDueDate(text) {
-    return null;
-}
+    if (!retention) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
 
-function extractProduct(text) {
-    return 'Product Name';
-}
+    res.json({
+      success: true,
+      data: retention
+    });
+  } catch (error) {
+    console.error('[Documents] Error fetching document retention:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch document retention'
+    });
+  }
+});
 
-function extractPurchaseDate(text) {
-    return new Date().toLocaleDateString();
-}
+// DELETE document (soft delete); refused while on legal hold or within retention
+router.delete('/:documentId', requirePermission('documents:delete'), async (req, res) => {
+  const deleted = await inTransaction(res, 'deleting document', async client => {
+    await retentionService.assertDeletable(req.params.documentId, client);
+    await documentService.deleteDocument(req.params.documentId, { deletedBy: req.user.id }, client);
+    return true;
+  });
+  if (!deleted) return;
+
+  res.json({
+    success: true,
+    message: 'Document deleted successfully'
+  });
+});
 
-function extractExpiryDate(text) {
-    return null;
-}
+// CHECK OUT a document for editing; others cannot check in, restore or delete it
+router.post('/:documentId/checkout', canWrite, async (req, res) => {
+  const document = await inTransaction(res, 'checking out document', client =>
+    versionService.checkOut(req.params.documentId, { userId: req.user.id }, client)
+  );
+  if (!document) return;
+
+  res.json({
+    success: true,
+    message: 'Document checked out',
+    data: document
+  });
+});
 
-function extractCoverage(text) {
-    return 'Standard Coverage';
-}
+// CANCEL a check-out without saving a version
+// Query: force=true releases another user's check-out (needs
+// documents:checkout:override; audit-logged). Body: { reason }
+router.delete('/:documentId/checkout', canWrite, async (req, res) => {
+  const force = req.query.force === 'true';
+  if (force && !(await userCan(req, 'documents:checkout:override'))) {
+    return res.status(403).json({
+      success: false,
+      error: "Releasing another user's check-out needs the documents:checkout:override permission"
+    });
+  }
+
+  const document = await inTransaction(res, 'cancelling check-out', client =>
+    versionService.cancelCheckOut(req.params.documentId, {
+      userId: req.user.id,
+      force,
+      reason: req.body && req.body.reason,
+      ip: req.ip
+    }, client)
+  );
+  if (!document) return;
+
+  res.json({
+    success: true,
+    message: 'Check-out released',
+    data: document
+  });
+});
 
-// Generate insights
-async function generateInsights(document) {
-    const insights = [];
-    
-    if (document.category === 'receipts' && document.extracted.amount) {
-        const amount = parseFloat(document.extracted.amount.replace('$', ''));
-        if (isTaxDeductible(document)) {
-            insights.push({
-                type: 'tax_deduction',
-                message: `Potential tax deduction of $${(amount * 0.25).toFixed(2)}`,
-                priority: 'high'
-            });
-        }
-    }
-    
-    if (document.category === 'warranties' && document.extracted.expiryDate) {
-        const expiryDate = new Date(document.extracted.expiryDate);
-        const daysUntilExpiry = Math.floor((expiryDate - new Date()) / (1000 * 60 * 60 * 24));
-        
-        if (daysUntilExpiry <= 30 && daysUntilExpiry > 0) {
-            insights.push({
-                type: 'expiry_warning',
-                message: `Warranty expires in ${daysUntilExpiry} days`,
-                priority: 'medium'
-            });
-        }
-    }
-    
-    return insights;
+async function checkInVersion(req, res, documentId) {
+  const result = await inTransaction(res, 'checking in document', client =>
+    versionService.checkIn(documentId, req.file, {
+      comment: req.body.comment,
+      userId: req.user.id
+    }, client)
+  );
+  if (!result) return;
+
+  console.log(`[Documents] Document ${documentId} checked in as version ${result.version.version_number}`);
+  ocrService.wake();
+
+  res.status(201).json({
+    success: true,
+    message: `Version ${result.version.version_number} checked in`,
+    data: result
+  });
 }
 
-function isTaxDeductible(document) {
-    const deductibleKeywords = ['medical', 'charity', 'business', 'education', 'office'];
-    const vendor = document.extracted?.vendor?.toLowerCase() || '';
-    
-    return deductibleKeywords.some(keyword => vendor.includes(keyword));
-}
+// CHECK IN a new version
+// Multipart: document (file), comment (required)
+router.post('/:documentId/checkin', canWrite, uploadDocument, (req, res) =>
+  checkInVersion(req, res, req.params.documentId)
+);
+
+// GET version history
+router.get('/:documentId/versions', async (req, res) => {
+  try {
+    const document = req.document;
+
+    const versions = await versionService.listVersions(document.id);
+
+    res.json({
+      success: true,
+      count: versions.length,
+      currentVersion: document.current_version,
+      data: versions
+    });
+  } catch (error) {
+    console.error('[Documents] Error fetching versions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch versions'
+    });
+  }
+});
 
-// Sync document to other platforms
-async function syncDocumentToPlatforms(document) {
-    const syncMap = {
-        'receipts': ['meals', 'kids-banking'],
-        'medical': ['medical', 'calendar', 'emergency'],
-        'school': ['calendar', 'tasks'],
-        'warranties': ['home', 'calendar'],
-        'insurance': ['emergency', 'calendar'],
-        'recipes': ['meals']
-    };
-    
-    const platformsToSync = syncMap[document.category] || [];
-    
-    for (const platform of platformsToSync) {
-        await syncToPlatform(document, platform);
-    }
-}
+// DOWNLOAD a specific version
+router.get('/:documentId/versions/:version/download', async (req, res) => {
+  try {
+    const version = await versionService.getVersion(req.document.id, parseInt(req.params.version));
 
-async function syncToPlatform(document, platform) {
-    const syncService = require('../services/SyncService');
-    
-    const syncData = {
-        platform: 'documents',
-        targetPlatform: platform,
-        data: {
-            documentId: document._id,
-            name: document.name,
-            category: document.category,
-            extracted: document.extracted,
-            uploadDate: document.uploadDate,
-            familyId: document.familyId
-        }
-    };
-    
-    // Platform-specific sync data
-    switch(platform) {
-        case 'meals':
-            if (document.category === 'receipts') {
-                syncData.data.groceryReceipt = {
-                    vendor: document.extracted.vendor,
-                    amount: document.extracted.amount,
-                    items: document.extracted.items
-                };
-            } else if (document.category === 'recipes') {
-                syncData.data.recipe = document.extracted;
-            }
-            break;
-            
-        case 'medical':
-            syncData.data.medicalRecord = {
-                patient: document.extracted.patient,
-                provider: document.extracted.provider,
-                diagnosis: document.extracted.diagnosis,
-                prescriptions: document.extracted.prescriptions
-            };
-            break;
-            
-        case 'calendar':
-            if (document.extracted.expiryDate) {
-                syncData.data.event = {
-                    title: `${document.name} expires`,
-                    date: document.extracted.expiryDate,
-                    type: 'document_expiry'
-                };
-            }
-            break;
-            
-        case 'kids-banking':
-            if (document.extracted.amount) {
-                syncData.data.expense = {
-                    amount: document.extracted.amount,
-                    vendor: document.extracted.vendor,
-                    date: document.extracted.date,
-                    receiptId: document._id
-                };
-            }
-            break;
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found'
+      });
     }
-    
-    await syncService.handleIncomingSync(platform, syncData.data, document.familyId);
-}
 
-// Search documents
-router.post('/search', async (req, res) => {
-    try {
-        const { familyId, query, filters } = req.body;
-        
-        let searchQuery = {
-            familyId,
-            isDeleted: false
-        };
-        
-        // Apply filters
-        if (filters?.category) {
-            searchQuery.category = filters.category;
-        }
-        
-        if (filters?.owner) {
-            searchQuery.owner = filters.owner;
-        }
-        
-        if (filters?.dateRange) {
-            searchQuery.uploadDate = {
-                $gte: new Date(filters.dateRange.start),
-                $lte: new Date(filters.dateRange.end)
-            };
-        }
-        
-        // Text search
-        if (query) {
-            searchQuery.$or = [
-                { name: { $regex: query, $options: 'i' } },
-                { extractedText: { $regex: query, $options: 'i' } },
-                { 'extracted.vendor': { $regex: query, $options: 'i' } }
-            ];
-        }
-        
-        const documents = await Document.find(searchQuery)
-            .sort('-uploadDate')
-            .limit(50);
-        
-        res.json({ success: true, documents });
-        
-    } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-    }
+    res.download(documentService.filePath(version), version.original_name, error => {
+      if (error && !res.headersSent) {
+        console.error('[Documents] Error sending version file:', error.message);
+        res.status(404).json({
+          success: false,
+          error: 'Version file is missing'
+        });
+      }
+    });
+  } catch (error) {
+    console.error('[Documents] Error downloading version:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download version'
+    });
+  }
 });
 
-// Get document insights
-router.get('/insights/:familyId', async (req, res) => {
-    try {
-        const { familyId } = req.params;
-        
-        const documents = await Document.find({ 
-            familyId,
-            isDeleted: false 
-        });
-        
-        const insights = {
-            totalDocuments: documents.length,
-            byCategory: {},
-            taxDeductions: 0,
-            expiringDocuments: [],
-            recentActivity: []
-        };
-        
-        // Count by category
-        documents.forEach(doc => {
-            insights.byCategory[doc.category] = (insights.byCategory[doc.category] || 0) + 1;
-            
-            // Calculate tax deductions
-            if (doc.category === 'receipts' && isTaxDeductible(doc)) {
-                const amount = parseFloat(doc.extracted?.amount?.replace('$', '') || 0);
-                insights.taxDeductions += amount;
-            }
-            
-            // Find expiring documents
-            if (doc.extracted?.expiryDate) {
-                const expiryDate = new Date(doc.extracted.expiryDate);
-                const daysUntil = Math.floor((expiryDate - new Date()) / (1000 * 60 * 60 * 24));
-                
-                if (daysUntil <= 30 && daysUntil > 0) {
-                    insights.expiringDocuments.push({
-                        document: doc,
-                        daysUntilExpiry: daysUntil
-                    });
-                }
-            }
-        });
-        
-        // Recent activity
-        insights.recentActivity = documents
-            .sort((a, b) => b.uploadDate - a.uploadDate)
-            .slice(0, 10)
-            .map(doc => ({
-                id: doc._id,
-                name: doc.name,
-                category: doc.category,
-                uploadDate: doc.uploadDate
-            }));
-        
-        res.json({ success: true, insights });
-        
-    } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-    }
+// RESTORE an earlier version as the new current version
+// Body: { comment }
+router.post('/:documentId/versions/:version/restore', canWrite, async (req, res) => {
+  const result = await inTransaction(res, 'restoring version', client =>
+    versionService.restoreVersion(req.params.documentId, parseInt(req.params.version), {
+      comment: req.body.comment,
+      userId: req.user.id
+    }, client)
+  );
+  if (!result) return;
+
+  ocrService.wake();
+
+  res.status(201).json({
+    success: true,
+    message: `Version ${req.params.version} restored as version ${result.version.version_number}`,
+    data: result
+  });
 });
 
-// Share document
-router.post('/share/:documentId', async (req, res) => {
-    try {
-        const { documentId } = req.params;
-        const { shareWith, permissions, expiryDate } = req.body;
-        
-        const document = await Document.findById(documentId);
-        if (!document) {
-            return res.status(404).json({ success: false, error: 'Document not found' });
-        }
-        
-        // Create share link
-        const shareLink = {
-            documentId,
-            token: generateShareToken(),
-            sharedWith: shareWith,
-            permissions: permissions || ['view'],
-            expiryDate: expiryDate || new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
-            createdAt: new Date()
-        };
-        
-        document.shares = document.shares || [];
-        document.shares.push(shareLink);
-        await document.save();
-        
-        // Notify via WebSocket
-        socketService.emitToFamily(document.familyId, 'document_shared', {
-            document: document.name,
-            sharedBy: req.body.sharedBy,
-            sharedWith: shareWith
-        });
-        
-        res.json({ 
-            success: true, 
-            shareLink: `${req.protocol}://${req.get('host')}/documents/shared/${shareLink.token}`
-        });
-        
-    } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-    }
+// GET extracted text by page, with the document's processing status
+// Query: version (defaults to the current version)
+router.get('/:documentId/pages', async (req, res) => {
+  try {
+    const document = req.document;
+
+    const version = parseInt(req.query.version) || document.current_version;
+    const pages = await ocrService.getPages(document.id, version);
+
+    res.json({
+      success: true,
+      count: pages.length,
+      version,
+      // Processing status only describes the current version
+      ocr: version === document.current_version ? {
+        status: document.ocr_status,
+        error: document.ocr_error,
+        pageCount: document.page_count,
+        completedAt: document.ocr_completed_at
+      } : null,
+      data: pages
+    });
+  } catch (error) {
+    console.error('[Documents] Error fetching document text:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch document text'
+    });
+  }
 });
 
-function generateShareToken() {
-    return Math.random().toString(36).substr(2) + Date.now().toString(36);
-}
+// RE-RUN text extraction for the current version
+router.post('/:documentId/ocr', canWrite, async (req, res) => {
+  try {
+    const document = await ocrService.requeue(req.params.documentId);
+
+    res.status(202).json({
+      success: true,
+      message: 'Text extraction queued',
+      data: document
+    });
+  } catch (error) {
+    console.error('[Documents] Error queueing text extraction:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to queue text extraction'
+    });
+  }
+});
 
-// Delete document
-router.delete('/:documentId', async (req, res) => {
-    try {
-        const { documentId } = req.params;
-        
-        const document = await Document.findById(documentId);
-        if (!document) {
-            return res.status(404).json({ success: false, error: 'Document not found' });
-        }
-        
-        // Soft delete
-        document.isDeleted = true;
-        document.deletedAt = new Date();
-        await document.save();
-        
-        // Notify family
-        socketService.emitToFamily(document.familyId, 'document_deleted', {
-            documentId,
-            deletedBy: req.body.deletedBy
-        });
-        
-        res.json({ success: true, message: 'Document deleted successfully' });
-        
-    } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-    }
+// SHARE a document through an expiring public link. The URL is only shown here.
+// Body: { expiresInDays (default 7, max 90), passcode, maxDownloads, recipientEmail, note }
+router.post('/:documentId/shares', requirePermission('documents:share'), async (req, res) => {
+  try {
+    const document = req.document;
+
+    const { share, token } = await shareService.createShare(document.id, {
+      expiresInDays: req.body.expiresInDays,
+      passcode: req.body.passcode,
+      maxDownloads: req.body.maxDownloads,
+      recipientEmail: req.body.recipientEmail,
+      note: req.body.note,
+      userId: req.user.id
+    });
+
+    console.log(`[Documents] User ${req.user.id} shared document ${document.id} (share ${share.id}, expires ${share.expires_at.toISOString()})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Share link created',
+      data: {
+        ...share,
+        url: shareUrl(req, token),
+        downloadUrl: `${shareUrl(req, token)}/download`
+      }
+    });
+  } catch (error) {
+    console.error('[Documents] Error creating share link:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to create share link'
+    });
+  }
 });
 
-// Batch operations
-router.post('/batch/categorize', async (req, res) => {
-    try {
-        const { familyId, documentIds } = req.body;
-        
-        const documents = await Document.find({
-            _id: { $in: documentIds },
-            familyId
-        });
-        
-        const categorized = [];
-        
-        for (const doc of documents) {
-            if (doc.category === 'uncategorized') {
-                doc.category = await categorizeDocument(doc.extractedText || doc.name);
-                doc.extracted = await extractFields(doc.extractedText || '', doc.category);
-                await doc.save();
-                categorized.push(doc);
-            }
-        }
-        
-        res.json({ 
-            success: true, 
-            message: `Categorized ${categorized.length} documents`,
-            documents: categorized
-        });
-        
-    } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+// GET a document's share links with their status and download counts
+router.get('/:documentId/shares', async (req, res) => {
+  try {
+    const document = req.document;
+
+    const shares = await shareService.listShares(document.id);
+
+    res.json({
+      success: true,
+      count: shares.length,
+      data: shares
+    });
+  } catch (error) {
+    console.error('[Documents] Error fetching share links:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch share links'
+    });
+  }
+});
+
+// SHOW a document to its client in the client portal
+router.post('/:documentId/portal', requirePermission('documents:share'), async (req, res) => {
+  try {
+    const visible = req.document;
+
+    const document = await documentService.setPortalShared(visible.id, true, { userId: req.user.id });
+
+    console.log(`[Documents] User ${req.user.id} shared document ${document.id} in the portal of client ${document.customer_id}`);
+
+    res.json({
+      success: true,
+      message: 'Document shared in the client portal',
+      data: document
+    });
+  } catch (error) {
+    console.error('[Documents] Error sharing document in portal:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to share document in portal'
+    });
+  }
+});
+
+// STOP showing a document in the client portal
+router.delete('/:documentId/portal', requirePermission('documents:share'), async (req, res) => {
+  try {
+    const visible = req.document;
+
+    const document = await documentService.setPortalShared(visible.id, false);
+
+    res.json({
+      success: true,
+      message: 'Document removed from the client portal',
+      data: document
+    });
+  } catch (error) {
+    console.error('[Documents] Error removing document from portal:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to remove document from portal'
+    });
+  }
+});
+
+// GET every access attempt on a share link (IP, user agent, outcome)
+router.get('/shares/:shareId/access', async (req, res) => {
+  try {
+    const share = await shareService.getShare(req.params.shareId);
+
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        error: 'Share link not found'
+      });
     }
+
+    const log = await shareService.getAccessLog(share.id);
+
+    res.json({
+      success: true,
+      count: log.length,
+      share,
+      data: log
+    });
+  } catch (error) {
+    console.error('[Documents] Error fetching share access log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch share access log'
+    });
+  }
+});
+
+// REVOKE a share link; it stops working immediately
+router.delete('/shares/:shareId', requirePermission('documents:share'), async (req, res) => {
+  try {
+    const share = await shareService.revokeShare(req.params.shareId, { userId: req.user.id });
+
+    console.log(`[Documents] User ${req.user.id} revoked share ${share.id} of document ${share.document_id}`);
+
+    res.json({
+      success: true,
+      message: 'Share link revoked',
+      data: share
+    });
+  } catch (error) {
+    console.error('[Documents] Error revoking share link:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to revoke share link'
+    });
+  }
+});
+
+// GET category and extracted fields
+router.get('/:documentId/fields', async (req, res) => {
+  try {
+    const document = req.document;
+
+    res.json({
+      success: true,
+      data: await classificationService.getClassification(document.id)
+    });
+  } catch (error) {
+    console.error('[Documents] Error fetching document fields:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch document fields'
+    });
+  }
+});
+
+// CORRECT the category or extracted fields; null reverts to the suggestion
+// Body: { category, fields: { parties: [{ name, role }], effective_date, governing_law,
+//   case_number, court, signature_blocks: [{ name, title }] } }
+router.put('/:documentId/fields', canWrite, async (req, res) => {
+  const classification = await inTransaction(res, 'updating document fields', client =>
+    classificationService.updateClassification(req.params.documentId, {
+      category: req.body.category,
+      fields: req.body.fields
+    }, { userId: req.user.id }, client)
+  );
+  if (!classification) return;
+
+  res.json({
+    success: true,
+    message: 'Document fields updated',
+    data: classification
+  });
+});
+
+// RE-RUN categorisation and field extraction on the stored text
+router.post('/:documentId/classify', canWrite, async (req, res) => {
+  try {
+    const classification = await classificationService.classifyDocument(req.params.documentId);
+
+    res.json({
+      success: true,
+      message: 'Document classified',
+      data: classification
+    });
+  } catch (error) {
+    console.error('[Documents] Error classifying document:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to classify document'
+    });
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
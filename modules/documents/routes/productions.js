@@ -0,0 +1,147 @@
+/**
+ * Production Routes
+ * Bates-numbered discovery productions of a matter's documents, built in
+ * the background as a ZIP with DAT/OPT load files and a privilege log
+ * (see productionService). Mounted behind the documents router's staff
+ * authentication and documents:produce; productions of a matter behind an
+ * ethical wall are refused.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { inTransaction } = require('../database/transaction');
+const { screen, screenBody } = require('../../matters/middleware/ethicalWall');
+const productionService = require('../services/productionService');
+
+function sendError(res, error, fallback) {
+  if (!error.status) {
+    console.error(`[Documents] Error ${fallback}:`, error);
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : `Failed ${fallback}`
+  });
+}
+
+router.param('productionId', screen('production'));
+
+// GET productions
+// Query: matterId, status (pending|generating|complete|failed)
+router.get('/', async (req, res) => {
+  if (req.query.status && !productionService.PRODUCTION_STATUSES.includes(req.query.status)) {
+    return res.status(400).json({
+      success: false,
+      error: `status must be one of: ${productionService.PRODUCTION_STATUSES.join(', ')}`
+    });
+  }
+
+  try {
+    const productions = await productionService.listProductions({
+      matterId: req.query.matterId,
+      status: req.query.status,
+      viewerId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      count: productions.length,
+      data: productions
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching productions');
+  }
+});
+
+// CREATE a production; the ZIP is generated in the background
+// Body: { matterId, name, prefix, startNumber, digits, volume, documentIds,
+//         withheld: [{ documentId, basis, description }] }
+// Privileged documents are always withheld and logged.
+router.post('/', screenBody({ matterId: 'matter' }), async (req, res) => {
+  const production = await inTransaction(res, 'creating production', client =>
+    productionService.createProduction({
+      ...req.body,
+      userId: req.user.id
+    }, client)
+  );
+  if (!production) return;
+
+  console.log(`[Documents] Production ${production.id} of ${production.document_count} document(s) on matter ${production.matter_id} queued by user ${req.user.id}`);
+  productionService.wake();
+
+  res.status(202).json({
+    success: true,
+    message: 'Production queued; download it once its status is complete',
+    data: production
+  });
+});
+
+// GET a production with each document's Bates range
+router.get('/:productionId', async (req, res) => {
+  try {
+    const production = await productionService.getProduction(req.params.productionId);
+
+    if (!production) {
+      return res.status(404).json({
+        success: false,
+        error: 'Production not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: production
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching production');
+  }
+});
+
+// DOWNLOAD a completed production ZIP
+router.get('/:productionId/download', async (req, res) => {
+  try {
+    const production = await productionService.getProduction(req.params.productionId);
+
+    if (!production) {
+      return res.status(404).json({
+        success: false,
+        error: 'Production not found'
+      });
+    }
+    if (production.status !== 'complete') {
+      return res.status(409).json({
+        success: false,
+        error: `Production is ${production.status}`
+      });
+    }
+
+    const fileName = `${production.matter_number}-${production.volume}.zip`.replace(/[^A-Za-z0-9._-]/g, '_');
+    res.download(productionService.archivePath(production), fileName, error => {
+      if (error && !res.headersSent) {
+        console.error(`[Documents] Error sending production ${production.id}:`, error.message);
+        res.status(404).json({
+          success: false,
+          error: 'Production file is missing'
+        });
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'downloading production');
+  }
+});
+
+// RETRY a failed production
+router.post('/:productionId/retry', async (req, res) => {
+  try {
+    const production = await productionService.retryProduction(req.params.productionId);
+
+    res.status(202).json({
+      success: true,
+      message: 'Production queued again',
+      data: production
+    });
+  } catch (error) {
+    sendError(res, error, 'retrying production');
+  }
+});
+
+module.exports = router;
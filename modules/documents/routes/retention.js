@@ -0,0 +1,258 @@
+/**
+ * Retention Routes
+ * Retention schedules, legal holds and purges of documents past retention
+ * with their certificates of destruction (see retentionService). Mounted
+ * behind the documents router's staff authentication and
+ * documents:retention. Holds on a matter behind an ethical wall are refused
+ * to screened users and left out of their lists.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { screen, screenBody } = require('../../matters/middleware/ethicalWall');
+const documentService = require('../services/documentService');
+const retentionService = require('../services/retentionService');
+
+function sendError(res, error, fallback) {
+  if (!error.status) {
+    console.error(`[Documents] Error ${fallback}:`, error);
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : `Failed ${fallback}`
+  });
+}
+
+router.param('holdId', screen('legalHold'));
+
+// ---- Policies ----
+
+// GET retention policies
+// Query: includeInactive=true
+router.get('/policies', async (req, res) => {
+  try {
+    const policies = await retentionService.listPolicies({
+      includeInactive: documentService.parseBoolean(req.query.includeInactive) === true
+    });
+
+    res.json({
+      success: true,
+      count: policies.length,
+      data: policies
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching retention policies');
+  }
+});
+
+// CREATE a retention policy
+// Body: { name, description, documentType, matterStatus, retentionYears (null = permanent) }
+router.post('/policies', async (req, res) => {
+  try {
+    const policy = await retentionService.createPolicy(req.body, { userId: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Retention policy created',
+      data: policy
+    });
+  } catch (error) {
+    sendError(res, error, 'creating retention policy');
+  }
+});
+
+// UPDATE a policy's name, description or retention period
+// Body: { name, description, retentionYears }
+router.put('/policies/:policyId', async (req, res) => {
+  try {
+    const policy = await retentionService.updatePolicy(req.params.policyId, req.body);
+
+    res.json({
+      success: true,
+      message: 'Retention policy updated',
+      data: policy
+    });
+  } catch (error) {
+    sendError(res, error, 'updating retention policy');
+  }
+});
+
+// DEACTIVATE a policy; documents fall back to the next most specific one
+router.delete('/policies/:policyId', async (req, res) => {
+  try {
+    await retentionService.deactivatePolicy(req.params.policyId);
+
+    res.json({
+      success: true,
+      message: 'Retention policy deactivated'
+    });
+  } catch (error) {
+    sendError(res, error, 'deactivating retention policy');
+  }
+});
+
+// ---- Legal holds ----
+
+// GET legal holds
+// Query: active=true|false
+router.get('/holds', async (req, res) => {
+  try {
+    const holds = await retentionService.listHolds({
+      active: documentService.parseBoolean(req.query.active),
+      viewerId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      count: holds.length,
+      data: holds
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching legal holds');
+  }
+});
+
+// PLACE a legal hold on a matter or a custodian
+// Body: { name, reason, matterId | custodianUserId | custodianName }
+router.post('/holds', screenBody({ matterId: 'matter' }), async (req, res) => {
+  try {
+    const hold = await retentionService.createHold(req.body, { userId: req.user.id });
+
+    console.log(`[Documents] Legal hold ${hold.id} placed by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Legal hold placed',
+      data: hold
+    });
+  } catch (error) {
+    sendError(res, error, 'placing legal hold');
+  }
+});
+
+// GET a legal hold with the number of documents it covers
+router.get('/holds/:holdId', async (req, res) => {
+  try {
+    const hold = await retentionService.getHold(req.params.holdId);
+
+    if (!hold) {
+      return res.status(404).json({
+        success: false,
+        error: 'Legal hold not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: hold
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching legal hold');
+  }
+});
+
+// RELEASE a legal hold
+// Body: { reason }
+router.post('/holds/:holdId/release', async (req, res) => {
+  try {
+    const hold = await retentionService.releaseHold(req.params.holdId, {
+      reason: req.body.reason,
+      userId: req.user.id
+    });
+
+    console.log(`[Documents] Legal hold ${hold.id} released by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Legal hold released',
+      data: hold
+    });
+  } catch (error) {
+    sendError(res, error, 'releasing legal hold');
+  }
+});
+
+// ---- Purge ----
+
+// GET documents the next purge would destroy
+router.get('/eligible', async (req, res) => {
+  try {
+    const documents = await retentionService.eligibleDocuments({ viewerId: req.user.id });
+
+    res.json({
+      success: true,
+      count: documents.length,
+      data: documents
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching documents due for destruction');
+  }
+});
+
+// RUN a purge now instead of waiting for the schedule
+router.post('/purge', async (req, res) => {
+  try {
+    const run = await retentionService.purge({ trigger: 'manual', userId: req.user.id });
+
+    console.log(`[Documents] Retention purge ${run.id} destroyed ${run.documents_destroyed} document(s) for user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: `${run.documents_destroyed} document(s) destroyed`,
+      data: run
+    });
+  } catch (error) {
+    sendError(res, error, 'running retention purge');
+  }
+});
+
+// GET past purge runs
+router.get('/runs', async (req, res) => {
+  try {
+    const runs = await retentionService.listRuns();
+
+    res.json({
+      success: true,
+      count: runs.length,
+      data: runs
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching purge runs');
+  }
+});
+
+// GET a purge run with the documents it destroyed
+router.get('/runs/:runId', async (req, res) => {
+  try {
+    const run = await retentionService.getRun(req.params.runId);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Purge run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching purge run');
+  }
+});
+
+// DOWNLOAD a purge run's certificate of destruction (PDF)
+router.get('/runs/:runId/certificate', async (req, res) => {
+  try {
+    const pdf = await retentionService.certificate(req.params.runId);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="destruction-certificate-${Number(req.params.runId)}.pdf"`);
+    res.send(Buffer.from(pdf));
+  } catch (error) {
+    sendError(res, error, 'generating certificate of destruction');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+/**
+ * Shared Document Routes
+ * Public, token-validated access to documents shared by staff. Mounted
+ * ahead of authentication; the token in the URL is the credential.
+ * A passcode, when the link has one, is sent in the body or the
+ * X-Share-Passcode header, never in the URL.
+ */
+
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const documentService = require('../services/documentService');
+const shareService = require('../services/shareService');
+
+// Guessing tokens or passcodes from one address gets slow quickly
+const sharedLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60,
+  message: {
+    success: false,
+    error: 'Too many requests, please try again later.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+router.use(sharedLimiter);
+
+function requesterOf(req) {
+  return { ip: req.ip, userAgent: req.get('user-agent') };
+}
+
+function sendError(res, error, fallback) {
+  if (!error.status) {
+    console.error(`[Documents] Error ${fallback}:`, error);
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : `Failed ${fallback}`,
+    ...(error.passcodeRequired ? { passcodeRequired: true } : {})
+  });
+}
+
+// GET what a link points to (file details are withheld behind a passcode)
+router.get('/:token', async (req, res) => {
+  try {
+    const details = await shareService.viewShare(req.params.token, requesterOf(req));
+
+    res.json({
+      success: true,
+      data: details
+    });
+  } catch (error) {
+    sendError(res, error, 'opening share link');
+  }
+});
+
+async function download(req, res) {
+  try {
+    const passcode = (req.body && req.body.passcode) || req.get('x-share-passcode');
+    const file = await shareService.claimDownload(req.params.token, passcode, requesterOf(req));
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.download(documentService.filePath(file), file.original_name, error => {
+      if (error && !res.headersSent) {
+        console.error(`[Documents] Error sending shared document ${file.documentId}:`, error.message);
+        res.status(404).json({
+          success: false,
+          error: 'Document file is missing'
+        });
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'downloading shared document');
+  }
+}
+
+// DOWNLOAD through a link. Body: { passcode } or header X-Share-Passcode
+router.get('/:token/download', download);
+router.post('/:token/download', download);
+
+module.exports = router;
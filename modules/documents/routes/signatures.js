@@ -0,0 +1,157 @@
+/**
+ * Signature Request Routes
+ * Staff side of electronic signing: send a document for signature, follow
+ * its progress and audit trail, resend links, void requests and revoke
+ * links to the signed copy (see signatureService). Mounted behind the
+ * documents router's staff authentication and documents:sign; signers use
+ * the public routes in signing.js.
+ * Requests for a document, matter or client behind an ethical wall are refused.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { inTransaction } = require('../database/transaction');
+const { screen, screenBody } = require('../../matters/middleware/ethicalWall');
+const signatureService = require('../services/signatureService');
+
+function sendError(res, error, fallback) {
+  if (!error.status) {
+    console.error(`[Documents] Error ${fallback}:`, error);
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : `Failed ${fallback}`
+  });
+}
+
+router.param('requestId', screen('signatureRequest'));
+
+// GET signature requests
+// Query: status (pending|completed|declined|voided), matterId, documentId
+router.get('/', async (req, res) => {
+  try {
+    const requests = await signatureService.listRequests({
+      status: req.query.status,
+      matterId: req.query.matterId,
+      documentId: req.query.documentId,
+      viewerId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      count: requests.length,
+      data: requests
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching signature requests');
+  }
+});
+
+// SEND a document for signature; the first signers are emailed at once
+// Body: { documentId, title, message, expiresInDays, bookingId,
+//         signers: [{ name, email, role, order, placement: { page, x, y, width } }] }
+// Without signers the document's client is the only signer.
+router.post('/', screenBody({ documentId: 'document', bookingId: 'booking' }), async (req, res) => {
+  const request = await inTransaction(res, 'creating signature request', client =>
+    signatureService.createRequest({
+      ...req.body,
+      userId: req.user.id
+    }, client)
+  );
+  if (!request) return;
+
+  console.log(`[Documents] Signature request ${request.id} for document ${request.document_id} created by user ${req.user.id}`);
+
+  try {
+    const invitations = await signatureService.inviteNext(request.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Signature request sent',
+      data: await signatureService.getRequest(request.id),
+      invitations
+    });
+  } catch (error) {
+    sendError(res, error, 'sending signature invitations');
+  }
+});
+
+// GET a request with its signers and audit trail
+router.get('/:requestId', async (req, res) => {
+  try {
+    const request = await signatureService.getRequest(req.params.requestId);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: 'Signature request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching signature request');
+  }
+});
+
+// RESEND a signer's invitation with a new link (the old one stops working)
+router.post('/:requestId/signers/:signerId/resend', async (req, res) => {
+  try {
+    const invitation = await signatureService.resendInvitation(req.params.requestId, req.params.signerId);
+
+    res.json({
+      success: true,
+      message: invitation.emailed ? 'Invitation resent' : 'Invitation could not be emailed; share the link directly',
+      data: invitation
+    });
+  } catch (error) {
+    sendError(res, error, 'resending invitation');
+  }
+});
+
+// VOID a pending request; its links stop working
+// Body: { reason }
+router.post('/:requestId/void', async (req, res) => {
+  try {
+    const request = await signatureService.voidRequest(req.params.requestId, {
+      reason: req.body.reason,
+      userId: req.user.id
+    });
+
+    console.log(`[Documents] Signature request ${request.id} voided by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Signature request voided',
+      data: request
+    });
+  } catch (error) {
+    sendError(res, error, 'voiding signature request');
+  }
+});
+
+// REVOKE the signers' links to a completed request's signed copy
+// Body: { reason }
+router.post('/:requestId/revoke-copy-links', async (req, res) => {
+  try {
+    const revoked = await signatureService.revokeCopyLinks(req.params.requestId, {
+      reason: req.body.reason,
+      userId: req.user.id
+    });
+
+    console.log(`[Documents] ${revoked} signed copy link(s) for request ${req.params.requestId} revoked by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Signed copy links revoked',
+      data: { revoked }
+    });
+  } catch (error) {
+    sendError(res, error, 'revoking signed copy links');
+  }
+});
+
+module.exports = router;
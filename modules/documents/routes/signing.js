@@ -0,0 +1,151 @@
+/**
+ * Signing Routes
+ * Public side of electronic signing. Mounted ahead of authentication; the
+ * token in the emailed link is the credential. Signers review the
+ * document, consent to signing electronically, then sign or decline.
+ */
+
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const { inTransaction } = require('../database/transaction');
+const documentService = require('../services/documentService');
+const signatureService = require('../services/signatureService');
+const ocrService = require('../services/ocrService');
+
+const signingLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60,
+  message: {
+    success: false,
+    error: 'Too many requests, please try again later.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+router.use(signingLimiter);
+
+function requesterOf(req) {
+  return { ip: req.ip, userAgent: req.get('user-agent') };
+}
+
+function sendError(res, error, fallback) {
+  if (!error.status) {
+    console.error(`[Documents] Error ${fallback}:`, error);
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : `Failed ${fallback}`
+  });
+}
+
+// GET what is to be signed, the consent text and everyone's progress
+router.get('/:token', async (req, res) => {
+  try {
+    const details = await signatureService.viewSigning(req.params.token, requesterOf(req));
+
+    res.json({
+      success: true,
+      data: details
+    });
+  } catch (error) {
+    sendError(res, error, 'opening signing link');
+  }
+});
+
+// DOWNLOAD the document to review, or the signed copy once complete
+router.get('/:token/document', async (req, res) => {
+  try {
+    const result = await signatureService.signingDocument(req.params.token, requesterOf(req));
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (result.file) {
+      return res.download(documentService.filePath(result.file), result.file.original_name, error => {
+        if (error && !res.headersSent) {
+          console.error(`[Documents] Error sending signed document ${result.file.id}:`, error.message);
+          res.status(404).json({
+            success: false,
+            error: 'Document file is missing'
+          });
+        }
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${result.fileName.replace(/"/g, '')}"`);
+    res.send(result.buffer);
+  } catch (error) {
+    sendError(res, error, 'fetching document for signing');
+  }
+});
+
+// CONSENT to signing electronically
+// Body: { agree: true }
+router.post('/:token/consent', async (req, res) => {
+  if (req.body.agree !== true) {
+    return res.status(400).json({
+      success: false,
+      error: 'agree must be true to consent'
+    });
+  }
+
+  try {
+    await signatureService.consent(req.params.token, requesterOf(req));
+
+    res.json({
+      success: true,
+      message: 'Consent recorded'
+    });
+  } catch (error) {
+    sendError(res, error, 'recording consent');
+  }
+});
+
+// SIGN with a drawn image or typed name
+// Body: { method: 'drawn' | 'typed', name, image (PNG data URL), consent }
+router.post('/:token/sign', async (req, res) => {
+  const result = await inTransaction(res, 'signing document', client =>
+    signatureService.sign(req.params.token, req.body, requesterOf(req), client)
+  );
+  if (!result) return;
+
+  console.log(`[Documents] Signature recorded on request ${result.requestId}${result.completed ? ' (completed)' : ''}`);
+
+  // Emails go out after the signature is committed; a failure here is
+  // logged on the request and does not undo the signature
+  try {
+    if (result.completed) {
+      ocrService.wake();
+      await signatureService.notifyCompleted(result.requestId);
+    } else {
+      await signatureService.inviteNext(result.requestId);
+    }
+  } catch (error) {
+    console.error(`[Documents] Error notifying signers of request ${result.requestId}:`, error);
+  }
+
+  res.json({
+    success: true,
+    message: result.completed ? 'Signed. Everyone has now signed.' : 'Signed. Other parties will be asked to sign next.',
+    data: { completed: result.completed }
+  });
+});
+
+// DECLINE to sign; the request stops for everyone
+// Body: { reason }
+router.post('/:token/decline', async (req, res) => {
+  const declined = await inTransaction(res, 'declining signature', async client => {
+    await signatureService.decline(req.params.token, req.body.reason, requesterOf(req), client);
+    return true;
+  });
+  if (!declined) return;
+
+  res.json({
+    success: true,
+    message: 'You have declined to sign'
+  });
+});
+
+module.exports = router;
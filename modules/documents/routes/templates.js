@@ -0,0 +1,241 @@
+/**
+ * Document Template Routes
+ * Upload DOCX/HTML templates with merge fields and generate filled
+ * documents from a client, matter and booking (see templateService).
+ * Mounted behind the documents router's staff authentication; changing
+ * templates needs documents:templates and filling them documents:write.
+ * Filling from a client, matter or booking behind an ethical wall is refused.
+ */
+
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const { requirePermission } = require('../../auth/middleware/auth');
+const { screenBody } = require('../../matters/middleware/ethicalWall');
+const { inTransaction } = require('../database/transaction');
+const templateService = require('../services/templateService');
+const ocrService = require('../services/ocrService');
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.mkdir(templateService.TEMPLATE_DIR, { recursive: true }, error => cb(error, templateService.TEMPLATE_DIR));
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'template-' + uniqueSuffix + path.extname(file.originalname).toLowerCase());
+  }
+});
+
+const upload = multer({
+  storage,
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: (req, file, cb) => {
+    if (templateService.TEMPLATE_FORMATS[path.extname(file.originalname).toLowerCase()]) {
+      return cb(null, true);
+    }
+    const error = new Error('Templates must be .docx or .html files');
+    error.status = 400;
+    cb(error);
+  }
+});
+
+function uploadTemplate(req, res, next) {
+  upload.single('template')(req, res, error => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.code === 'LIMIT_FILE_SIZE' ? 'File is larger than 10MB' : error.message
+      });
+    }
+    next();
+  });
+}
+
+function sendError(res, error, fallback) {
+  if (!error.status) {
+    console.error(`[Documents] Error ${fallback}:`, error);
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : `Failed ${fallback}`
+  });
+}
+
+const canManage = requirePermission('documents:templates');
+const canFill = requirePermission('documents:write');
+const screenMergeSources = screenBody({ customerId: 'customer', matterId: 'matter', bookingId: 'booking' });
+
+// Body fields shared by preview and generate
+function mergeOptions(req) {
+  return {
+    customerId: req.body.customerId,
+    matterId: req.body.matterId,
+    bookingId: req.body.bookingId,
+    custom: req.body.data,
+    userId: req.user.id
+  };
+}
+
+// GET templates
+// Query: format (docx|html), documentType, includeInactive
+router.get('/', async (req, res) => {
+  try {
+    const templates = await templateService.listTemplates({
+      format: req.query.format,
+      documentType: req.query.documentType,
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    res.json({
+      success: true,
+      count: templates.length,
+      data: templates
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching templates');
+  }
+});
+
+// UPLOAD template
+// Multipart: template (.docx or .html file), name, description, documentType
+router.post('/', canManage, uploadTemplate, async (req, res) => {
+  try {
+    const template = await templateService.createTemplate({
+      ...req.body,
+      userId: req.user.id
+    }, req.file);
+
+    console.log(`[Documents] Template ${template.id} (${template.name}) uploaded by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Template uploaded successfully',
+      data: template
+    });
+  } catch (error) {
+    sendError(res, error, 'uploading template');
+  }
+});
+
+// GET single template with its merge fields
+router.get('/:templateId', async (req, res) => {
+  try {
+    const template = await templateService.getTemplate(req.params.templateId);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching template');
+  }
+});
+
+// DOWNLOAD template file
+router.get('/:templateId/download', async (req, res) => {
+  try {
+    const template = await templateService.getTemplate(req.params.templateId);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+
+    res.download(templateService.templatePath(template), template.original_name, error => {
+      if (error && !res.headersSent) {
+        console.error(`[Documents] Error sending template ${template.id}:`, error.message);
+        res.status(404).json({
+          success: false,
+          error: 'Template file is missing'
+        });
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'downloading template');
+  }
+});
+
+// UPDATE template details, or replace its file
+// Multipart or JSON: name, description, documentType, isActive, template (file)
+router.put('/:templateId', canManage, uploadTemplate, async (req, res) => {
+  try {
+    const template = await templateService.updateTemplate(req.params.templateId, req.body, req.file);
+
+    res.json({
+      success: true,
+      message: 'Template updated successfully',
+      data: template
+    });
+  } catch (error) {
+    sendError(res, error, 'updating template');
+  }
+});
+
+// DELETE template (deactivated; documents made from it keep the link)
+router.delete('/:templateId', canManage, async (req, res) => {
+  try {
+    await templateService.deactivateTemplate(req.params.templateId);
+
+    res.json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
+  } catch (error) {
+    sendError(res, error, 'deleting template');
+  }
+});
+
+// PREVIEW the merge data and fields that would be left blank
+// Body: { customerId, matterId, bookingId, data }
+router.post('/:templateId/preview', canFill, screenMergeSources, async (req, res) => {
+  try {
+    const preview = await templateService.previewTemplate(req.params.templateId, mergeOptions(req));
+
+    res.json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    sendError(res, error, 'previewing template');
+  }
+});
+
+// GENERATE a document and file it under the matter (or client)
+// Body: { customerId, matterId, bookingId, data, title, description,
+//         isPrivileged, confidentiality, comment }
+router.post('/:templateId/generate', canFill, screenMergeSources, async (req, res) => {
+  const result = await inTransaction(res, 'generating document', client =>
+    templateService.generateDocument(req.params.templateId, {
+      ...mergeOptions(req),
+      title: req.body.title,
+      description: req.body.description,
+      isPrivileged: req.body.isPrivileged,
+      confidentiality: req.body.confidentiality,
+      comment: req.body.comment
+    }, client)
+  );
+  if (!result) return;
+
+  console.log(`[Documents] Generated document ${result.document.id} from template ${req.params.templateId}`);
+  ocrService.wake();
+
+  res.status(201).json({
+    success: true,
+    message: 'Document generated successfully',
+    data: result.document,
+    missingFields: result.missingFields
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,112 @@
+/**
+ * Bates PDF Service
+ * Builds the page images of a production: each page stamped with its
+ * Bates number (and a confidentiality legend where the document carries
+ * one), images laid out on Letter pages, and slip sheets standing in for
+ * withheld and natively produced documents.
+ */
+
+const { PDFDocument, StandardFonts, degrees, rgb } = require('pdf-lib');
+const { PAGE_WIDTH, PAGE_HEIGHT, MARGIN, LINE_HEIGHT, printable, writer, standardFonts } = require('./pdfLayout');
+
+// Stamps sit this far in from the bottom corners of the visible page
+const STAMP_INSET = 18;
+const STAMP_SIZE = 9;
+
+// Protective-order legends by document confidentiality
+const LEGENDS = {
+  confidential: 'CONFIDENTIAL',
+  highly_confidential: 'HIGHLY CONFIDENTIAL',
+  attorneys_eyes_only: "ATTORNEYS' EYES ONLY"
+};
+
+function batesNumber(prefix, number, digits) {
+  return `${prefix}${String(number).padStart(digits, '0')}`;
+}
+
+// Draw text at a point measured from the bottom-left of the page as it
+// is displayed, whatever the page's /Rotate
+function drawUpright(page, text, vx, vy, options) {
+  const { x, y, width, height } = page.getCropBox();
+  const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+  const placements = {
+    0: { x: x + vx, y: y + vy },
+    90: { x: x + width - vy, y: y + vx },
+    180: { x: x + width - vx, y: y + height - vy },
+    270: { x: x + vy, y: y + height - vx }
+  };
+  page.drawText(text, { ...options, ...(placements[rotation] || placements[0]), rotate: degrees(rotation) });
+}
+
+/**
+ * Stamp every page with consecutive Bates numbers from `start`; returns
+ * the stamped PDF and its page count
+ */
+async function stamp(source, { prefix, start, digits, confidentiality }) {
+  const pdf = await PDFDocument.load(source, { ignoreEncryption: true });
+  pdf.getForm().flatten();
+  const font = await pdf.embedFont(StandardFonts.HelveticaBold);
+  const legend = LEGENDS[confidentiality];
+
+  pdf.getPages().forEach((page, index) => {
+    const { width, height } = page.getCropBox();
+    const visibleWidth = page.getRotation().angle % 180 === 0 ? width : height;
+    const number = batesNumber(prefix, start + index, digits);
+    const options = { size: STAMP_SIZE, font, color: rgb(0, 0, 0) };
+
+    drawUpright(page, number, visibleWidth - STAMP_INSET - font.widthOfTextAtSize(number, STAMP_SIZE), STAMP_INSET, options);
+    if (legend) {
+      drawUpright(page, legend, STAMP_INSET, STAMP_INSET, options);
+    }
+  });
+
+  return { bytes: await pdf.save(), pageCount: pdf.getPageCount() };
+}
+
+/**
+ * Lay out images (PNG buffers, one per page) on Letter pages, scaled to
+ * fit inside the margins
+ */
+async function imagesToPdf(images) {
+  const pdf = await PDFDocument.create();
+  for (const png of images) {
+    const image = await pdf.embedPng(png);
+    const landscape = image.width > image.height;
+    const [pageWidth, pageHeight] = landscape ? [PAGE_HEIGHT, PAGE_WIDTH] : [PAGE_WIDTH, PAGE_HEIGHT];
+    const scale = Math.min((pageWidth - MARGIN * 2) / image.width, (pageHeight - MARGIN * 2) / image.height, 1);
+    const width = image.width * scale;
+    const height = image.height * scale;
+
+    const page = pdf.addPage([pageWidth, pageHeight]);
+    page.drawImage(image, { x: (pageWidth - width) / 2, y: (pageHeight - height) / 2, width, height });
+  }
+  return pdf.save();
+}
+
+/**
+ * A single page standing in for a document: a heading and detail lines
+ */
+async function slipSheet(heading, lines) {
+  const pdf = await PDFDocument.create();
+  const fonts = await standardFonts(pdf);
+  const out = writer(pdf, fonts);
+
+  out.newPage();
+  out.gap(PAGE_HEIGHT / 3 - MARGIN);
+  const title = printable(heading);
+  out.line(title, { font: fonts.bold, size: 16, x: (PAGE_WIDTH - fonts.bold.widthOfTextAtSize(title, 16)) / 2 });
+  out.gap(LINE_HEIGHT);
+  for (const line of lines.filter(Boolean)) {
+    out.paragraph(line, { x: MARGIN * 2 });
+  }
+
+  return pdf.save();
+}
+
+module.exports = {
+  LEGENDS,
+  batesNumber,
+  stamp,
+  imagesToPdf,
+  slipSheet
+};
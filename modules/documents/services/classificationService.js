@@ -0,0 +1,311 @@
+/**
+ * Document Classification Service
+ * Categorises documents and extracts fields (parties, dates, governing
+ * law, case numbers, courts, signature blocks) from their text using the
+ * rules in documentRules, and keeps staff edits.
+ *
+ * Each field keeps both the rules' latest `extracted_value` and the
+ * effective `value`. A manual edit wins over later re-extraction and is
+ * logged in document_field_corrections when it differs from what the
+ * rules found; the correction report shows where the rules fall short.
+ */
+
+const path = require('path');
+const db = require('../database/db');
+const documentRules = require('./documentRules');
+const { httpError } = require('../../shared/utils');
+
+function sameValue(a, b) {
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+// File names like "motion_to_compel.pdf" read as words
+function titleText(document) {
+  return `${document.title || ''} ${path.parse(document.original_name || '').name.replace(/[_\-.]+/g, ' ')}`;
+}
+
+/**
+ * Run the rules over the current version's extracted text. Manual
+ * category and field values are kept; only the suggestions change.
+ */
+async function classifyDocument(documentId, client = db) {
+  const documentResult = await client.query(
+    'SELECT id, title, original_name, current_version FROM documents WHERE id = $1 AND is_deleted = false',
+    [documentId]
+  );
+  const document = documentResult.rows[0];
+  if (!document) {
+    throw httpError(404, 'Document not found');
+  }
+
+  const pagesResult = await client.query(
+    `SELECT page_number, text FROM document_pages
+     WHERE document_id = $1 AND version_number = $2
+     ORDER BY page_number`,
+    [documentId, document.current_version]
+  );
+  const pages = pagesResult.rows;
+
+  const { category, confidence } = documentRules.classify(
+    pages.map(page => page.text).join('\n\n'),
+    titleText(document)
+  );
+  const fields = documentRules.extractFields(pages);
+
+  await client.query(
+    `UPDATE documents SET
+      suggested_category = $1,
+      category_confidence = $2,
+      category = CASE WHEN category_source = 'manual' THEN category ELSE $1 END,
+      category_source = CASE WHEN category_source = 'manual' THEN 'manual' ELSE 'rules' END,
+      classified_at = NOW()
+    WHERE id = $3`,
+    [category, confidence, documentId]
+  );
+
+  for (const name of documentRules.FIELD_NAMES) {
+    const found = fields[name];
+    if (found) {
+      await client.query(
+        `INSERT INTO document_fields (document_id, field_name, value, extracted_value, page_number, source)
+         VALUES ($1, $2, $3::jsonb, $3::jsonb, $4, 'rules')
+         ON CONFLICT (document_id, field_name) DO UPDATE SET
+           extracted_value = EXCLUDED.extracted_value,
+           page_number = EXCLUDED.page_number,
+           value = CASE WHEN document_fields.source = 'manual' THEN document_fields.value ELSE EXCLUDED.value END,
+           updated_at = NOW()`,
+        [documentId, name, JSON.stringify(found.value), found.pageNumber]
+      );
+    } else {
+      await client.query(
+        "DELETE FROM document_fields WHERE document_id = $1 AND field_name = $2 AND source = 'rules'",
+        [documentId, name]
+      );
+      await client.query(
+        `UPDATE document_fields SET extracted_value = NULL, page_number = NULL, updated_at = NOW()
+         WHERE document_id = $1 AND field_name = $2`,
+        [documentId, name]
+      );
+    }
+  }
+
+  return getClassification(documentId, client);
+}
+
+async function getClassification(documentId, client = db) {
+  const documentResult = await client.query(
+    `SELECT id, category, suggested_category, category_confidence, category_source, classified_at
+     FROM documents WHERE id = $1 AND is_deleted = false`,
+    [documentId]
+  );
+  const document = documentResult.rows[0];
+  if (!document) return null;
+
+  const fieldsResult = await client.query(
+    `SELECT f.*, u.full_name AS updated_by_name
+     FROM document_fields f
+     LEFT JOIN users u ON u.id = f.updated_by
+     WHERE f.document_id = $1`,
+    [documentId]
+  );
+
+  const fields = {};
+  for (const row of fieldsResult.rows) {
+    fields[row.field_name] = {
+      value: row.value,
+      source: row.source,
+      extractedValue: row.extracted_value,
+      pageNumber: row.page_number,
+      updatedBy: row.updated_by_name,
+      updatedAt: row.updated_at
+    };
+  }
+
+  return {
+    documentId: document.id,
+    category: document.category,
+    suggestedCategory: document.suggested_category,
+    categoryConfidence: document.category_confidence === null ? null : Number(document.category_confidence),
+    categorySource: document.category_source,
+    classifiedAt: document.classified_at,
+    fields
+  };
+}
+
+function isText(value, max = 500) {
+  return typeof value === 'string' && value.trim().length > 0 && value.length <= max;
+}
+
+function validateField(name, value) {
+  if (!documentRules.FIELD_NAMES.includes(name)) {
+    throw httpError(400, `Unknown field ${name}; fields are: ${documentRules.FIELD_NAMES.join(', ')}`);
+  }
+
+  if (name === 'effective_date') {
+    if (typeof value !== 'string' || documentRules.parseDate(value) !== value) {
+      throw httpError(400, 'effective_date must be a date in YYYY-MM-DD format');
+    }
+    return value;
+  }
+
+  if (name === 'parties' || name === 'signature_blocks') {
+    const second = name === 'parties' ? 'role' : 'title';
+    if (!Array.isArray(value) || value.length === 0
+      || !value.every(item => item && isText(item.name, 200) && (item[second] == null || isText(item[second], 200)))) {
+      throw httpError(400, `${name} must be a list of { name, ${second} }`);
+    }
+    return value.map(item => ({ name: item.name.trim(), [second]: item[second] ? item[second].trim() : null }));
+  }
+
+  if (!isText(value)) {
+    throw httpError(400, `${name} must be text`);
+  }
+  return value.trim();
+}
+
+async function logCorrection(document, fieldName, extractedValue, correctedValue, userId, client) {
+  if (sameValue(extractedValue, correctedValue)) return;
+  await client.query(
+    `INSERT INTO document_field_corrections (
+      document_id, version_number, field_name, extracted_value, corrected_value, corrected_by
+    ) VALUES ($1, $2, $3, $4::jsonb, $5::jsonb, $6)`,
+    [
+      document.id,
+      document.current_version,
+      fieldName,
+      extractedValue === null || extractedValue === undefined ? null : JSON.stringify(extractedValue),
+      JSON.stringify(correctedValue),
+      userId || null
+    ]
+  );
+}
+
+/**
+ * Staff edits. `category` and each entry of `fields` set a manual value;
+ * null drops the manual value and goes back to the rules' suggestion.
+ */
+async function updateClassification(documentId, { category, fields = {} }, { userId }, client) {
+  const documentResult = await client.query(
+    'SELECT id, current_version, suggested_category FROM documents WHERE id = $1 AND is_deleted = false FOR UPDATE',
+    [documentId]
+  );
+  const document = documentResult.rows[0];
+  if (!document) {
+    throw httpError(404, 'Document not found');
+  }
+  if (fields === null || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw httpError(400, 'fields must be an object of field name to value');
+  }
+
+  if (category === null) {
+    await client.query(
+      "UPDATE documents SET category = suggested_category, category_source = 'rules', updated_at = NOW() WHERE id = $1",
+      [documentId]
+    );
+  } else if (category !== undefined) {
+    if (!documentRules.CATEGORIES[category]) {
+      throw httpError(400, `category must be one of: ${Object.keys(documentRules.CATEGORIES).join(', ')}`);
+    }
+    await client.query(
+      "UPDATE documents SET category = $1, category_source = 'manual', updated_at = NOW() WHERE id = $2",
+      [category, documentId]
+    );
+    await logCorrection(document, 'category', document.suggested_category, category, userId, client);
+  }
+
+  for (const [name, rawValue] of Object.entries(fields)) {
+    const existing = await client.query(
+      'SELECT extracted_value FROM document_fields WHERE document_id = $1 AND field_name = $2',
+      [documentId, name]
+    );
+    const extractedValue = existing.rows.length ? existing.rows[0].extracted_value : null;
+
+    if (rawValue === null) {
+      if (!documentRules.FIELD_NAMES.includes(name)) {
+        throw httpError(400, `Unknown field ${name}; fields are: ${documentRules.FIELD_NAMES.join(', ')}`);
+      }
+      await client.query(
+        "DELETE FROM document_fields WHERE document_id = $1 AND field_name = $2 AND extracted_value IS NULL",
+        [documentId, name]
+      );
+      await client.query(
+        `UPDATE document_fields SET value = extracted_value, source = 'rules', updated_by = $1, updated_at = NOW()
+         WHERE document_id = $2 AND field_name = $3`,
+        [userId || null, documentId, name]
+      );
+      continue;
+    }
+
+    const value = validateField(name, rawValue);
+    await client.query(
+      `INSERT INTO document_fields (document_id, field_name, value, source, updated_by)
+       VALUES ($1, $2, $3::jsonb, 'manual', $4)
+       ON CONFLICT (document_id, field_name) DO UPDATE SET
+         value = EXCLUDED.value,
+         source = 'manual',
+         updated_by = EXCLUDED.updated_by,
+         updated_at = NOW()`,
+      [documentId, name, JSON.stringify(value), userId || null]
+    );
+    await logCorrection(document, name, extractedValue, value, userId, client);
+  }
+
+  return getClassification(documentId, client);
+}
+
+/**
+ * How often staff correct each field, and which categories the rules
+ * confuse, to guide rule changes
+ */
+async function correctionReport({ limit = 50 } = {}) {
+  const byField = await db.query(
+    `SELECT c.field_name,
+       COUNT(*) AS corrections,
+       COUNT(*) FILTER (WHERE c.extracted_value IS NULL) AS missed,
+       COUNT(DISTINCT c.document_id) AS documents,
+       (SELECT COUNT(*) FROM document_fields f
+        WHERE f.field_name = c.field_name AND f.extracted_value IS NOT NULL) AS currently_extracted
+     FROM document_field_corrections c
+     GROUP BY c.field_name
+     ORDER BY corrections DESC`
+  );
+
+  const categoryConfusion = await db.query(
+    `SELECT extracted_value #>> '{}' AS suggested, corrected_value #>> '{}' AS corrected, COUNT(*) AS count
+     FROM document_field_corrections
+     WHERE field_name = 'category'
+     GROUP BY 1, 2
+     ORDER BY count DESC`
+  );
+
+  const recent = await db.query(
+    `SELECT c.*, d.title AS document_title, u.full_name AS corrected_by_name
+     FROM document_field_corrections c
+     JOIN documents d ON d.id = c.document_id
+     LEFT JOIN users u ON u.id = c.corrected_by
+     ORDER BY c.created_at DESC
+     LIMIT $1`,
+    [limit]
+  );
+
+  return {
+    byField: byField.rows.map(row => ({
+      field: row.field_name,
+      corrections: parseInt(row.corrections),
+      missed: parseInt(row.missed),
+      documents: parseInt(row.documents),
+      currentlyExtracted: parseInt(row.currently_extracted)
+    })),
+    categoryConfusion: categoryConfusion.rows.map(row => ({ ...row, count: parseInt(row.count) })),
+    recent: recent.rows
+  };
+}
+
+module.exports = {
+  FIELD_NAMES: documentRules.FIELD_NAMES,
+  listCategories: documentRules.listCategories,
+  classifyDocument,
+  getClassification,
+  updateClassification,
+  correctionReport
+};
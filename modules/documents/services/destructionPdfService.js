@@ -0,0 +1,93 @@
+/**
+ * Destruction PDF Service
+ * Renders the certificate of destruction for a retention purge run: what
+ * was destroyed, under which policy, and the checksums of the files that
+ * went, so the firm can show the destruction was routine and not done
+ * while a hold applied.
+ */
+
+const { PDFDocument, rgb } = require('pdf-lib');
+const { MARGIN, LINE_HEIGHT, printable, formatTimestamp, writer, standardFonts } = require('./pdfLayout');
+
+function formatBytes(bytes) {
+  const value = Number(bytes) || 0;
+  if (value >= 1024 * 1024) return `${(value / 1024 / 1024).toFixed(1)} MB`;
+  if (value >= 1024) return `${(value / 1024).toFixed(1)} KB`;
+  return `${value} bytes`;
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toISOString().slice(0, 10) : '-';
+}
+
+/**
+ * `run` is a purge run with its items (retentionService.getRun)
+ */
+async function renderCertificate(run) {
+  const pdf = await PDFDocument.create();
+  const fonts = await standardFonts(pdf);
+  const out = writer(pdf, fonts);
+  const grey = rgb(0.4, 0.4, 0.4);
+  const firm = process.env.FIRM_NAME || 'Sterling & Associates';
+
+  out.newPage();
+  out.line(firm, { font: fonts.bold, size: 12 });
+  out.line('Certificate of Destruction', { font: fonts.bold, size: 14 });
+  out.gap(4);
+  out.line(`Retention purge run #${run.id}`);
+  out.line(`Started: ${formatTimestamp(run.started_at)}    Completed: ${formatTimestamp(run.completed_at)}`);
+  out.line(`Triggered by: ${run.trigger === 'schedule' ? 'scheduled purge' : run.triggered_by_name || 'staff'}    Status: ${run.status}`);
+  out.line(`Documents destroyed: ${run.documents_destroyed}    Storage released: ${formatBytes(run.bytes_destroyed)}`);
+  if (run.error) {
+    out.paragraph(`The run stopped early: ${run.error}`, { color: rgb(0.6, 0, 0) });
+  }
+  out.gap();
+
+  out.paragraph(
+    'Each document listed below had passed the end of the retention period set by the firm\'s retention '
+      + 'schedule and was not subject to any legal hold when it was destroyed. Every stored version of the '
+      + 'file, its extracted text and its extracted fields were permanently deleted, and any share links '
+      + 'were revoked. The document\'s index entry is kept as a record of its destruction.',
+    { size: 9 }
+  );
+  out.gap();
+
+  if (run.items.length === 0) {
+    out.line('No documents were due for destruction.', { color: grey });
+  }
+
+  for (const item of run.items) {
+    out.ensureSpace(LINE_HEIGHT * 6);
+    out.paragraph(`Document #${item.document_id}: ${item.title}`, { font: fonts.bold });
+    const details = [
+      `File: ${item.original_name || '-'} (${item.document_type || 'unclassified'}), uploaded ${formatDate(item.uploaded_at)}`,
+      `Client: ${item.client_name || '-'}    Matter: ${item.matter_number || '-'}${item.matter_status ? ` (${item.matter_status})` : ''}`,
+      `Policy: ${item.policy_name || '-'} (${item.retention_years} years), retained until ${formatDate(item.retain_until)}`,
+      `Destroyed: ${formatTimestamp(item.destroyed_at)}    Versions: ${item.versions}    Size: ${formatBytes(item.bytes)}`
+    ];
+    for (const detail of details) {
+      out.paragraph(detail, { size: 8, x: MARGIN + 12 });
+    }
+    for (const checksum of item.checksums || []) {
+      out.line(`SHA-256 ${checksum}`, { size: 7, x: MARGIN + 12, color: grey });
+    }
+    if (!item.files_removed) {
+      out.paragraph(`Files not removed: ${item.file_error || 'pending'}`, { size: 8, x: MARGIN + 12, color: rgb(0.6, 0, 0) });
+    }
+    out.gap(6);
+  }
+
+  out.gap(LINE_HEIGHT * 2);
+  out.ensureSpace(LINE_HEIGHT * 4);
+  out.line('Reviewed by: ________________________________    Date: ______________');
+  out.gap(4);
+  out.line(`Generated ${formatTimestamp(new Date())}`, { size: 8, color: grey });
+
+  pdf.setTitle(printable(`Certificate of Destruction - purge run ${run.id}`));
+  pdf.setAuthor(firm);
+  return pdf.save();
+}
+
+module.exports = {
+  renderCertificate
+};
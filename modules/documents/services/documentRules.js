@@ -0,0 +1,327 @@
+/**
+ * Document Rules
+ * Law-firm document taxonomy, the keyword rules that classify a document
+ * and the extractors that pull fields out of its text.
+ *
+ * Each category scores the weights of the patterns it finds; title matches
+ * count double because a title usually names the document outright. The
+ * best score wins if it reaches MIN_SCORE. Extractors are plain patterns
+ * over the extracted text and return null when nothing is found.
+ *
+ * Results are suggestions for staff to confirm. Corrections are stored
+ * (document_field_corrections) and reported so these rules can be tuned.
+ */
+
+const CATEGORIES = {
+  engagement_letter: {
+    name: 'Engagement letter',
+    patterns: [
+      [/\b(engagement letter|letter of engagement)\b/i, 5],
+      [/\bscope of (the |our )?(engagement|representation)\b/i, 3],
+      [/\bthank you for (selecting|choosing|retaining)\b/i, 2],
+      [/\bwe are pleased to (confirm|represent|act)\b/i, 2],
+      [/\b(conflicts? of interest|termination of (the )?representation)\b/i, 1]
+    ]
+  },
+  retainer: {
+    name: 'Retainer agreement',
+    patterns: [
+      [/\bretainer agreement\b/i, 5],
+      [/\b(retainer|advance) (fee|deposit)\b/i, 3],
+      [/\b(fee agreement|hourly rates?)\b/i, 2],
+      [/\b(trust|iolta) account\b/i, 2]
+    ]
+  },
+  complaint: {
+    name: 'Complaint',
+    patterns: [
+      [/^\s*(verified |amended |first amended |second amended )?complaint\b/im, 5],
+      [/\bplaintiffs? (hereby )?(allege|alleges|brings?|complains?)\b/i, 3],
+      [/\b(first |second |third )?cause of action\b/i, 2],
+      [/\bprayer for relief\b/i, 2],
+      [/\b(demand for jury trial|jury trial demanded)\b/i, 2]
+    ]
+  },
+  motion: {
+    name: 'Motion',
+    patterns: [
+      [/^\s*(notice of )?(\w+ )?motion (to|for|in limine)\b/im, 5],
+      [/\bmemorandum of (points and authorities|law) in support\b/i, 3],
+      [/\b(hereby )?moves? (this|the) court\b/i, 3],
+      [/\bhearing on (the|this) motion\b/i, 1]
+    ]
+  },
+  order: {
+    name: 'Court order',
+    patterns: [
+      [/^\s*(\[proposed\] )?(\w+ )?order\b/im, 4],
+      [/\bit is (hereby |further )?ordered\b/i, 5],
+      [/\bso ordered\b/i, 3],
+      [/\b(united states )?(district |magistrate )?judge\b/i, 1]
+    ]
+  },
+  nda: {
+    name: 'Non-disclosure agreement',
+    patterns: [
+      [/\b(non-?disclosure|confidentiality) agreement\b/i, 6],
+      [/\b(receiving|disclosing) party\b/i, 3],
+      [/\bconfidential information\b/i, 2]
+    ]
+  },
+  contract: {
+    name: 'Contract',
+    patterns: [
+      [/\b(agreement|contract)\b/i, 1],
+      [/\bthis (\w+ )?agreement\b/i, 2],
+      [/\bin witness whereof\b/i, 3],
+      [/\bwhereas\b/i, 2],
+      [/\bnow,? therefore\b/i, 2],
+      [/\b(governed by|construed in accordance with) the laws?\b/i, 1]
+    ]
+  },
+  will: {
+    name: 'Will',
+    patterns: [
+      [/\blast will and testament\b/i, 6],
+      [/\b(testator|testatrix)\b/i, 3],
+      [/\b(give|devise) and bequeath\b/i, 3],
+      [/\b(executor|executrix|personal representative)\b/i, 1]
+    ]
+  },
+  deed: {
+    name: 'Deed',
+    patterns: [
+      [/\b(warranty|quitclaim|quit claim|grant|trust) deed\b/i, 6],
+      [/\bgrantors?\b[\s\S]{0,500}\bgrantees?\b/i, 3],
+      [/\bconveys? and (warrants?|quitclaims?)\b/i, 3],
+      [/\b(legal description|recording requested by|parcel (number|no\.?))\b/i, 2]
+    ]
+  },
+  correspondence: {
+    name: 'Correspondence',
+    patterns: [
+      [/^\s*dear\s+\S/im, 3],
+      [/\b(sincerely|very truly yours|best regards|kind regards)\b/i, 2],
+      [/^\s*re:\s/im, 1]
+    ]
+  }
+};
+
+const MIN_SCORE = 4;
+
+// Only the opening pages decide what a document is
+const CLASSIFY_CHARS = 8000;
+
+const FIELD_NAMES = ['parties', 'effective_date', 'governing_law', 'case_number', 'court', 'signature_blocks'];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// "Sept." and "September" both start with a month's three letters
+function monthNumber(name) {
+  return MONTHS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function collapse(value) {
+  return value.replace(/\s+/g, ' ').trim();
+}
+
+function validDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * "January 5, 2026", "Sept. 5, 2026", "5 January 2026", "the 5th day of
+ * January, 2026", "01/05/2026" (US order) or "2026-01-05" -> YYYY-MM-DD
+ */
+function parseDate(text) {
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) return validDate(+match[1], +match[2], +match[3]);
+
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (match) return validDate(+match[3], +match[1], +match[2]);
+
+  const month = `((?:${MONTHS.join('|')})[a-z]*)\\.?`;
+  match = text.match(new RegExp(`^${month}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})`, 'i'));
+  if (match) return validDate(+match[3], monthNumber(match[1]), +match[2]);
+
+  match = text.match(new RegExp(`^(?:the\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:day\\s+of\\s+)?${month},?\\s+(\\d{4})`, 'i'));
+  if (match) return validDate(+match[3], monthNumber(match[2]), +match[1]);
+
+  return null;
+}
+
+/**
+ * Score every category against a document's title and opening text.
+ * Returns { category, confidence, scores }; category is null when
+ * nothing scores MIN_SCORE.
+ */
+function classify(text, title = '') {
+  const opening = String(text || '').slice(0, CLASSIFY_CHARS);
+  const scores = {};
+
+  for (const [code, category] of Object.entries(CATEGORIES)) {
+    let score = 0;
+    for (const [pattern, weight] of category.patterns) {
+      if (title && pattern.test(title)) score += weight * 2;
+      if (pattern.test(opening)) score += weight;
+    }
+    if (score > 0) scores[code] = score;
+  }
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  if (ranked.length === 0 || ranked[0][1] < MIN_SCORE) {
+    return { category: null, confidence: null, scores };
+  }
+
+  // Share of the top two scores: 1.0 when nothing else came close
+  const [top, runnerUp] = ranked;
+  const confidence = runnerUp ? top[1] / (top[1] + runnerUp[1]) : 1;
+  return { category: top[0], confidence: Math.round(confidence * 100) / 100, scores };
+}
+
+// ---- Extractors ------------------------------------------------------------
+
+const CASE_NUMBER_PATTERNS = [
+  // Federal: 1:24-cv-01234-ABC
+  /\b(\d{1,2}:\d{2}-[a-z]{2,4}-\d{3,6}(?:-[A-Z]{2,5})*)\b/,
+  /\b(?:case|civil action|cause|docket|index|file)\s+(?:no|number|#)\.?:?\s*([A-Z0-9][A-Z0-9\-:./]*\d[A-Z0-9\-:./]*)/i
+];
+
+function extractCaseNumber(text) {
+  for (const pattern of CASE_NUMBER_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) return match[1].replace(/[.,;:]+$/, '');
+  }
+  return null;
+}
+
+function extractCourt(text) {
+  const match = text.match(
+    /\b((?:united states|u\.s\.)\s+(?:district|bankruptcy)\s+court|(?:superior|circuit|supreme|district|county|family|probate|chancery|justice)\s+court)\b[^\n]*(?:\n[^\n]*\b(?:district|county|state|division)\s+of\b[^\n]*)?/i
+  );
+  if (!match) return null;
+  return collapse(match[0].replace(/^in the\s+/i, '')).replace(/[,;:]+$/, '');
+}
+
+function extractGoverningLaw(text) {
+  const match = text.match(
+    /\b(?:governed by|construed (?:and enforced )?in accordance with)[^.]{0,80}?\blaws?\s+of\s+(?:[Tt]he\s+)?(?:(?:[Ss]tate|[Cc]ommonwealth)\s+of\s+)?([A-Z][A-Za-z]+(?:\s+[A-Z][A-Za-z]+){0,3})/
+  );
+  return match ? collapse(match[1]) : null;
+}
+
+function extractEffectiveDate(text) {
+  const match = text.match(
+    /\b(?:effective\s+(?:as\s+of\s+|date(?:\s+of\s+this\s+agreement)?\s*(?:is|:)?\s*|on\s+)|dated\s+(?:as\s+of\s+)?|entered\s+into\s+(?:as\s+of\s+|on\s+))(?:the\s+)?([^\n(]{6,40})/i
+  );
+  return match ? parseDate(match[1].trim()) : null;
+}
+
+function cleanPartyName(value) {
+  return collapse(value)
+    .replace(/^(and|by and between|between)\s+/i, '')
+    .replace(/[,;:]+$/, '')
+    .trim();
+}
+
+// Contracts: between A, a Delaware corporation ("Seller") and B ("Buyer"). Pleadings: A, Plaintiff, v. B, Defendant.
+function extractParties(text) {
+  const contract = text.match(
+    /\bbetween\s+([^\n"“(]{3,150}?)\s*(?:,\s*an?\s+[^"“(]{0,150}?)?\(\s*(?:the\s+)?["“]([^"”]+)["”]\s*\)[\s,]*and\s+([^\n"“(]{3,150}?)\s*(?:,\s*an?\s+[^"“(]{0,150}?)?\(\s*(?:the\s+)?["“]([^"”]+)["”]\s*\)/i
+  );
+  if (contract) {
+    return [
+      { name: cleanPartyName(contract[1]), role: collapse(contract[2]) },
+      { name: cleanPartyName(contract[3]), role: collapse(contract[4]) }
+    ];
+  }
+
+  const caption = text.match(
+    /([A-Z][^\n]{2,150}?)[,\s]*\n?\s*(?:et al\.?,?\s*)?\n?\s*(Plaintiffs?|Petitioners?)[,.]?\s*\n?[\s\S]{0,40}?\b(?:v\.|vs\.?|versus)\s*\n?\s*([A-Z][^\n]{2,150}?)[,\s]*\n?\s*(?:et al\.?,?\s*)?\n?\s*(Defendants?|Respondents?)\b/
+  );
+  if (caption) {
+    return [
+      { name: cleanPartyName(caption[1]), role: caption[2].replace(/s$/, '').toLowerCase() },
+      { name: cleanPartyName(caption[3]), role: caption[4].replace(/s$/, '').toLowerCase() }
+    ];
+  }
+
+  return null;
+}
+
+function extractSignatureBlocks(text) {
+  const blocks = [];
+  const seen = new Set();
+  const add = (name, title) => {
+    const cleanName = collapse(name).replace(/[,;]+$/, '');
+    if (!cleanName || cleanName.length > 80 || seen.has(cleanName.toLowerCase())) return;
+    seen.add(cleanName.toLowerCase());
+    blocks.push({ name: cleanName, title: title ? collapse(title) : null });
+  };
+
+  // Name: / Title: lines under a signature line
+  const named = /\bname:\s*([^\n]+)\n\s*(?:its:?|title:)\s*([^\n]+)/gi;
+  let match;
+  while ((match = named.exec(text))) {
+    if (!/_{3,}/.test(match[1])) add(match[1], match[2]);
+  }
+
+  // Electronic signatures on court filings
+  const electronic = /\/s\/\s*([A-Z][A-Za-z.'\- ]{2,60})(?:\n\s*([^\n]{2,80}))?/g;
+  while ((match = electronic.exec(text))) {
+    const title = match[2] && !/^\(?\d|@/.test(match[2]) && collapse(match[2]) !== collapse(match[1]) ? match[2] : null;
+    add(match[1], title);
+  }
+
+  return blocks.length ? blocks : null;
+}
+
+const EXTRACTORS = {
+  parties: extractParties,
+  effective_date: extractEffectiveDate,
+  governing_law: extractGoverningLaw,
+  case_number: extractCaseNumber,
+  court: extractCourt,
+  signature_blocks: extractSignatureBlocks
+};
+
+/**
+ * Run every extractor over a document's pages. Returns
+ * { field: { value, pageNumber } } for the fields found, each taken from
+ * the first page it appears on (signature blocks from the last).
+ */
+function extractFields(pages) {
+  const fields = {};
+  for (const [name, extract] of Object.entries(EXTRACTORS)) {
+    const ordered = name === 'signature_blocks' ? [...pages].reverse() : pages;
+    for (const page of ordered) {
+      const value = page.text ? extract(page.text) : null;
+      if (value) {
+        fields[name] = { value, pageNumber: page.page_number };
+        break;
+      }
+    }
+  }
+  return fields;
+}
+
+function listCategories() {
+  return Object.entries(CATEGORIES).map(([code, category]) => ({ code, name: category.name }));
+}
+
+module.exports = {
+  CATEGORIES,
+  FIELD_NAMES,
+  classify,
+  extractFields,
+  listCategories,
+  parseDate
+};
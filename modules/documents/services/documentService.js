@@ -0,0 +1,281 @@
+/**
+ * Document Service
+ * Law-firm document store: files on disk under uploads/documents, metadata
+ * in Postgres, every document filed against a client and/or matter.
+ *
+ * Functions that write accept an optional pg client so callers can run
+ * them inside their own transaction.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const db = require('../database/db');
+const { visibleClause } = require('../../matters/services/ethicalWallService');
+const { httpError } = require('../../shared/utils');
+
+const STORAGE_DIR = path.join(__dirname, '../../../uploads/documents');
+
+const DOCUMENT_TYPES = ['pleading', 'contract', 'correspondence', 'evidence', 'other'];
+
+// Protective-order style tiers, least to most restricted
+const CONFIDENTIALITY_LEVELS = ['standard', 'confidential', 'highly_confidential', 'attorneys_eyes_only'];
+
+function parseBoolean(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  return value === true || value === 'true' || value === '1' || value === 1;
+}
+
+// Tags arrive as an array (JSON) or a comma-separated string (multipart)
+function parseTags(value) {
+  if (value === undefined || value === null) return undefined;
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(tag => String(tag).trim()).filter(Boolean);
+}
+
+function validateMetadata({ documentType, confidentiality }) {
+  if (documentType !== undefined && !DOCUMENT_TYPES.includes(documentType)) {
+    throw httpError(400, `documentType must be one of: ${DOCUMENT_TYPES.join(', ')}`);
+  }
+  if (confidentiality !== undefined && !CONFIDENTIALITY_LEVELS.includes(confidentiality)) {
+    throw httpError(400, `confidentiality must be one of: ${CONFIDENTIALITY_LEVELS.join(', ')}`);
+  }
+}
+
+/**
+ * Work out the client and matter a document is filed under. A matter
+ * implies its client; when both are given they must agree.
+ */
+async function resolveFiling(customerId, matterId, client = db) {
+  if (!customerId && !matterId) {
+    throw httpError(400, 'customerId or matterId is required');
+  }
+
+  if (matterId) {
+    const matter = await client.query('SELECT id, customer_id FROM matters WHERE id = $1', [matterId]);
+    if (matter.rows.length === 0) {
+      throw httpError(404, 'Matter not found');
+    }
+    const matterClient = matter.rows[0].customer_id;
+    if (customerId && matterClient && String(matterClient) !== String(customerId)) {
+      throw httpError(400, 'Matter does not belong to this client');
+    }
+    return { customerId: customerId || matterClient || null, matterId: matter.rows[0].id };
+  }
+
+  const customer = await client.query('SELECT id FROM customers WHERE id = $1', [customerId]);
+  if (customer.rows.length === 0) {
+    throw httpError(404, 'Client not found');
+  }
+  return { customerId: customer.rows[0].id, matterId: null };
+}
+
+/**
+ * SQL condition (on alias d) for documents a user may see. Privileged
+ * documents are limited to their uploader, the matter's responsible and
+ * originating attorneys, admins, users granted privileged access, and
+ * users whose role has documents:read:privileged. Users screened by an
+ * ethical wall see none of the walled matter's or client's documents.
+ */
+function viewerAccessClause(param) {
+  return `(${visibleClause(param, { matter: 'd.matter_id', customer: 'd.customer_id' })}
+    AND (d.is_privileged = false
+    OR d.uploaded_by = ${param}
+    OR EXISTS (
+      SELECT 1 FROM users pu
+      WHERE pu.id = ${param}
+        AND (pu.is_admin = true OR pu.privileged_access = true OR EXISTS (
+          SELECT 1 FROM role_permissions rp
+          WHERE rp.role = pu.role AND rp.permission = 'documents:read:privileged'
+        ))
+    )
+    OR EXISTS (
+      SELECT 1 FROM matters pm
+      WHERE pm.id = d.matter_id AND ${param} IN (pm.responsible_attorney_id, pm.originating_attorney_id)
+    )))`;
+}
+
+async function getDocument(documentId, client = db) {
+  const result = await client.query(
+    `SELECT d.*, c.full_name AS client_name, m.matter_number, m.title AS matter_title,
+       u.full_name AS uploaded_by_name
+     FROM documents d
+     LEFT JOIN customers c ON c.id = d.customer_id
+     LEFT JOIN matters m ON m.id = d.matter_id
+     LEFT JOIN users u ON u.id = d.uploaded_by
+     WHERE d.id = $1 AND d.is_deleted = false`,
+    [documentId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * getDocument for a user; privileged documents they may not see are
+ * reported as missing
+ */
+async function getDocumentForUser(documentId, userId, client = db) {
+  const allowed = await client.query(
+    `SELECT 1 FROM documents d WHERE d.id = $1 AND ${viewerAccessClause('$2')}`,
+    [documentId, userId]
+  );
+  if (allowed.rows.length === 0) return null;
+  return getDocument(documentId, client);
+}
+
+/**
+ * File an uploaded document. `file` is the multer file object; the stored
+ * file is removed again if the record cannot be saved.
+ */
+async function createDocument(data, file, client = db) {
+  if (!file) {
+    throw httpError(400, 'A document file is required');
+  }
+
+  try {
+    const documentType = data.documentType || 'other';
+    const confidentiality = data.confidentiality || 'standard';
+    validateMetadata({ documentType, confidentiality });
+
+    const { customerId, matterId } = await resolveFiling(data.customerId, data.matterId, client);
+
+    const result = await client.query(
+      `INSERT INTO documents (
+        customer_id, matter_id, title, document_type, author, is_privileged,
+        confidentiality, description, tags, original_name, stored_name,
+        mime_type, file_size, uploaded_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      RETURNING id`,
+      [
+        customerId,
+        matterId,
+        data.title || path.parse(file.originalname).name,
+        documentType,
+        data.author || null,
+        parseBoolean(data.isPrivileged) || false,
+        confidentiality,
+        data.description || null,
+        parseTags(data.tags) || [],
+        file.originalname,
+        file.filename,
+        file.mimetype,
+        file.size,
+        data.uploadedBy || null
+      ]
+    );
+
+    return getDocument(result.rows[0].id, client);
+  } catch (error) {
+    await fs.unlink(file.path).catch(() => {});
+    throw error;
+  }
+}
+
+async function updateDocument(documentId, data, client = db) {
+  validateMetadata(data);
+
+  const existing = await getDocument(documentId, client);
+  if (!existing) {
+    throw httpError(404, 'Document not found');
+  }
+
+  // Refiling under another client also needs a matter of that client
+  let filing = { customerId: null, matterId: null };
+  if (data.customerId || data.matterId) {
+    filing = await resolveFiling(data.customerId || null, data.matterId || existing.matter_id, client);
+  }
+
+  await client.query(
+    `UPDATE documents SET
+      title = COALESCE($1, title),
+      document_type = COALESCE($2, document_type),
+      author = COALESCE($3, author),
+      is_privileged = COALESCE($4, is_privileged),
+      confidentiality = COALESCE($5, confidentiality),
+      description = COALESCE($6, description),
+      tags = COALESCE($7, tags),
+      customer_id = COALESCE($8, customer_id),
+      matter_id = COALESCE($9, matter_id),
+      portal_shared_at = CASE WHEN $8::int <> customer_id THEN NULL ELSE portal_shared_at END,
+      portal_shared_by = CASE WHEN $8::int <> customer_id THEN NULL ELSE portal_shared_by END,
+      updated_at = NOW()
+    WHERE id = $10`,
+    [
+      data.title,
+      data.documentType,
+      data.author,
+      parseBoolean(data.isPrivileged),
+      data.confidentiality,
+      data.description,
+      parseTags(data.tags),
+      filing.customerId,
+      filing.matterId,
+      documentId
+    ]
+  );
+
+  return getDocument(documentId, client);
+}
+
+/**
+ * Soft delete; the file stays on disk for recovery and audit
+ */
+async function deleteDocument(documentId, { deletedBy } = {}, client = db) {
+  const existing = await getDocument(documentId, client);
+  if (existing && existing.checked_out_by && String(existing.checked_out_by) !== String(deletedBy)) {
+    throw httpError(409, 'Document is checked out by another user');
+  }
+
+  const result = await client.query(
+    `UPDATE documents SET is_deleted = true, deleted_at = NOW(), deleted_by = $1, updated_at = NOW()
+     WHERE id = $2 AND is_deleted = false
+     RETURNING id`,
+    [deletedBy || null, documentId]
+  );
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Document not found');
+  }
+}
+
+/**
+ * Show (or stop showing) a document in its client's portal. Refiling it
+ * under another client stops showing it (see updateDocument).
+ */
+async function setPortalShared(documentId, shared, { userId } = {}, client = db) {
+  const existing = await getDocument(documentId, client);
+  if (!existing) {
+    throw httpError(404, 'Document not found');
+  }
+  if (shared && !existing.customer_id) {
+    throw httpError(400, 'Only documents filed under a client can be shared in the portal');
+  }
+
+  await client.query(
+    `UPDATE documents SET
+      portal_shared_at = CASE WHEN $2 THEN COALESCE(portal_shared_at, NOW()) ELSE NULL END,
+      portal_shared_by = CASE WHEN $2 THEN COALESCE(portal_shared_by, $3) ELSE NULL END,
+      updated_at = NOW()
+    WHERE id = $1`,
+    [documentId, Boolean(shared), userId || null]
+  );
+  return getDocument(documentId, client);
+}
+
+function filePath(document) {
+  return path.join(STORAGE_DIR, document.stored_name);
+}
+
+module.exports = {
+  STORAGE_DIR,
+  DOCUMENT_TYPES,
+  CONFIDENTIALITY_LEVELS,
+  parseBoolean,
+  validateMetadata,
+  resolveFiling,
+  viewerAccessClause,
+  getDocument,
+  getDocumentForUser,
+  createDocument,
+  updateDocument,
+  deleteDocument,
+  setPortalShared,
+  filePath
+};
@@ -0,0 +1,121 @@
+/**
+ * Load File Service
+ * The load files that go with a production: a Concordance DAT of document
+ * metadata, an Opticon OPT of page images, and a privilege log CSV of the
+ * documents withheld.
+ *
+ * Paths inside load files are relative to the volume folder and use
+ * backslashes, as review platforms expect. Lines end in CRLF.
+ */
+
+// Concordance defaults: DC4 between fields, thorn around them, and the
+// registered sign in place of line breaks inside a field
+const DAT_SEPARATOR = '\u0014';
+const DAT_QUOTE = '\u00FE';
+const DAT_NEWLINE = '\u00AE';
+
+const DAT_FIELDS = [
+  ['BEGBATES', item => item.begin_bates],
+  ['ENDBATES', item => item.end_bates],
+  ['PAGECOUNT', item => item.page_count],
+  ['TITLE', item => item.title],
+  ['AUTHOR', item => item.author],
+  ['DOCTYPE', item => item.document_type],
+  ['CONFIDENTIALITY', item => item.confidentiality],
+  ['FILENAME', item => item.original_name],
+  ['DATECREATED', item => usDate(item.uploaded_at)],
+  ['SHA256', item => item.checksum],
+  ['WITHHELD', item => (item.produced_as === 'withheld' ? 'Y' : 'N')],
+  ['NATIVELINK', item => item.native_path],
+  ['TEXTLINK', item => item.text_path]
+];
+
+const PRIVILEGE_LOG_FIELDS = [
+  ['Entry', (item, index) => index + 1],
+  ['Bates Number', item => item.begin_bates],
+  ['Date', item => usDate(item.uploaded_at)],
+  ['Author', item => item.author],
+  ['Title', item => item.title],
+  ['Document Type', item => item.document_type],
+  ['Privilege Asserted', item => item.privilege_basis],
+  ['Description', item => item.privilege_description]
+];
+
+// Load files carry dates as MM/DD/YYYY
+function usDate(value) {
+  if (!value) return '';
+  const date = value instanceof Date ? value : new Date(value);
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(date.getMonth() + 1)}/${pad(date.getDate())}/${date.getFullYear()}`;
+}
+
+function text(value) {
+  return value === null || value === undefined ? '' : String(value);
+}
+
+function windowsPath(value) {
+  return value ? value.replace(/\//g, '\\') : '';
+}
+
+function datField(value) {
+  return `${DAT_QUOTE}${text(value).replace(/\r?\n/g, DAT_NEWLINE).split(DAT_QUOTE).join('')}${DAT_QUOTE}`;
+}
+
+/**
+ * Concordance DAT: one record per document, produced or withheld. UTF-8
+ * with a byte order mark so the thorn and DC4 delimiters are read right.
+ */
+function buildDat(items) {
+  const records = [DAT_FIELDS.map(([name]) => datField(name)).join(DAT_SEPARATOR)];
+  for (const item of items) {
+    const row = { ...item, native_path: windowsPath(item.native_path), text_path: windowsPath(item.text_path) };
+    records.push(DAT_FIELDS.map(([, value]) => datField(value(row))).join(DAT_SEPARATOR));
+  }
+  return `\uFEFF${records.join('\r\n')}\r\n`;
+}
+
+/**
+ * Opticon OPT: one line per page. Each document is a single PDF, so every
+ * page of it points at that file; the first page marks the document break
+ * and carries the page count.
+ */
+function buildOpt(items, volume) {
+  const lines = [];
+  for (const item of items) {
+    item.page_numbers.forEach((bates, index) => {
+      lines.push([
+        bates,
+        volume,
+        windowsPath(item.image_path),
+        index === 0 ? 'Y' : '',
+        '',
+        '',
+        index === 0 ? item.page_count : ''
+      ].join(','));
+    });
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function csvField(value) {
+  const field = text(value);
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+/**
+ * Privilege log of the withheld documents, by slip-sheet Bates number
+ */
+function buildPrivilegeLog(items) {
+  const withheld = items.filter(item => item.produced_as === 'withheld');
+  const rows = [PRIVILEGE_LOG_FIELDS.map(([name]) => name)];
+  withheld.forEach((item, index) => {
+    rows.push(PRIVILEGE_LOG_FIELDS.map(([, value]) => value(item, index)));
+  });
+  return `${rows.map(row => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  buildDat,
+  buildOpt,
+  buildPrivilegeLog
+};
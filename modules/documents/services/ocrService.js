@@ -0,0 +1,444 @@
+/**
+ * OCR Service
+ * Background text extraction for documents, run locally with no cloud
+ * service: PDF text layers are read with pdf.js, DOCX and HTML text is
+ * read directly, and scanned pages and images are recognised with
+ * Tesseract.
+ *
+ * The documents table is the queue. New uploads, check-ins and restores
+ * leave the document `pending`; one job at a time is claimed with
+ * SKIP LOCKED, so several app instances can share the work. Text is stored
+ * per page in document_pages, keyed by version, and the document is then
+ * classified from it.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const sharp = require('sharp');
+const PizZip = require('pizzip');
+const db = require('../database/db');
+const documentService = require('./documentService');
+const classificationService = require('./classificationService');
+const { httpError } = require('../../shared/utils');
+
+const OCR_STATUSES = ['pending', 'processing', 'complete', 'failed', 'not_applicable'];
+
+const OCR_LANGUAGE = process.env.OCR_LANGUAGE || 'eng';
+const CACHE_DIR = path.join(__dirname, '../../../uploads/ocr-cache');
+
+// A job still `processing` after this long died with its process
+const STALE_MINUTES = 30;
+
+// PDF pages with less text than this are treated as scanned
+const MIN_TEXT_LAYER_CHARS = 25;
+
+// Smaller embedded images are logos and rules, not page scans
+const MIN_SCAN_IMAGE_PX = 300;
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.tif', '.tiff', '.heic'];
+const PLAIN_TEXT_EXTENSIONS = ['.txt', '.csv'];
+const HTML_EXTENSIONS = ['.html', '.htm'];
+
+// ---- Tesseract ------------------------------------------------------------
+
+let enginePromise = null;
+
+// English trained data ships with the app; other languages come from
+// OCR_LANG_PATH or are downloaded once into the cache
+function engineOptions() {
+  // Failures reach us through the rejected promise; without a handler
+  // tesseract.js also rethrows them and takes the process down
+  const options = { cachePath: CACHE_DIR, errorHandler: () => {} };
+  if (process.env.OCR_LANG_PATH) {
+    options.langPath = process.env.OCR_LANG_PATH;
+  } else if (OCR_LANGUAGE === 'eng') {
+    const bundled = require('@tesseract.js-data/eng');
+    options.langPath = bundled.langPath;
+    options.gzip = bundled.gzip;
+    options.cacheMethod = 'none';
+  }
+  return options;
+}
+
+// One worker, created on first use and shut down when the queue drains
+function engine() {
+  if (!enginePromise) {
+    const { createWorker } = require('tesseract.js');
+    enginePromise = fs.mkdir(CACHE_DIR, { recursive: true })
+      .then(() => createWorker(OCR_LANGUAGE, 1, engineOptions()));
+    enginePromise.catch(() => {
+      enginePromise = null;
+    });
+  }
+  return enginePromise;
+}
+
+async function releaseEngine() {
+  if (!enginePromise) return;
+  const pending = enginePromise;
+  enginePromise = null;
+  const worker = await pending.catch(() => null);
+  if (worker) await worker.terminate();
+}
+
+async function recognize(image) {
+  const worker = await engine();
+  const { data } = await worker.recognize(image);
+  return { text: data.text.trim(), confidence: data.confidence };
+}
+
+// ---- Extraction -----------------------------------------------------------
+
+// Grayscale PNG, upright per EXIF, is what Tesseract reads best
+function toOcrImage(input, options) {
+  return sharp(input, options).rotate().grayscale().png().toBuffer();
+}
+
+// pdf.js decoded image -> raw pixels sharp understands
+function rawPixels(image) {
+  const { width, height, kind, data } = image;
+  if (kind === 2) return { pixels: Buffer.from(data.buffer, data.byteOffset, data.length), channels: 3 };
+  if (kind === 3) return { pixels: Buffer.from(data.buffer, data.byteOffset, data.length), channels: 4 };
+
+  // 1 bit per pixel, rows padded to whole bytes, set bits are white
+  const rowBytes = Math.ceil(width / 8);
+  const pixels = Buffer.alloc(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const bit = data[y * rowBytes + (x >> 3)] & (0x80 >> (x & 7));
+      pixels[y * width + x] = bit ? 255 : 0;
+    }
+  }
+  return { pixels, channels: 1 };
+}
+
+function pageObject(page, name) {
+  const store = name.startsWith('g_') ? page.commonObjs : page.objs;
+  return new Promise(resolve => store.get(name, resolve));
+}
+
+// Scanned pages are one (or a few) large images painted onto the page
+async function ocrPageImages(page, OPS) {
+  const operators = await page.getOperatorList();
+  const texts = [];
+  const confidences = [];
+
+  for (let i = 0; i < operators.fnArray.length; i++) {
+    const fn = operators.fnArray[i];
+    let image = null;
+    if (fn === OPS.paintImageXObject) {
+      image = await pageObject(page, operators.argsArray[i][0]);
+    } else if (fn === OPS.paintInlineImageXObject) {
+      image = operators.argsArray[i][0];
+    }
+    if (!image || !image.data || image.width < MIN_SCAN_IMAGE_PX || image.height < MIN_SCAN_IMAGE_PX) {
+      continue;
+    }
+
+    const { pixels, channels } = rawPixels(image);
+    const png = await toOcrImage(pixels, { raw: { width: image.width, height: image.height, channels } });
+    const result = await recognize(png);
+    if (result.text) {
+      texts.push(result.text);
+      confidences.push(result.confidence);
+    }
+  }
+
+  return {
+    text: texts.join('\n\n'),
+    confidence: confidences.length ? confidences.reduce((a, b) => a + b, 0) / confidences.length : null
+  };
+}
+
+function textLayer(content) {
+  return content.items
+    .map(item => (item.str || '') + (item.hasEOL ? '\n' : ''))
+    .join('')
+    .replace(/[ \t]+\n/g, '\n')
+    .trim();
+}
+
+async function extractPdf(filePath) {
+  // pdf.js ships as an ES module only
+  const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const data = new Uint8Array(await fs.readFile(filePath));
+  const pdf = await pdfjs.getDocument({ data, isEvalSupported: false, disableFontFace: true, verbosity: 0 }).promise;
+
+  try {
+    const pages = [];
+    for (let number = 1; number <= pdf.numPages; number++) {
+      const page = await pdf.getPage(number);
+      const text = textLayer(await page.getTextContent());
+
+      if (text.replace(/\s/g, '').length >= MIN_TEXT_LAYER_CHARS) {
+        pages.push({ pageNumber: number, text, method: 'text_layer', confidence: null });
+      } else {
+        const scanned = await ocrPageImages(page, pdfjs.OPS);
+        pages.push(scanned.text
+          ? { pageNumber: number, text: scanned.text, method: 'ocr', confidence: scanned.confidence }
+          : { pageNumber: number, text, method: 'text_layer', confidence: null });
+      }
+      page.cleanup();
+    }
+    return pages;
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+// Multi-page TIFFs (fax and scanner output) are OCR'd page by page
+async function extractImage(filePath) {
+  const { pages: frames = 1 } = await sharp(filePath).metadata();
+  const pages = [];
+  for (let index = 0; index < frames; index++) {
+    const result = await recognize(await toOcrImage(filePath, { page: index }));
+    pages.push({ pageNumber: index + 1, text: result.text, method: 'ocr', confidence: result.confidence });
+  }
+  return pages;
+}
+
+// UTF-16 (little-endian, with a byte order mark) is common in exports from
+// Windows tools; anything else is read as UTF-8
+async function extractPlainText(filePath) {
+  const buffer = await fs.readFile(filePath);
+  const text = buffer[0] === 0xff && buffer[1] === 0xfe
+    ? buffer.toString('utf16le', 2)
+    : buffer.toString('utf8');
+  return [{ pageNumber: 1, text: text.replace(/^\uFEFF/, ''), method: 'plain_text', confidence: null }];
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// DOCX has no fixed pages, so the body is stored as one page
+async function extractDocx(filePath) {
+  const zip = new PizZip(await fs.readFile(filePath));
+  const xml = zip.file('word/document.xml');
+  if (!xml) return [];
+
+  const text = xml.asText()
+    .replace(/<w:tab\/>/g, '\t')
+    .replace(/<w:br[^>]*\/>|<\/w:p>/g, '\n')
+    .replace(/<[^>]+>/g, '');
+  return [{ pageNumber: 1, text: decodeEntities(text).replace(/\n{3,}/g, '\n\n').trim(), method: 'text_layer', confidence: null }];
+}
+
+async function extractHtml(filePath) {
+  const html = await fs.readFile(filePath, 'utf8');
+  const text = html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>|<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/[ \t]+/g, ' ');
+  return [{ pageNumber: 1, text: decodeEntities(text).replace(/\s*\n\s*/g, '\n').trim(), method: 'plain_text', confidence: null }];
+}
+
+/**
+ * Pages of text for a stored file, or null when the format has no
+ * extractor (older word-processor and spreadsheet files)
+ */
+function extractText(filePath, originalName) {
+  const extension = path.extname(originalName || filePath).toLowerCase();
+  if (extension === '.pdf') return extractPdf(filePath);
+  if (IMAGE_EXTENSIONS.includes(extension)) return extractImage(filePath);
+  if (PLAIN_TEXT_EXTENSIONS.includes(extension)) return extractPlainText(filePath);
+  if (extension === '.docx') return extractDocx(filePath);
+  if (HTML_EXTENSIONS.includes(extension)) return extractHtml(filePath);
+  return null;
+}
+
+// ---- Queue ----------------------------------------------------------------
+
+async function claimNext() {
+  const result = await db.query(
+    `UPDATE documents SET ocr_status = 'processing', ocr_started_at = NOW(), ocr_error = NULL
+     WHERE id = (
+       SELECT id FROM documents
+       WHERE ocr_status = 'pending' AND is_deleted = false
+       ORDER BY id
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING id, current_version, original_name, stored_name`
+  );
+  return result.rows[0] || null;
+}
+
+// Postgres text cannot hold NUL, which UTF-16 text files and some PDF text
+// layers contain
+function storableText(text) {
+  return text === null || text === undefined ? text : String(text).replaceAll('\u0000', '');
+}
+
+// Results only land if nobody re-queued or checked in meanwhile
+async function finish(job, status, { pages = [], error = null } = {}) {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      'DELETE FROM document_pages WHERE document_id = $1 AND version_number = $2',
+      [job.id, job.current_version]
+    );
+    for (const page of pages) {
+      await client.query(
+        `INSERT INTO document_pages (document_id, version_number, page_number, text, method, confidence)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [job.id, job.current_version, page.pageNumber, storableText(page.text), page.method, page.confidence]
+      );
+    }
+    await client.query(
+      `UPDATE documents SET
+        ocr_status = $1,
+        ocr_error = $2,
+        page_count = $3,
+        ocr_completed_at = NOW()
+      WHERE id = $4 AND current_version = $5 AND ocr_status = 'processing'`,
+      [status, storableText(error), status === 'complete' ? pages.length : null, job.id, job.current_version]
+    );
+    await client.query('COMMIT');
+  } catch (dbError) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw dbError;
+  } finally {
+    client.release();
+  }
+}
+
+// Classification reads the stored text, so a failure there keeps the text
+async function classify(job) {
+  try {
+    await classificationService.classifyDocument(job.id);
+  } catch (error) {
+    console.error(`[Documents] Classification failed for document ${job.id}:`, error.message);
+  }
+}
+
+async function processJob(job) {
+  const started = Date.now();
+  let pages;
+  try {
+    pages = await extractText(documentService.filePath(job), job.original_name);
+  } catch (error) {
+    console.error(`[Documents] Text extraction failed for document ${job.id}:`, error.message);
+    return finish(job, 'failed', { error: error.message });
+  }
+
+  if (!pages) {
+    // Word and spreadsheet files can still be classified by their title
+    await finish(job, 'not_applicable');
+    return classify(job);
+  }
+
+  await finish(job, 'complete', { pages });
+  console.log(`[Documents] Extracted ${pages.length} page(s) of text from document ${job.id} in ${Date.now() - started}ms`);
+  await classify(job);
+}
+
+let draining = null;
+let requested = false;
+
+async function drain() {
+  try {
+    while (requested) {
+      requested = false;
+      let job;
+      while ((job = await claimNext())) {
+        // One document that cannot be stored must not stop the queue
+        try {
+          await processJob(job);
+        } catch (error) {
+          console.error(`[Documents] Text extraction failed for document ${job.id}:`, error.message);
+          await finish(job, 'failed', { error: error.message }).catch(finishError => {
+            console.error(`[Documents] Could not mark document ${job.id} failed:`, finishError.message);
+          });
+        }
+      }
+    }
+  } catch (error) {
+    console.error('[Documents] OCR queue stopped:', error.message);
+  } finally {
+    await releaseEngine().catch(() => {});
+  }
+}
+
+/**
+ * Process pending documents in the background. Safe to call often; a
+ * call while the queue is running makes it look again when it empties.
+ */
+function wake() {
+  requested = true;
+  if (!draining) {
+    draining = drain().finally(() => {
+      draining = null;
+    });
+  }
+  return draining;
+}
+
+/**
+ * Put jobs left `processing` by a crashed process back in the queue and
+ * start working through it
+ */
+async function start() {
+  try {
+    await db.query(
+      `UPDATE documents SET ocr_status = 'pending'
+       WHERE ocr_status = 'processing' AND ocr_started_at < NOW() - ($1 || ' minutes')::interval`,
+      [STALE_MINUTES]
+    );
+    wake();
+  } catch (error) {
+    console.error('[Documents] Could not start OCR queue:', error.message);
+  }
+}
+
+/**
+ * Queue a document's current version for extraction again (e.g. after
+ * installing another OCR language)
+ */
+async function requeue(documentId) {
+  const result = await db.query(
+    `UPDATE documents SET ocr_status = 'pending', ocr_error = NULL, updated_at = NOW()
+     WHERE id = $1 AND is_deleted = false
+     RETURNING id, ocr_status`,
+    [documentId]
+  );
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Document not found');
+  }
+  wake();
+  return result.rows[0];
+}
+
+/**
+ * Extracted text by page for a version (current version by default)
+ */
+async function getPages(documentId, versionNumber, client = db) {
+  const result = await client.query(
+    `SELECT p.page_number, p.text, p.method, p.confidence, p.created_at
+     FROM document_pages p
+     JOIN documents d ON d.id = p.document_id AND d.is_deleted = false
+     WHERE p.document_id = $1 AND p.version_number = COALESCE($2, d.current_version)
+     ORDER BY p.page_number`,
+    [documentId, versionNumber || null]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  OCR_STATUSES,
+  extractText,
+  start,
+  wake,
+  requeue,
+  getPages
+};
@@ -0,0 +1,104 @@
+/**
+ * PDF Layout
+ * Letter-size page writing helpers shared by the documents module's
+ * generated PDFs (signed copies, destruction certificates, production
+ * slip sheets).
+ */
+
+const { StandardFonts, rgb } = require('pdf-lib');
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 60;
+const LINE_HEIGHT = 14;
+
+// The standard fonts only cover WinAnsi; replace anything else
+function printable(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201C\u201D]/g, '"')
+    .replace(/[\u2013\u2014]/g, '-')
+    .replace(/\t/g, '    ')
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+}
+
+// Split text into lines that fit the given width
+function wrapText(text, font, size, width) {
+  const words = printable(text).split(/\s+/).filter(Boolean);
+  const lines = [];
+  let current = '';
+
+  for (const word of words) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (font.widthOfTextAtSize(candidate, size) <= width) {
+      current = candidate;
+    } else {
+      if (current) lines.push(current);
+      current = word;
+    }
+  }
+  if (current) lines.push(current);
+  return lines.length > 0 ? lines : [''];
+}
+
+function formatTimestamp(value) {
+  if (!value) return '-';
+  return `${new Date(value).toISOString().replace('T', ' ').slice(0, 19)} UTC`;
+}
+
+// Writes top to bottom, starting new pages as they fill
+function writer(pdf, fonts) {
+  const state = { page: null, y: 0 };
+
+  const newPage = () => {
+    state.page = pdf.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+    state.y = PAGE_HEIGHT - MARGIN;
+  };
+  const ensureSpace = needed => {
+    if (!state.page || state.y - needed < MARGIN) newPage();
+  };
+  const line = (value, options = {}) => {
+    const size = options.size || 10;
+    ensureSpace(size + 4);
+    state.page.drawText(printable(value), {
+      x: options.x || MARGIN,
+      y: state.y - size,
+      size,
+      font: options.font || fonts.regular,
+      color: options.color || rgb(0, 0, 0)
+    });
+    state.y -= Math.max(LINE_HEIGHT, size + 4);
+  };
+  const paragraph = (value, options = {}) => {
+    const size = options.size || 10;
+    const x = options.x || MARGIN;
+    for (const text of wrapText(value, options.font || fonts.regular, size, PAGE_WIDTH - MARGIN - x)) {
+      line(text, { ...options, x });
+    }
+  };
+  const gap = (height = LINE_HEIGHT) => {
+    state.y -= height;
+  };
+
+  return { state, newPage, ensureSpace, line, paragraph, gap };
+}
+
+async function standardFonts(pdf) {
+  return {
+    regular: await pdf.embedFont(StandardFonts.Helvetica),
+    bold: await pdf.embedFont(StandardFonts.HelveticaBold),
+    script: await pdf.embedFont(StandardFonts.TimesRomanItalic)
+  };
+}
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  MARGIN,
+  LINE_HEIGHT,
+  printable,
+  wrapText,
+  formatTimestamp,
+  writer,
+  standardFonts
+};
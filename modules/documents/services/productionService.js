@@ -0,0 +1,562 @@
+/**
+ * Production Service
+ * Discovery productions: a set of a matter's documents stamped with
+ * sequential Bates numbers and packaged as a ZIP with its load files.
+ *
+ * Creating a production fixes which documents go in, in what order, and
+ * which are withheld (privileged documents always are). The ZIP is built
+ * in the background, one production at a time, like the OCR queue:
+ *
+ *   <volume>/IMAGES/<bates>.pdf    every document as a stamped PDF
+ *   <volume>/NATIVES/<bates>.<ext> files that cannot be imaged, behind a slip sheet
+ *   <volume>/TEXT/<bates>.txt      extracted text of produced documents
+ *   <volume>/DATA/<volume>.dat     Concordance metadata load file
+ *   <volume>/DATA/<volume>.opt     Opticon image load file
+ *   <volume>/DATA/privilege_log.csv
+ *
+ * Withheld documents get a one-page slip sheet so the Bates range has no
+ * gaps, and appear on the privilege log under that number.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const sharp = require('sharp');
+const archiver = require('archiver');
+const db = require('../database/db');
+const { visibleClause } = require('../../matters/services/ethicalWallService');
+const documentService = require('./documentService');
+const versionService = require('./versionService');
+const ocrService = require('./ocrService');
+const signaturePdfService = require('./signaturePdfService');
+const batesPdfService = require('./batesPdfService');
+const loadFileService = require('./loadFileService');
+const { httpError } = require('../../shared/utils');
+
+const PRODUCTION_DIR = path.join(__dirname, '../../../uploads/productions');
+
+const PRODUCTION_STATUSES = ['pending', 'generating', 'complete', 'failed'];
+
+const PREFIX_PATTERN = /^[A-Z][A-Z0-9_-]{0,19}$/;
+const VOLUME_PATTERN = /^[A-Za-z0-9_-]{1,50}$/;
+const DEFAULT_DIGITS = 6;
+const MIN_DIGITS = 4;
+const MAX_DIGITS = 10;
+
+const DEFAULT_PRIVILEGE_BASIS = 'Attorney-Client Privilege';
+
+// A production still `generating` after this long died with its process
+const STALE_MINUTES = 30;
+
+// Imaged as pages; anything else is produced natively
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.tif', '.tiff'];
+const TYPESET_EXTENSIONS = ['.docx', '.html', '.htm', '.txt'];
+
+const SET_SELECT = `SELECT s.*, m.matter_number, m.title AS matter_title, u.full_name AS created_by_name
+  FROM production_sets s
+  JOIN matters m ON m.id = s.matter_id
+  LEFT JOIN users u ON u.id = s.created_by`;
+
+async function listProductions({ matterId, status, viewerId } = {}) {
+  const conditions = [];
+  const params = [];
+  if (viewerId) {
+    params.push(viewerId);
+    conditions.push(visibleClause(`$${params.length}`, { matter: 's.matter_id' }));
+  }
+  if (matterId) {
+    params.push(matterId);
+    conditions.push(`s.matter_id = $${params.length}`);
+  }
+  if (status) {
+    params.push(status);
+    conditions.push(`s.status = $${params.length}`);
+  }
+
+  const result = await db.query(
+    `${SET_SELECT} ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''} ORDER BY s.created_at DESC`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * A production with its documents in Bates order
+ */
+async function getProduction(productionId, client = db) {
+  const result = await client.query(`${SET_SELECT} WHERE s.id = $1`, [productionId]);
+  const production = result.rows[0];
+  if (!production) return null;
+
+  const documents = await client.query(
+    `SELECT pd.id, pd.document_id, pd.position, pd.withheld, pd.privilege_basis, pd.privilege_description,
+       pd.produced_as, pd.version_number, pd.begin_bates, pd.end_bates, pd.page_count, pd.checksum,
+       d.title, d.document_type, d.original_name
+     FROM production_documents pd
+     JOIN documents d ON d.id = pd.document_id
+     WHERE pd.set_id = $1
+     ORDER BY pd.position`,
+    [productionId]
+  );
+  return { ...production, documents: documents.rows };
+}
+
+function positiveInteger(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw httpError(400, `${name} must be a positive whole number`);
+  }
+  return number;
+}
+
+/**
+ * Data: matterId, name, prefix, startNumber (defaults to the next unused
+ * number for the prefix on the matter), digits, volume, documentIds (in
+ * production order; defaults to every document on the matter) and
+ * withheld ([{ documentId, basis, description }])
+ */
+async function createProduction(data, client = db) {
+  const { matterId, userId } = data;
+  if (!matterId) {
+    throw httpError(400, 'matterId is required');
+  }
+  if (!data.name || !String(data.name).trim()) {
+    throw httpError(400, 'name is required');
+  }
+  const prefix = String(data.prefix || '').trim().toUpperCase();
+  if (!PREFIX_PATTERN.test(prefix)) {
+    throw httpError(400, 'prefix must start with a letter and use up to 20 letters, digits, "-" or "_"');
+  }
+  const digits = data.digits === undefined ? DEFAULT_DIGITS : Number(data.digits);
+  if (!Number.isInteger(digits) || digits < MIN_DIGITS || digits > MAX_DIGITS) {
+    throw httpError(400, `digits must be from ${MIN_DIGITS} to ${MAX_DIGITS}`);
+  }
+  if (data.volume !== undefined && !VOLUME_PATTERN.test(String(data.volume))) {
+    throw httpError(400, 'volume may only use letters, digits, "-" and "_"');
+  }
+
+  // Productions on a matter are numbered one after another
+  const matter = await client.query('SELECT id FROM matters WHERE id = $1 FOR UPDATE', [matterId]);
+  if (matter.rows.length === 0) {
+    throw httpError(404, 'Matter not found');
+  }
+
+  const previous = await client.query(
+    `SELECT
+       COUNT(*) AS productions,
+       COUNT(*) FILTER (WHERE prefix = $2 AND status IN ('pending', 'generating')) AS in_progress,
+       MAX(end_number) FILTER (WHERE prefix = $2 AND status = 'complete') AS last_number
+     FROM production_sets
+     WHERE matter_id = $1`,
+    [matterId, prefix]
+  );
+  const { productions, in_progress: inProgress, last_number: lastNumber } = previous.rows[0];
+  if (parseInt(inProgress) > 0) {
+    throw httpError(409, `Another ${prefix} production on this matter is still being generated`);
+  }
+
+  const used = lastNumber === null ? 0 : Number(lastNumber);
+  const startNumber = data.startNumber === undefined || data.startNumber === null
+    ? used + 1
+    : positiveInteger(data.startNumber, 'startNumber');
+  if (startNumber <= used) {
+    throw httpError(409, `Bates numbers up to ${batesPdfService.batesNumber(prefix, used, digits)} are already produced; start at ${used + 1} or later`);
+  }
+  if (String(startNumber).length > digits) {
+    throw httpError(400, `startNumber does not fit in ${digits} digits`);
+  }
+
+  // Documents, in the order given or oldest first
+  let documents;
+  if (data.documentIds !== undefined) {
+    if (!Array.isArray(data.documentIds) || data.documentIds.length === 0) {
+      throw httpError(400, 'documentIds must be a non-empty array');
+    }
+    const ids = [...new Set(data.documentIds.map(id => positiveInteger(id, 'documentIds')))];
+    const result = await client.query(
+      `SELECT id, is_privileged FROM documents
+       WHERE matter_id = $1 AND is_deleted = false AND id = ANY($2::int[])`,
+      [matterId, ids]
+    );
+    const found = new Map(result.rows.map(row => [row.id, row]));
+    const missing = ids.filter(id => !found.has(id));
+    if (missing.length > 0) {
+      throw httpError(400, `Documents not on this matter: ${missing.join(', ')}`);
+    }
+    documents = ids.map(id => found.get(id));
+  } else {
+    const result = await client.query(
+      `SELECT id, is_privileged FROM documents
+       WHERE matter_id = $1 AND is_deleted = false
+       ORDER BY created_at, id`,
+      [matterId]
+    );
+    documents = result.rows;
+  }
+  if (documents.length === 0) {
+    throw httpError(400, 'The matter has no documents to produce');
+  }
+
+  const withheld = new Map();
+  for (const entry of data.withheld || []) {
+    const documentId = positiveInteger(entry && entry.documentId, 'withheld documentId');
+    if (!documents.some(document => document.id === documentId)) {
+      throw httpError(400, `Withheld document ${documentId} is not in this production`);
+    }
+    withheld.set(documentId, {
+      basis: entry.basis ? String(entry.basis).trim().slice(0, 100) : DEFAULT_PRIVILEGE_BASIS,
+      description: entry.description || null
+    });
+  }
+  for (const document of documents) {
+    if (document.is_privileged && !withheld.has(document.id)) {
+      withheld.set(document.id, { basis: DEFAULT_PRIVILEGE_BASIS, description: null });
+    }
+  }
+
+  const result = await client.query(
+    `INSERT INTO production_sets (matter_id, name, prefix, start_number, digits, volume, document_count, withheld_count, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING id`,
+    [
+      matterId,
+      String(data.name).trim(),
+      prefix,
+      startNumber,
+      digits,
+      data.volume ? String(data.volume) : `VOL${String(parseInt(productions) + 1).padStart(3, '0')}`,
+      documents.length,
+      withheld.size,
+      userId || null
+    ]
+  );
+  const productionId = result.rows[0].id;
+
+  for (const [index, document] of documents.entries()) {
+    const hold = withheld.get(document.id);
+    await client.query(
+      `INSERT INTO production_documents (set_id, document_id, position, withheld, privilege_basis, privilege_description)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [productionId, document.id, index + 1, Boolean(hold), hold ? hold.basis : null, hold ? hold.description : null]
+    );
+  }
+
+  return getProduction(productionId, client);
+}
+
+/**
+ * Put a failed production back in the queue
+ */
+async function retryProduction(productionId) {
+  const result = await db.query(
+    `UPDATE production_sets SET status = 'pending', error = NULL
+     WHERE id = $1 AND status = 'failed'
+     RETURNING id`,
+    [productionId]
+  );
+  if (result.rows.length === 0) {
+    const existing = await getProduction(productionId);
+    throw existing ? httpError(409, `Production is ${existing.status}, not failed`) : httpError(404, 'Production not found');
+  }
+  wake();
+  return getProduction(productionId);
+}
+
+function archivePath(production) {
+  return path.join(PRODUCTION_DIR, production.stored_name);
+}
+
+// ---- Generation ----
+
+// Wait for each entry to be written so only one file is held in memory
+function appendEntry(archive, source, name) {
+  return new Promise((resolve, reject) => {
+    const onEntry = () => {
+      archive.off('error', onError);
+      resolve();
+    };
+    const onError = error => {
+      archive.off('entry', onEntry);
+      reject(error);
+    };
+    archive.once('entry', onEntry);
+    archive.once('error', onError);
+    archive.append(source, { name });
+  });
+}
+
+// The document as PDF pages, or null when it can only be produced natively
+async function imageDocument(item, filePath) {
+  const extension = path.extname(item.original_name).toLowerCase();
+  if (extension === '.pdf') {
+    return fs.promises.readFile(filePath);
+  }
+  if (IMAGE_EXTENSIONS.includes(extension)) {
+    const { pages: frames = 1 } = await sharp(filePath).metadata();
+    const images = [];
+    for (let index = 0; index < frames; index++) {
+      images.push(await sharp(filePath, { page: index }).png().toBuffer());
+    }
+    return batesPdfService.imagesToPdf(images);
+  }
+  if (TYPESET_EXTENSIONS.includes(extension)) {
+    const pages = await ocrService.extractText(filePath, item.original_name);
+    return signaturePdfService.typesetText(pages || [], item.title);
+  }
+  return null;
+}
+
+// Stamp the document (or its slip sheet) from `start`; returns what went in the ZIP
+async function produceDocument(archive, production, item, start) {
+  const numbering = { prefix: production.prefix, start, digits: production.digits };
+  const filePath = documentService.filePath(item);
+
+  if (item.withheld) {
+    const slip = await batesPdfService.slipSheet('DOCUMENT WITHHELD', [
+      `Privilege asserted: ${item.privilege_basis}`,
+      'See the privilege log produced with this volume.'
+    ]);
+    return { producedAs: 'withheld', ...(await batesPdfService.stamp(slip, numbering)) };
+  }
+
+  await fs.promises.access(filePath).catch(() => {
+    throw new Error(`File for document ${item.document_id} (${item.original_name}) is missing`);
+  });
+  const checksum = await versionService.checksumFile(filePath);
+
+  let stamped = null;
+  try {
+    const pdf = await imageDocument(item, filePath);
+    if (pdf) {
+      stamped = await batesPdfService.stamp(pdf, { ...numbering, confidentiality: item.confidentiality });
+    }
+  } catch (error) {
+    console.error(`[Documents] Could not image document ${item.document_id} for production ${production.id}; producing it natively:`, error.message);
+  }
+  if (stamped) {
+    return { producedAs: 'pdf', checksum, ...stamped };
+  }
+
+  const slip = await batesPdfService.slipSheet('DOCUMENT PRODUCED IN NATIVE FORMAT', [
+    `File name: ${item.original_name}`,
+    batesPdfService.LEGENDS[item.confidentiality]
+  ]);
+  const native = `NATIVES/${batesPdfService.batesNumber(production.prefix, start, production.digits)}${path.extname(item.original_name).toLowerCase()}`;
+  await appendEntry(archive, fs.createReadStream(filePath), `${production.volume}/${native}`);
+  return {
+    producedAs: 'native',
+    checksum,
+    nativePath: native,
+    ...(await batesPdfService.stamp(slip, { ...numbering, confidentiality: item.confidentiality }))
+  };
+}
+
+async function buildArchive(production, items, storedName) {
+  await fs.promises.mkdir(PRODUCTION_DIR, { recursive: true });
+  const output = fs.createWriteStream(path.join(PRODUCTION_DIR, storedName));
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const closed = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+  });
+  archive.pipe(output);
+
+  const volume = production.volume;
+  const produced = [];
+  let next = production.start_number;
+
+  try {
+    for (const item of items) {
+      const result = await produceDocument(archive, production, item, next);
+      const pageNumbers = Array.from({ length: result.pageCount }, (_, index) =>
+        batesPdfService.batesNumber(production.prefix, next + index, production.digits)
+      );
+      const imagePath = `IMAGES/${pageNumbers[0]}.pdf`;
+      await appendEntry(archive, Buffer.from(result.bytes), `${volume}/${imagePath}`);
+
+      let textPath = null;
+      if (result.producedAs !== 'withheld') {
+        const pages = await ocrService.getPages(item.document_id, item.current_version);
+        const text = pages.map(page => page.text).join('\f').trim();
+        if (text) {
+          textPath = `TEXT/${pageNumbers[0]}.txt`;
+          await appendEntry(archive, Buffer.from(text, 'utf8'), `${volume}/${textPath}`);
+        }
+      }
+
+      produced.push({
+        ...item,
+        produced_as: result.producedAs,
+        checksum: result.checksum || null,
+        page_count: result.pageCount,
+        page_numbers: pageNumbers,
+        begin_bates: pageNumbers[0],
+        end_bates: pageNumbers[pageNumbers.length - 1],
+        image_path: imagePath,
+        native_path: result.nativePath || null,
+        text_path: textPath
+      });
+      next += result.pageCount;
+    }
+
+    await appendEntry(archive, loadFileService.buildDat(produced), `${volume}/DATA/${volume}.dat`);
+    await appendEntry(archive, loadFileService.buildOpt(produced, volume), `${volume}/DATA/${volume}.opt`);
+    await appendEntry(archive, loadFileService.buildPrivilegeLog(produced), `${volume}/DATA/privilege_log.csv`);
+    await archive.finalize();
+    await closed;
+  } catch (error) {
+    archive.abort();
+    output.destroy();
+    await fs.promises.unlink(path.join(PRODUCTION_DIR, storedName)).catch(() => {});
+    throw error;
+  }
+
+  return { produced, endNumber: next - 1 };
+}
+
+async function claimNext() {
+  const result = await db.query(
+    `UPDATE production_sets SET status = 'generating', started_at = NOW(), error = NULL
+     WHERE id = (
+       SELECT id FROM production_sets
+       WHERE status = 'pending'
+       ORDER BY id
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`
+  );
+  return result.rows[0] || null;
+}
+
+async function complete(production, produced, endNumber, storedName) {
+  const filePath = path.join(PRODUCTION_DIR, storedName);
+  const [stat, checksum] = await Promise.all([
+    fs.promises.stat(filePath),
+    versionService.checksumFile(filePath)
+  ]);
+
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const item of produced) {
+      await client.query(
+        `UPDATE production_documents SET
+          produced_as = $1, version_number = $2, begin_bates = $3, end_bates = $4, page_count = $5, checksum = $6
+        WHERE id = $7`,
+        [item.produced_as, item.current_version, item.begin_bates, item.end_bates, item.page_count, item.checksum, item.id]
+      );
+    }
+    await client.query(
+      `UPDATE production_sets SET
+        status = 'complete',
+        end_number = $1,
+        page_count = $2,
+        stored_name = $3,
+        file_size = $4,
+        checksum = $5,
+        completed_at = NOW()
+      WHERE id = $6`,
+      [
+        endNumber,
+        produced.reduce((sum, item) => sum + item.page_count, 0),
+        storedName,
+        stat.size,
+        checksum,
+        production.id
+      ]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    await fs.promises.unlink(filePath).catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function generate(production) {
+  const started = Date.now();
+  const items = await db.query(
+    `SELECT pd.id, pd.document_id, pd.withheld, pd.privilege_basis, pd.privilege_description,
+       d.title, d.author, d.document_type, d.confidentiality, d.original_name, d.stored_name,
+       d.current_version, d.created_at AS uploaded_at
+     FROM production_documents pd
+     JOIN documents d ON d.id = pd.document_id
+     WHERE pd.set_id = $1
+     ORDER BY pd.position`,
+    [production.id]
+  );
+  const storedName = `production-${production.id}-${Date.now()}.zip`;
+
+  try {
+    const { produced, endNumber } = await buildArchive(production, items.rows, storedName);
+    await complete(production, produced, endNumber, storedName);
+    console.log(`[Documents] Production ${production.id} generated: ${produced.length} document(s), ${production.prefix} ${production.start_number}-${endNumber} in ${Date.now() - started}ms`);
+  } catch (error) {
+    console.error(`[Documents] Production ${production.id} failed:`, error.message);
+    await db.query(
+      "UPDATE production_sets SET status = 'failed', error = $1, completed_at = NOW() WHERE id = $2",
+      [error.message, production.id]
+    );
+  }
+}
+
+let draining = null;
+let requested = false;
+
+async function drain() {
+  try {
+    while (requested) {
+      requested = false;
+      let production;
+      while ((production = await claimNext())) {
+        await generate(production);
+      }
+    }
+  } catch (error) {
+    console.error('[Documents] Production queue stopped:', error.message);
+  }
+}
+
+/**
+ * Generate pending productions in the background. Safe to call often.
+ */
+function wake() {
+  requested = true;
+  if (!draining) {
+    draining = drain().finally(() => {
+      draining = null;
+    });
+  }
+  return draining;
+}
+
+/**
+ * Queue productions left `generating` by a crashed process again and
+ * start working through the queue
+ */
+async function start() {
+  try {
+    await db.query(
+      `UPDATE production_sets SET status = 'pending'
+       WHERE status = 'generating' AND started_at < NOW() - ($1 || ' minutes')::interval`,
+      [STALE_MINUTES]
+    );
+    wake();
+  } catch (error) {
+    console.error('[Documents] Could not start production queue:', error.message);
+  }
+}
+
+module.exports = {
+  PRODUCTION_STATUSES,
+  listProductions,
+  getProduction,
+  createProduction,
+  retryProduction,
+  archivePath,
+  wake,
+  start
+};
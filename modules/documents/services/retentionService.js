@@ -0,0 +1,610 @@
+/**
+ * Retention Service
+ * Retention schedules, legal holds and the scheduled purge of documents
+ * that are past retention.
+ *
+ * A retention policy keeps documents of a type, on matters in a status,
+ * for a number of years counted from the date the matter closed. Until
+ * then the clock has not started: documents on open matters, and those on
+ * no matter, are kept and never purged. The most specific active
+ * policy wins (type and status, then type, then status, then the
+ * default). A policy without years keeps documents permanently, and
+ * documents no policy covers are never purged.
+ *
+ * A legal hold on a matter or a custodian (a staff member's uploads, or
+ * an author by name) blocks deletion and destruction of every document it
+ * covers until it is released.
+ *
+ * The purge destroys each eligible document's files, extracted text and
+ * fields, keeps its metadata row as a tombstone, and records it in a
+ * purge run whose certificate of destruction lists what went and why.
+ */
+
+const fs = require('fs').promises;
+const cron = require('node-cron');
+const db = require('../database/db');
+const { visibleClause } = require('../../matters/services/ethicalWallService');
+const documentService = require('./documentService');
+const destructionPdfService = require('./destructionPdfService');
+const { STATUSES: MATTER_STATUSES } = require('../../matters/services/matterService');
+const { httpError } = require('../../shared/utils');
+
+// Daily at 03:00 unless RETENTION_PURGE_SCHEDULE says otherwise ("off" disables)
+const DEFAULT_PURGE_SCHEDULE = '0 3 * * *';
+
+const MAX_RETENTION_YEARS = 100;
+
+// The policy covering each document (alias d, with matter alias m)
+const POLICY_JOIN = `LEFT JOIN matters m ON m.id = d.matter_id
+  LEFT JOIN LATERAL (
+    SELECT p.id, p.name, p.retention_years
+    FROM retention_policies p
+    WHERE p.is_active = true
+      AND (p.document_type IS NULL OR p.document_type = d.document_type)
+      AND (p.matter_status IS NULL OR p.matter_status = m.status)
+    ORDER BY (p.document_type IS NOT NULL) DESC, (p.matter_status IS NOT NULL) DESC,
+      p.retention_years DESC NULLS FIRST
+    LIMIT 1
+  ) policy ON true`;
+
+// Null until the matter closes; archived matters closed first, but older
+// rows may only have the archive date
+const RETAIN_UNTIL = `(CASE WHEN m.status IN ('closed', 'archived')
+    THEN COALESCE(m.closed_at, m.archived_at) + make_interval(years => policy.retention_years)
+  END)`;
+
+const HOLD_MATCH = `h.released_at IS NULL AND (
+    h.matter_id = d.matter_id
+    OR h.custodian_user_id = d.uploaded_by
+    OR LOWER(h.custodian_name) = LOWER(d.author)
+  )`;
+
+const ON_HOLD = `EXISTS (SELECT 1 FROM legal_holds h WHERE ${HOLD_MATCH})`;
+
+// On a closed matter, past retention, not permanent, not on hold and not
+// already destroyed
+const PURGE_ELIGIBLE = `d.destroyed_at IS NULL
+  AND m.status IN ('closed', 'archived')
+  AND policy.retention_years IS NOT NULL
+  AND ${RETAIN_UNTIL} <= NOW()
+  AND NOT ${ON_HOLD}`;
+
+// ---- Policies ----
+
+function validatePolicy({ documentType, matterStatus, retentionYears }) {
+  if (documentType && !documentService.DOCUMENT_TYPES.includes(documentType)) {
+    throw httpError(400, `documentType must be one of: ${documentService.DOCUMENT_TYPES.join(', ')}`);
+  }
+  if (matterStatus && !MATTER_STATUSES.includes(matterStatus)) {
+    throw httpError(400, `matterStatus must be one of: ${MATTER_STATUSES.join(', ')}`);
+  }
+  if (retentionYears !== undefined && retentionYears !== null
+    && (!Number.isInteger(Number(retentionYears)) || Number(retentionYears) < 1 || Number(retentionYears) > MAX_RETENTION_YEARS)) {
+    throw httpError(400, `retentionYears must be a whole number from 1 to ${MAX_RETENTION_YEARS}, or null to keep permanently`);
+  }
+}
+
+// One active policy per document type and matter status
+function policyConflict(error) {
+  if (error.code === '23505') {
+    return httpError(409, 'An active policy already covers this document type and matter status');
+  }
+  return error;
+}
+
+async function listPolicies({ includeInactive } = {}) {
+  const result = await db.query(
+    `SELECT p.*, u.full_name AS created_by_name
+     FROM retention_policies p
+     LEFT JOIN users u ON u.id = p.created_by
+     ${includeInactive ? '' : 'WHERE p.is_active = true'}
+     ORDER BY p.document_type NULLS LAST, p.matter_status NULLS LAST, p.name`
+  );
+  return result.rows;
+}
+
+async function getPolicy(policyId) {
+  const result = await db.query('SELECT * FROM retention_policies WHERE id = $1', [policyId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Data: name, description, documentType and matterStatus (either may be
+ * left out to cover all), retentionYears (null keeps permanently)
+ */
+async function createPolicy(data, { userId }) {
+  if (!data.name || !String(data.name).trim()) {
+    throw httpError(400, 'name is required');
+  }
+  if (data.retentionYears === undefined) {
+    throw httpError(400, 'retentionYears is required (null keeps permanently)');
+  }
+  validatePolicy(data);
+
+  try {
+    const result = await db.query(
+      `INSERT INTO retention_policies (name, description, document_type, matter_status, retention_years, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        String(data.name).trim(),
+        data.description || null,
+        data.documentType || null,
+        data.matterStatus || null,
+        data.retentionYears === null ? null : Number(data.retentionYears),
+        userId || null
+      ]
+    );
+    return result.rows[0];
+  } catch (error) {
+    throw policyConflict(error);
+  }
+}
+
+// What a policy covers is fixed; change its name, description or period
+async function updatePolicy(policyId, data) {
+  validatePolicy({ retentionYears: data.retentionYears });
+
+  const result = await db.query(
+    `UPDATE retention_policies SET
+      name = COALESCE($1, name),
+      description = COALESCE($2, description),
+      retention_years = CASE WHEN $3 THEN $4 ELSE retention_years END,
+      updated_at = NOW()
+    WHERE id = $5 AND is_active = true
+    RETURNING *`,
+    [
+      data.name ? String(data.name).trim() : null,
+      data.description,
+      data.retentionYears !== undefined,
+      data.retentionYears === undefined || data.retentionYears === null ? null : Number(data.retentionYears),
+      policyId
+    ]
+  );
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Retention policy not found');
+  }
+  return result.rows[0];
+}
+
+async function deactivatePolicy(policyId) {
+  const result = await db.query(
+    'UPDATE retention_policies SET is_active = false, updated_at = NOW() WHERE id = $1 AND is_active = true RETURNING id',
+    [policyId]
+  );
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Retention policy not found');
+  }
+}
+
+// ---- Legal holds ----
+
+const HOLD_SELECT = `SELECT h.*, m.matter_number, m.title AS matter_title,
+    cu.full_name AS custodian_user_name, iu.full_name AS issued_by_name, ru.full_name AS released_by_name,
+    (SELECT COUNT(*) FROM documents d WHERE d.destroyed_at IS NULL AND (
+      d.matter_id = h.matter_id OR d.uploaded_by = h.custodian_user_id OR LOWER(d.author) = LOWER(h.custodian_name)
+    )) AS document_count
+  FROM legal_holds h
+  LEFT JOIN matters m ON m.id = h.matter_id
+  LEFT JOIN users cu ON cu.id = h.custodian_user_id
+  LEFT JOIN users iu ON iu.id = h.issued_by
+  LEFT JOIN users ru ON ru.id = h.released_by`;
+
+function withCount(row) {
+  return { ...row, document_count: parseInt(row.document_count) };
+}
+
+async function listHolds({ active, viewerId } = {}) {
+  const conditions = [];
+  const params = [];
+  if (active === true) conditions.push('h.released_at IS NULL');
+  if (active === false) conditions.push('h.released_at IS NOT NULL');
+  if (viewerId) {
+    params.push(viewerId);
+    conditions.push(visibleClause(`$${params.length}`, { matter: 'h.matter_id' }));
+  }
+
+  const result = await db.query(
+    `${HOLD_SELECT} ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''} ORDER BY h.issued_at DESC`,
+    params
+  );
+  return result.rows.map(withCount);
+}
+
+async function getHold(holdId) {
+  const result = await db.query(`${HOLD_SELECT} WHERE h.id = $1`, [holdId]);
+  return result.rows[0] ? withCount(result.rows[0]) : null;
+}
+
+/**
+ * Place a hold on exactly one of: matterId, custodianUserId (documents
+ * they uploaded) or custodianName (documents with that author)
+ */
+async function createHold({ name, reason, matterId, custodianUserId, custodianName }, { userId }) {
+  if (!name || !String(name).trim()) {
+    throw httpError(400, 'name is required');
+  }
+  const scopes = [matterId, custodianUserId, custodianName].filter(value => value !== undefined && value !== null && value !== '');
+  if (scopes.length !== 1) {
+    throw httpError(400, 'A hold covers exactly one of matterId, custodianUserId or custodianName');
+  }
+
+  if (matterId) {
+    const matter = await db.query('SELECT id FROM matters WHERE id = $1', [matterId]);
+    if (matter.rows.length === 0) {
+      throw httpError(404, 'Matter not found');
+    }
+  }
+  if (custodianUserId) {
+    const user = await db.query('SELECT id FROM users WHERE id = $1', [custodianUserId]);
+    if (user.rows.length === 0) {
+      throw httpError(404, 'Custodian not found');
+    }
+  }
+
+  const result = await db.query(
+    `INSERT INTO legal_holds (name, reason, matter_id, custodian_user_id, custodian_name, issued_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id`,
+    [
+      String(name).trim(),
+      reason || null,
+      matterId || null,
+      custodianUserId || null,
+      custodianName ? String(custodianName).trim() : null,
+      userId || null
+    ]
+  );
+  return getHold(result.rows[0].id);
+}
+
+async function releaseHold(holdId, { reason, userId }) {
+  const result = await db.query(
+    `UPDATE legal_holds SET released_at = NOW(), released_by = $1, release_reason = $2
+     WHERE id = $3 AND released_at IS NULL
+     RETURNING id`,
+    [userId || null, reason || null, holdId]
+  );
+  if (result.rows.length === 0) {
+    const existing = await getHold(holdId);
+    throw existing ? httpError(409, 'Legal hold is already released') : httpError(404, 'Legal hold not found');
+  }
+  return getHold(holdId);
+}
+
+// ---- Documents ----
+
+/**
+ * A document's retention policy, keep-until date and active holds
+ */
+async function documentRetention(documentId, client = db) {
+  const result = await client.query(
+    `SELECT d.id, d.destroyed_at, policy.id AS policy_id, policy.name AS policy_name,
+       policy.retention_years, ${RETAIN_UNTIL} AS retain_until
+     FROM documents d
+     ${POLICY_JOIN}
+     WHERE d.id = $1`,
+    [documentId]
+  );
+  const document = result.rows[0];
+  if (!document) return null;
+
+  const holds = await client.query(
+    `SELECT h.id, h.name, h.reason, h.matter_id, h.custodian_user_id, h.custodian_name, h.issued_at
+     FROM documents d
+     JOIN legal_holds h ON ${HOLD_MATCH}
+     WHERE d.id = $1
+     ORDER BY h.issued_at`,
+    [documentId]
+  );
+
+  const permanent = Boolean(document.policy_id) && document.retention_years === null;
+  // A policy whose clock has not started (matter still open) keeps it too
+  const awaitingClose = Boolean(document.policy_id) && !permanent && !document.retain_until;
+  const retained = permanent || awaitingClose
+    || (document.retain_until && new Date(document.retain_until) > new Date());
+
+  return {
+    documentId: document.id,
+    policy: document.policy_id
+      ? { id: document.policy_id, name: document.policy_name, retentionYears: document.retention_years }
+      : null,
+    permanent,
+    awaitingClose,
+    retainUntil: document.retain_until,
+    holds: holds.rows,
+    onHold: holds.rows.length > 0,
+    deletable: holds.rows.length === 0 && !retained,
+    destroyedAt: document.destroyed_at
+  };
+}
+
+/**
+ * Throws 409 when a hold or the retention schedule forbids deleting
+ */
+async function assertDeletable(documentId, client = db) {
+  const retention = await documentRetention(documentId, client);
+  if (!retention) {
+    throw httpError(404, 'Document not found');
+  }
+  if (retention.onHold) {
+    throw httpError(409, `Document is under legal hold: ${retention.holds.map(hold => hold.name).join(', ')}`);
+  }
+  if (retention.permanent) {
+    throw httpError(409, `Document must be kept permanently under retention policy "${retention.policy.name}"`);
+  }
+  if (retention.awaitingClose) {
+    throw httpError(409, `Document must be kept until its matter closes and then for ${retention.policy.retentionYears} years under retention policy "${retention.policy.name}"`);
+  }
+  if (retention.retainUntil && new Date(retention.retainUntil) > new Date()) {
+    throw httpError(409, `Document must be kept until ${new Date(retention.retainUntil).toISOString().slice(0, 10)} under retention policy "${retention.policy.name}"`);
+  }
+}
+
+const ELIGIBLE_COLUMNS = `d.id, d.title, d.document_type, d.original_name, d.customer_id, d.matter_id,
+  d.created_at, d.is_deleted, c.full_name AS client_name, m.matter_number, m.status AS matter_status,
+  policy.id AS policy_id, policy.name AS policy_name, policy.retention_years,
+  ${RETAIN_UNTIL} AS retain_until`;
+
+/**
+ * Documents the next purge would destroy, oldest first
+ */
+async function eligibleDocuments({ limit = 500, viewerId } = {}) {
+  const params = [limit];
+  let wallClause = '';
+  if (viewerId) {
+    params.push(viewerId);
+    wallClause = `AND ${visibleClause('$2', { matter: 'd.matter_id', customer: 'd.customer_id' })}`;
+  }
+
+  const result = await db.query(
+    `SELECT ${ELIGIBLE_COLUMNS}
+     FROM documents d
+     ${POLICY_JOIN}
+     LEFT JOIN customers c ON c.id = d.customer_id
+     WHERE ${PURGE_ELIGIBLE} ${wallClause}
+     ORDER BY retain_until
+     LIMIT $1`,
+    params
+  );
+  return result.rows;
+}
+
+// ---- Purge ----
+
+// Claim one eligible document and destroy its records; files go after commit
+async function destroyNext(runId) {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT ${ELIGIBLE_COLUMNS}
+       FROM documents d
+       ${POLICY_JOIN}
+       LEFT JOIN customers c ON c.id = d.customer_id
+       WHERE ${PURGE_ELIGIBLE}
+       ORDER BY d.id
+       LIMIT 1
+       FOR UPDATE OF d SKIP LOCKED`
+    );
+    const document = result.rows[0];
+    if (!document) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const versions = await client.query(
+      'SELECT stored_name, file_size, checksum FROM document_versions WHERE document_id = $1 ORDER BY version_number',
+      [document.id]
+    );
+    const current = await client.query('SELECT stored_name, file_size FROM documents WHERE id = $1', [document.id]);
+
+    // Restores point several versions at one file
+    const files = new Map();
+    for (const file of [...versions.rows, current.rows[0]]) {
+      files.set(file.stored_name, Number(file.file_size) || 0);
+    }
+    const bytes = [...files.values()].reduce((sum, size) => sum + size, 0);
+
+    await client.query('DELETE FROM document_pages WHERE document_id = $1', [document.id]);
+    await client.query('DELETE FROM document_fields WHERE document_id = $1', [document.id]);
+    await client.query(
+      'UPDATE document_shares SET revoked_at = NOW() WHERE document_id = $1 AND revoked_at IS NULL',
+      [document.id]
+    );
+    await client.query(
+      `UPDATE documents SET
+        destroyed_at = NOW(),
+        destruction_run_id = $1,
+        is_deleted = true,
+        deleted_at = COALESCE(deleted_at, NOW()),
+        description = NULL,
+        updated_at = NOW()
+      WHERE id = $2`,
+      [runId, document.id]
+    );
+
+    const item = await client.query(
+      `INSERT INTO retention_purge_items (
+        run_id, document_id, title, document_type, original_name, customer_id, client_name,
+        matter_id, matter_number, matter_status, policy_id, policy_name, retention_years,
+        retain_until, uploaded_at, versions, bytes, checksums
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+      RETURNING id`,
+      [
+        runId,
+        document.id,
+        document.title,
+        document.document_type,
+        document.original_name,
+        document.customer_id,
+        document.client_name,
+        document.matter_id,
+        document.matter_number,
+        document.matter_status,
+        document.policy_id,
+        document.policy_name,
+        document.retention_years,
+        document.retain_until,
+        document.created_at,
+        versions.rows.length,
+        bytes,
+        versions.rows.map(version => version.checksum).filter(Boolean)
+      ]
+    );
+
+    await client.query('COMMIT');
+    return { itemId: item.rows[0].id, documentId: document.id, files: [...files.keys()], bytes };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// A file already gone counts as destroyed
+async function removeFiles(destroyed) {
+  const errors = [];
+  for (const storedName of destroyed.files) {
+    try {
+      await fs.unlink(documentService.filePath({ stored_name: storedName }));
+    } catch (error) {
+      if (error.code !== 'ENOENT') errors.push(`${storedName}: ${error.message}`);
+    }
+  }
+
+  await db.query(
+    'UPDATE retention_purge_items SET files_removed = $1, file_error = $2 WHERE id = $3',
+    [errors.length === 0, errors.length ? errors.join('; ') : null, destroyed.itemId]
+  );
+}
+
+let purging = false;
+
+/**
+ * Destroy every document past retention and not on hold. Returns the
+ * run; its certificate lists each document destroyed.
+ */
+async function purge({ trigger = 'manual', userId } = {}) {
+  if (purging) {
+    throw httpError(409, 'A retention purge is already running');
+  }
+  purging = true;
+
+  try {
+    const run = await db.query(
+      'INSERT INTO retention_purge_runs (trigger, triggered_by) VALUES ($1, $2) RETURNING id',
+      [trigger, userId || null]
+    );
+    const runId = run.rows[0].id;
+
+    let count = 0;
+    let bytes = 0;
+    try {
+      let destroyed;
+      while ((destroyed = await destroyNext(runId))) {
+        await removeFiles(destroyed);
+        count++;
+        bytes += destroyed.bytes;
+      }
+    } catch (error) {
+      await db.query(
+        `UPDATE retention_purge_runs SET status = 'failed', error = $1, completed_at = NOW(),
+          documents_destroyed = $2, bytes_destroyed = $3
+         WHERE id = $4`,
+        [error.message, count, bytes, runId]
+      );
+      throw error;
+    }
+
+    await db.query(
+      `UPDATE retention_purge_runs SET status = 'completed', completed_at = NOW(),
+        documents_destroyed = $1, bytes_destroyed = $2
+       WHERE id = $3`,
+      [count, bytes, runId]
+    );
+    return getRun(runId);
+  } finally {
+    purging = false;
+  }
+}
+
+const RUN_SELECT = `SELECT r.*, u.full_name AS triggered_by_name
+  FROM retention_purge_runs r
+  LEFT JOIN users u ON u.id = r.triggered_by`;
+
+async function listRuns({ limit = 50 } = {}) {
+  const result = await db.query(`${RUN_SELECT} ORDER BY r.started_at DESC LIMIT $1`, [limit]);
+  return result.rows;
+}
+
+async function getRun(runId) {
+  const result = await db.query(`${RUN_SELECT} WHERE r.id = $1`, [runId]);
+  const run = result.rows[0];
+  if (!run) return null;
+
+  const items = await db.query(
+    'SELECT * FROM retention_purge_items WHERE run_id = $1 ORDER BY id',
+    [runId]
+  );
+  return { ...run, items: items.rows };
+}
+
+/**
+ * Certificate of destruction for a finished run, as a PDF
+ */
+async function certificate(runId) {
+  const run = await getRun(runId);
+  if (!run) {
+    throw httpError(404, 'Purge run not found');
+  }
+  if (run.status === 'running') {
+    throw httpError(409, 'Purge run has not finished');
+  }
+  return destructionPdfService.renderCertificate(run);
+}
+
+/**
+ * Start the scheduled purge (RETENTION_PURGE_SCHEDULE, cron syntax, in
+ * CALENDAR_TIMEZONE when set)
+ */
+function schedulePurge() {
+  const schedule = process.env.RETENTION_PURGE_SCHEDULE || DEFAULT_PURGE_SCHEDULE;
+  if (schedule === 'off') return null;
+  if (!cron.validate(schedule)) {
+    console.error(`[Documents] Invalid RETENTION_PURGE_SCHEDULE "${schedule}"; retention purge is not scheduled`);
+    return null;
+  }
+
+  return cron.schedule(schedule, () => {
+    purge({ trigger: 'schedule' })
+      .then(run => {
+        if (run.documents_destroyed > 0) {
+          console.log(`[Documents] Retention purge ${run.id} destroyed ${run.documents_destroyed} document(s)`);
+        }
+      })
+      .catch(error => console.error('[Documents] Scheduled retention purge failed:', error.message));
+  }, process.env.CALENDAR_TIMEZONE ? { timezone: process.env.CALENDAR_TIMEZONE } : {});
+}
+
+module.exports = {
+  listPolicies,
+  getPolicy,
+  createPolicy,
+  updatePolicy,
+  deactivatePolicy,
+  listHolds,
+  getHold,
+  createHold,
+  releaseHold,
+  documentRetention,
+  assertDeletable,
+  eligibleDocuments,
+  purge,
+  listRuns,
+  getRun,
+  certificate,
+  schedulePurge
+};
@@ -0,0 +1,258 @@
+/**
+ * Document Search Service
+ * Filtered listing and Postgres full-text search over document titles,
+ * tags and metadata plus the extracted text of each page.
+ *
+ * Queries use websearch syntax: words are ANDed, "quoted phrases" match
+ * in order, `or` gives alternatives and a leading - excludes a word.
+ * A document matches when its metadata or any one page of its current
+ * version matches; hits come back as highlighted snippets per page.
+ */
+
+const db = require('../database/db');
+const documentService = require('./documentService');
+const { escapeHtml } = require('../../shared/utils');
+
+const SEARCH_CONFIG = 'english';
+
+// Snippets per document in search results
+const MAX_HITS_PER_DOCUMENT = 5;
+
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=3, FragmentDelimiter=" … "';
+
+// Titles and tags are weighted above description, author and file name.
+// There are few enough documents that this is built per query; page text
+// is the bulk and has its own indexed column.
+const METADATA_VECTOR = `(
+  setweight(to_tsvector('${SEARCH_CONFIG}', COALESCE(d.title, '')), 'A') ||
+  setweight(to_tsvector('${SEARCH_CONFIG}', array_to_string(d.tags, ' ')), 'A') ||
+  setweight(to_tsvector('${SEARCH_CONFIG}',
+    COALESCE(d.description, '') || ' ' || COALESCE(d.author, '') || ' ' || d.original_name), 'B')
+)`;
+
+const DOCUMENT_COLUMNS = `d.*, c.full_name AS client_name, m.matter_number, m.title AS matter_title,
+  u.full_name AS uploaded_by_name`;
+
+const DOCUMENT_JOINS = `LEFT JOIN customers c ON c.id = d.customer_id
+  LEFT JOIN matters m ON m.id = d.matter_id
+  LEFT JOIN users u ON u.id = d.uploaded_by`;
+
+/**
+ * Shared WHERE builder for list and search.
+ * Filters: customerId, matterId, documentType, category, confidentiality,
+ * privileged, author, from, to (upload date), query (title, description,
+ * file name, author, tags and the current version's extracted text),
+ * viewerId (hides privileged documents that user may not see)
+ */
+function buildFilters(filters) {
+  let whereClause = 'WHERE d.is_deleted = false';
+  const params = [];
+  let paramCount = 0;
+
+  if (filters.customerId) {
+    paramCount++;
+    whereClause += ` AND d.customer_id = $${paramCount}`;
+    params.push(filters.customerId);
+  }
+
+  if (filters.matterId) {
+    paramCount++;
+    whereClause += ` AND d.matter_id = $${paramCount}`;
+    params.push(filters.matterId);
+  }
+
+  if (filters.documentType) {
+    paramCount++;
+    whereClause += ` AND d.document_type = $${paramCount}`;
+    params.push(filters.documentType);
+  }
+
+  if (filters.category) {
+    paramCount++;
+    whereClause += ` AND d.category = $${paramCount}`;
+    params.push(filters.category);
+  }
+
+  if (filters.confidentiality) {
+    paramCount++;
+    whereClause += ` AND d.confidentiality = $${paramCount}`;
+    params.push(filters.confidentiality);
+  }
+
+  const privileged = documentService.parseBoolean(filters.privileged);
+  if (privileged !== undefined) {
+    paramCount++;
+    whereClause += ` AND d.is_privileged = $${paramCount}`;
+    params.push(privileged);
+  }
+
+  if (filters.author) {
+    paramCount++;
+    whereClause += ` AND d.author ILIKE $${paramCount}`;
+    params.push(`%${filters.author}%`);
+  }
+
+  if (filters.from) {
+    paramCount++;
+    whereClause += ` AND d.created_at >= $${paramCount}`;
+    params.push(filters.from);
+  }
+
+  if (filters.to) {
+    paramCount++;
+    whereClause += ` AND d.created_at < ($${paramCount}::date + 1)`;
+    params.push(filters.to);
+  }
+
+  if (filters.query) {
+    paramCount++;
+    whereClause += ` AND (d.title ILIKE $${paramCount} OR d.description ILIKE $${paramCount}
+      OR d.original_name ILIKE $${paramCount} OR d.author ILIKE $${paramCount}
+      OR $${paramCount + 1} = ANY(d.tags)
+      OR EXISTS (
+        SELECT 1 FROM document_pages p
+        WHERE p.document_id = d.id AND p.version_number = d.current_version
+          AND p.text ILIKE $${paramCount}
+      ))`;
+    params.push(`%${filters.query}%`, filters.query);
+    paramCount++;
+  }
+
+  if (filters.viewerId) {
+    paramCount++;
+    whereClause += ` AND ${documentService.viewerAccessClause(`$${paramCount}`)}`;
+    params.push(filters.viewerId);
+  }
+
+  return { whereClause, params, paramCount };
+}
+
+async function listDocuments(filters, page, limit) {
+  const { whereClause, params, paramCount } = buildFilters(filters);
+  const offset = (page - 1) * limit;
+
+  const countResult = await db.query(`SELECT COUNT(*) FROM documents d ${whereClause}`, params);
+
+  const result = await db.query(
+    `SELECT ${DOCUMENT_COLUMNS}
+     FROM documents d
+     ${DOCUMENT_JOINS}
+     ${whereClause}
+     ORDER BY d.created_at DESC
+     LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`,
+    [...params, limit, offset]
+  );
+
+  return {
+    success: true,
+    count: result.rows.length,
+    total: parseInt(countResult.rows[0].count),
+    page,
+    limit,
+    data: result.rows
+  };
+}
+
+// Document text is untrusted; keep only the highlight tags as markup
+function safeHighlight(headline) {
+  if (headline === null || headline === undefined) return null;
+  return escapeHtml(headline)
+    .replace(/&lt;mark&gt;/g, '<mark>')
+    .replace(/&lt;\/mark&gt;/g, '</mark>');
+}
+
+// Best-matching pages of each document with highlighted snippets
+async function pageHits(documentIds, text) {
+  if (documentIds.length === 0) return new Map();
+
+  const result = await db.query(
+    `SELECT ranked.document_id, ranked.page_number, ranked.rank,
+       ts_headline('${SEARCH_CONFIG}', p.text, ranked.query, $3) AS snippet
+     FROM (
+       SELECT p.id, p.document_id, p.page_number, query,
+         ts_rank_cd(p.search_vector, query) AS rank,
+         ROW_NUMBER() OVER (
+           PARTITION BY p.document_id
+           ORDER BY ts_rank_cd(p.search_vector, query) DESC, p.page_number
+         ) AS position
+       FROM document_pages p
+       JOIN documents d ON d.id = p.document_id AND p.version_number = d.current_version
+       CROSS JOIN websearch_to_tsquery('${SEARCH_CONFIG}', $2) query
+       WHERE p.document_id = ANY($1) AND p.search_vector @@ query
+     ) ranked
+     JOIN document_pages p ON p.id = ranked.id
+     WHERE ranked.position <= $4
+     ORDER BY ranked.document_id, ranked.position`,
+    [documentIds, text, HEADLINE_OPTIONS, MAX_HITS_PER_DOCUMENT]
+  );
+
+  const hits = new Map();
+  for (const row of result.rows) {
+    if (!hits.has(row.document_id)) hits.set(row.document_id, []);
+    hits.get(row.document_id).push({
+      pageNumber: row.page_number,
+      rank: Number(row.rank),
+      snippet: safeHighlight(row.snippet)
+    });
+  }
+  return hits;
+}
+
+/**
+ * Ranked full-text search. `filters` are those of buildFilters (without
+ * `query`); results carry a rank, the number of matching pages, a
+ * highlighted title and the best page snippets.
+ */
+async function search(text, filters, page, limit) {
+  const { whereClause, params, paramCount } = buildFilters({ ...filters, query: undefined });
+  const queryParam = `$${paramCount + 1}`;
+  const offset = (page - 1) * limit;
+
+  const from = `FROM documents d
+    ${DOCUMENT_JOINS}
+    CROSS JOIN websearch_to_tsquery('${SEARCH_CONFIG}', ${queryParam}) query
+    LEFT JOIN LATERAL (
+      SELECT MAX(ts_rank_cd(p.search_vector, query)) AS rank, COUNT(*) AS pages
+      FROM document_pages p
+      WHERE p.document_id = d.id AND p.version_number = d.current_version
+        AND p.search_vector @@ query
+    ) body ON true
+    ${whereClause} AND (${METADATA_VECTOR} @@ query OR body.pages > 0)`;
+
+  const countResult = await db.query(`SELECT COUNT(*) ${from}`, [...params, text]);
+
+  const result = await db.query(
+    `SELECT ${DOCUMENT_COLUMNS},
+       ts_rank(${METADATA_VECTOR}, query) + COALESCE(body.rank, 0) AS rank,
+       body.pages AS matching_pages,
+       ts_headline('${SEARCH_CONFIG}', d.title, query, 'HighlightAll=true, StartSel=<mark>, StopSel=</mark>') AS title_highlight
+     ${from}
+     ORDER BY rank DESC, d.created_at DESC
+     LIMIT $${paramCount + 2} OFFSET $${paramCount + 3}`,
+    [...params, text, limit, offset]
+  );
+
+  const hits = await pageHits(result.rows.map(row => row.id), text);
+
+  return {
+    success: true,
+    query: text,
+    count: result.rows.length,
+    total: parseInt(countResult.rows[0].count),
+    page,
+    limit,
+    data: result.rows.map(row => ({
+      ...row,
+      rank: Number(row.rank),
+      matching_pages: parseInt(row.matching_pages),
+      title_highlight: safeHighlight(row.title_highlight),
+      hits: hits.get(row.id) || []
+    }))
+  };
+}
+
+module.exports = {
+  buildFilters,
+  listDocuments,
+  search
+};
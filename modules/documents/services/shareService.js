@@ -0,0 +1,262 @@
+/**
+ * Document Share Service
+ * Expiring public links for sending documents to clients and outside
+ * counsel, with optional passcodes, download limits and revocation.
+ *
+ * Tokens are 256-bit random values shown once at creation; only their
+ * SHA-256 hash is stored, so the table cannot be used to rebuild a link.
+ * Every request against a link, including failed ones, is written to
+ * document_share_access with the caller's IP address; attempts on a token
+ * that matches no link keep the start of its hash, so repeated guesses
+ * with the same token can be told apart.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const db = require('../database/db');
+const { httpError } = require('../../shared/utils');
+
+const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_EXPIRY_DAYS = 90;
+const MIN_PASSCODE_LENGTH = 6;
+
+// Wrong passcodes allowed per link before it is locked for a while
+const MAX_PASSCODE_FAILURES = 5;
+const LOCKOUT_MINUTES = 15;
+
+// Hex characters of an unknown token's hash kept in the access log
+const TOKEN_HASH_PREFIX_LENGTH = 12;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+const STATUS_SQL = `CASE
+  WHEN s.revoked_at IS NOT NULL THEN 'revoked'
+  WHEN s.expires_at <= NOW() THEN 'expired'
+  WHEN s.max_downloads IS NOT NULL AND s.download_count >= s.max_downloads THEN 'exhausted'
+  ELSE 'active'
+END`;
+
+/**
+ * Create a link for a document. Returns { share, token }; the token is not
+ * stored and cannot be shown again.
+ */
+async function createShare(documentId, { expiresInDays, passcode, maxDownloads, recipientEmail, note, userId }, client = db) {
+  const days = expiresInDays === undefined || expiresInDays === null || expiresInDays === ''
+    ? DEFAULT_EXPIRY_DAYS
+    : Number(expiresInDays);
+  if (!Number.isFinite(days) || days <= 0 || days > MAX_EXPIRY_DAYS) {
+    throw httpError(400, `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`);
+  }
+
+  let limit = null;
+  if (maxDownloads !== undefined && maxDownloads !== null && maxDownloads !== '') {
+    limit = Number(maxDownloads);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw httpError(400, 'maxDownloads must be a positive whole number');
+    }
+  }
+
+  let passcodeHash = null;
+  if (passcode !== undefined && passcode !== null && passcode !== '') {
+    if (String(passcode).length < MIN_PASSCODE_LENGTH) {
+      throw httpError(400, `passcode must be at least ${MIN_PASSCODE_LENGTH} characters`);
+    }
+    passcodeHash = await bcrypt.hash(String(passcode), 10);
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  const result = await client.query(
+    `INSERT INTO document_shares (
+      document_id, token_hash, passcode_hash, expires_at, max_downloads,
+      recipient_email, note, created_by
+    ) VALUES ($1, $2, $3, NOW() + ($4 || ' days')::interval, $5, $6, $7, $8)
+    RETURNING id`,
+    [documentId, hashToken(token), passcodeHash, days, limit, recipientEmail || null, note || null, userId || null]
+  );
+
+  return { share: await getShare(result.rows[0].id, client), token };
+}
+
+const SHARE_SELECT = `SELECT s.id, s.document_id, s.expires_at, s.max_downloads, s.download_count,
+    s.recipient_email, s.note, s.created_by, s.created_at, s.revoked_at, s.revoked_by,
+    s.passcode_hash IS NOT NULL AS passcode_required,
+    ${STATUS_SQL} AS status,
+    u.full_name AS created_by_name,
+    (SELECT MAX(a.accessed_at) FROM document_share_access a
+     WHERE a.share_id = s.id AND a.outcome = 'downloaded') AS last_downloaded_at
+  FROM document_shares s
+  LEFT JOIN users u ON u.id = s.created_by`;
+
+async function getShare(shareId, client = db) {
+  const result = await client.query(`${SHARE_SELECT} WHERE s.id = $1`, [shareId]);
+  return result.rows[0] || null;
+}
+
+async function listShares(documentId) {
+  const result = await db.query(`${SHARE_SELECT} WHERE s.document_id = $1 ORDER BY s.created_at DESC`, [documentId]);
+  return result.rows;
+}
+
+async function revokeShare(shareId, { userId }) {
+  const result = await db.query(
+    `UPDATE document_shares SET revoked_at = NOW(), revoked_by = $1
+     WHERE id = $2 AND revoked_at IS NULL
+     RETURNING id`,
+    [userId || null, shareId]
+  );
+  if (result.rows.length === 0) {
+    const existing = await getShare(shareId);
+    throw existing ? httpError(409, 'Share link is already revoked') : httpError(404, 'Share link not found');
+  }
+  return getShare(shareId);
+}
+
+async function logAccess(shareId, outcome, { ip, userAgent }, tokenHash = null) {
+  await db.query(
+    `INSERT INTO document_share_access (share_id, outcome, ip_address, user_agent, token_hash_prefix)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [
+      shareId,
+      outcome,
+      ip || null,
+      userAgent ? String(userAgent).slice(0, 500) : null,
+      tokenHash ? tokenHash.slice(0, TOKEN_HASH_PREFIX_LENGTH) : null
+    ]
+  );
+}
+
+async function getAccessLog(shareId) {
+  const result = await db.query(
+    `SELECT id, outcome, ip_address, user_agent, accessed_at
+     FROM document_share_access
+     WHERE share_id = $1
+     ORDER BY accessed_at DESC`,
+    [shareId]
+  );
+  return result.rows;
+}
+
+/**
+ * Look a token up and check the link can still be used. Failures are
+ * logged and thrown with the HTTP status the public route should send.
+ */
+async function openShare(token, requester) {
+  const tokenHash = hashToken(token);
+  const result = await db.query(
+    `SELECT s.*, ${STATUS_SQL} AS status,
+       d.title, d.original_name, d.stored_name, d.mime_type, d.file_size, d.is_deleted
+     FROM document_shares s
+     JOIN documents d ON d.id = s.document_id
+     WHERE s.token_hash = $1`,
+    [tokenHash]
+  );
+  const share = result.rows[0];
+
+  if (!share) {
+    await logAccess(null, 'not_found', requester, tokenHash);
+    throw httpError(404, 'Share link not found');
+  }
+  if (share.status === 'revoked' || share.is_deleted) {
+    await logAccess(share.id, 'revoked', requester);
+    throw httpError(410, 'This share link has been revoked');
+  }
+  if (share.status === 'expired') {
+    await logAccess(share.id, 'expired', requester);
+    throw httpError(410, 'This share link has expired');
+  }
+  if (share.status === 'exhausted') {
+    await logAccess(share.id, 'limit_reached', requester);
+    throw httpError(410, 'This share link has reached its download limit');
+  }
+  return share;
+}
+
+// Public details; nothing about the document until the passcode is given
+function describe(share) {
+  const details = {
+    passcodeRequired: Boolean(share.passcode_hash),
+    expiresAt: share.expires_at,
+    downloadsRemaining: share.max_downloads === null ? null : share.max_downloads - share.download_count
+  };
+  if (!share.passcode_hash) {
+    Object.assign(details, {
+      title: share.title,
+      fileName: share.original_name,
+      fileSize: share.file_size,
+      mimeType: share.mime_type
+    });
+  }
+  return details;
+}
+
+async function viewShare(token, requester) {
+  const share = await openShare(token, requester);
+  await logAccess(share.id, 'viewed', requester);
+  return describe(share);
+}
+
+/**
+ * Check the passcode and count a download. Returns the document's file
+ * details for the route to send.
+ */
+async function claimDownload(token, passcode, requester) {
+  const share = await openShare(token, requester);
+
+  if (share.passcode_hash) {
+    const failures = await db.query(
+      `SELECT COUNT(*) FROM document_share_access
+       WHERE share_id = $1 AND outcome = 'wrong_passcode'
+         AND accessed_at > NOW() - ($2 || ' minutes')::interval`,
+      [share.id, LOCKOUT_MINUTES]
+    );
+    if (parseInt(failures.rows[0].count) >= MAX_PASSCODE_FAILURES) {
+      await logAccess(share.id, 'locked', requester);
+      throw httpError(429, `Too many wrong passcodes. Try again in ${LOCKOUT_MINUTES} minutes.`);
+    }
+    if (!passcode) {
+      await logAccess(share.id, 'passcode_required', requester);
+      throw httpError(401, 'A passcode is required to download this document', { passcodeRequired: true });
+    }
+    if (!(await bcrypt.compare(String(passcode), share.passcode_hash))) {
+      await logAccess(share.id, 'wrong_passcode', requester);
+      throw httpError(401, 'Incorrect passcode', { passcodeRequired: true });
+    }
+  }
+
+  // Counted atomically so parallel requests cannot pass the limit
+  const counted = await db.query(
+    `UPDATE document_shares SET download_count = download_count + 1
+     WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+       AND (max_downloads IS NULL OR download_count < max_downloads)
+     RETURNING id`,
+    [share.id]
+  );
+  if (counted.rows.length === 0) {
+    await logAccess(share.id, 'limit_reached', requester);
+    throw httpError(410, 'This share link has reached its download limit');
+  }
+
+  await logAccess(share.id, 'downloaded', requester);
+  return {
+    shareId: share.id,
+    documentId: share.document_id,
+    original_name: share.original_name,
+    stored_name: share.stored_name,
+    mime_type: share.mime_type
+  };
+}
+
+module.exports = {
+  DEFAULT_EXPIRY_DAYS,
+  MAX_EXPIRY_DAYS,
+  createShare,
+  getShare,
+  listShares,
+  revokeShare,
+  getAccessLog,
+  viewShare,
+  claimDownload
+};
@@ -0,0 +1,151 @@
+/**
+ * Signature PDF Service
+ * Builds the PDFs for electronic signing: a review copy of a document and
+ * the final signed copy with its signatures and an audit certificate.
+ *
+ * PDFs are signed as they are; DOCX, HTML and text documents are first
+ * typeset from their text on Letter-size pages. The signed copy is
+ * flattened (form fields become page content) so it cannot be edited
+ * after signing.
+ */
+
+const { PDFDocument, rgb } = require('pdf-lib');
+const { MARGIN, LINE_HEIGHT, printable, formatTimestamp, writer, standardFonts } = require('./pdfLayout');
+
+// Drawn signatures are scaled to fit this box
+const SIGNATURE_WIDTH = 180;
+const SIGNATURE_HEIGHT = 50;
+
+/**
+ * Typeset pages of extracted text ({ text }) as a PDF for signing
+ */
+async function typesetText(pages, title) {
+  const pdf = await PDFDocument.create();
+  const fonts = await standardFonts(pdf);
+  const out = writer(pdf, fonts);
+  pdf.setTitle(printable(title));
+
+  out.newPage();
+  out.paragraph(title, { font: fonts.bold, size: 14 });
+  out.gap();
+
+  for (const page of pages) {
+    for (const block of String(page.text || '').split(/\n/)) {
+      if (block.trim()) {
+        out.paragraph(block);
+      } else {
+        out.gap(LINE_HEIGHT / 2);
+      }
+    }
+  }
+
+  return pdf.save();
+}
+
+async function pageCount(bytes) {
+  const pdf = await PDFDocument.load(bytes);
+  return pdf.getPageCount();
+}
+
+// A drawn image, or the typed name in a script face, above a rule
+async function drawSignature(pdf, fonts, page, signer, x, y, width = SIGNATURE_WIDTH) {
+  if (signer.signature_method === 'drawn') {
+    const image = await pdf.embedPng(signer.signature_image);
+    const scale = Math.min(width / image.width, SIGNATURE_HEIGHT / image.height, 1);
+    page.drawImage(image, { x, y: y + 2, width: image.width * scale, height: image.height * scale });
+  } else {
+    const size = Math.min(22, width / Math.max(printable(signer.typed_name).length * 0.45, 1));
+    page.drawText(printable(signer.typed_name), { x, y: y + 6, size, font: fonts.script });
+  }
+  page.drawLine({ start: { x, y }, end: { x: x + width, y }, thickness: 0.5, color: rgb(0.4, 0.4, 0.4) });
+}
+
+/**
+ * The signed copy: the source PDF flattened, signatures drawn where each
+ * signer's placement asks, then a signature page and the audit
+ * certificate. `signers` carry signature_method, signature_image (PNG)
+ * or typed_name and their audit timestamps; `events` is the request's
+ * audit trail.
+ */
+async function buildSignedPdf({ source, request, signers, events, consentText, completedAt }) {
+  const pdf = await PDFDocument.load(source);
+  pdf.getForm().flatten();
+
+  const fonts = await standardFonts(pdf);
+  const grey = rgb(0.4, 0.4, 0.4);
+  const pages = pdf.getPages();
+
+  for (const signer of signers) {
+    const placement = signer.placement;
+    if (placement && pages[placement.page - 1]) {
+      await drawSignature(pdf, fonts, pages[placement.page - 1], signer, placement.x, placement.y, placement.width);
+    }
+  }
+
+  const out = writer(pdf, fonts);
+
+  // Signature page
+  out.newPage();
+  out.line('Signatures', { font: fonts.bold, size: 14 });
+  out.paragraph(request.title, { color: grey });
+  out.gap();
+  for (const signer of signers) {
+    out.ensureSpace(SIGNATURE_HEIGHT + LINE_HEIGHT * 4);
+    out.gap(SIGNATURE_HEIGHT);
+    await drawSignature(pdf, fonts, out.state.page, signer, MARGIN, out.state.y);
+    out.gap(4);
+    out.line([signer.name, signer.role].filter(Boolean).join(', '), { font: fonts.bold });
+    out.line(`Signed electronically ${formatTimestamp(signer.signed_at)} from ${signer.sign_ip || 'unknown address'}`, { size: 8, color: grey });
+    out.gap();
+  }
+
+  // Audit certificate
+  out.newPage();
+  out.line('Certificate of Completion', { font: fonts.bold, size: 14 });
+  out.gap(4);
+  out.line(`Signature request #${request.id}: ${request.title}`);
+  out.line(`Document: ${request.original_name} (version ${request.version_number})`);
+  out.line(`Document SHA-256: ${request.source_checksum || '-'}`, { size: 8 });
+  out.line(`Sent: ${formatTimestamp(request.created_at)}    Completed: ${formatTimestamp(completedAt)}`);
+  out.gap();
+
+  out.line('Consent to electronic signature', { font: fonts.bold });
+  out.paragraph(consentText, { size: 8, color: grey });
+  out.gap();
+
+  for (const signer of signers) {
+    out.ensureSpace(LINE_HEIGHT * 7);
+    out.line(`${signer.signing_order}. ${signer.name} <${signer.email}>${signer.role ? `, ${signer.role}` : ''}`, { font: fonts.bold });
+    const details = [
+      ['Invited', formatTimestamp(signer.notified_at)],
+      ['Viewed', formatTimestamp(signer.viewed_at)],
+      ['Consented', `${formatTimestamp(signer.consented_at)} from ${signer.consent_ip || '-'}`],
+      ['Signed', `${formatTimestamp(signer.signed_at)} from ${signer.sign_ip || '-'} (${signer.signature_method} signature)`],
+      ['Browser', signer.user_agent || '-']
+    ];
+    for (const [label, value] of details) {
+      out.paragraph(`${label}: ${value}`, { size: 8, x: MARGIN + 12 });
+    }
+    out.gap(6);
+  }
+
+  out.gap();
+  out.line('Audit trail', { font: fonts.bold });
+  for (const event of events) {
+    out.paragraph(
+      `${formatTimestamp(event.created_at)}  ${event.event}${event.signer_name ? ` - ${event.signer_name}` : ''}`
+        + `${event.ip_address ? ` (${event.ip_address})` : ''}${event.detail ? `: ${event.detail}` : ''}`,
+      { size: 8 }
+    );
+  }
+
+  pdf.setTitle(printable(`${request.title} (signed)`));
+  pdf.setAuthor(process.env.FIRM_NAME || 'Sterling & Associates');
+  return pdf.save();
+}
+
+module.exports = {
+  typesetText,
+  pageCount,
+  buildSignedPdf
+};
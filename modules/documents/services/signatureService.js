@@ -0,0 +1,772 @@
+/**
+ * Signature Service
+ * Electronic signing of documents (retainers, engagement letters) by
+ * clients and other parties, in a set order.
+ *
+ * Signers with the same signing_order sign in parallel; the next order is
+ * invited by email once everyone before it has signed. Each invitation
+ * carries a fresh 256-bit token of which only the SHA-256 hash is kept.
+ * Signers consent to signing electronically, then sign with a drawn image
+ * or a typed name. Every step is written to signature_events with the
+ * caller's IP address.
+ *
+ * When the last signer signs, a flattened PDF with the signatures and an
+ * audit certificate is filed as a new document next to the original, and
+ * a matter still in intake is opened. Each signer is then emailed a new
+ * link to the signed copy that lasts COPY_LINK_DAYS; staff can revoke
+ * those links sooner.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const db = require('../database/db');
+const { visibleClause } = require('../../matters/services/ethicalWallService');
+const documentService = require('./documentService');
+const versionService = require('./versionService');
+const ocrService = require('./ocrService');
+const signaturePdfService = require('./signaturePdfService');
+const matterService = require('../../matters/services/matterService');
+const { httpError, escapeHtml, emailService } = require('../../shared/utils');
+
+const SIGNABLE_EXTENSIONS = ['.pdf', '.docx', '.html', '.htm', '.txt'];
+
+const DEFAULT_EXPIRY_DAYS = 30;
+const MAX_EXPIRY_DAYS = 90;
+
+// How long the emailed link to a completed request's signed copy works
+const COPY_LINK_DAYS = 30;
+
+const SIGNATURE_METHODS = ['drawn', 'typed'];
+const MAX_SIGNATURE_IMAGE_BYTES = 512 * 1024;
+const PNG_MAGIC = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const CONSENT_TEXT = 'By selecting "I agree" you consent to use electronic records and signatures for this '
+  + 'document. Your electronic signature has the same legal effect as a handwritten signature. You may '
+  + 'ask for a paper copy, or withdraw this consent before signing, by contacting the firm; withdrawing '
+  + 'consent does not affect documents you have already signed.';
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function newToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function signingUrl(token) {
+  return `${process.env.FRONTEND_URL || ''}/sign/${token}`;
+}
+
+async function logEvent(requestId, signerId, event, { ip, userAgent, detail } = {}, client = db) {
+  await client.query(
+    `INSERT INTO signature_events (request_id, signer_id, event, ip_address, user_agent, detail)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [requestId, signerId || null, event, ip || null, userAgent ? String(userAgent).slice(0, 500) : null, detail || null]
+  );
+}
+
+// ---- Email ----
+
+async function sendEmail(to, subject, paragraphs, link) {
+  const firm = process.env.FIRM_NAME || 'Sterling & Associates';
+  const html = `<div style="font-family: Arial, sans-serif; max-width: 600px;">
+    <h2>${escapeHtml(firm)}</h2>
+    ${paragraphs.map(text => `<p>${escapeHtml(text)}</p>`).join('\n    ')}
+    <p><a href="${escapeHtml(link.url)}" style="display: inline-block; padding: 10px 18px; background: #1f3a5f; color: #fff; text-decoration: none; border-radius: 4px;">${escapeHtml(link.label)}</a></p>
+    <p style="color: #666; font-size: 12px;">This link is personal to you; please do not forward it.</p>
+  </div>`;
+
+  try {
+    return await emailService().sendEmailDirect({
+      from: process.env.EMAIL_FROM,
+      to,
+      subject,
+      html,
+      text: `${paragraphs.join('\n\n')}\n\n${link.label}: ${link.url}`
+    });
+  } catch (error) {
+    console.error(`[Documents] Signature email to ${to} failed:`, error.message);
+    return false;
+  }
+}
+
+// ---- Requests ----
+
+function validateSigners(signers) {
+  if (!Array.isArray(signers) || signers.length === 0) {
+    throw httpError(400, 'signers must be a list of { name, email, role, order }');
+  }
+
+  const seen = new Set();
+  return signers.map((signer, index) => {
+    const name = signer && typeof signer.name === 'string' ? signer.name.trim() : '';
+    const email = signer && typeof signer.email === 'string' ? signer.email.trim().toLowerCase() : '';
+    if (!name || name.length > 255) {
+      throw httpError(400, `Signer ${index + 1} needs a name`);
+    }
+    if (!EMAIL_PATTERN.test(email)) {
+      throw httpError(400, `Signer ${index + 1} needs a valid email`);
+    }
+    if (seen.has(email)) {
+      throw httpError(400, `${email} is listed more than once`);
+    }
+    seen.add(email);
+
+    // Listed order is signing order unless orders are given
+    const order = signer.order === undefined || signer.order === null ? index + 1 : Number(signer.order);
+    if (!Number.isInteger(order) || order < 1) {
+      throw httpError(400, `Signer ${index + 1} order must be a positive whole number`);
+    }
+
+    let placement = null;
+    if (signer.placement) {
+      const { page, x, y, width = 180 } = signer.placement;
+      if (!Number.isInteger(page) || page < 1 || !(x >= 0) || !(y >= 0) || !(width > 0)) {
+        throw httpError(400, `Signer ${index + 1} placement must be { page, x, y, width } in PDF points`);
+      }
+      placement = { page, x, y, width };
+    }
+
+    return { name, email, role: signer.role ? String(signer.role).slice(0, 100) : null, order, placement };
+  });
+}
+
+// The PDF that gets signed: the file itself, or its text typeset
+async function sourcePdf(request) {
+  const filePath = documentService.filePath({ stored_name: request.stored_name });
+  if (path.extname(request.original_name).toLowerCase() === '.pdf') {
+    return fs.readFile(filePath);
+  }
+
+  const pages = await ocrService.extractText(filePath, request.original_name);
+  return Buffer.from(await signaturePdfService.typesetText(pages || [], request.title));
+}
+
+const REQUEST_SELECT = `SELECT r.*, d.title AS document_title, m.matter_number, m.title AS matter_title,
+    u.full_name AS created_by_name,
+    (r.status = 'pending' AND r.expires_at <= NOW()) AS expired,
+    (SELECT COUNT(*) FROM signature_signers s WHERE s.request_id = r.id) AS signer_count,
+    (SELECT COUNT(*) FROM signature_signers s WHERE s.request_id = r.id AND s.status = 'signed') AS signed_count
+  FROM signature_requests r
+  JOIN documents d ON d.id = r.document_id
+  LEFT JOIN matters m ON m.id = r.matter_id
+  LEFT JOIN users u ON u.id = r.created_by`;
+
+const SIGNER_COLUMNS = `id, request_id, name, email, role, signing_order, status, placement,
+  notified_at, viewed_at, consented_at, consent_ip, signed_at, sign_ip, user_agent,
+  signature_method, typed_name, declined_at, decline_reason, copy_expires_at`;
+
+function withCounts(row) {
+  return { ...row, signer_count: parseInt(row.signer_count), signed_count: parseInt(row.signed_count) };
+}
+
+async function getRequest(requestId, client = db) {
+  const result = await client.query(`${REQUEST_SELECT} WHERE r.id = $1`, [requestId]);
+  if (result.rows.length === 0) return null;
+  const request = withCounts(result.rows[0]);
+
+  const signers = await client.query(
+    `SELECT ${SIGNER_COLUMNS} FROM signature_signers WHERE request_id = $1 ORDER BY signing_order, id`,
+    [requestId]
+  );
+  const events = await client.query(
+    `SELECT e.id, e.signer_id, s.name AS signer_name, e.event, e.ip_address, e.user_agent, e.detail, e.created_at
+     FROM signature_events e
+     LEFT JOIN signature_signers s ON s.id = e.signer_id
+     WHERE e.request_id = $1
+     ORDER BY e.created_at, e.id`,
+    [requestId]
+  );
+
+  return { ...request, signers: signers.rows, events: events.rows };
+}
+
+async function listRequests({ status, matterId, documentId, viewerId } = {}) {
+  let whereClause = 'WHERE 1=1';
+  const params = [];
+
+  if (viewerId) {
+    params.push(viewerId);
+    whereClause += ` AND ${visibleClause(`$${params.length}`, { matter: 'r.matter_id', customer: 'r.customer_id' })}`;
+  }
+
+  if (status) {
+    params.push(status);
+    whereClause += ` AND r.status = $${params.length}`;
+  }
+  if (matterId) {
+    params.push(matterId);
+    whereClause += ` AND r.matter_id = $${params.length}`;
+  }
+  if (documentId) {
+    params.push(documentId);
+    whereClause += ` AND r.document_id = $${params.length}`;
+  }
+
+  const result = await db.query(`${REQUEST_SELECT} ${whereClause} ORDER BY r.created_at DESC`, params);
+  return result.rows.map(withCounts);
+}
+
+/**
+ * Send the current version of a document for signature. Without signers
+ * the document's client signs alone. Nobody is emailed until
+ * inviteNext() runs after the transaction commits.
+ */
+async function createRequest({ documentId, title, message, signers, expiresInDays, bookingId, userId }, client) {
+  const document = await documentService.getDocument(documentId, client);
+  if (!document) {
+    throw httpError(404, 'Document not found');
+  }
+  if (!SIGNABLE_EXTENSIONS.includes(path.extname(document.original_name).toLowerCase())) {
+    throw httpError(400, 'Only PDF, DOCX, HTML and text documents can be sent for signature');
+  }
+
+  const days = expiresInDays === undefined || expiresInDays === null || expiresInDays === ''
+    ? DEFAULT_EXPIRY_DAYS
+    : Number(expiresInDays);
+  if (!Number.isFinite(days) || days <= 0 || days > MAX_EXPIRY_DAYS) {
+    throw httpError(400, `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`);
+  }
+
+  if (signers === undefined || signers === null) {
+    const customer = await client.query('SELECT full_name, email FROM customers WHERE id = $1', [document.customer_id]);
+    if (customer.rows.length === 0) {
+      throw httpError(400, 'signers are required for documents not filed under a client');
+    }
+    signers = [{ name: customer.rows[0].full_name || customer.rows[0].email, email: customer.rows[0].email, role: 'Client' }];
+  }
+  const list = validateSigners(signers);
+
+  if (bookingId) {
+    const booking = await client.query('SELECT id FROM bookings WHERE id = $1', [bookingId]);
+    if (booking.rows.length === 0) {
+      throw httpError(404, 'Booking not found');
+    }
+  }
+
+  const version = await client.query(
+    'SELECT stored_name, original_name, checksum FROM document_versions WHERE document_id = $1 AND version_number = $2',
+    [document.id, document.current_version]
+  );
+  const file = version.rows[0] || { stored_name: document.stored_name, original_name: document.original_name, checksum: null };
+
+  // Fails early on unreadable or encrypted files, and bounds placements
+  let pages;
+  try {
+    pages = await signaturePdfService.pageCount(await sourcePdf({ ...file, title: title || document.title }));
+  } catch (error) {
+    throw httpError(400, `Document cannot be prepared for signing: ${error.message}`);
+  }
+  const misplaced = list.find(signer => signer.placement && signer.placement.page > pages);
+  if (misplaced) {
+    throw httpError(400, `${misplaced.name}'s signature is placed on page ${misplaced.placement.page}; the document has ${pages}`);
+  }
+
+  const result = await client.query(
+    `INSERT INTO signature_requests (
+      document_id, version_number, original_name, stored_name, source_checksum,
+      customer_id, matter_id, booking_id, title, message, expires_at, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW() + ($11 || ' days')::interval, $12)
+    RETURNING id`,
+    [
+      document.id,
+      document.current_version,
+      file.original_name,
+      file.stored_name,
+      file.checksum,
+      document.customer_id,
+      document.matter_id,
+      bookingId || null,
+      title || document.title,
+      message || null,
+      days,
+      userId || null
+    ]
+  );
+  const requestId = result.rows[0].id;
+
+  for (const signer of list) {
+    await client.query(
+      `INSERT INTO signature_signers (request_id, name, email, role, signing_order, placement)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [requestId, signer.name, signer.email, signer.role, signer.order, signer.placement && JSON.stringify(signer.placement)]
+    );
+  }
+
+  await logEvent(requestId, null, 'created', { detail: `${list.length} signer(s), version ${document.current_version}` }, client);
+  return getRequest(requestId, client);
+}
+
+async function sendInvitation(request, signer, token, { resent = false } = {}) {
+  const emailed = await sendEmail(
+    signer.email,
+    `Please sign: ${request.title}`,
+    [
+      `Dear ${signer.name},`,
+      `You have been asked to sign "${request.title}" electronically.`,
+      ...(request.message ? [request.message] : []),
+      `This link expires on ${new Date(request.expires_at).toDateString()}.`
+    ],
+    { label: 'Review and sign', url: signingUrl(token) }
+  );
+  await logEvent(request.id, signer.id, emailed ? 'sent' : 'email_failed', { detail: resent ? 'resent' : null });
+  return { signerId: signer.id, name: signer.name, email: signer.email, signingUrl: signingUrl(token), emailed };
+}
+
+/**
+ * Invite the signers whose turn it is and who have not been invited yet.
+ * Returns their links so staff can pass them on if email fails.
+ */
+async function inviteNext(requestId) {
+  const result = await db.query(
+    "SELECT * FROM signature_requests WHERE id = $1 AND status = 'pending' AND expires_at > NOW()",
+    [requestId]
+  );
+  const request = result.rows[0];
+  if (!request) return [];
+
+  const turn = await db.query(
+    "SELECT MIN(signing_order) AS next FROM signature_signers WHERE request_id = $1 AND status <> 'signed'",
+    [requestId]
+  );
+  if (turn.rows[0].next === null) return [];
+
+  const waiting = await db.query(
+    "SELECT id FROM signature_signers WHERE request_id = $1 AND signing_order = $2 AND status = 'waiting'",
+    [requestId, turn.rows[0].next]
+  );
+
+  const invitations = [];
+  for (const { id } of waiting.rows) {
+    const token = newToken();
+    // Claimed one by one so a concurrent call cannot invite twice
+    const claimed = await db.query(
+      `UPDATE signature_signers SET status = 'sent', token_hash = $1, notified_at = NOW()
+       WHERE id = $2 AND status = 'waiting'
+       RETURNING id, name, email`,
+      [hashToken(token), id]
+    );
+    if (claimed.rows.length) {
+      invitations.push(await sendInvitation(request, claimed.rows[0], token));
+    }
+  }
+  return invitations;
+}
+
+/**
+ * New link for a signer whose turn it is; the old link stops working
+ */
+async function resendInvitation(requestId, signerId) {
+  const result = await db.query(
+    "SELECT * FROM signature_requests WHERE id = $1",
+    [requestId]
+  );
+  const request = result.rows[0];
+  if (!request) {
+    throw httpError(404, 'Signature request not found');
+  }
+  if (request.status !== 'pending') {
+    throw httpError(409, `Signature request is ${request.status}`);
+  }
+  if (new Date(request.expires_at) <= new Date()) {
+    throw httpError(410, 'Signature request has expired');
+  }
+
+  const token = newToken();
+  const updated = await db.query(
+    `UPDATE signature_signers SET token_hash = $1, notified_at = NOW()
+     WHERE id = $2 AND request_id = $3 AND status IN ('sent', 'viewed')
+     RETURNING id, name, email`,
+    [hashToken(token), signerId, requestId]
+  );
+  if (updated.rows.length === 0) {
+    const signer = await db.query('SELECT status FROM signature_signers WHERE id = $1 AND request_id = $2', [signerId, requestId]);
+    if (signer.rows.length === 0) {
+      throw httpError(404, 'Signer not found');
+    }
+    throw httpError(409, signer.rows[0].status === 'waiting'
+      ? 'It is not this signer\'s turn yet'
+      : `Signer has already ${signer.rows[0].status}`);
+  }
+
+  return sendInvitation(request, updated.rows[0], token, { resent: true });
+}
+
+async function voidRequest(requestId, { reason, userId }) {
+  const result = await db.query(
+    `UPDATE signature_requests SET status = 'voided', voided_at = NOW(), voided_by = $1, void_reason = $2
+     WHERE id = $3 AND status = 'pending'
+     RETURNING id`,
+    [userId || null, reason || null, requestId]
+  );
+  if (result.rows.length === 0) {
+    const existing = await getRequest(requestId);
+    throw existing
+      ? httpError(409, `Signature request is already ${existing.status}`)
+      : httpError(404, 'Signature request not found');
+  }
+  await logEvent(requestId, null, 'voided', { detail: reason });
+  return getRequest(requestId);
+}
+
+// ---- Signing ----
+
+/**
+ * Look up a signing link. Completed requests stay open until the signer's
+ * copy link expires or is revoked; other closed or expired requests are
+ * refused.
+ */
+async function openSigner(token, client = db, { lock = false } = {}) {
+  const result = await client.query(
+    `SELECT s.*, r.title, r.message, r.status AS request_status, r.expires_at,
+       r.signed_document_id, r.original_name, r.stored_name
+     FROM signature_signers s
+     JOIN signature_requests r ON r.id = s.request_id
+     WHERE s.token_hash = $1
+     ${lock ? 'FOR UPDATE OF r, s' : ''}`,
+    [hashToken(token)]
+  );
+  const signer = result.rows[0];
+
+  if (!signer) {
+    throw httpError(404, 'Signing link not found');
+  }
+  if (signer.request_status === 'voided') {
+    throw httpError(410, 'This signature request has been cancelled');
+  }
+  if (signer.request_status === 'declined') {
+    throw httpError(410, 'This signature request was declined');
+  }
+  if (signer.request_status === 'pending' && new Date(signer.expires_at) <= new Date()) {
+    throw httpError(410, 'This signing link has expired');
+  }
+  if (signer.request_status === 'completed'
+    && (!signer.copy_expires_at || new Date(signer.copy_expires_at) <= new Date())) {
+    throw httpError(410, 'This link to the signed copy has expired');
+  }
+  return signer;
+}
+
+async function viewSigning(token, requester) {
+  const signer = await openSigner(token);
+
+  if (signer.request_status === 'pending') {
+    await db.query(
+      `UPDATE signature_signers SET
+        viewed_at = COALESCE(viewed_at, NOW()),
+        status = CASE WHEN status = 'sent' THEN 'viewed' ELSE status END
+      WHERE id = $1`,
+      [signer.id]
+    );
+    await logEvent(signer.request_id, signer.id, 'viewed', requester);
+  }
+
+  const others = await db.query(
+    `SELECT name, role, signing_order, status FROM signature_signers
+     WHERE request_id = $1 AND id <> $2
+     ORDER BY signing_order, id`,
+    [signer.request_id, signer.id]
+  );
+
+  return {
+    title: signer.title,
+    message: signer.message,
+    status: signer.request_status,
+    expiresAt: signer.expires_at,
+    firmName: process.env.FIRM_NAME || 'Sterling & Associates',
+    signer: { name: signer.name, email: signer.email, role: signer.role, status: signer.status },
+    consentText: CONSENT_TEXT,
+    consented: Boolean(signer.consented_at),
+    signed: signer.status === 'signed',
+    otherSigners: others.rows
+  };
+}
+
+/**
+ * The PDF to review before signing, or the signed copy once everyone
+ * has signed. Returns { buffer } or { file } (a documents row to send).
+ */
+async function signingDocument(token, requester) {
+  const signer = await openSigner(token);
+
+  if (signer.request_status === 'completed') {
+    const document = await documentService.getDocument(signer.signed_document_id);
+    if (!document) {
+      throw httpError(404, 'Signed document not found');
+    }
+    await logEvent(signer.request_id, signer.id, 'downloaded', { ...requester, detail: 'signed copy' });
+    return { file: document };
+  }
+
+  await logEvent(signer.request_id, signer.id, 'downloaded', { ...requester, detail: 'review copy' });
+  return {
+    buffer: await sourcePdf(signer),
+    fileName: `${path.parse(signer.original_name).name}.pdf`
+  };
+}
+
+async function recordConsent(signer, requester, client) {
+  await client.query(
+    'UPDATE signature_signers SET consented_at = NOW(), consent_ip = $1 WHERE id = $2',
+    [requester.ip || null, signer.id]
+  );
+  await logEvent(signer.request_id, signer.id, 'consented', requester, client);
+}
+
+function assertCanAct(signer) {
+  if (signer.request_status !== 'pending') {
+    throw httpError(409, `This signature request is ${signer.request_status}`);
+  }
+  if (signer.status === 'signed' || signer.status === 'declined') {
+    throw httpError(409, `You have already ${signer.status}`);
+  }
+}
+
+// Consent to electronic signing. Body: { agree: true }
+async function consent(token, requester) {
+  const signer = await openSigner(token);
+  assertCanAct(signer);
+  if (!signer.consented_at) {
+    await recordConsent(signer, requester, db);
+  }
+}
+
+function parseSignature({ method, name, image }) {
+  if (!SIGNATURE_METHODS.includes(method)) {
+    throw httpError(400, `method must be one of: ${SIGNATURE_METHODS.join(', ')}`);
+  }
+
+  if (method === 'typed') {
+    const typed = typeof name === 'string' ? name.trim() : '';
+    if (!typed || typed.length > 100) {
+      throw httpError(400, 'Type your full name to sign');
+    }
+    return { method, typedName: typed, image: null };
+  }
+
+  const match = typeof image === 'string' && image.match(/^data:image\/png;base64,([A-Za-z0-9+/=]+)$/);
+  const bytes = match ? Buffer.from(match[1], 'base64') : null;
+  if (!bytes || !bytes.subarray(0, 8).equals(PNG_MAGIC)) {
+    throw httpError(400, 'image must be a PNG data URL of the drawn signature');
+  }
+  if (bytes.length > MAX_SIGNATURE_IMAGE_BYTES) {
+    throw httpError(400, 'Signature image is too large');
+  }
+  return { method, typedName: typeof name === 'string' ? name.trim().slice(0, 100) || null : null, image: bytes };
+}
+
+/**
+ * Sign. Body: { method: 'drawn' | 'typed', name, image (PNG data URL),
+ * consent }. Consent can be given here or beforehand. Returns
+ * { requestId, completed, signedDocument }.
+ */
+async function sign(token, body, requester, client) {
+  const signer = await openSigner(token, client, { lock: true });
+  assertCanAct(signer);
+
+  const turn = await client.query(
+    "SELECT MIN(signing_order) AS next FROM signature_signers WHERE request_id = $1 AND status <> 'signed'",
+    [signer.request_id]
+  );
+  if (signer.signing_order !== turn.rows[0].next) {
+    throw httpError(409, 'Earlier signers have not signed yet');
+  }
+
+  const signature = parseSignature(body);
+  if (!signer.consented_at) {
+    if (body.consent !== true) {
+      throw httpError(400, 'Consent to sign electronically is required');
+    }
+    await recordConsent(signer, requester, client);
+  }
+
+  await client.query(
+    `UPDATE signature_signers SET
+      status = 'signed', signed_at = NOW(), sign_ip = $1, user_agent = $2,
+      signature_method = $3, typed_name = $4, signature_image = $5
+    WHERE id = $6`,
+    [
+      requester.ip || null,
+      requester.userAgent ? String(requester.userAgent).slice(0, 500) : null,
+      signature.method,
+      signature.typedName || signer.name,
+      signature.image,
+      signer.id
+    ]
+  );
+  await logEvent(signer.request_id, signer.id, 'signed', { ...requester, detail: `${signature.method} signature` }, client);
+
+  const remaining = await client.query(
+    "SELECT COUNT(*) FROM signature_signers WHERE request_id = $1 AND status <> 'signed'",
+    [signer.request_id]
+  );
+  if (parseInt(remaining.rows[0].count) > 0) {
+    return { requestId: signer.request_id, completed: false, signedDocument: null };
+  }
+
+  return {
+    requestId: signer.request_id,
+    completed: true,
+    signedDocument: await complete(signer.request_id, client)
+  };
+}
+
+// File the signed copy and move the matter out of intake
+async function complete(requestId, client) {
+  const request = (await client.query('SELECT * FROM signature_requests WHERE id = $1', [requestId])).rows[0];
+  const signers = await client.query(
+    'SELECT * FROM signature_signers WHERE request_id = $1 ORDER BY signing_order, id',
+    [requestId]
+  );
+  const { events } = await getRequest(requestId, client);
+  const original = await documentService.getDocument(request.document_id, client);
+  const completedAt = new Date();
+
+  const buffer = Buffer.from(await signaturePdfService.buildSignedPdf({
+    source: await sourcePdf(request),
+    request,
+    signers: signers.rows,
+    events,
+    consentText: CONSENT_TEXT,
+    completedAt
+  }));
+
+  const storedName = `document-${Date.now()}-${Math.round(Math.random() * 1E9)}.pdf`;
+  const file = {
+    originalname: `${path.parse(request.original_name).name} (signed).pdf`,
+    filename: storedName,
+    path: path.join(documentService.STORAGE_DIR, storedName),
+    mimetype: 'application/pdf',
+    size: buffer.length
+  };
+  await fs.mkdir(documentService.STORAGE_DIR, { recursive: true });
+  await fs.writeFile(file.path, buffer);
+
+  try {
+    const signed = await documentService.createDocument({
+      customerId: request.customer_id,
+      matterId: request.matter_id,
+      title: `${request.title} (signed)`,
+      documentType: original ? original.document_type : 'contract',
+      isPrivileged: original ? original.is_privileged : false,
+      confidentiality: original ? original.confidentiality : 'standard',
+      description: `Signed electronically by ${signers.rows.map(signer => signer.name).join(', ')}`,
+      uploadedBy: request.created_by
+    }, file, client);
+    await versionService.createInitialVersion(signed, file, {
+      comment: `Signed by all parties (signature request #${requestId})`,
+      userId: request.created_by
+    }, client);
+
+    await client.query(
+      "UPDATE signature_requests SET status = 'completed', completed_at = $1, signed_document_id = $2 WHERE id = $3",
+      [completedAt, signed.id, requestId]
+    );
+    await logEvent(requestId, null, 'completed', { detail: `filed as document ${signed.id}` }, client);
+
+    if (request.matter_id) {
+      const matter = await client.query('SELECT status FROM matters WHERE id = $1 FOR UPDATE', [request.matter_id]);
+      if (matter.rows.length && matter.rows[0].status === 'intake') {
+        await matterService.changeStatus(request.matter_id, 'open', {
+          changedBy: request.created_by,
+          reason: `"${request.title}" signed by all parties`
+        }, client);
+        await logEvent(requestId, null, 'matter_updated', { detail: 'intake -> open' }, client);
+      }
+    }
+
+    return signed;
+  } catch (error) {
+    await fs.unlink(file.path).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Email every signer a fresh link to the signed copy, good for
+ * COPY_LINK_DAYS
+ */
+async function notifyCompleted(requestId) {
+  const request = (await db.query('SELECT * FROM signature_requests WHERE id = $1', [requestId])).rows[0];
+  const signers = await db.query("SELECT id, name, email FROM signature_signers WHERE request_id = $1", [requestId]);
+
+  for (const signer of signers.rows) {
+    const token = newToken();
+    await db.query(
+      `UPDATE signature_signers SET token_hash = $1, copy_expires_at = NOW() + make_interval(days => $2)
+       WHERE id = $3`,
+      [hashToken(token), COPY_LINK_DAYS, signer.id]
+    );
+    const emailed = await sendEmail(
+      signer.email,
+      `Signed: ${request.title}`,
+      [
+        `Dear ${signer.name},`,
+        `Everyone has now signed "${request.title}". Your copy is available below for ${COPY_LINK_DAYS} days.`
+      ],
+      { label: 'Download signed copy', url: signingUrl(token) }
+    );
+    await logEvent(requestId, signer.id, emailed ? 'sent' : 'email_failed', { detail: 'signed copy' });
+  }
+}
+
+/**
+ * Stop the links to a completed request's signed copy working, e.g. when
+ * one went to the wrong address. Returns the number of links revoked.
+ */
+async function revokeCopyLinks(requestId, { reason, userId }) {
+  const request = (await db.query('SELECT status FROM signature_requests WHERE id = $1', [requestId])).rows[0];
+  if (!request) {
+    throw httpError(404, 'Signature request not found');
+  }
+  if (request.status !== 'completed') {
+    throw httpError(409, `Signature request is ${request.status}; only completed requests have copy links`);
+  }
+
+  const revoked = await db.query(
+    `UPDATE signature_signers SET token_hash = NULL, copy_expires_at = NULL
+     WHERE request_id = $1 AND token_hash IS NOT NULL
+     RETURNING id`,
+    [requestId]
+  );
+  await logEvent(requestId, null, 'revoked', {
+    detail: `${revoked.rows.length} signed copy link(s) revoked by user ${userId}${reason ? `: ${reason}` : ''}`
+  });
+  return revoked.rows.length;
+}
+
+// Decline to sign; the whole request stops. Body: { reason }
+async function decline(token, reason, requester, client) {
+  const signer = await openSigner(token, client, { lock: true });
+  assertCanAct(signer);
+
+  await client.query(
+    "UPDATE signature_signers SET status = 'declined', declined_at = NOW(), decline_reason = $1 WHERE id = $2",
+    [reason ? String(reason).slice(0, 1000) : null, signer.id]
+  );
+  await client.query("UPDATE signature_requests SET status = 'declined' WHERE id = $1", [signer.request_id]);
+  await logEvent(signer.request_id, signer.id, 'declined', { ...requester, detail: reason }, client);
+}
+
+module.exports = {
+  CONSENT_TEXT,
+  DEFAULT_EXPIRY_DAYS,
+  MAX_EXPIRY_DAYS,
+  COPY_LINK_DAYS,
+  getRequest,
+  listRequests,
+  createRequest,
+  inviteNext,
+  resendInvitation,
+  voidRequest,
+  viewSigning,
+  signingDocument,
+  consent,
+  sign,
+  notifyCompleted,
+  revokeCopyLinks,
+  decline
+};
@@ -0,0 +1,556 @@
+/**
+ * Document Template Service
+ * DOCX and HTML templates with merge fields, filled from a client, matter
+ * and booking and filed straight into the matter's documents.
+ *
+ * Templates use docxtemplater syntax with double braces:
+ *   {{client.full_name}}                     a value
+ *   {{#booking}}...{{/booking}}              a section shown when present
+ *   {{^matter.responsible_attorney}}...{{/}} a section shown when missing
+ *   {{#matter.parties}}{{name}}{{/matter.parties}}  one block per party
+ * Field names are dotted paths into the merge data built by
+ * buildMergeData; the templates list shows the fields each one uses.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const PizZip = require('pizzip');
+const Docxtemplater = require('docxtemplater');
+const TxtTemplater = require('docxtemplater/js/text');
+const InspectModule = require('docxtemplater/js/inspect-module');
+const db = require('../database/db');
+const documentService = require('./documentService');
+const versionService = require('./versionService');
+const { httpError, escapeHtml } = require('../../shared/utils');
+
+const TEMPLATE_DIR = path.join(__dirname, '../../../uploads/templates');
+
+const TEMPLATE_FORMATS = {
+  '.docx': 'docx',
+  '.html': 'html',
+  '.htm': 'html'
+};
+
+const OUTPUT_TYPES = {
+  docx: { extension: '.docx', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  html: { extension: '.html', mimeType: 'text/html' }
+};
+
+// Single braces clash with CSS in HTML templates
+const DELIMITERS = { start: '{{', end: '}}' };
+
+const FIELD_PATTERN = /^[A-Za-z_]\w*(\.[A-Za-z_]\w*)*$/;
+
+// ---- Rendering ----
+
+// Dotted paths only; `.` is the current item inside a repeating block
+function fieldParser(tag) {
+  const name = tag.trim();
+  if (name !== '.' && !FIELD_PATTERN.test(name)) {
+    throw new Error(`"${name}" is not a field name`);
+  }
+  const keys = name === '.' ? [] : name.split('.');
+
+  return {
+    get(scope) {
+      let value = scope;
+      for (const key of keys) {
+        if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, key)) {
+          return undefined;
+        }
+        value = value[key];
+      }
+      return value;
+    }
+  };
+}
+
+function templateError(error) {
+  const errors = (error.properties && error.properties.errors) || [error];
+  const messages = errors.map(item => {
+    const properties = item.properties || {};
+    return (properties.rootError && properties.rootError.message) || properties.explanation || item.message;
+  });
+  return httpError(400, `Template has errors: ${[...new Set(messages)].join('; ')}`);
+}
+
+function compile(format, content, { modules = [], nullGetter } = {}) {
+  const options = { delimiters: DELIMITERS, parser: fieldParser, paragraphLoop: true, errorLogging: false, nullGetter };
+
+  if (format === 'html') {
+    try {
+      return new TxtTemplater(content.toString('utf8'), options);
+    } catch (error) {
+      throw templateError(error);
+    }
+  }
+
+  let zip;
+  try {
+    zip = new PizZip(content);
+  } catch (error) {
+    throw httpError(400, 'Template is not a valid DOCX file');
+  }
+  try {
+    return new Docxtemplater(zip, { ...options, linebreaks: true, modules });
+  } catch (error) {
+    throw templateError(error);
+  }
+}
+
+// Nested field list: sections map to the fields used inside them
+function htmlFields(text) {
+  const root = {};
+  const stack = [root];
+  const pattern = /\{\{\s*([#^/]?)\s*([^{}]*?)\s*\}\}/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const [, marker, name] = match;
+    const current = stack[stack.length - 1];
+    if (marker === '/') {
+      if (stack.length > 1) stack.pop();
+    } else if (marker) {
+      current[name] = current[name] || {};
+      stack.push(current[name]);
+    } else if (name !== '.') {
+      current[name] = current[name] || {};
+    }
+  }
+  return root;
+}
+
+/**
+ * Check a template compiles and list its merge fields
+ */
+function inspectTemplate(format, content) {
+  if (format === 'html') {
+    compile(format, content);
+    return htmlFields(content.toString('utf8'));
+  }
+
+  const inspector = new InspectModule();
+  compile(format, content, { modules: [inspector] });
+  return inspector.getAllTags();
+}
+
+// HTML output is not escaped by the templater
+function escapeData(value) {
+  if (typeof value === 'string') return escapeHtml(value);
+  if (Array.isArray(value)) return value.map(escapeData);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, escapeData(item)]));
+  }
+  return value;
+}
+
+/**
+ * Fill a template. Returns the output buffer and the value fields that
+ * had no data (left blank); empty sections are just skipped.
+ */
+function render(format, content, data) {
+  const missing = new Set();
+  const nullGetter = part => {
+    if (!part.module) missing.add(part.value.trim());
+    return '';
+  };
+  const templater = compile(format, content, { nullGetter });
+
+  try {
+    if (format === 'html') {
+      return { buffer: Buffer.from(templater.render(escapeData(data)), 'utf8'), missing: [...missing] };
+    }
+    templater.render(data);
+    return {
+      buffer: templater.getZip().generate({ type: 'nodebuffer', compression: 'DEFLATE' }),
+      missing: [...missing]
+    };
+  } catch (error) {
+    throw templateError(error);
+  }
+}
+
+// ---- Merge data ----
+
+// Dates come from SQL as YYYY-MM-DD so they never shift with the server's timezone
+function formatDate(isoDate) {
+  if (!isoDate) return null;
+  return new Date(`${isoDate}T00:00:00Z`).toLocaleDateString('en-US', {
+    timeZone: 'UTC', month: 'long', day: 'numeric', year: 'numeric'
+  });
+}
+
+function formatTime(time) {
+  if (!time) return null;
+  const [hours, minutes] = time.split(':').map(Number);
+  return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${hours < 12 ? 'AM' : 'PM'}`;
+}
+
+function person(name, email) {
+  return name || email ? { name: name || email, email: email || null } : null;
+}
+
+async function loadBooking(bookingId, client) {
+  const result = await client.query(
+    `SELECT b.*, to_char(b.booking_date, 'YYYY-MM-DD') AS booking_day,
+       u.full_name AS attorney_name, u.email AS attorney_email,
+       r.name AS room_name, r.location AS room_location
+     FROM bookings b
+     LEFT JOIN users u ON u.id = b.attorney_id
+     LEFT JOIN conference_rooms r ON r.id = b.room_id
+     WHERE b.id = $1`,
+    [bookingId]
+  );
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Booking not found');
+  }
+  return result.rows[0];
+}
+
+async function loadMatter(matterId, client) {
+  const result = await client.query(
+    `SELECT m.*, to_char(m.opened_at, 'YYYY-MM-DD') AS opened_day,
+       ra.full_name AS responsible_name, ra.email AS responsible_email,
+       oa.full_name AS originating_name, oa.email AS originating_email
+     FROM matters m
+     LEFT JOIN users ra ON ra.id = m.responsible_attorney_id
+     LEFT JOIN users oa ON oa.id = m.originating_attorney_id
+     WHERE m.id = $1`,
+    [matterId]
+  );
+  const matter = result.rows[0];
+
+  const parties = await client.query(
+    `SELECT name, party_type, organization, email, phone
+     FROM matter_parties WHERE matter_id = $1
+     ORDER BY party_type, name`,
+    [matterId]
+  );
+  const partiesOf = type => parties.rows.filter(party => party.party_type === type);
+
+  return {
+    matter_number: matter.matter_number,
+    title: matter.title,
+    description: matter.description,
+    practice_area: matter.practice_area,
+    status: matter.status,
+    opened_date: formatDate(matter.opened_day),
+    responsible_attorney: person(matter.responsible_name, matter.responsible_email),
+    originating_attorney: person(matter.originating_name, matter.originating_email),
+    parties: parties.rows,
+    client_parties: partiesOf('client'),
+    opposing_parties: partiesOf('opposing'),
+    opposing_counsel: partiesOf('opposing_counsel')
+  };
+}
+
+async function loadClient(customerId, client) {
+  const result = await client.query(
+    `SELECT full_name, email, phone, address, city, state, zip_code, country
+     FROM customers WHERE id = $1`,
+    [customerId]
+  );
+  const customer = result.rows[0];
+  const cityLine = [customer.city, [customer.state, customer.zip_code].filter(Boolean).join(' ')]
+    .filter(Boolean).join(', ');
+
+  return {
+    ...customer,
+    first_name: customer.full_name ? customer.full_name.trim().split(/\s+/)[0] : null,
+    mailing_address: [customer.address, cityLine].filter(Boolean).join('\n') || null
+  };
+}
+
+/**
+ * The data a template is filled from. A booking brings its matter, and a
+ * matter its client; ids that are given must agree. `custom` holds any
+ * extra values the caller supplies (fees, deadlines) as `custom.*`.
+ */
+async function buildMergeData({ customerId, matterId, bookingId, userId, custom }, client = db) {
+  if (custom !== undefined && custom !== null && (typeof custom !== 'object' || Array.isArray(custom))) {
+    throw httpError(400, 'data must be an object of extra merge values');
+  }
+
+  let booking = null;
+  if (bookingId) {
+    booking = await loadBooking(bookingId, client);
+    if (matterId && booking.matter_id && String(booking.matter_id) !== String(matterId)) {
+      throw httpError(400, 'Booking does not belong to this matter');
+    }
+    matterId = matterId || booking.matter_id;
+
+    // Bookings made before the client had a matter are found by email
+    if (!matterId && !customerId && booking.customer_email) {
+      const match = await client.query('SELECT id FROM customers WHERE LOWER(email) = LOWER($1)', [booking.customer_email]);
+      customerId = match.rows.length ? match.rows[0].id : null;
+    }
+  }
+
+  const filing = await documentService.resolveFiling(customerId, matterId, client);
+
+  const userResult = await client.query('SELECT full_name, email FROM users WHERE id = $1', [userId]);
+  const user = userResult.rows[0] || {};
+  const today = new Date().toISOString().slice(0, 10);
+
+  return {
+    filing,
+    data: {
+      today: formatDate(today),
+      today_iso: today,
+      firm: { name: process.env.FIRM_NAME || 'Sterling & Associates' },
+      user: person(user.full_name, user.email),
+      client: filing.customerId ? await loadClient(filing.customerId, client) : null,
+      matter: filing.matterId ? await loadMatter(filing.matterId, client) : null,
+      booking: booking && {
+        date: formatDate(booking.booking_day),
+        date_iso: booking.booking_day,
+        start_time: formatTime(booking.start_time),
+        end_time: formatTime(booking.end_time),
+        service_type: booking.service_type,
+        status: booking.status,
+        notes: booking.notes,
+        customer_name: booking.customer_name,
+        attorney: person(booking.attorney_name, booking.attorney_email),
+        room: booking.room_name ? { name: booking.room_name, location: booking.room_location } : null
+      },
+      custom: custom || {}
+    }
+  };
+}
+
+// ---- Templates ----
+
+function formatOf(fileName) {
+  return TEMPLATE_FORMATS[path.extname(fileName || '').toLowerCase()];
+}
+
+function templatePath(template) {
+  return path.join(TEMPLATE_DIR, template.stored_name);
+}
+
+const TEMPLATE_SELECT = `SELECT t.*, u.full_name AS created_by_name
+  FROM document_templates t
+  LEFT JOIN users u ON u.id = t.created_by`;
+
+async function listTemplates({ format, documentType, includeInactive } = {}) {
+  let whereClause = 'WHERE 1=1';
+  const params = [];
+
+  if (!includeInactive) {
+    whereClause += ' AND t.is_active = true';
+  }
+  if (format) {
+    params.push(format);
+    whereClause += ` AND t.format = $${params.length}`;
+  }
+  if (documentType) {
+    params.push(documentType);
+    whereClause += ` AND t.document_type = $${params.length}`;
+  }
+
+  const result = await db.query(`${TEMPLATE_SELECT} ${whereClause} ORDER BY t.name`, params);
+  return result.rows;
+}
+
+async function getTemplate(templateId, client = db) {
+  const result = await client.query(`${TEMPLATE_SELECT} WHERE t.id = $1`, [templateId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Store an uploaded template. `file` is the multer file object; the file
+ * is removed again if it does not compile or cannot be saved.
+ */
+async function createTemplate(data, file) {
+  if (!file) {
+    throw httpError(400, 'A template file is required');
+  }
+
+  try {
+    if (!data.name || !String(data.name).trim()) {
+      throw httpError(400, 'name is required');
+    }
+    const documentType = data.documentType || 'other';
+    documentService.validateMetadata({ documentType });
+
+    const format = formatOf(file.originalname);
+    const fields = inspectTemplate(format, await fs.readFile(file.path));
+
+    const result = await db.query(
+      `INSERT INTO document_templates (
+        name, description, format, document_type, original_name, stored_name,
+        file_size, fields, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING id`,
+      [
+        String(data.name).trim(),
+        data.description || null,
+        format,
+        documentType,
+        file.originalname,
+        file.filename,
+        file.size,
+        JSON.stringify(fields),
+        data.userId || null
+      ]
+    );
+
+    return getTemplate(result.rows[0].id);
+  } catch (error) {
+    await fs.unlink(file.path).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Change a template's details and, with `file`, replace its content. The
+ * old file is kept; documents generated from it are unaffected.
+ */
+async function updateTemplate(templateId, data, file) {
+  try {
+    const existing = await getTemplate(templateId);
+    if (!existing) {
+      throw httpError(404, 'Template not found');
+    }
+    if (data.name !== undefined && !String(data.name).trim()) {
+      throw httpError(400, 'name cannot be empty');
+    }
+    documentService.validateMetadata({ documentType: data.documentType });
+
+    let content = null;
+    if (file) {
+      const format = formatOf(file.originalname);
+      if (format !== existing.format) {
+        throw httpError(400, `Replacement must also be a ${existing.format.toUpperCase()} template`);
+      }
+      content = { fields: inspectTemplate(format, await fs.readFile(file.path)), file };
+    }
+
+    await db.query(
+      `UPDATE document_templates SET
+        name = COALESCE($1, name),
+        description = COALESCE($2, description),
+        document_type = COALESCE($3, document_type),
+        is_active = COALESCE($4, is_active),
+        original_name = COALESCE($5, original_name),
+        stored_name = COALESCE($6, stored_name),
+        file_size = COALESCE($7, file_size),
+        fields = COALESCE($8, fields),
+        updated_at = NOW()
+      WHERE id = $9`,
+      [
+        data.name === undefined ? undefined : String(data.name).trim(),
+        data.description,
+        data.documentType,
+        documentService.parseBoolean(data.isActive),
+        content && file.originalname,
+        content && file.filename,
+        content && file.size,
+        content && JSON.stringify(content.fields),
+        templateId
+      ]
+    );
+
+    return getTemplate(templateId);
+  } catch (error) {
+    if (file) await fs.unlink(file.path).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Retire a template; it stays on record for the documents made from it
+ */
+async function deactivateTemplate(templateId) {
+  const result = await db.query(
+    'UPDATE document_templates SET is_active = false, updated_at = NOW() WHERE id = $1 RETURNING id',
+    [templateId]
+  );
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Template not found');
+  }
+}
+
+async function loadActiveTemplate(templateId, client) {
+  const template = await getTemplate(templateId, client);
+  if (!template || !template.is_active) {
+    throw httpError(404, 'Template not found');
+  }
+  return { template, content: await fs.readFile(templatePath(template)) };
+}
+
+/**
+ * The merge data and unfilled fields for a template, without saving
+ * anything
+ */
+async function previewTemplate(templateId, options) {
+  const { template, content } = await loadActiveTemplate(templateId, db);
+  const { data } = await buildMergeData(options);
+  const { missing } = render(template.format, content, data);
+  return { data, missingFields: missing };
+}
+
+/**
+ * Fill a template and file the result as a new document (version 1) under
+ * the matter or client. Options: customerId, matterId, bookingId, custom,
+ * title, description, isPrivileged, confidentiality, comment, userId.
+ * Returns { document, missingFields }.
+ */
+async function generateDocument(templateId, options, client) {
+  const { template, content } = await loadActiveTemplate(templateId, client);
+  const { filing, data } = await buildMergeData(options, client);
+  const { buffer, missing } = render(template.format, content, data);
+
+  const output = OUTPUT_TYPES[template.format];
+  const title = options.title || [template.name, data.matter && data.matter.matter_number].filter(Boolean).join(' - ');
+  const storedName = `document-${Date.now()}-${Math.round(Math.random() * 1E9)}${output.extension}`;
+  const file = {
+    originalname: `${title.replace(/[\\/:*?"<>|]+/g, '_')}${output.extension}`,
+    filename: storedName,
+    path: path.join(documentService.STORAGE_DIR, storedName),
+    mimetype: output.mimeType,
+    size: buffer.length
+  };
+
+  await fs.mkdir(documentService.STORAGE_DIR, { recursive: true });
+  await fs.writeFile(file.path, buffer);
+
+  try {
+    const created = await documentService.createDocument({
+      customerId: filing.customerId,
+      matterId: filing.matterId,
+      title,
+      documentType: template.document_type,
+      isPrivileged: options.isPrivileged,
+      confidentiality: options.confidentiality,
+      description: options.description,
+      uploadedBy: options.userId
+    }, file, client);
+
+    await versionService.createInitialVersion(created, file, {
+      comment: options.comment || `Generated from template "${template.name}"`,
+      userId: options.userId
+    }, client);
+
+    await client.query('UPDATE documents SET template_id = $1 WHERE id = $2', [template.id, created.id]);
+
+    return { document: await documentService.getDocument(created.id, client), missingFields: missing };
+  } catch (error) {
+    await fs.unlink(file.path).catch(() => {});
+    throw error;
+  }
+}
+
+module.exports = {
+  TEMPLATE_DIR,
+  TEMPLATE_FORMATS,
+  templatePath,
+  buildMergeData,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deactivateTemplate,
+  previewTemplate,
+  generateDocument
+};
@@ -0,0 +1,263 @@
+/**
+ * Document Version Service
+ * Version chains, check-out locking and restore for documents.
+ *
+ * Every file ever uploaded for a document is kept as a numbered version.
+ * The documents row mirrors the current version's file so listing and
+ * download need no join. Version files are never modified, so a restore
+ * points the new version at the old file instead of copying it.
+ *
+ * Functions take a pg client inside a transaction.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const db = require('../database/db');
+const documentService = require('./documentService');
+const auditService = require('../../auth/services/auditService');
+const { httpError } = require('../../shared/utils');
+
+function checksumFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+async function lockDocument(documentId, client) {
+  const result = await client.query(
+    'SELECT * FROM documents WHERE id = $1 AND is_deleted = false FOR UPDATE',
+    [documentId]
+  );
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Document not found');
+  }
+  return result.rows[0];
+}
+
+function assertNotLockedByOther(document, userId) {
+  if (document.checked_out_by && String(document.checked_out_by) !== String(userId)) {
+    throw httpError(409, 'Document is checked out by another user');
+  }
+}
+
+async function insertVersion(documentId, versionNumber, file, { comment, userId, restoredFrom = null, checksum }, client) {
+  const result = await client.query(
+    `INSERT INTO document_versions (
+      document_id, version_number, original_name, stored_name, mime_type,
+      file_size, checksum, comment, restored_from_version, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    RETURNING *`,
+    [
+      documentId,
+      versionNumber,
+      file.originalname,
+      file.filename,
+      file.mimetype,
+      file.size,
+      checksum,
+      comment,
+      restoredFrom,
+      userId || null
+    ]
+  );
+  return result.rows[0];
+}
+
+// Point the document at a version's file and queue its text for extraction
+async function makeCurrent(documentId, version, { releaseCheckout }, client) {
+  await client.query(
+    `UPDATE documents SET
+      current_version = $1,
+      original_name = $2,
+      stored_name = $3,
+      mime_type = $4,
+      file_size = $5,
+      checked_out_by = CASE WHEN $6 THEN NULL ELSE checked_out_by END,
+      checked_out_at = CASE WHEN $6 THEN NULL ELSE checked_out_at END,
+      ocr_status = 'pending',
+      ocr_error = NULL,
+      page_count = NULL,
+      updated_at = NOW()
+    WHERE id = $7`,
+    [
+      version.version_number,
+      version.original_name,
+      version.stored_name,
+      version.mime_type,
+      version.file_size,
+      releaseCheckout,
+      documentId
+    ]
+  );
+}
+
+/**
+ * Record version 1 for a newly uploaded document
+ */
+async function createInitialVersion(document, file, { comment, userId }, client) {
+  return insertVersion(document.id, 1, file, {
+    comment: comment || 'Initial version',
+    userId,
+    checksum: await checksumFile(file.path)
+  }, client);
+}
+
+/**
+ * Lock a document for editing by one user
+ */
+async function checkOut(documentId, { userId }, client) {
+  const document = await lockDocument(documentId, client);
+  assertNotLockedByOther(document, userId);
+
+  if (!document.checked_out_by) {
+    await client.query(
+      'UPDATE documents SET checked_out_by = $1, checked_out_at = NOW(), updated_at = NOW() WHERE id = $2',
+      [userId, documentId]
+    );
+  }
+
+  return documentService.getDocument(documentId, client);
+}
+
+/**
+ * Release a check-out without a new version. Only the holder can, unless
+ * `force` is set (e.g. the holder has left for the day); the caller checks
+ * documents:checkout:override. Breaking someone else's lock is written to
+ * the audit log with the reason.
+ */
+async function cancelCheckOut(documentId, { userId, force = false, reason, ip }, client) {
+  const document = await lockDocument(documentId, client);
+  if (!document.checked_out_by) {
+    throw httpError(409, 'Document is not checked out');
+  }
+  if (!force) {
+    assertNotLockedByOther(document, userId);
+  } else if (String(document.checked_out_by) !== String(userId)) {
+    await auditService.record({
+      actorId: userId,
+      userId: document.checked_out_by,
+      action: 'document_checkout_overridden',
+      details: {
+        documentId: document.id,
+        title: document.title,
+        checkedOutAt: document.checked_out_at,
+        reason: reason ? String(reason).trim() : null
+      },
+      ip
+    }, client);
+  }
+
+  await client.query(
+    'UPDATE documents SET checked_out_by = NULL, checked_out_at = NULL, updated_at = NOW() WHERE id = $1',
+    [documentId]
+  );
+
+  return documentService.getDocument(documentId, client);
+}
+
+/**
+ * Add the edited file as the next version and release the check-out.
+ * The document must be checked out by this user and a comment is required.
+ */
+async function checkIn(documentId, file, { comment, userId }, client) {
+  try {
+    if (!file) {
+      throw httpError(400, 'A document file is required');
+    }
+    if (!comment || !String(comment).trim()) {
+      throw httpError(400, 'A version comment is required to check in');
+    }
+
+    const document = await lockDocument(documentId, client);
+    if (!document.checked_out_by) {
+      throw httpError(409, 'Check the document out before checking in a new version');
+    }
+    assertNotLockedByOther(document, userId);
+
+    const version = await insertVersion(documentId, document.current_version + 1, file, {
+      comment: String(comment).trim(),
+      userId,
+      checksum: await checksumFile(file.path)
+    }, client);
+    await makeCurrent(documentId, version, { releaseCheckout: true }, client);
+
+    return { document: await documentService.getDocument(documentId, client), version };
+  } catch (error) {
+    if (file) fs.promises.unlink(file.path).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Version history, newest first. `unchanged_from_previous` flags check-ins
+ * whose file is byte-identical to the version before.
+ */
+async function listVersions(documentId, client = db) {
+  const result = await client.query(
+    `SELECT v.*, u.full_name AS created_by_name,
+       COALESCE(LAG(v.checksum) OVER (ORDER BY v.version_number) = v.checksum, false) AS unchanged_from_previous
+     FROM document_versions v
+     LEFT JOIN users u ON u.id = v.created_by
+     WHERE v.document_id = $1
+     ORDER BY v.version_number DESC`,
+    [documentId]
+  );
+  return result.rows;
+}
+
+async function getVersion(documentId, versionNumber, client = db) {
+  const result = await client.query(
+    `SELECT v.* FROM document_versions v
+     JOIN documents d ON d.id = v.document_id AND d.is_deleted = false
+     WHERE v.document_id = $1 AND v.version_number = $2`,
+    [documentId, versionNumber]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Make an earlier version current again by adding it as a new version,
+ * so the history still shows what happened.
+ */
+async function restoreVersion(documentId, versionNumber, { comment, userId }, client) {
+  const document = await lockDocument(documentId, client);
+  assertNotLockedByOther(document, userId);
+
+  const source = await getVersion(documentId, versionNumber, client);
+  if (!source) {
+    throw httpError(404, 'Version not found');
+  }
+  if (source.version_number === document.current_version) {
+    throw httpError(409, 'That version is already current');
+  }
+
+  const version = await insertVersion(documentId, document.current_version + 1, {
+    originalname: source.original_name,
+    filename: source.stored_name,
+    mimetype: source.mime_type,
+    size: source.file_size
+  }, {
+    comment: comment || `Restored version ${source.version_number}`,
+    userId,
+    restoredFrom: source.version_number,
+    checksum: source.checksum
+  }, client);
+  await makeCurrent(documentId, version, { releaseCheckout: true }, client);
+
+  return { document: await documentService.getDocument(documentId, client), version };
+}
+
+module.exports = {
+  checksumFile,
+  createInitialVersion,
+  checkOut,
+  cancelCheckOut,
+  checkIn,
+  listVersions,
+  getVersion,
+  restoreVersion
+};
@@ -0,0 +1,392 @@
+/**
+ * Intake Admin Routes
+ * Build practice-area forms, review submissions and convert them into
+ * clients and matters. Staff need intake:read to view and intake:write to
+ * change; converting also opens a matter, so it needs matters:write.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../database/db');
+const { authenticateToken, requirePermission, requireModuleAccess } = require('../../auth/middleware/auth');
+const intakeService = require('../services/intakeService');
+const { visibleClause } = require('../../matters/services/ethicalWallService');
+const { screen } = require('../../matters/middleware/ethicalWall');
+
+router.use(authenticateToken, requireModuleAccess('intake'));
+
+// Submissions for a walled matter or client are hidden from the users it
+// screens (forms share the :id param, so this goes on each route)
+const screenSubmission = screen('intakeSubmission', 'id');
+
+function slugFor(name) {
+  return String(name).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// ---------------------------------------------
+// Forms
+// ---------------------------------------------
+
+// GET all forms, including inactive ones
+router.get('/forms', async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT f.*,
+        (SELECT COUNT(*) FROM intake_submissions s WHERE s.form_id = f.id) AS submission_count
+       FROM intake_forms f
+       ORDER BY f.practice_area ASC, f.name ASC`
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('[Intake] Error fetching forms:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch intake forms'
+    });
+  }
+});
+
+// CREATE form
+// Body: { name, slug, practiceArea, description, questions: [...] }
+router.post('/forms', async (req, res) => {
+  try {
+    const { name, slug, practiceArea, description, questions } = req.body;
+
+    if (!name || !practiceArea) {
+      return res.status(400).json({
+        success: false,
+        error: 'name and practiceArea are required'
+      });
+    }
+
+    intakeService.validateQuestions(questions);
+
+    const result = await db.query(
+      `INSERT INTO intake_forms (name, slug, practice_area, description, questions, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [name, slug || slugFor(name), practiceArea, description || null, JSON.stringify(questions), req.user.id]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Intake form created',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: 'A form with this slug already exists'
+      });
+    }
+    console.error('[Intake] Error creating form:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to create intake form',
+      details: error.details
+    });
+  }
+});
+
+// UPDATE form; changing the questions bumps the version
+router.put('/forms/:id', async (req, res) => {
+  try {
+    const { name, practiceArea, description, questions, isActive } = req.body;
+
+    if (questions !== undefined) {
+      intakeService.validateQuestions(questions);
+    }
+
+    const result = await db.query(
+      `UPDATE intake_forms SET
+        name = COALESCE($1, name),
+        practice_area = COALESCE($2, practice_area),
+        description = COALESCE($3, description),
+        questions = COALESCE($4, questions),
+        version = version + CASE WHEN $4::jsonb IS NULL THEN 0 ELSE 1 END,
+        is_active = COALESCE($5, is_active),
+        updated_at = NOW()
+      WHERE id = $6
+      RETURNING *`,
+      [
+        name,
+        practiceArea,
+        description,
+        questions !== undefined ? JSON.stringify(questions) : null,
+        isActive,
+        req.params.id
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Intake form not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Intake form updated',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('[Intake] Error updating form:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to update intake form',
+      details: error.details
+    });
+  }
+});
+
+// DEACTIVATE form (submissions keep their history)
+router.delete('/forms/:id', async (req, res) => {
+  try {
+    const result = await db.query(
+      'UPDATE intake_forms SET is_active = false, updated_at = NOW() WHERE id = $1 RETURNING id',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Intake form not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Intake form deactivated'
+    });
+  } catch (error) {
+    console.error('[Intake] Error deactivating form:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to deactivate intake form'
+    });
+  }
+});
+
+// ---------------------------------------------
+// Submissions
+// ---------------------------------------------
+
+// GET submissions (filter by status, form or practice area)
+router.get('/submissions', async (req, res) => {
+  try {
+    const { status, formId, practiceArea } = req.query;
+    const limit = parseInt(req.query.limit) || 50;
+
+    let query = `
+      SELECT s.id, s.form_id, s.contact_name, s.contact_email, s.contact_phone,
+        s.booking_id, s.customer_id, s.matter_id, s.status, s.created_at,
+        f.name AS form_name, f.practice_area, c.status AS conflict_status
+      FROM intake_submissions s
+      JOIN intake_forms f ON f.id = s.form_id
+      LEFT JOIN conflict_checks c ON c.id = s.conflict_check_id
+      WHERE 1=1`;
+    const params = [];
+    let paramCount = 0;
+
+    if (status) {
+      paramCount++;
+      query += ` AND s.status = $${paramCount}`;
+      params.push(status);
+    }
+
+    if (formId) {
+      paramCount++;
+      query += ` AND s.form_id = $${paramCount}`;
+      params.push(formId);
+    }
+
+    if (practiceArea) {
+      paramCount++;
+      query += ` AND f.practice_area = $${paramCount}`;
+      params.push(practiceArea);
+    }
+
+    paramCount++;
+    query += ` AND ${visibleClause(`$${paramCount}`, {
+      matter: 's.matter_id',
+      customer: 's.customer_id',
+      customerEmail: 's.contact_email'
+    })}`;
+    params.push(req.user.id);
+
+    paramCount++;
+    query += ` ORDER BY s.created_at DESC LIMIT $${paramCount}`;
+    params.push(limit);
+
+    const result = await db.query(query, params);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('[Intake] Error fetching submissions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch intake submissions'
+    });
+  }
+});
+
+// GET single submission with answers and its conflict check
+router.get('/submissions/:id', screenSubmission, async (req, res) => {
+  try {
+    const submission = await intakeService.getSubmission(req.params.id);
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        error: 'Intake submission not found'
+      });
+    }
+
+    const conflictResult = await db.query(
+      'SELECT id, status, hit_count FROM conflict_checks WHERE id = $1',
+      [submission.conflict_check_id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        ...submission,
+        conflictCheck: conflictResult.rows[0] || null
+      }
+    });
+  } catch (error) {
+    console.error('[Intake] Error fetching submission:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch intake submission'
+    });
+  }
+});
+
+// UPDATE submission status (reviewed / rejected)
+router.patch('/submissions/:id', screenSubmission, async (req, res) => {
+  try {
+    const { status, staffNotes } = req.body;
+
+    if (status && !['new', 'reviewed', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'status must be new, reviewed or rejected; use /convert to convert'
+      });
+    }
+
+    const result = await db.query(
+      `UPDATE intake_submissions SET
+        status = COALESCE($1, status),
+        staff_notes = COALESCE($2, staff_notes),
+        updated_at = NOW()
+      WHERE id = $3 AND status <> 'converted'
+      RETURNING *`,
+      [status, staffNotes, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Intake submission not found or already converted'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Intake submission updated',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('[Intake] Error updating submission:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update intake submission'
+    });
+  }
+});
+
+// RE-RUN the conflict check (e.g. after new matters were opened)
+router.post('/submissions/:id/conflict-check', screenSubmission, async (req, res) => {
+  const client = await db.pool.connect();
+  try {
+    const submission = await intakeService.getSubmission(req.params.id, client);
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        error: 'Intake submission not found'
+      });
+    }
+
+    await client.query('BEGIN');
+    const check = await intakeService.runSubmissionConflictCheck(submission, {
+      requestedBy: req.user.id
+    }, client);
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      success: true,
+      data: check
+    });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('[Intake] Error running conflict check:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run conflict check'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// CONVERT submission into a client and matter
+// Body: { title, description, responsibleAttorneyId, originatingAttorneyId }
+router.post('/submissions/:id/convert', requirePermission('matters:write'), screenSubmission, async (req, res) => {
+  const client = await db.pool.connect();
+  try {
+    const { title, description, responsibleAttorneyId, originatingAttorneyId } = req.body;
+
+    await client.query('BEGIN');
+    const converted = await intakeService.convertSubmission(req.params.id, {
+      title,
+      description,
+      responsibleAttorneyId,
+      originatingAttorneyId,
+      userId: req.user.id
+    }, client);
+    await client.query('COMMIT');
+
+    console.log(`[Intake] Converted submission ${req.params.id} to matter ${converted.matter.matter_number}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Client and matter created',
+      data: converted
+    });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('[Intake] Error converting submission:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to convert intake submission',
+      ...(error.details || {})
+    });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
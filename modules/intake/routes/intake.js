@@ -0,0 +1,172 @@
+/**
+ * Intake Routes - PostgreSQL Version
+ * Practice-area questionnaires that prospective clients fill in
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../database/db');
+const intakeService = require('../services/intakeService');
+const adminRoutes = require('./admin');
+
+// Form builder, submission review and conversion (staff only)
+router.use('/admin', adminRoutes);
+
+// GET active intake forms (optionally for one practice area)
+router.get('/forms', async (req, res) => {
+  try {
+    const { practiceArea } = req.query;
+
+    let query = `SELECT id, name, slug, practice_area, description, version
+                 FROM intake_forms WHERE is_active = true`;
+    const params = [];
+
+    if (practiceArea) {
+      query += ' AND practice_area = $1';
+      params.push(practiceArea);
+    }
+
+    query += ' ORDER BY practice_area ASC, name ASC';
+
+    const result = await db.query(query, params);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('[Intake] Error fetching forms:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch intake forms'
+    });
+  }
+});
+
+// GET a form with its questions
+router.get('/forms/:slug', async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT id, name, slug, practice_area, description, questions, version
+       FROM intake_forms WHERE slug = $1 AND is_active = true`,
+      [req.params.slug]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Intake form not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('[Intake] Error fetching form:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch intake form'
+    });
+  }
+});
+
+// SUBMIT answers to a form
+// Body: { name, email, phone, bookingId, answers: { questionId: value } }
+router.post('/forms/:slug/submissions', async (req, res) => {
+  const client = await db.pool.connect();
+  try {
+    const { name, email, phone, bookingId, answers } = req.body;
+
+    if (!name || !email) {
+      return res.status(400).json({
+        success: false,
+        error: 'name and email are required'
+      });
+    }
+
+    const formResult = await client.query(
+      'SELECT * FROM intake_forms WHERE slug = $1 AND is_active = true',
+      [req.params.slug]
+    );
+
+    if (formResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Intake form not found'
+      });
+    }
+    const form = formResult.rows[0];
+
+    const validation = intakeService.validateAnswers(form.questions, answers || {});
+    if (Object.keys(validation.errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Some answers need attention',
+        fields: validation.errors
+      });
+    }
+
+    if (bookingId) {
+      const bookingResult = await client.query('SELECT id FROM bookings WHERE id = $1', [bookingId]);
+      if (bookingResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Booking not found'
+        });
+      }
+    }
+
+    await client.query('BEGIN');
+
+    // Keep the questions as asked so answers stay readable after the form changes
+    const result = await client.query(
+      `INSERT INTO intake_submissions (
+        form_id, form_version, questions, answers, contact_name, contact_email,
+        contact_phone, booking_id, status, created_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'new', NOW())
+      RETURNING *`,
+      [
+        form.id,
+        form.version,
+        JSON.stringify(form.questions),
+        JSON.stringify(validation.answers),
+        name,
+        email,
+        phone || null,
+        bookingId || null
+      ]
+    );
+    const submission = result.rows[0];
+
+    await intakeService.runSubmissionConflictCheck(submission, {}, client);
+
+    await client.query('COMMIT');
+
+    console.log('[Intake] New submission:', submission.id, 'for form', form.slug);
+
+    // Conflict check results are for staff only
+    res.status(201).json({
+      success: true,
+      message: 'Thank you - your information has been received',
+      data: {
+        id: submission.id,
+        formId: form.id,
+        bookingId: submission.booking_id
+      }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('[Intake] Error saving submission:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save intake submission'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
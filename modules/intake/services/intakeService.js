@@ -0,0 +1,381 @@
+/**
+ * Intake Service
+ * Question-set validation, conditional visibility and answer checking for
+ * practice-area intake forms, plus converting a submission into a client
+ * and matter.
+ *
+ * A form's questions are stored as a JSON array:
+ *   {
+ *     id: 'has_children',
+ *     label: 'Do you have children under 18?',
+ *     type: 'boolean',
+ *     required: true,
+ *     options: ['a', 'b'] or [{ value, label }]     (select / multiselect)
+ *     showIf: { question: 'married', equals: true }  (or an array; all must hold)
+ *     partyType: 'opposing'                         (answer names a party for the conflict check)
+ *   }
+ */
+
+const db = require('../database/db');
+const matterService = require('../../matters/services/matterService');
+const conflictCheckService = require('../../matters/services/conflictCheckService');
+const { httpError } = require('../../shared/utils');
+
+const QUESTION_TYPES = [
+  'text', 'textarea', 'email', 'phone', 'number', 'date',
+  'boolean', 'select', 'multiselect', 'list'
+];
+
+const SUBMISSION_STATUSES = ['new', 'reviewed', 'converted', 'rejected'];
+
+function optionValues(question) {
+  return (question.options || []).map(option =>
+    typeof option === 'object' ? option.value : option
+  );
+}
+
+// ---------------------------------------------
+// Form definitions
+// ---------------------------------------------
+
+/**
+ * Check a question set before it is saved. Conditions may only refer to
+ * earlier questions so visibility can be worked out in a single pass.
+ */
+function validateQuestions(questions) {
+  if (!Array.isArray(questions) || questions.length === 0) {
+    throw httpError(400, 'questions must be a non-empty array');
+  }
+
+  const errors = [];
+  const seen = new Set();
+
+  questions.forEach((question, index) => {
+    const where = question && question.id ? `Question "${question.id}"` : `Question ${index + 1}`;
+
+    if (!question || !question.id || !/^[a-z0-9_]+$/i.test(question.id)) {
+      errors.push(`${where} needs an id made of letters, digits and underscores`);
+      return;
+    }
+    if (seen.has(question.id)) {
+      errors.push(`${where} is defined more than once`);
+    }
+    if (!question.label) {
+      errors.push(`${where} needs a label`);
+    }
+    if (!QUESTION_TYPES.includes(question.type)) {
+      errors.push(`${where} has unknown type "${question.type}"`);
+    }
+    if (['select', 'multiselect'].includes(question.type) && optionValues(question).length === 0) {
+      errors.push(`${where} needs options`);
+    }
+    if (question.partyType && !matterService.PARTY_TYPES.includes(question.partyType)) {
+      errors.push(`${where} has unknown partyType "${question.partyType}"`);
+    }
+
+    const conditions = question.showIf ? [].concat(question.showIf) : [];
+    for (const condition of conditions) {
+      if (!condition || !seen.has(condition.question)) {
+        errors.push(`${where} showIf must refer to an earlier question`);
+      }
+    }
+
+    seen.add(question.id);
+  });
+
+  if (errors.length > 0) {
+    throw httpError(400, 'Invalid question set', { details: errors });
+  }
+}
+
+// ---------------------------------------------
+// Answers
+// ---------------------------------------------
+
+function isAnswered(value) {
+  if (value === undefined || value === null) return false;
+  if (typeof value === 'string') return value.trim() !== '';
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+}
+
+function conditionHolds(condition, answers) {
+  const value = answers[condition.question];
+
+  if ('equals' in condition) return value === condition.equals;
+  if ('notEquals' in condition) return isAnswered(value) && value !== condition.notEquals;
+  if ('in' in condition) {
+    const allowed = condition.in || [];
+    return Array.isArray(value)
+      ? value.some(v => allowed.includes(v))
+      : allowed.includes(value);
+  }
+  if ('answered' in condition) return isAnswered(value) === Boolean(condition.answered);
+
+  return isAnswered(value);
+}
+
+/**
+ * Whether a question is shown, given the (already filtered) earlier answers.
+ */
+function isVisible(question, answers) {
+  if (!question.showIf) return true;
+  return [].concat(question.showIf).every(condition => conditionHolds(condition, answers));
+}
+
+/**
+ * Coerce one raw answer to its question type. Returns { value } or { error }.
+ */
+function coerceAnswer(question, raw) {
+  switch (question.type) {
+    case 'text':
+    case 'textarea':
+    case 'phone': {
+      const value = String(raw).trim();
+      if (question.maxLength && value.length > question.maxLength) {
+        return { error: `must be at most ${question.maxLength} characters` };
+      }
+      return { value };
+    }
+    case 'email': {
+      const value = String(raw).trim().toLowerCase();
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? { value } : { error: 'must be an email address' };
+    }
+    case 'number': {
+      const value = Number(raw);
+      if (!Number.isFinite(value)) return { error: 'must be a number' };
+      if (question.min !== undefined && value < question.min) return { error: `must be at least ${question.min}` };
+      if (question.max !== undefined && value > question.max) return { error: `must be at most ${question.max}` };
+      return { value };
+    }
+    case 'date': {
+      const value = String(raw);
+      const valid = /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(`${value}T00:00:00Z`));
+      return valid ? { value } : { error: 'must be a date (YYYY-MM-DD)' };
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { value: raw };
+      const text = String(raw).toLowerCase();
+      if (['true', 'yes', '1'].includes(text)) return { value: true };
+      if (['false', 'no', '0'].includes(text)) return { value: false };
+      return { error: 'must be yes or no' };
+    }
+    case 'select': {
+      return optionValues(question).includes(raw) ? { value: raw } : { error: 'is not one of the options' };
+    }
+    case 'multiselect': {
+      const values = [].concat(raw);
+      const allowed = optionValues(question);
+      return values.every(v => allowed.includes(v)) ? { value: values } : { error: 'contains an unknown option' };
+    }
+    case 'list': {
+      const values = [].concat(raw).map(v => String(v).trim()).filter(Boolean);
+      return { value: values };
+    }
+    default:
+      return { error: 'has an unknown type' };
+  }
+}
+
+/**
+ * Check submitted answers against a question set. Answers to hidden or
+ * unknown questions are dropped so the stored JSON only holds what the
+ * client was actually asked.
+ *
+ * Returns { answers, errors } where errors maps question id to message.
+ */
+function validateAnswers(questions, rawAnswers = {}) {
+  const answers = {};
+  const errors = {};
+
+  for (const question of questions) {
+    if (!isVisible(question, answers)) continue;
+
+    const raw = rawAnswers[question.id];
+    if (!isAnswered(raw)) {
+      if (question.required) errors[question.id] = `${question.label} is required`;
+      continue;
+    }
+
+    const result = coerceAnswer(question, raw);
+    if (result.error) {
+      errors[question.id] = `${question.label} ${result.error}`;
+    } else {
+      answers[question.id] = result.value;
+    }
+  }
+
+  return { answers, errors };
+}
+
+/**
+ * Names given in answers to party questions, as matter parties.
+ */
+function partiesFromAnswers(questions, answers) {
+  const parties = [];
+  for (const question of questions) {
+    if (!question.partyType || !isAnswered(answers[question.id])) continue;
+    for (const name of [].concat(answers[question.id])) {
+      if (typeof name === 'string' && name.trim()) {
+        parties.push({ name: name.trim(), partyType: question.partyType });
+      }
+    }
+  }
+  return parties;
+}
+
+/**
+ * Conflict-check roles for matter party types
+ */
+function conflictRole(partyType) {
+  if (partyType === 'client') return 'client';
+  if (['opposing', 'opposing_counsel'].includes(partyType)) return 'opposing';
+  return 'related';
+}
+
+// ---------------------------------------------
+// Submissions
+// ---------------------------------------------
+
+async function getSubmission(submissionId, client = db) {
+  const result = await client.query(
+    `SELECT s.*, f.name AS form_name, f.slug AS form_slug, f.practice_area
+     FROM intake_submissions s
+     JOIN intake_forms f ON f.id = s.form_id
+     WHERE s.id = $1`,
+    [submissionId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Conflict check covering the prospective client and every party named in
+ * the answers, as the requesting user may see it (no walled hits).
+ */
+async function runSubmissionConflictCheck(submission, { requestedBy } = {}, client = db) {
+  const parties = [
+    { name: submission.contact_name, role: 'client' },
+    ...partiesFromAnswers(submission.questions, submission.answers).map(party => ({
+      name: party.name,
+      role: conflictRole(party.partyType)
+    }))
+  ];
+
+  const check = await conflictCheckService.runConflictCheck({
+    parties,
+    email: submission.contact_email,
+    phone: submission.contact_phone,
+    source: 'intake',
+    sourceId: submission.id,
+    requestedBy
+  }, client);
+
+  await client.query(
+    'UPDATE intake_submissions SET conflict_check_id = $1, updated_at = NOW() WHERE id = $2',
+    [check.id, submission.id]
+  );
+
+  return conflictCheckService.withoutWalledHits(check, requestedBy, client);
+}
+
+/**
+ * Turn a submission into a client and an intake-status matter. The
+ * submission's conflict check must be clear, cleared or waived first.
+ * Run inside the caller's transaction.
+ *
+ * options: { title, responsibleAttorneyId, originatingAttorneyId, userId }
+ */
+async function convertSubmission(submissionId, options = {}, client = db) {
+  const locked = await client.query(
+    'SELECT id, status FROM intake_submissions WHERE id = $1 FOR UPDATE',
+    [submissionId]
+  );
+  if (locked.rows.length === 0) {
+    throw httpError(404, 'Intake submission not found');
+  }
+  if (locked.rows[0].status === 'converted') {
+    throw httpError(409, 'Intake submission has already been converted');
+  }
+
+  const submission = await getSubmission(submissionId, client);
+  const check = submission.conflict_check_id
+    ? await conflictCheckService.getConflictCheck(submission.conflict_check_id, client)
+    : null;
+
+  if (!conflictCheckService.isPassing(check)) {
+    throw httpError(409, 'The conflict check for this submission has not been cleared', {
+      details: { conflictCheck: await conflictCheckService.withoutWalledHits(check, options.userId, client) }
+    });
+  }
+
+  // Reuse the client record when the email is already known
+  const customerResult = await client.query(
+    `INSERT INTO customers (email, full_name, phone, source, created_at)
+     VALUES ($1, $2, $3, 'intake', NOW())
+     ON CONFLICT (email) DO UPDATE SET
+       full_name = COALESCE(customers.full_name, EXCLUDED.full_name),
+       phone = COALESCE(customers.phone, EXCLUDED.phone),
+       updated_at = NOW()
+     RETURNING *`,
+    [submission.contact_email, submission.contact_name, submission.contact_phone]
+  );
+  const customer = customerResult.rows[0];
+
+  const matter = await matterService.createMatter({
+    title: options.title || `${submission.form_name} - ${submission.contact_name}`,
+    description: options.description,
+    practiceArea: submission.practice_area,
+    customerId: customer.id,
+    responsibleAttorneyId: options.responsibleAttorneyId,
+    originatingAttorneyId: options.originatingAttorneyId,
+    parties: [
+      {
+        name: submission.contact_name,
+        partyType: 'client',
+        email: submission.contact_email,
+        phone: submission.contact_phone
+      },
+      ...partiesFromAnswers(submission.questions, submission.answers)
+    ],
+    createdBy: options.userId
+  }, client);
+
+  if (submission.booking_id) {
+    await client.query(
+      'UPDATE bookings SET matter_id = COALESCE(matter_id, $1), updated_at = NOW() WHERE id = $2',
+      [matter.id, submission.booking_id]
+    );
+  }
+
+  await client.query('UPDATE conflict_checks SET matter_id = $1 WHERE id = $2', [matter.id, check.id]);
+
+  await client.query(
+    `UPDATE intake_submissions SET
+      status = 'converted',
+      customer_id = $1,
+      matter_id = $2,
+      converted_by = $3,
+      converted_at = NOW(),
+      updated_at = NOW()
+    WHERE id = $4`,
+    [customer.id, matter.id, options.userId || null, submissionId]
+  );
+
+  return {
+    submission: await getSubmission(submissionId, client),
+    customer,
+    matter: await matterService.getMatter(matter.id, client)
+  };
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  SUBMISSION_STATUSES,
+  validateQuestions,
+  isVisible,
+  validateAnswers,
+  partiesFromAnswers,
+  getSubmission,
+  runSubmissionConflictCheck,
+  convertSubmission
+};
@@ -0,0 +1,85 @@
+/**
+ * Ethical Wall Middleware
+ * Refuses screened users a single walled record and logs the attempt.
+ * Prefer router.param, so every route naming the record is covered:
+ *
+ *   router.param('documentId', screen('document'));
+ *
+ * or, on routers without router-wide authentication, put it on the route
+ * after authenticateToken: router.get('/:id', auth, screen('booking', 'id'), ...)
+ *
+ * Routes that name the record in the body use screenBody, e.g.
+ * screenBody({ matterId: 'matter', customerId: 'customer' }).
+ */
+
+const ethicalWallService = require('../services/ethicalWallService');
+
+// The first wall screening the user from any of [resourceType, resourceId];
+// ids that are not valid cannot be walled and are left to the route
+async function findWall(records, userId) {
+  for (const [resourceType, resourceId] of records) {
+    try {
+      const wall = await ethicalWallService.wallFor(resourceType, resourceId, userId);
+      if (wall) return { wall, resourceType, resourceId };
+    } catch (error) {
+      if (error.code !== '22P02') throw error;
+    }
+  }
+  return null;
+}
+
+async function refuseWalled(req, res, next, records) {
+  try {
+    const found = await findWall(records, req.user.id);
+    if (!found) return next();
+
+    await ethicalWallService.recordAttempt({
+      wallId: found.wall.id,
+      userId: req.user.id,
+      resourceType: found.resourceType,
+      resourceId: found.resourceId,
+      method: req.method,
+      path: req.originalUrl,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    }).catch(error => {
+      console.error('[Matters] Error recording ethical wall attempt:', error);
+    });
+
+    res.status(403).json({
+      success: false,
+      error: 'You are screened from this matter by an ethical wall'
+    });
+  } catch (error) {
+    console.error('[Matters] Error checking ethical walls:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check ethical walls'
+    });
+  }
+}
+
+// Route middleware must take three arguments: Express skips four-argument
+// functions as error handlers, so only router.param gets `value`
+function screen(resourceType, param) {
+  if (param) {
+    return (req, res, next) => refuseWalled(req, res, next, [[resourceType, req.params[param]]]);
+  }
+  return (req, res, next, value) => refuseWalled(req, res, next, [[resourceType, value]]);
+}
+
+/**
+ * Screen the records a request body names. `fields` maps body fields to
+ * resource types; fields left out of the body are skipped.
+ */
+function screenBody(fields) {
+  return (req, res, next) => {
+    const body = req.body || {};
+    const records = Object.entries(fields)
+      .filter(([field]) => body[field] !== undefined && body[field] !== null && body[field] !== '')
+      .map(([field, resourceType]) => [resourceType, body[field]]);
+    return refuseWalled(req, res, next, records);
+  };
+}
+
+module.exports = { screen, screenBody };
@@ -0,0 +1,164 @@
+/**
+ * Conflict Check Routes
+ * Run conflict-of-interest checks and record who cleared or waived each hit
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../database/db');
+const conflictCheckService = require('../services/conflictCheckService');
+const { visibleClause } = require('../services/ethicalWallService');
+const { screen, screenBody } = require('../middleware/ethicalWall');
+
+// Checks run for a walled matter are hidden from the users it screens, and
+// every check leaves out the hits behind a wall
+router.param('checkId', screen('conflictCheck'));
+
+// GET conflict checks (filter by status or source)
+router.get('/', async (req, res) => {
+  try {
+    const { status, source } = req.query;
+    const limit = parseInt(req.query.limit) || 50;
+
+    let query = `
+      SELECT c.*, u.full_name AS requested_by_name
+      FROM conflict_checks c
+      LEFT JOIN users u ON u.id = c.requested_by
+      WHERE 1=1`;
+    const params = [];
+    let paramCount = 0;
+
+    if (status) {
+      paramCount++;
+      query += ` AND c.status = $${paramCount}`;
+      params.push(status);
+    }
+
+    if (source) {
+      paramCount++;
+      query += ` AND c.source = $${paramCount}`;
+      params.push(source);
+    }
+
+    paramCount++;
+    query += ` AND ${visibleClause(`$${paramCount}`, { matter: 'c.matter_id' })}`;
+    params.push(req.user.id);
+
+    paramCount++;
+    query += ` ORDER BY c.created_at DESC LIMIT $${paramCount}`;
+    params.push(limit);
+
+    const result = await db.query(query, params);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('[Conflicts] Error fetching conflict checks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch conflict checks'
+    });
+  }
+});
+
+// RUN a conflict check
+// Body: { name, email, phone } or { parties: [{ name, role }], email, phone, matterId }
+router.post('/', screenBody({ matterId: 'matter' }), async (req, res) => {
+  const client = await db.pool.connect();
+  try {
+    const { name, parties, email, phone, matterId } = req.body;
+
+    await client.query('BEGIN');
+    const check = await conflictCheckService.runConflictCheck({
+      name,
+      parties,
+      email,
+      phone,
+      matterId,
+      source: 'manual',
+      requestedBy: req.user.id
+    }, client);
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      success: true,
+      data: await conflictCheckService.withoutWalledHits(check, req.user.id)
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('[Conflicts] Error running conflict check:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to run conflict check'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// GET single conflict check with hits and resolutions
+router.get('/:checkId', async (req, res) => {
+  try {
+    const check = await conflictCheckService.withoutWalledHits(
+      await conflictCheckService.getConflictCheck(req.params.checkId),
+      req.user.id
+    );
+
+    if (!check) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conflict check not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: check
+    });
+  } catch (error) {
+    console.error('[Conflicts] Error fetching conflict check:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch conflict check'
+    });
+  }
+});
+
+// CLEAR or WAIVE a hit
+// Body: { resolution: 'cleared' | 'waived', notes }
+router.post('/:checkId/hits/:hitId/resolve', async (req, res) => {
+  const client = await db.pool.connect();
+  try {
+    const { resolution, notes } = req.body;
+
+    await client.query('BEGIN');
+    const check = await conflictCheckService.resolveHit(req.params.checkId, req.params.hitId, {
+      resolution,
+      notes,
+      userId: req.user.id
+    }, client);
+    await client.query('COMMIT');
+
+    console.log(`[Conflicts] Hit ${req.params.hitId} ${resolution} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: `Hit ${resolution}`,
+      data: await conflictCheckService.withoutWalledHits(check, req.user.id)
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('[Conflicts] Error resolving hit:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to resolve hit'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,319 @@
+/**
+ * Deadline Routes
+ * Court-rules deadline calculator, matter deadline triggers and court
+ * holiday configuration
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../database/db');
+const courtRules = require('../services/courtRules');
+const deadlineService = require('../services/deadlineService');
+
+// GET built-in rule sets with their triggers and deadlines
+router.get('/rule-sets', (req, res) => {
+  const ruleSets = courtRules.listRuleSets();
+
+  res.json({
+    success: true,
+    count: ruleSets.length,
+    data: ruleSets
+  });
+});
+
+// PREVIEW deadlines without saving
+// Body: { ruleSet, triggerCode, triggerDate }
+router.post('/calculate', async (req, res) => {
+  try {
+    const { ruleSet, triggerCode, triggerDate } = req.body;
+    const deadlines = await deadlineService.calculate({ ruleSet, triggerCode, triggerDate });
+
+    res.json({
+      success: true,
+      count: deadlines.length,
+      data: deadlines
+    });
+  } catch (error) {
+    console.error('[Matters] Error calculating deadlines:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to calculate deadlines'
+    });
+  }
+});
+
+// GET triggers (filters: matterId)
+router.get('/triggers', async (req, res) => {
+  try {
+    const { matterId } = req.query;
+
+    let query = `
+      SELECT t.*, m.matter_number, m.title AS matter_title,
+        (SELECT MIN(e.event_date) FROM calendar_events e
+         WHERE e.deadline_trigger_id = t.id AND e.status = 'scheduled'
+           AND e.event_date >= CURRENT_DATE) AS next_deadline
+      FROM deadline_triggers t
+      JOIN matters m ON m.id = t.matter_id
+      WHERE 1=1`;
+    const params = [];
+    let paramCount = 0;
+
+    if (matterId) {
+      paramCount++;
+      query += ` AND t.matter_id = $${paramCount}`;
+      params.push(matterId);
+    }
+
+    query += ' ORDER BY t.trigger_date DESC, t.id DESC';
+
+    const result = await db.query(query, params);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('[Matters] Error fetching deadline triggers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch deadline triggers'
+    });
+  }
+});
+
+// CREATE trigger on a matter and calendar its deadlines
+// Body: { matterId, ruleSet, triggerCode, triggerDate, description, assignedTo }
+router.post('/triggers', async (req, res) => {
+  const client = await db.pool.connect();
+  try {
+    const { matterId, ruleSet, triggerCode, triggerDate, description, assignedTo } = req.body;
+
+    if (!matterId) {
+      return res.status(400).json({
+        success: false,
+        error: 'matterId is required'
+      });
+    }
+
+    await client.query('BEGIN');
+    const trigger = await deadlineService.createTrigger(matterId, {
+      ruleSet,
+      triggerCode,
+      triggerDate,
+      description,
+      assignedTo,
+      createdBy: req.user.id
+    }, client);
+    await client.query('COMMIT');
+
+    console.log(`[Matters] Docketed ${trigger.events.length} events for ${trigger.matter_number} (${ruleSet}/${triggerCode})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Deadlines calendared',
+      data: trigger
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('[Matters] Error creating deadline trigger:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to create deadline trigger'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// GET trigger with its calendar events
+router.get('/triggers/:id', async (req, res) => {
+  try {
+    const trigger = await deadlineService.getTrigger(req.params.id);
+
+    if (!trigger) {
+      return res.status(404).json({
+        success: false,
+        error: 'Deadline trigger not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: trigger
+    });
+  } catch (error) {
+    console.error('[Matters] Error fetching deadline trigger:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch deadline trigger'
+    });
+  }
+});
+
+// UPDATE trigger date or description; deadlines are recomputed
+// Body: { triggerDate, description }
+router.put('/triggers/:id', async (req, res) => {
+  const client = await db.pool.connect();
+  try {
+    const { triggerDate, description } = req.body;
+
+    await client.query('BEGIN');
+    const trigger = await deadlineService.updateTrigger(req.params.id, { triggerDate, description }, client);
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Deadlines recomputed',
+      data: trigger
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('[Matters] Error updating deadline trigger:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to update deadline trigger'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// DELETE trigger and its calendar events
+router.delete('/triggers/:id', async (req, res) => {
+  try {
+    const result = await db.query('DELETE FROM deadline_triggers WHERE id = $1 RETURNING id', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Deadline trigger not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Deadline trigger and its events removed'
+    });
+  } catch (error) {
+    console.error('[Matters] Error deleting deadline trigger:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete deadline trigger'
+    });
+  }
+});
+
+// GET court holidays for a jurisdiction and year (built-in and configured)
+router.get('/holidays', async (req, res) => {
+  try {
+    const jurisdiction = req.query.jurisdiction || 'US-FED';
+    const year = parseInt(req.query.year) || new Date().getFullYear();
+
+    const builtIn = courtRules.builtInHolidays(jurisdiction, [year])
+      .map(holiday => ({ ...holiday, source: 'built-in' }));
+
+    const result = await db.query(
+      `SELECT id, TO_CHAR(holiday_date, 'YYYY-MM-DD') AS date, name, 'configured' AS source
+       FROM court_holidays
+       WHERE jurisdiction = $1 AND EXTRACT(YEAR FROM holiday_date) = $2`,
+      [jurisdiction, year]
+    );
+
+    const holidays = [...builtIn, ...result.rows].sort((a, b) => a.date.localeCompare(b.date));
+
+    res.json({
+      success: true,
+      count: holidays.length,
+      data: holidays
+    });
+  } catch (error) {
+    console.error('[Matters] Error fetching court holidays:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch court holidays'
+    });
+  }
+});
+
+// ADD a court holiday or closure; open deadlines in the jurisdiction are recomputed
+// Body: { jurisdiction, date, name }
+router.post('/holidays', async (req, res) => {
+  const client = await db.pool.connect();
+  try {
+    const { jurisdiction, date, name } = req.body;
+
+    if (!jurisdiction || !/^\d{4}-\d{2}-\d{2}$/.test(date || '') || !name) {
+      return res.status(400).json({
+        success: false,
+        error: 'jurisdiction, date (YYYY-MM-DD) and name are required'
+      });
+    }
+
+    await client.query('BEGIN');
+    const result = await client.query(
+      `INSERT INTO court_holidays (jurisdiction, holiday_date, name, created_by)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (jurisdiction, holiday_date) DO UPDATE SET name = EXCLUDED.name
+       RETURNING *`,
+      [jurisdiction, date, name, req.user.id]
+    );
+    const recomputed = await deadlineService.recomputeJurisdiction(jurisdiction, date, client);
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      success: true,
+      message: `Court holiday saved; ${recomputed} trigger(s) recomputed`,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('[Matters] Error adding court holiday:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add court holiday'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// DELETE a configured court holiday; open deadlines are recomputed
+router.delete('/holidays/:id', async (req, res) => {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      "DELETE FROM court_holidays WHERE id = $1 RETURNING jurisdiction, TO_CHAR(holiday_date, 'YYYY-MM-DD') AS date",
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Court holiday not found'
+      });
+    }
+
+    const { jurisdiction, date } = result.rows[0];
+    const recomputed = await deadlineService.recomputeJurisdiction(jurisdiction, date, client);
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: `Court holiday removed; ${recomputed} trigger(s) recomputed`
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('[Matters] Error removing court holiday:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove court holiday'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
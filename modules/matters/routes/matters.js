@@ -0,0 +1,455 @@
+/**
+ * Matter Routes - PostgreSQL Version
+ * Legal matters (cases), the parties attached to them, conflict checks and
+ * court deadlines
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../database/db');
+const { authenticateToken, requirePermission, requireModuleAccess } = require('../../auth/middleware/auth');
+const matterService = require('../services/matterService');
+const ethicalWallService = require('../services/ethicalWallService');
+const { screen } = require('../middleware/ethicalWall');
+const conflictRoutes = require('./conflicts');
+const deadlineRoutes = require('./deadlines');
+const wallRoutes = require('./walls');
+
+// Matters are staff-only: matters:read to view, matters:write to change
+router.use(authenticateToken, requireModuleAccess('matters'));
+
+// Conflict-of-interest checks
+router.use('/conflicts', conflictRoutes);
+
+// Court-rules deadlines and court holidays
+router.use('/deadlines', deadlineRoutes);
+
+// Ethical walls screening users from matters and clients
+router.use('/walls', requirePermission('matters:walls'), wallRoutes);
+
+// Screened users cannot open a walled matter or anything under it
+router.param('id', screen('matter'));
+
+// GET all matters (with filters)
+router.get('/', async (req, res) => {
+  try {
+    const { status, practiceArea, customerId, attorneyId, search } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+    let paramCount = 0;
+
+    if (status) {
+      paramCount++;
+      whereClause += ` AND m.status = $${paramCount}`;
+      params.push(status);
+    }
+
+    if (practiceArea) {
+      paramCount++;
+      whereClause += ` AND m.practice_area = $${paramCount}`;
+      params.push(practiceArea);
+    }
+
+    if (customerId) {
+      paramCount++;
+      whereClause += ` AND m.customer_id = $${paramCount}`;
+      params.push(customerId);
+    }
+
+    if (attorneyId) {
+      paramCount++;
+      whereClause += ` AND (m.responsible_attorney_id = $${paramCount} OR m.originating_attorney_id = $${paramCount})`;
+      params.push(attorneyId);
+    }
+
+    if (search) {
+      paramCount++;
+      whereClause += ` AND (m.title ILIKE $${paramCount} OR m.matter_number ILIKE $${paramCount} OR c.full_name ILIKE $${paramCount})`;
+      params.push(`%${search}%`);
+    }
+
+    paramCount++;
+    whereClause += ` AND ${ethicalWallService.visibleClause(`$${paramCount}`, { matter: 'm.id', customer: 'm.customer_id' })}`;
+    params.push(req.user.id);
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) FROM matters m LEFT JOIN customers c ON c.id = m.customer_id ${whereClause}`,
+      params
+    );
+
+    params.push(limit, offset);
+    const result = await db.query(
+      `SELECT m.*, c.full_name AS client_name, ra.full_name AS responsible_attorney_name
+       FROM matters m
+       LEFT JOIN customers c ON c.id = m.customer_id
+       LEFT JOIN users ra ON ra.id = m.responsible_attorney_id
+       ${whereClause}
+       ORDER BY m.created_at DESC
+       LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`,
+      params
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      total: parseInt(countResult.rows[0].count),
+      page,
+      limit,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('[Matters] Error fetching matters:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch matters'
+    });
+  }
+});
+
+// GET single matter with parties and linked record counts
+router.get('/:id', async (req, res) => {
+  try {
+    const matter = await matterService.getMatter(req.params.id);
+
+    if (!matter) {
+      return res.status(404).json({
+        success: false,
+        error: 'Matter not found'
+      });
+    }
+
+    const parties = await matterService.getParties(matter.id);
+    const linkedResult = await db.query(
+      `SELECT
+        (SELECT COUNT(*) FROM bookings WHERE matter_id = $1) AS bookings,
+        (SELECT COUNT(*) FROM customer_communications WHERE matter_id = $1) AS communications,
+        (SELECT COUNT(*) FROM calendar_events WHERE matter_id = $1 AND event_type = 'deadline'
+           AND status = 'scheduled' AND event_date >= CURRENT_DATE) AS upcoming_deadlines`,
+      [matter.id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        ...matter,
+        parties,
+        linked: {
+          bookings: parseInt(linkedResult.rows[0].bookings),
+          communications: parseInt(linkedResult.rows[0].communications),
+          upcomingDeadlines: parseInt(linkedResult.rows[0].upcoming_deadlines)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('[Matters] Error fetching matter:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch matter'
+    });
+  }
+});
+
+// CREATE new matter
+router.post('/', async (req, res) => {
+  const client = await db.pool.connect();
+  try {
+    const {
+      matterNumber,
+      title,
+      description,
+      practiceArea,
+      customerId,
+      responsibleAttorneyId,
+      originatingAttorneyId,
+      status,
+      parties
+    } = req.body;
+
+    await client.query('BEGIN');
+
+    const matter = await matterService.createMatter({
+      matterNumber,
+      title,
+      description,
+      practiceArea,
+      customerId,
+      responsibleAttorneyId,
+      originatingAttorneyId,
+      status,
+      parties,
+      createdBy: req.user.id
+    }, client);
+
+    await client.query('COMMIT');
+
+    console.log('[Matters] Created matter:', matter.matter_number);
+
+    res.status(201).json({
+      success: true,
+      message: 'Matter created successfully',
+      data: await matterService.getMatter(matter.id)
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: 'Matter number already exists'
+      });
+    }
+    console.error('[Matters] Error creating matter:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to create matter'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// UPDATE matter details (status changes go through /:id/status)
+router.put('/:id', async (req, res) => {
+  try {
+    const {
+      title,
+      description,
+      practiceArea,
+      customerId,
+      responsibleAttorneyId,
+      originatingAttorneyId
+    } = req.body;
+
+    const result = await db.query(
+      `UPDATE matters SET
+        title = COALESCE($1, title),
+        description = COALESCE($2, description),
+        practice_area = COALESCE($3, practice_area),
+        customer_id = COALESCE($4, customer_id),
+        responsible_attorney_id = COALESCE($5, responsible_attorney_id),
+        originating_attorney_id = COALESCE($6, originating_attorney_id),
+        updated_at = NOW()
+      WHERE id = $7
+      RETURNING id`,
+      [title, description, practiceArea, customerId, responsibleAttorneyId, originatingAttorneyId, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Matter not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Matter updated successfully',
+      data: await matterService.getMatter(req.params.id)
+    });
+  } catch (error) {
+    console.error('[Matters] Error updating matter:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update matter'
+    });
+  }
+});
+
+// CHANGE matter status (intake -> open -> closed -> archived)
+router.post('/:id/status', async (req, res) => {
+  const client = await db.pool.connect();
+  try {
+    const { status, reason } = req.body;
+
+    await client.query('BEGIN');
+    const matter = await matterService.changeStatus(req.params.id, status, {
+      changedBy: req.user.id,
+      reason
+    }, client);
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Matter status updated',
+      data: matter
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('[Matters] Error changing status:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to change status'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// GET status history
+router.get('/:id/history', async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT h.*, u.full_name AS changed_by_name
+       FROM matter_status_history h
+       LEFT JOIN users u ON u.id = h.changed_by
+       WHERE h.matter_id = $1
+       ORDER BY h.created_at ASC`,
+      [req.params.id]
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('[Matters] Error fetching history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch status history'
+    });
+  }
+});
+
+// ADD party to matter
+router.post('/:id/parties', async (req, res) => {
+  try {
+    await matterService.assertMatterExists(req.params.id);
+    const party = await matterService.addParty(req.params.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Party added',
+      data: party
+    });
+  } catch (error) {
+    console.error('[Matters] Error adding party:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to add party'
+    });
+  }
+});
+
+// UPDATE party
+router.put('/:id/parties/:partyId', async (req, res) => {
+  try {
+    const { name, partyType, organization, email, phone, notes } = req.body;
+
+    if (partyType && !matterService.PARTY_TYPES.includes(partyType)) {
+      return res.status(400).json({
+        success: false,
+        error: `partyType must be one of: ${matterService.PARTY_TYPES.join(', ')}`
+      });
+    }
+
+    const result = await db.query(
+      `UPDATE matter_parties SET
+        name = COALESCE($1, name),
+        party_type = COALESCE($2, party_type),
+        organization = COALESCE($3, organization),
+        email = COALESCE($4, email),
+        phone = COALESCE($5, phone),
+        notes = COALESCE($6, notes)
+      WHERE id = $7 AND matter_id = $8
+      RETURNING *`,
+      [name, partyType, organization, email, phone, notes, req.params.partyId, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Party not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Party updated',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('[Matters] Error updating party:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update party'
+    });
+  }
+});
+
+// DELETE party
+router.delete('/:id/parties/:partyId', async (req, res) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM matter_parties WHERE id = $1 AND matter_id = $2 RETURNING id',
+      [req.params.partyId, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Party not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Party removed'
+    });
+  } catch (error) {
+    console.error('[Matters] Error removing party:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove party'
+    });
+  }
+});
+
+// GET bookings linked to a matter
+router.get('/:id/bookings', async (req, res) => {
+  try {
+    const result = await db.query(
+      'SELECT * FROM bookings WHERE matter_id = $1 ORDER BY booking_date DESC, start_time DESC',
+      [req.params.id]
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('[Matters] Error fetching matter bookings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch bookings'
+    });
+  }
+});
+
+// GET communications linked to a matter
+router.get('/:id/communications', async (req, res) => {
+  try {
+    const result = await db.query(
+      'SELECT * FROM customer_communications WHERE matter_id = $1 ORDER BY created_at DESC',
+      [req.params.id]
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('[Matters] Error fetching matter communications:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch communications'
+    });
+  }
+});
+
+module.exports = router;
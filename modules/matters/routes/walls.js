@@ -0,0 +1,186 @@
+/**
+ * Ethical Wall Routes
+ * Screen users from a matter or a client, lift walls, and review attempts
+ * by screened users to open walled records (see ethicalWallService).
+ * Mounted behind matters:walls.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../database/db');
+const ethicalWallService = require('../services/ethicalWallService');
+
+function sendError(res, error, fallback) {
+  if (!error.status) {
+    console.error(`[Matters] Error ${fallback}:`, error);
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : `Failed ${fallback}`
+  });
+}
+
+async function inTransaction(work) {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// GET walls
+// Query: matterId, customerId, userId (walls screening that user), active=true|false
+router.get('/', async (req, res) => {
+  try {
+    const walls = await ethicalWallService.listWalls({
+      matterId: req.query.matterId,
+      customerId: req.query.customerId,
+      userId: req.query.userId,
+      active: req.query.active === undefined ? undefined : req.query.active === 'true'
+    });
+
+    res.json({
+      success: true,
+      count: walls.length,
+      data: walls
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching ethical walls');
+  }
+});
+
+// GET attempts by screened users to open walled records, newest first
+// Query: wallId, userId, limit
+router.get('/attempts', async (req, res) => {
+  try {
+    const attempts = await ethicalWallService.listAttempts({
+      wallId: req.query.wallId,
+      userId: req.query.userId,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      count: attempts.length,
+      data: attempts
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching ethical wall attempts');
+  }
+});
+
+// PUT UP a wall around a matter or a client
+// Body: { matterId | customerId, reason, userIds }
+router.post('/', async (req, res) => {
+  try {
+    const wall = await inTransaction(client => ethicalWallService.createWall({
+      matterId: req.body.matterId,
+      customerId: req.body.customerId,
+      reason: req.body.reason,
+      userIds: req.body.userIds,
+      createdBy: req.user.id
+    }, client));
+
+    console.log(`[Matters] User ${req.user.id} put up ethical wall ${wall.id} screening ${wall.members.length} user(s)`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Ethical wall created',
+      data: wall
+    });
+  } catch (error) {
+    sendError(res, error, 'creating ethical wall');
+  }
+});
+
+// GET a wall with its screened users
+router.get('/:wallId', async (req, res) => {
+  try {
+    const wall = await ethicalWallService.getWall(req.params.wallId);
+
+    if (!wall) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ethical wall not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: wall
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching ethical wall');
+  }
+});
+
+// SCREEN more users behind a wall
+// Body: { userIds }
+router.post('/:wallId/members', async (req, res) => {
+  try {
+    const wall = await inTransaction(client =>
+      ethicalWallService.screenUsers(req.params.wallId, req.body.userIds, req.user.id, client)
+    );
+
+    console.log(`[Matters] User ${req.user.id} screened user(s) ${req.body.userIds.join(', ')} behind ethical wall ${wall.id}`);
+
+    res.json({
+      success: true,
+      message: 'Users screened',
+      data: wall
+    });
+  } catch (error) {
+    sendError(res, error, 'screening users');
+  }
+});
+
+// STOP screening a user
+router.delete('/:wallId/members/:userId', async (req, res) => {
+  try {
+    const wall = await inTransaction(client =>
+      ethicalWallService.unscreenUser(req.params.wallId, req.params.userId, client)
+    );
+
+    console.log(`[Matters] User ${req.user.id} removed user ${req.params.userId} from ethical wall ${wall.id}`);
+
+    res.json({
+      success: true,
+      message: 'User no longer screened',
+      data: wall
+    });
+  } catch (error) {
+    sendError(res, error, 'removing screened user');
+  }
+});
+
+// LIFT a wall; it is kept on record
+// Body: { reason }
+router.post('/:wallId/lift', async (req, res) => {
+  try {
+    const wall = await inTransaction(client =>
+      ethicalWallService.liftWall(req.params.wallId, {
+        liftedBy: req.user.id,
+        reason: req.body.reason
+      }, client)
+    );
+
+    console.log(`[Matters] User ${req.user.id} lifted ethical wall ${wall.id}`);
+
+    res.json({
+      success: true,
+      message: 'Ethical wall lifted',
+      data: wall
+    });
+  } catch (error) {
+    sendError(res, error, 'lifting ethical wall');
+  }
+});
+
+module.exports = router;
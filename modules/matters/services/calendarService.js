@@ -0,0 +1,6 @@
+/**
+ * Calendar Service
+ * Shared Postgres-backed firm calendar; see modules/calendar.
+ */
+
+module.exports = require('../../calendar/services/calendarService');
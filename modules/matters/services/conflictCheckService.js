@@ -0,0 +1,440 @@
+/**
+ * Conflict Check Service
+ * Fuzzy-matches prospective clients and parties against existing clients,
+ * past consultations and every party recorded on a matter.
+ *
+ * Each hit is graded (exact, high, medium, low) with a plain-language reason
+ * and must be cleared or waived by a staff member before the check passes.
+ */
+
+const db = require('../database/db');
+const { visibleClause } = require('./ethicalWallService');
+
+const GRADE_THRESHOLDS = [
+  { grade: 'exact', min: 0.99 },
+  { grade: 'high', min: 0.93 },
+  { grade: 'medium', min: 0.87 },
+  { grade: 'low', min: 0.8 }
+];
+
+const PASSING_STATUSES = ['clear', 'cleared', 'waived'];
+
+// Where a hit's matter and client are, for ethical walls (alias h)
+const HIT_WALL = {
+  matter: 'h.matter_id',
+  customer: "CASE WHEN h.entity_type = 'customer' THEN h.entity_id END",
+  customerEmail: "(SELECT hb.customer_email FROM bookings hb WHERE h.entity_type = 'booking' AND hb.id = h.entity_id)"
+};
+
+const HONORIFICS = ['mr', 'mrs', 'ms', 'miss', 'dr', 'prof', 'jr', 'sr', 'ii', 'iii', 'esq'];
+const ENTITY_SUFFIXES = ['inc', 'llc', 'ltd', 'corp', 'corporation', 'co', 'company', 'lp', 'llp', 'pc', 'pllc', 'plc', 'the'];
+
+const ROLE_LABELS = {
+  client: 'Prospective client',
+  opposing: 'Proposed opposing party',
+  related: 'Related party'
+};
+
+const PARTY_TYPE_LABELS = {
+  client: 'client',
+  opposing: 'opposing party',
+  opposing_counsel: 'opposing counsel',
+  related: 'related party',
+  witness: 'witness'
+};
+
+// ---------------------------------------------
+// Name normalisation and similarity
+// ---------------------------------------------
+
+function normalizeName(name) {
+  if (!name) return '';
+  return String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(token => token && !HONORIFICS.includes(token) && !ENTITY_SUFFIXES.includes(token))
+    .join(' ');
+}
+
+function normalizeEmail(email) {
+  return email ? String(email).trim().toLowerCase() : '';
+}
+
+function normalizePhone(phone) {
+  const digits = phone ? String(phone).replace(/\D/g, '') : '';
+  return digits.length >= 10 ? digits.slice(-10) : '';
+}
+
+function jaroWinkler(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  const matchWindow = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - matchWindow);
+    const end = Math.min(i + matchWindow + 1, b.length);
+    for (let j = start; j < end; j++) {
+      if (bMatches[j] || a[i] !== b[j]) continue;
+      aMatches[i] = true;
+      bMatches[j] = true;
+      matches++;
+      break;
+    }
+  }
+
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] && a[prefix] === b[prefix]) prefix++;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * Similarity between two normalised names, tolerant of typos, re-ordered
+ * names ("Smith John") and extra middle names or initials.
+ */
+function nameSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const tokensA = a.split(' ');
+  const tokensB = b.split(' ');
+  const sortedA = [...tokensA].sort().join(' ');
+  const sortedB = [...tokensB].sort().join(' ');
+
+  // Every token of the shorter name against its best partner in the longer one
+  const [shorter, longer] = tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+  const tokenScore = shorter.reduce((sum, token) => {
+    return sum + Math.max(...longer.map(other => jaroWinkler(token, other)));
+  }, 0) / shorter.length;
+
+  // A single shared surname should not look like a strong match
+  const tokenWeight = shorter.length > 1 ? 0.97 : 0.85;
+
+  return Math.max(
+    jaroWinkler(a, b),
+    jaroWinkler(sortedA, sortedB),
+    tokenScore * tokenWeight
+  );
+}
+
+function gradeFor(score) {
+  const match = GRADE_THRESHOLDS.find(t => score >= t.min);
+  return match ? match.grade : null;
+}
+
+// ---------------------------------------------
+// Candidate lookup
+// ---------------------------------------------
+
+function searchPatterns(normalizedNames) {
+  const patterns = new Set();
+  for (const name of normalizedNames) {
+    for (const token of name.split(' ')) {
+      if (token.length >= 2) patterns.add(`%${token.slice(0, 3)}%`);
+    }
+  }
+  return [...patterns];
+}
+
+async function loadCandidates(patterns, emails, phones, client) {
+  const [customers, bookings, parties] = await Promise.all([
+    client.query(
+      `SELECT id, full_name AS name, email, phone
+       FROM customers
+       WHERE full_name ILIKE ANY($1) OR LOWER(email) = ANY($2)
+         OR RIGHT(regexp_replace(COALESCE(phone, ''), '\\D', '', 'g'), 10) = ANY($3)`,
+      [patterns, emails, phones]
+    ),
+    client.query(
+      `SELECT id, customer_name AS name, customer_email AS email, customer_phone AS phone, booking_date
+       FROM bookings
+       WHERE customer_name ILIKE ANY($1) OR LOWER(customer_email) = ANY($2)
+         OR RIGHT(regexp_replace(COALESCE(customer_phone, ''), '\\D', '', 'g'), 10) = ANY($3)`,
+      [patterns, emails, phones]
+    ),
+    client.query(
+      `SELECT p.id, p.name, p.email, p.phone, p.party_type, p.organization,
+         m.id AS matter_id, m.matter_number, m.title AS matter_title, m.status AS matter_status
+       FROM matter_parties p
+       JOIN matters m ON m.id = p.matter_id
+       WHERE p.name ILIKE ANY($1) OR p.organization ILIKE ANY($1) OR LOWER(p.email) = ANY($2)
+         OR RIGHT(regexp_replace(COALESCE(p.phone, ''), '\\D', '', 'g'), 10) = ANY($3)`,
+      [patterns, emails, phones]
+    )
+  ]);
+
+  return [
+    ...customers.rows.map(row => ({ ...row, entityType: 'customer', description: 'existing client' })),
+    ...bookings.rows.map(row => ({ ...row, entityType: 'booking', description: 'past consultation' })),
+    ...parties.rows.map(row => ({
+      ...row,
+      entityType: 'matter_party',
+      description: `${PARTY_TYPE_LABELS[row.party_type] || row.party_type} on matter ${row.matter_number} (${row.matter_title})`
+    }))
+  ];
+}
+
+/**
+ * Score one candidate against every searched subject and keep the best.
+ */
+function scoreCandidate(candidate, subjects) {
+  let best = null;
+
+  for (const subject of subjects) {
+    const subjectLabel = `${ROLE_LABELS[subject.role] || 'Party'} "${subject.name}"`;
+    const checks = [];
+
+    if (subject.email && normalizeEmail(candidate.email) === subject.email) {
+      checks.push({ score: 1, field: 'email', reason: `${subjectLabel} shares an email address with ${candidate.description} "${candidate.name}"` });
+    }
+    if (subject.phone && normalizePhone(candidate.phone) === subject.phone) {
+      checks.push({ score: 1, field: 'phone', reason: `${subjectLabel} shares a phone number with ${candidate.description} "${candidate.name}"` });
+    }
+
+    for (const [field, value] of [['name', candidate.name], ['organization', candidate.organization]]) {
+      const score = nameSimilarity(subject.normalized, normalizeName(value));
+      if (gradeFor(score)) {
+        const how = score >= 0.99 ? 'matches' : 'closely resembles';
+        checks.push({ score, field, reason: `${subjectLabel} ${how} ${candidate.description} "${value}"` });
+      }
+    }
+
+    for (const check of checks) {
+      if (!best || check.score > best.score) {
+        best = { ...check, searchedName: subject.name, searchedRole: subject.role };
+      }
+    }
+  }
+
+  return best;
+}
+
+// ---------------------------------------------
+// Running and resolving checks
+// ---------------------------------------------
+
+/**
+ * Run a conflict check and store it with its hits.
+ *
+ * input: {
+ *   parties: [{ name, role: 'client' | 'opposing' | 'related' }]  (or `name` for a single client)
+ *   email, phone, source, sourceId, matterId, requestedBy
+ * }
+ */
+async function runConflictCheck(input, client = db) {
+  const parties = input.parties && input.parties.length > 0
+    ? input.parties
+    : [{ name: input.name, role: 'client' }];
+
+  const email = normalizeEmail(input.email);
+  const phone = normalizePhone(input.phone);
+
+  const subjects = parties
+    .filter(party => party.name)
+    .map((party, index) => ({
+      name: party.name,
+      role: party.role || 'client',
+      normalized: normalizeName(party.name),
+      // Contact details belong to the primary (first) subject
+      email: index === 0 ? email : '',
+      phone: index === 0 ? phone : ''
+    }));
+
+  if (subjects.length === 0) {
+    const error = new Error('At least one name is required for a conflict check');
+    error.status = 400;
+    throw error;
+  }
+
+  const patterns = searchPatterns(subjects.map(s => s.normalized));
+  const candidates = await loadCandidates(patterns, email ? [email] : [], phone ? [phone] : [], client);
+
+  const hits = [];
+  for (const candidate of candidates) {
+    // A matter never conflicts with itself
+    if (input.matterId && candidate.matter_id === parseInt(input.matterId)) continue;
+
+    const match = scoreCandidate(candidate, subjects);
+    if (!match) continue;
+
+    hits.push({
+      entityType: candidate.entityType,
+      entityId: candidate.id,
+      matterId: candidate.matter_id || null,
+      matchedName: candidate.name,
+      matchedField: match.field,
+      searchedName: match.searchedName,
+      score: Math.round(match.score * 1000) / 1000,
+      grade: gradeFor(match.score),
+      reason: match.reason
+    });
+  }
+
+  hits.sort((a, b) => b.score - a.score);
+
+  const checkResult = await client.query(
+    `INSERT INTO conflict_checks (
+      subject_name, search_terms, source, source_id, matter_id, status, hit_count, requested_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *`,
+    [
+      subjects[0].name,
+      JSON.stringify({ parties, email: input.email || null, phone: input.phone || null }),
+      input.source || 'manual',
+      input.sourceId || null,
+      input.matterId || null,
+      hits.length > 0 ? 'pending' : 'clear',
+      hits.length,
+      input.requestedBy || null
+    ]
+  );
+  const check = checkResult.rows[0];
+
+  for (const hit of hits) {
+    await client.query(
+      `INSERT INTO conflict_check_hits (
+        check_id, entity_type, entity_id, matter_id, searched_name, matched_name,
+        matched_field, score, grade, reason
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [check.id, hit.entityType, hit.entityId, hit.matterId, hit.searchedName, hit.matchedName,
+        hit.matchedField, hit.score, hit.grade, hit.reason]
+    );
+  }
+
+  return getConflictCheck(check.id, client);
+}
+
+async function getConflictCheck(checkId, client = db) {
+  const checkResult = await client.query(
+    `SELECT c.*, u.full_name AS requested_by_name
+     FROM conflict_checks c
+     LEFT JOIN users u ON u.id = c.requested_by
+     WHERE c.id = $1`,
+    [checkId]
+  );
+
+  if (checkResult.rows.length === 0) return null;
+
+  const hitsResult = await client.query(
+    `SELECT h.*, u.full_name AS resolved_by_name
+     FROM conflict_check_hits h
+     LEFT JOIN users u ON u.id = h.resolved_by
+     WHERE h.check_id = $1
+     ORDER BY h.score DESC`,
+    [checkId]
+  );
+
+  return { ...checkResult.rows[0], hits: hitsResult.rows };
+}
+
+/**
+ * A check as `userId` may see it: hits on matters or clients walled off
+ * from the user are left out. hit_count and status still count them, so a
+ * check is never shown as clear because of a wall.
+ */
+async function withoutWalledHits(check, userId, client = db) {
+  if (!check || check.hits.length === 0) return check;
+
+  const visible = await client.query(
+    `SELECT h.id FROM conflict_check_hits h
+     WHERE h.check_id = $1 AND ${visibleClause('$2', HIT_WALL)}`,
+    [check.id, userId]
+  );
+  const visibleIds = new Set(visible.rows.map(row => row.id));
+  return { ...check, hits: check.hits.filter(hit => visibleIds.has(hit.id)) };
+}
+
+/**
+ * Attach a check to the record it was run for once that record exists.
+ */
+async function linkConflictCheck(checkId, sourceId, client = db) {
+  await client.query('UPDATE conflict_checks SET source_id = $1 WHERE id = $2', [sourceId, checkId]);
+}
+
+/**
+ * Record who cleared or waived a hit; the check passes once every hit is
+ * resolved (status 'waived' if any hit needed a waiver).
+ */
+async function resolveHit(checkId, hitId, { resolution, notes, userId }, client = db) {
+  if (!['cleared', 'waived'].includes(resolution)) {
+    const error = new Error("resolution must be 'cleared' or 'waived'");
+    error.status = 400;
+    throw error;
+  }
+
+  // Hits walled off from the user are not theirs to clear
+  const hitResult = await client.query(
+    `UPDATE conflict_check_hits h SET
+      resolution = $1,
+      resolution_notes = $2,
+      resolved_by = $3,
+      resolved_at = NOW()
+    WHERE h.id = $4 AND h.check_id = $5 AND ${visibleClause('$3', HIT_WALL)}
+    RETURNING h.id`,
+    [resolution, notes || null, userId, hitId, checkId]
+  );
+
+  if (hitResult.rows.length === 0) {
+    const error = new Error('Conflict hit not found');
+    error.status = 404;
+    throw error;
+  }
+
+  const summary = await client.query(
+    `SELECT
+      COUNT(*) FILTER (WHERE resolution = 'pending') AS pending,
+      COUNT(*) FILTER (WHERE resolution = 'waived') AS waived
+    FROM conflict_check_hits WHERE check_id = $1`,
+    [checkId]
+  );
+
+  const pending = parseInt(summary.rows[0].pending);
+  const waived = parseInt(summary.rows[0].waived);
+
+  if (pending === 0) {
+    await client.query(
+      `UPDATE conflict_checks SET status = $1, resolved_at = NOW() WHERE id = $2`,
+      [waived > 0 ? 'waived' : 'cleared', checkId]
+    );
+  }
+
+  return getConflictCheck(checkId, client);
+}
+
+function isPassing(check) {
+  return Boolean(check) && PASSING_STATUSES.includes(check.status);
+}
+
+module.exports = {
+  PASSING_STATUSES,
+  normalizeName,
+  nameSimilarity,
+  gradeFor,
+  runConflictCheck,
+  getConflictCheck,
+  withoutWalledHits,
+  linkConflictCheck,
+  resolveHit,
+  isPassing
+};
@@ -0,0 +1,191 @@
+/**
+ * Court Rules
+ * Built-in deadline rule sets and court holiday calendars.
+ *
+ * A rule set maps trigger events to the deadlines they start. Each deadline
+ * counts `days` from the trigger (or, with `from`, from another deadline in
+ * the same trigger) in calendar or court days. Negative days count
+ * backwards, e.g. papers due before a hearing. A trigger with `event` is
+ * itself put on the calendar as that event type.
+ *
+ * Rules are a starting point for docketing; local rules and standing
+ * orders vary and the responsible attorney must confirm every deadline.
+ */
+
+const RULE_SETS = {
+  frcp: {
+    name: 'Federal Rules of Civil Procedure',
+    jurisdiction: 'US-FED',
+    triggers: {
+      complaint_served: {
+        name: 'Service of summons and complaint',
+        deadlines: [
+          { code: 'answer', title: 'Answer or Rule 12 motion due', days: 21, unit: 'calendar', citation: 'FRCP 12(a)(1)(A)(i)' },
+          { code: 'amend_as_of_course', title: 'Amend once as a matter of course', from: 'answer', days: 21, unit: 'calendar', citation: 'FRCP 15(a)(1)(B)' }
+        ]
+      },
+      waiver_sent: {
+        name: 'Request for waiver of service sent',
+        deadlines: [
+          { code: 'answer', title: 'Answer due (service waived)', days: 60, unit: 'calendar', citation: 'FRCP 12(a)(1)(A)(ii)' }
+        ]
+      },
+      motion_hearing: {
+        name: 'Motion hearing date',
+        event: 'hearing',
+        deadlines: [
+          { code: 'motion_served', title: 'Serve written motion and notice of hearing', days: -14, unit: 'calendar', citation: 'FRCP 6(c)(1)' },
+          { code: 'opposition', title: 'Opposing affidavits due', days: -7, unit: 'calendar', citation: 'FRCP 6(c)(2)' }
+        ]
+      },
+      judgment_entered: {
+        name: 'Entry of judgment',
+        deadlines: [
+          { code: 'rule_59', title: 'Motion for new trial or to alter judgment', days: 28, unit: 'calendar', citation: 'FRCP 59(b), (e)' },
+          { code: 'rule_50b', title: 'Renewed motion for judgment as a matter of law', days: 28, unit: 'calendar', citation: 'FRCP 50(b)' },
+          { code: 'fees_motion', title: "Motion for attorney's fees", days: 14, unit: 'calendar', citation: 'FRCP 54(d)(2)(B)' },
+          { code: 'notice_of_appeal', title: 'Notice of appeal', days: 30, unit: 'calendar', citation: 'FRAP 4(a)(1)(A)' }
+        ]
+      },
+      discovery_served: {
+        name: 'Service of interrogatories, document requests or admissions',
+        deadlines: [
+          { code: 'discovery_response', title: 'Discovery responses due', days: 30, unit: 'calendar', citation: 'FRCP 33(b)(2), 34(b)(2)(A), 36(a)(3)' }
+        ]
+      }
+    }
+  },
+
+  ca_ccp: {
+    name: 'California Code of Civil Procedure',
+    jurisdiction: 'US-CA',
+    triggers: {
+      complaint_served: {
+        name: 'Personal service of summons and complaint',
+        deadlines: [
+          { code: 'answer', title: 'Responsive pleading due', days: 30, unit: 'calendar', citation: 'CCP 412.20(a)(3)' }
+        ]
+      },
+      motion_hearing: {
+        name: 'Motion hearing date',
+        event: 'hearing',
+        deadlines: [
+          { code: 'motion_served', title: 'Serve moving papers', days: -16, unit: 'court', citation: 'CCP 1005(b)' },
+          { code: 'opposition', title: 'Opposition due', days: -9, unit: 'court', citation: 'CCP 1005(b)' },
+          { code: 'reply', title: 'Reply due', days: -5, unit: 'court', citation: 'CCP 1005(b)' }
+        ]
+      },
+      discovery_served: {
+        name: 'Personal service of written discovery',
+        deadlines: [
+          { code: 'discovery_response', title: 'Discovery responses due', days: 30, unit: 'calendar', citation: 'CCP 2030.260, 2031.260, 2033.250' },
+          { code: 'motion_to_compel', title: 'Last day to move to compel further responses', from: 'discovery_response', days: 45, unit: 'calendar', citation: 'CCP 2030.300(c)' }
+        ]
+      },
+      notice_of_entry_served: {
+        name: 'Service of notice of entry of judgment',
+        deadlines: [
+          { code: 'new_trial_notice', title: 'Notice of intention to move for new trial', days: 15, unit: 'calendar', citation: 'CCP 659(a)(2)' },
+          { code: 'notice_of_appeal', title: 'Notice of appeal', days: 60, unit: 'calendar', citation: 'CRC 8.104(a)(1)(B)' }
+        ]
+      }
+    }
+  }
+};
+
+function isoDate(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+}
+
+// nth weekday of a month (n = -1 for the last one); weekday 0 = Sunday
+function nthWeekday(year, month, weekday, n) {
+  if (n > 0) {
+    const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    return isoDate(year, month, 1 + ((weekday - first + 7) % 7) + (n - 1) * 7);
+  }
+  const lastDay = new Date(Date.UTC(year, month, 0));
+  const offset = (lastDay.getUTCDay() - weekday + 7) % 7;
+  return isoDate(year, month, lastDay.getUTCDate() - offset);
+}
+
+// Fixed-date holidays on a weekend are observed on the Friday or Monday
+function observed(year, month, day) {
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  if (weekday === 6) return isoDate(year, month, day - 1);
+  if (weekday === 0) return isoDate(year, month, day + 1);
+  return isoDate(year, month, day);
+}
+
+const HOLIDAY_CALENDARS = {
+  // 5 U.S.C. 6103, applied by FRCP 6(a)(6)
+  'US-FED': year => [
+    { date: observed(year, 1, 1), name: "New Year's Day" },
+    { date: nthWeekday(year, 1, 1, 3), name: 'Martin Luther King Jr. Day' },
+    { date: nthWeekday(year, 2, 1, 3), name: "Washington's Birthday" },
+    { date: nthWeekday(year, 5, 1, -1), name: 'Memorial Day' },
+    { date: observed(year, 6, 19), name: 'Juneteenth' },
+    { date: observed(year, 7, 4), name: 'Independence Day' },
+    { date: nthWeekday(year, 9, 1, 1), name: 'Labor Day' },
+    { date: nthWeekday(year, 10, 1, 2), name: 'Columbus Day' },
+    { date: observed(year, 11, 11), name: 'Veterans Day' },
+    { date: nthWeekday(year, 11, 4, 4), name: 'Thanksgiving Day' },
+    { date: observed(year, 12, 25), name: 'Christmas Day' }
+  ],
+
+  // CCP 135 and Gov. Code 6700 judicial holidays
+  'US-CA': year => {
+    const thanksgiving = nthWeekday(year, 11, 4, 4);
+    const dayAfter = new Date(`${thanksgiving}T00:00:00Z`);
+    dayAfter.setUTCDate(dayAfter.getUTCDate() + 1);
+    return [
+      { date: observed(year, 1, 1), name: "New Year's Day" },
+      { date: nthWeekday(year, 1, 1, 3), name: 'Martin Luther King Jr. Day' },
+      { date: observed(year, 2, 12), name: 'Lincoln Day' },
+      { date: nthWeekday(year, 2, 1, 3), name: "Washington's Birthday" },
+      { date: observed(year, 3, 31), name: 'Cesar Chavez Day' },
+      { date: nthWeekday(year, 5, 1, -1), name: 'Memorial Day' },
+      { date: observed(year, 6, 19), name: 'Juneteenth' },
+      { date: observed(year, 7, 4), name: 'Independence Day' },
+      { date: nthWeekday(year, 9, 1, 1), name: 'Labor Day' },
+      { date: nthWeekday(year, 9, 5, 4), name: 'Native American Day' },
+      { date: observed(year, 11, 11), name: 'Veterans Day' },
+      { date: thanksgiving, name: 'Thanksgiving Day' },
+      { date: dayAfter.toISOString().slice(0, 10), name: 'Day after Thanksgiving' },
+      { date: observed(year, 12, 25), name: 'Christmas Day' }
+    ];
+  }
+};
+
+/**
+ * Built-in holidays for a jurisdiction in the given years
+ */
+function builtInHolidays(jurisdiction, years) {
+  const calendar = HOLIDAY_CALENDARS[jurisdiction];
+  if (!calendar) return [];
+  return years.flatMap(year => calendar(year));
+}
+
+function getRuleSet(code) {
+  return RULE_SETS[code] || null;
+}
+
+function listRuleSets() {
+  return Object.entries(RULE_SETS).map(([code, ruleSet]) => ({
+    code,
+    name: ruleSet.name,
+    jurisdiction: ruleSet.jurisdiction,
+    triggers: Object.entries(ruleSet.triggers).map(([triggerCode, trigger]) => ({
+      code: triggerCode,
+      name: trigger.name,
+      deadlines: trigger.deadlines
+    }))
+  }));
+}
+
+module.exports = {
+  RULE_SETS,
+  HOLIDAY_CALENDARS,
+  builtInHolidays,
+  getRuleSet,
+  listRuleSets
+};
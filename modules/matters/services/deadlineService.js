@@ -0,0 +1,334 @@
+/**
+ * Deadline Service
+ * Computes court deadlines from a triggering event and a rule set, and
+ * keeps them on the firm calendar as the trigger date changes.
+ *
+ * Dates are handled as YYYY-MM-DD strings in UTC so server time zones
+ * never shift a deadline by a day.
+ *
+ * Functions that write accept an optional pg client so callers can run
+ * them inside their own transaction.
+ */
+
+const db = require('../database/db');
+const courtRules = require('./courtRules');
+const calendarService = require('./calendarService');
+const matterService = require('./matterService');
+const { httpError } = require('../../shared/utils');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function toIsoDate(value) {
+  if (typeof value === 'string') return value.slice(0, 10);
+  const pad = n => String(n).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+function isWeekend(date) {
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return weekday === 0 || weekday === 6;
+}
+
+/**
+ * Court holidays for a jurisdiction: the built-in calendar plus any
+ * closures configured in court_holidays. Returns Map(date -> name).
+ */
+async function loadHolidays(jurisdiction, aroundDate, client = db) {
+  const year = Number(aroundDate.slice(0, 4));
+  const holidays = new Map();
+
+  for (const holiday of courtRules.builtInHolidays(jurisdiction, [year - 1, year, year + 1, year + 2])) {
+    holidays.set(holiday.date, holiday.name);
+  }
+
+  const result = await client.query(
+    'SELECT holiday_date, name FROM court_holidays WHERE jurisdiction = $1',
+    [jurisdiction]
+  );
+  for (const row of result.rows) {
+    holidays.set(toIsoDate(row.holiday_date), row.name);
+  }
+
+  return holidays;
+}
+
+/**
+ * Count `days` from `start`. Court days skip weekends and holidays; a
+ * calendar-day deadline that lands on one moves to the next court day
+ * (the previous one when counting backwards), as in FRCP 6(a).
+ */
+function countDays(start, days, unit, holidays) {
+  const isCourtDay = date => !isWeekend(date) && !holidays.has(date);
+  const step = days < 0 ? -1 : 1;
+  let date = start;
+
+  if (unit === 'court') {
+    let remaining = Math.abs(days);
+    while (remaining > 0) {
+      date = addDays(date, step);
+      if (isCourtDay(date)) remaining--;
+    }
+    return { date, rolledFrom: null };
+  }
+
+  date = addDays(start, days);
+  const unadjusted = date;
+  while (!isCourtDay(date)) {
+    date = addDays(date, step);
+  }
+  return { date, rolledFrom: date === unadjusted ? null : unadjusted };
+}
+
+/**
+ * Compute every deadline a trigger starts. Pure apart from the holidays
+ * passed in, so it also backs the preview endpoint.
+ */
+function computeDeadlines(ruleSetCode, triggerCode, triggerDate, holidays) {
+  const ruleSet = courtRules.getRuleSet(ruleSetCode);
+  if (!ruleSet) {
+    throw httpError(400, `Unknown rule set: ${ruleSetCode}`);
+  }
+  const trigger = ruleSet.triggers[triggerCode];
+  if (!trigger) {
+    throw httpError(400, `Rule set ${ruleSetCode} has no trigger ${triggerCode}`);
+  }
+  if (!DATE_PATTERN.test(triggerDate || '')) {
+    throw httpError(400, 'triggerDate is required (YYYY-MM-DD)');
+  }
+
+  const computed = {};
+  return trigger.deadlines.map(rule => {
+    const base = rule.from ? computed[rule.from] : triggerDate;
+    if (!base) {
+      throw httpError(500, `Deadline ${rule.code} depends on ${rule.from}, which is not defined before it`);
+    }
+
+    const { date, rolledFrom } = countDays(base, rule.days, rule.unit, holidays);
+    computed[rule.code] = date;
+
+    return {
+      code: rule.code,
+      title: rule.title,
+      citation: rule.citation,
+      days: rule.days,
+      unit: rule.unit,
+      from: rule.from || 'trigger',
+      date,
+      rolledFrom,
+      rolledFor: rolledFrom ? (holidays.get(rolledFrom) || 'weekend') : null
+    };
+  });
+}
+
+/**
+ * Preview deadlines without saving anything
+ */
+async function calculate({ ruleSet, triggerCode, triggerDate }, client = db) {
+  const rules = courtRules.getRuleSet(ruleSet);
+  if (!rules) {
+    throw httpError(400, `Unknown rule set: ${ruleSet}`);
+  }
+  if (!DATE_PATTERN.test(triggerDate || '')) {
+    throw httpError(400, 'triggerDate is required (YYYY-MM-DD)');
+  }
+  const holidays = await loadHolidays(rules.jurisdiction, triggerDate, client);
+  return computeDeadlines(ruleSet, triggerCode, triggerDate, holidays);
+}
+
+async function getTrigger(triggerId, client = db) {
+  const result = await client.query(
+    `SELECT t.*, m.matter_number, m.title AS matter_title
+     FROM deadline_triggers t
+     JOIN matters m ON m.id = t.matter_id
+     WHERE t.id = $1`,
+    [triggerId]
+  );
+  if (result.rows.length === 0) return null;
+
+  const events = await client.query(
+    `SELECT * FROM calendar_events
+     WHERE deadline_trigger_id = $1
+     ORDER BY event_date, id`,
+    [triggerId]
+  );
+
+  return { ...result.rows[0], events: events.rows };
+}
+
+function triggerEventTitle(trigger, matter) {
+  return `${trigger.name} (${matter.matter_number})`;
+}
+
+/**
+ * Record a triggering event on a matter and calendar its deadlines for
+ * the assigned attorney (the responsible attorney by default).
+ */
+async function createTrigger(matterId, data, client = db) {
+  const matter = await matterService.getMatter(matterId, client);
+  if (!matter) {
+    throw httpError(404, 'Matter not found');
+  }
+
+  const deadlines = await calculate(data, client);
+  const trigger = courtRules.getRuleSet(data.ruleSet).triggers[data.triggerCode];
+  const assignedTo = data.assignedTo || matter.responsible_attorney_id;
+
+  const result = await client.query(
+    `INSERT INTO deadline_triggers (
+      matter_id, rule_set, trigger_code, trigger_date, description, assigned_to, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *`,
+    [
+      matter.id,
+      data.ruleSet,
+      data.triggerCode,
+      data.triggerDate,
+      data.description || null,
+      assignedTo || null,
+      data.createdBy || null
+    ]
+  );
+  const saved = result.rows[0];
+
+  if (trigger.event) {
+    await calendarService.addEvent({
+      userId: assignedTo,
+      matterId: matter.id,
+      title: triggerEventTitle(trigger, matter),
+      description: data.description,
+      eventType: trigger.event,
+      date: data.triggerDate,
+      source: 'deadline',
+      deadlineTriggerId: saved.id,
+      ruleCode: 'trigger',
+      createdBy: data.createdBy
+    }, client);
+  }
+
+  for (const deadline of deadlines) {
+    await calendarService.addEvent({
+      userId: assignedTo,
+      matterId: matter.id,
+      title: `${deadline.title} (${matter.matter_number})`,
+      description: `${deadline.citation}. ${trigger.name} on ${data.triggerDate}.`,
+      eventType: 'deadline',
+      date: deadline.date,
+      source: 'deadline',
+      deadlineTriggerId: saved.id,
+      ruleCode: deadline.code,
+      citation: deadline.citation,
+      createdBy: data.createdBy
+    }, client);
+  }
+
+  return getTrigger(saved.id, client);
+}
+
+/**
+ * Recompute a trigger's deadlines and move its calendar events. Completed
+ * deadlines are left where they were.
+ */
+async function recomputeTrigger(triggerId, client = db) {
+  const existing = await getTrigger(triggerId, client);
+  if (!existing) {
+    throw httpError(404, 'Deadline trigger not found');
+  }
+
+  const triggerDate = toIsoDate(existing.trigger_date);
+  const deadlines = await calculate({
+    ruleSet: existing.rule_set,
+    triggerCode: existing.trigger_code,
+    triggerDate
+  }, client);
+  const dates = new Map(deadlines.map(deadline => [deadline.code, deadline]));
+
+  for (const event of existing.events) {
+    if (event.status === 'completed') continue;
+
+    const deadline = dates.get(event.rule_code);
+    const date = event.rule_code === 'trigger' ? triggerDate : deadline && deadline.date;
+    if (!date) continue;
+
+    await client.query(
+      `UPDATE calendar_events SET
+        event_date = $1,
+        description = COALESCE($2, description),
+        updated_at = NOW()
+      WHERE id = $3`,
+      [
+        date,
+        deadline ? `${deadline.citation}. Recomputed from trigger date ${triggerDate}.` : null,
+        event.id
+      ]
+    );
+  }
+
+  return getTrigger(triggerId, client);
+}
+
+/**
+ * Change the trigger date (e.g. a continued hearing) and move its deadlines
+ */
+async function updateTrigger(triggerId, { triggerDate, description }, client = db) {
+  if (triggerDate !== undefined && !DATE_PATTERN.test(triggerDate || '')) {
+    throw httpError(400, 'triggerDate must be YYYY-MM-DD');
+  }
+
+  const result = await client.query(
+    `UPDATE deadline_triggers SET
+      trigger_date = COALESCE($1, trigger_date),
+      description = COALESCE($2, description),
+      updated_at = NOW()
+    WHERE id = $3
+    RETURNING id`,
+    [triggerDate, description, triggerId]
+  );
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Deadline trigger not found');
+  }
+
+  return recomputeTrigger(triggerId, client);
+}
+
+/**
+ * Recompute every trigger in a jurisdiction, e.g. after a court closure
+ * is added. Only triggers with open deadlines on or after `fromDate` move.
+ */
+async function recomputeJurisdiction(jurisdiction, fromDate, client = db) {
+  const ruleSets = Object.entries(courtRules.RULE_SETS)
+    .filter(([, ruleSet]) => ruleSet.jurisdiction === jurisdiction)
+    .map(([code]) => code);
+  if (ruleSets.length === 0) return 0;
+
+  const result = await client.query(
+    `SELECT DISTINCT t.id
+     FROM deadline_triggers t
+     JOIN calendar_events e ON e.deadline_trigger_id = t.id
+     WHERE t.rule_set = ANY($1) AND e.status = 'scheduled' AND e.event_date >= $2`,
+    [ruleSets, fromDate]
+  );
+
+  for (const row of result.rows) {
+    await recomputeTrigger(row.id, client);
+  }
+  return result.rows.length;
+}
+
+module.exports = {
+  addDays,
+  countDays,
+  computeDeadlines,
+  loadHolidays,
+  calculate,
+  getTrigger,
+  createTrigger,
+  updateTrigger,
+  recomputeTrigger,
+  recomputeJurisdiction
+};
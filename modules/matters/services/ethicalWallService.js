@@ -0,0 +1,397 @@
+/**
+ * Ethical Wall Service
+ * Screens named users from a matter, or from every matter of a client,
+ * after a lateral hire or a conflict. A wall hides the matter, its client,
+ * bookings, calendar events, documents, communications, billing, intake
+ * submissions and conflict checks from the screened users; lists
+ * leave walled rows out (visibleClause) and single records are refused by
+ * the screen middleware, which logs the attempt here and alerts compliance.
+ */
+
+const db = require('../database/db');
+const { httpError, escapeHtml, emailService } = require('../../shared/utils');
+
+// Screened users hitting the same wall again within this window are
+// logged without another email
+const ALERT_INTERVAL_MINUTES = 60;
+
+// Where each walled resource keeps its matter and client, for looking up
+// one record by id
+const RESOURCES = {
+  matter: { table: 'matters', columns: { matter: 'id', customer: 'customer_id' } },
+  customer: { table: 'customers', columns: { customer: 'id' } },
+  booking: { table: 'bookings', columns: { matter: 'matter_id', customer: 'customer_id', customerEmail: 'customer_email' } },
+  document: { table: 'documents', columns: { matter: 'matter_id', customer: 'customer_id' } },
+  communication: { table: 'customer_communications', columns: { matter: 'matter_id', customer: 'customer_id' } },
+  production: { table: 'production_sets', columns: { matter: 'matter_id' } },
+  signatureRequest: { table: 'signature_requests', columns: { matter: 'matter_id', customer: 'customer_id' } },
+  legalHold: { table: 'legal_holds', columns: { matter: 'matter_id' } },
+  calendarEvent: { table: 'calendar_events', columns: { matter: 'matter_id' } },
+  timeEntry: { table: 'time_entries', columns: { matter: 'matter_id' } },
+  expense: { table: 'expenses', columns: { matter: 'matter_id' } },
+  invoice: { table: 'invoices', columns: { matter: 'matter_id', customer: 'customer_id' } },
+  intakeSubmission: { table: 'intake_submissions', columns: { matter: 'matter_id', customer: 'customer_id', customerEmail: 'contact_email' } },
+  conflictCheck: { table: 'conflict_checks', columns: { matter: 'matter_id' } }
+};
+
+/**
+ * Condition (on wall alias w) that a wall covers a row. `columns` are SQL
+ * expressions for the row's matter id, client id and client email; a
+ * client wall also covers every matter of that client.
+ */
+function coversClause({ matter, customer, customerEmail }) {
+  const conditions = [];
+  if (matter) {
+    conditions.push(`w.matter_id = ${matter}`);
+    conditions.push(`w.customer_id = (SELECT wm2.customer_id FROM matters wm2 WHERE wm2.id = ${matter})`);
+  }
+  if (customer) {
+    conditions.push(`w.customer_id = ${customer}`);
+  }
+  if (customerEmail) {
+    conditions.push(`w.customer_id IN (SELECT wc.id FROM customers wc WHERE wc.email = ${customerEmail})`);
+  }
+  return `(${conditions.join(' OR ')})`;
+}
+
+/**
+ * SQL condition for rows the user at `userParam` is not screened from.
+ * Add it to any query that lists records tied to a matter or client, e.g. visibleClause('$3', { matter: 'd.matter_id', customer: 'd.customer_id' }).
+ */
+function visibleClause(userParam, columns) {
+  return `NOT EXISTS (
+    SELECT 1 FROM ethical_walls w
+    JOIN ethical_wall_members wmb ON wmb.wall_id = w.id AND wmb.user_id = ${userParam}
+    WHERE w.lifted_at IS NULL AND ${coversClause(columns)}
+  )`;
+}
+
+/**
+ * The active wall screening a user from one record, or null
+ */
+async function wallFor(resourceType, resourceId, userId, client = db) {
+  const resource = RESOURCES[resourceType];
+  if (!resource) {
+    throw new Error(`Unknown walled resource: ${resourceType}`);
+  }
+
+  const columns = {};
+  for (const [key, column] of Object.entries(resource.columns)) {
+    columns[key] = `r.${column}`;
+  }
+
+  const result = await client.query(
+    `SELECT w.id, w.matter_id, w.customer_id, w.reason
+     FROM ${resource.table} r
+     JOIN ethical_walls w ON w.lifted_at IS NULL AND ${coversClause(columns)}
+     JOIN ethical_wall_members wmb ON wmb.wall_id = w.id AND wmb.user_id = $2
+     WHERE r.id = $1
+     ORDER BY w.id
+     LIMIT 1`,
+    [resourceId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// ---- Walls ----
+
+async function listWalls({ matterId, customerId, userId, active } = {}) {
+  const conditions = [];
+  const params = [];
+  if (matterId) {
+    params.push(matterId);
+    conditions.push(`w.matter_id = $${params.length}`);
+  }
+  if (customerId) {
+    params.push(customerId);
+    conditions.push(`w.customer_id = $${params.length}`);
+  }
+  if (userId) {
+    params.push(userId);
+    conditions.push(`EXISTS (SELECT 1 FROM ethical_wall_members wmb WHERE wmb.wall_id = w.id AND wmb.user_id = $${params.length})`);
+  }
+  if (active !== undefined) {
+    conditions.push(active ? 'w.lifted_at IS NULL' : 'w.lifted_at IS NOT NULL');
+  }
+
+  const result = await db.query(
+    `SELECT w.*, m.matter_number, m.title AS matter_title, c.full_name AS client_name,
+       u.full_name AS created_by_name,
+       (SELECT COUNT(*) FROM ethical_wall_members wmb WHERE wmb.wall_id = w.id) AS member_count,
+       (SELECT COUNT(*) FROM ethical_wall_access_attempts a WHERE a.wall_id = w.id) AS attempt_count
+     FROM ethical_walls w
+     LEFT JOIN matters m ON m.id = w.matter_id
+     LEFT JOIN customers c ON c.id = COALESCE(w.customer_id, m.customer_id)
+     LEFT JOIN users u ON u.id = w.created_by
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY w.created_at DESC`,
+    params
+  );
+  return result.rows.map(row => ({
+    ...row,
+    member_count: parseInt(row.member_count),
+    attempt_count: parseInt(row.attempt_count)
+  }));
+}
+
+async function getWall(wallId, client = db) {
+  const result = await client.query(
+    `SELECT w.*, m.matter_number, m.title AS matter_title, c.full_name AS client_name,
+       u.full_name AS created_by_name, l.full_name AS lifted_by_name
+     FROM ethical_walls w
+     LEFT JOIN matters m ON m.id = w.matter_id
+     LEFT JOIN customers c ON c.id = COALESCE(w.customer_id, m.customer_id)
+     LEFT JOIN users u ON u.id = w.created_by
+     LEFT JOIN users l ON l.id = w.lifted_by
+     WHERE w.id = $1`,
+    [wallId]
+  );
+  const wall = result.rows[0];
+  if (!wall) return null;
+
+  const members = await client.query(
+    `SELECT wmb.user_id, u.full_name, u.email, u.role, wmb.added_at, ab.full_name AS added_by_name
+     FROM ethical_wall_members wmb
+     JOIN users u ON u.id = wmb.user_id
+     LEFT JOIN users ab ON ab.id = wmb.added_by
+     WHERE wmb.wall_id = $1
+     ORDER BY u.full_name`,
+    [wallId]
+  );
+  wall.members = members.rows;
+  return wall;
+}
+
+/**
+ * Screened users must exist, and a matter's responsible or originating
+ * attorney cannot be walled off from it
+ */
+async function validateMembers(wall, userIds, client) {
+  if (!Array.isArray(userIds) || userIds.length === 0) {
+    throw httpError(400, 'userIds must list the users to screen');
+  }
+  const ids = [...new Set(userIds.map(id => parseInt(id)))];
+  if (ids.some(id => !Number.isInteger(id))) {
+    throw httpError(400, 'userIds must be user ids');
+  }
+
+  const users = await client.query('SELECT id FROM users WHERE id = ANY($1::int[])', [ids]);
+  const missing = ids.filter(id => !users.rows.some(row => row.id === id));
+  if (missing.length > 0) {
+    throw httpError(404, `Users not found: ${missing.join(', ')}`);
+  }
+
+  const attorneys = await client.query(
+    `SELECT DISTINCT u.id, u.full_name
+     FROM matters m
+     JOIN users u ON u.id IN (m.responsible_attorney_id, m.originating_attorney_id)
+     WHERE (m.id = $1 OR m.customer_id = $2) AND u.id = ANY($3::int[])`,
+    [wall.matter_id, wall.customer_id, ids]
+  );
+  if (attorneys.rows.length > 0) {
+    throw httpError(409, `Cannot screen the matter's own attorneys: ${attorneys.rows.map(row => row.full_name).join(', ')}`);
+  }
+  return ids;
+}
+
+async function addMembers(wallId, ids, addedBy, client) {
+  await client.query(
+    `INSERT INTO ethical_wall_members (wall_id, user_id, added_by)
+     SELECT $1, user_id, $3 FROM UNNEST($2::int[]) AS user_id
+     ON CONFLICT DO NOTHING`,
+    [wallId, ids, addedBy]
+  );
+}
+
+/**
+ * Put up a wall around one matter or one client
+ * data: { matterId | customerId, reason, userIds, createdBy }
+ */
+async function createWall({ matterId, customerId, reason, userIds, createdBy }, client = db) {
+  if (Boolean(matterId) === Boolean(customerId)) {
+    throw httpError(400, 'Give either matterId or customerId');
+  }
+  if (!reason || !String(reason).trim()) {
+    throw httpError(400, 'reason is required');
+  }
+
+  if (matterId) {
+    const matter = await client.query('SELECT id FROM matters WHERE id = $1', [matterId]);
+    if (matter.rows.length === 0) {
+      throw httpError(404, 'Matter not found');
+    }
+  } else {
+    const customer = await client.query('SELECT id FROM customers WHERE id = $1', [customerId]);
+    if (customer.rows.length === 0) {
+      throw httpError(404, 'Client not found');
+    }
+  }
+
+  const ids = await validateMembers({ matter_id: matterId || null, customer_id: customerId || null }, userIds, client);
+
+  const result = await client.query(
+    `INSERT INTO ethical_walls (matter_id, customer_id, reason, created_by)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id`,
+    [matterId || null, customerId || null, String(reason).trim(), createdBy]
+  );
+  const wallId = result.rows[0].id;
+  await addMembers(wallId, ids, createdBy, client);
+
+  return getWall(wallId, client);
+}
+
+async function activeWall(wallId, client) {
+  const result = await client.query('SELECT * FROM ethical_walls WHERE id = $1 FOR UPDATE', [wallId]);
+  const wall = result.rows[0];
+  if (!wall) {
+    throw httpError(404, 'Ethical wall not found');
+  }
+  if (wall.lifted_at) {
+    throw httpError(409, 'Ethical wall has been lifted');
+  }
+  return wall;
+}
+
+async function screenUsers(wallId, userIds, addedBy, client = db) {
+  const wall = await activeWall(wallId, client);
+  const ids = await validateMembers(wall, userIds, client);
+  await addMembers(wallId, ids, addedBy, client);
+  return getWall(wallId, client);
+}
+
+async function unscreenUser(wallId, userId, client = db) {
+  await activeWall(wallId, client);
+  const result = await client.query(
+    'DELETE FROM ethical_wall_members WHERE wall_id = $1 AND user_id = $2 RETURNING user_id',
+    [wallId, userId]
+  );
+  if (result.rows.length === 0) {
+    throw httpError(404, 'User is not screened by this wall');
+  }
+  return getWall(wallId, client);
+}
+
+/**
+ * Take a wall down; it stays on record with who lifted it and why
+ */
+async function liftWall(wallId, { liftedBy, reason }, client = db) {
+  await activeWall(wallId, client);
+  await client.query(
+    'UPDATE ethical_walls SET lifted_at = NOW(), lifted_by = $2, lift_reason = $3 WHERE id = $1',
+    [wallId, liftedBy, reason || null]
+  );
+  return getWall(wallId, client);
+}
+
+// ---- Access attempts ----
+
+async function sendAlert(attempt) {
+  const to = process.env.ETHICAL_WALL_ALERT_EMAIL || process.env.ADMIN_EMAIL;
+  if (!to) return false;
+
+  const details = await db.query(
+    `SELECT u.full_name, u.email, m.matter_number, m.title AS matter_title, c.full_name AS client_name
+     FROM ethical_walls w
+     LEFT JOIN matters m ON m.id = w.matter_id
+     LEFT JOIN customers c ON c.id = COALESCE(w.customer_id, m.customer_id)
+     LEFT JOIN users u ON u.id = $2
+     WHERE w.id = $1`,
+    [attempt.wall_id, attempt.user_id]
+  );
+  const info = details.rows[0] || {};
+  const who = info.full_name ? `${info.full_name} (${info.email})` : `User ${attempt.user_id}`;
+  const screenedFrom = info.matter_number
+    ? `matter ${info.matter_number} ${info.matter_title}`
+    : `client ${info.client_name}`;
+  const lines = [
+    `${who} tried to open ${attempt.resource_type} ${attempt.resource_id}, which is behind ethical wall ${attempt.wall_id} on ${screenedFrom}.`,
+    `Request: ${attempt.method} ${attempt.path} from ${attempt.ip_address || 'unknown address'} at ${attempt.created_at.toISOString()}.`,
+    'Access was refused. Further attempts by this user on this wall are logged and reported at most once an hour.'
+  ];
+
+  try {
+    return await emailService().sendEmailDirect({
+      from: process.env.EMAIL_FROM,
+      to,
+      subject: `Ethical wall access attempt: ${screenedFrom}`,
+      html: `<div style="font-family: Arial, sans-serif; max-width: 600px;">
+    ${lines.map(text => `<p>${escapeHtml(text)}</p>`).join('\n    ')}
+  </div>`,
+      text: lines.join('\n\n')
+    });
+  } catch (error) {
+    console.error(`[Matters] Ethical wall alert for attempt ${attempt.id} failed:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Log a screened user's attempt to open walled data and email compliance,
+ * unless they were already reported on this wall within the alert window
+ */
+async function recordAttempt({ wallId, userId, resourceType, resourceId, method, path, ip, userAgent }) {
+  const result = await db.query(
+    `INSERT INTO ethical_wall_access_attempts
+       (wall_id, user_id, resource_type, resource_id, method, path, ip_address, user_agent, alerted)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOT EXISTS (
+       SELECT 1 FROM ethical_wall_access_attempts
+       WHERE wall_id = $1 AND user_id = $2 AND alerted = true
+         AND created_at > NOW() - ($9 || ' minutes')::interval
+     ))
+     RETURNING *`,
+    [
+      wallId, userId, resourceType, String(resourceId), method,
+      path ? path.slice(0, 500) : null, ip || null, userAgent ? userAgent.slice(0, 500) : null,
+      ALERT_INTERVAL_MINUTES
+    ]
+  );
+  const attempt = result.rows[0];
+
+  console.warn(`[Matters] Ethical wall ${wallId}: user ${userId} refused ${method} ${path}`);
+  if (attempt.alerted) {
+    sendAlert(attempt).catch(error => {
+      console.error(`[Matters] Ethical wall alert for attempt ${attempt.id} failed:`, error.message);
+    });
+  }
+  return attempt;
+}
+
+async function listAttempts({ wallId, userId, limit = 100 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (wallId) {
+    params.push(wallId);
+    conditions.push(`a.wall_id = $${params.length}`);
+  }
+  if (userId) {
+    params.push(userId);
+    conditions.push(`a.user_id = $${params.length}`);
+  }
+  params.push(Math.min(parseInt(limit) || 100, 500));
+
+  const result = await db.query(
+    `SELECT a.*, u.full_name AS user_name, u.email AS user_email
+     FROM ethical_wall_access_attempts a
+     LEFT JOIN users u ON u.id = a.user_id
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY a.created_at DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  return result.rows;
+}
+
+module.exports = {
+  RESOURCES,
+  visibleClause,
+  wallFor,
+  listWalls,
+  getWall,
+  createWall,
+  screenUsers,
+  unscreenUser,
+  liftWall,
+  recordAttempt,
+  listAttempts
+};
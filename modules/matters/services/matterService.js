@@ -0,0 +1,200 @@
+/**
+ * Matter Service
+ * Shared matter operations so other modules can create, look up and
+ * attach records to matters without duplicating the rules.
+ *
+ * Functions that write accept an optional pg client so callers can run
+ * them inside their own transaction.
+ */
+
+const db = require('../database/db');
+const { httpError } = require('../../shared/utils');
+
+const STATUSES = ['intake', 'open', 'closed', 'archived'];
+
+// Allowed lifecycle moves; closed matters can be reopened until archived
+const STATUS_TRANSITIONS = {
+  intake: ['open', 'closed'],
+  open: ['closed'],
+  closed: ['open', 'archived'],
+  archived: []
+};
+
+const PARTY_TYPES = ['client', 'opposing', 'opposing_counsel', 'related', 'witness'];
+
+/**
+ * Next matter number in the form YYYY-00001
+ */
+async function generateMatterNumber(client = db) {
+  const result = await client.query("SELECT nextval('matter_number_seq') AS seq");
+  const year = new Date().getFullYear();
+  return `${year}-${String(result.rows[0].seq).padStart(5, '0')}`;
+}
+
+async function getMatter(matterId, client = db) {
+  const result = await client.query(
+    `SELECT m.*,
+       c.full_name AS client_name,
+       c.email AS client_email,
+       ra.full_name AS responsible_attorney_name,
+       oa.full_name AS originating_attorney_name
+     FROM matters m
+     LEFT JOIN customers c ON c.id = m.customer_id
+     LEFT JOIN users ra ON ra.id = m.responsible_attorney_id
+     LEFT JOIN users oa ON oa.id = m.originating_attorney_id
+     WHERE m.id = $1`,
+    [matterId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Throws a 404-style error when the matter does not exist. Use this before
+ * writing a matter_id onto a record in another module.
+ */
+async function assertMatterExists(matterId, client = db) {
+  const result = await client.query('SELECT id, status FROM matters WHERE id = $1', [matterId]);
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Matter not found');
+  }
+  return result.rows[0];
+}
+
+async function getParties(matterId, client = db) {
+  const result = await client.query(
+    'SELECT * FROM matter_parties WHERE matter_id = $1 ORDER BY party_type ASC, name ASC',
+    [matterId]
+  );
+  return result.rows;
+}
+
+async function addParty(matterId, party, client = db) {
+  const partyType = party.partyType || 'opposing';
+  if (!party.name) {
+    throw httpError(400, 'Party name is required');
+  }
+  if (!PARTY_TYPES.includes(partyType)) {
+    throw httpError(400, `partyType must be one of: ${PARTY_TYPES.join(', ')}`);
+  }
+
+  const result = await client.query(
+    `INSERT INTO matter_parties (matter_id, name, party_type, organization, email, phone, notes)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [
+      matterId,
+      party.name,
+      partyType,
+      party.organization || null,
+      party.email || null,
+      party.phone || null,
+      party.notes || null
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Create a matter (and its parties) in status 'intake' unless told otherwise.
+ */
+async function createMatter(data, client = db) {
+  const status = data.status || 'intake';
+  if (!data.title) {
+    throw httpError(400, 'title is required');
+  }
+  if (!['intake', 'open'].includes(status)) {
+    throw httpError(400, 'New matters start as intake or open');
+  }
+
+  const matterNumber = data.matterNumber || await generateMatterNumber(client);
+
+  const result = await client.query(
+    `INSERT INTO matters (
+      matter_number, title, description, practice_area, customer_id,
+      responsible_attorney_id, originating_attorney_id, status, opened_at, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    RETURNING *`,
+    [
+      matterNumber,
+      data.title,
+      data.description || null,
+      data.practiceArea || null,
+      data.customerId || null,
+      data.responsibleAttorneyId || null,
+      data.originatingAttorneyId || null,
+      status,
+      status === 'open' ? new Date() : null,
+      data.createdBy || null
+    ]
+  );
+  const matter = result.rows[0];
+
+  await client.query(
+    `INSERT INTO matter_status_history (matter_id, from_status, to_status, changed_by, reason)
+     VALUES ($1, NULL, $2, $3, $4)`,
+    [matter.id, status, data.createdBy || null, 'Matter created']
+  );
+
+  for (const party of data.parties || []) {
+    await addParty(matter.id, party, client);
+  }
+
+  return matter;
+}
+
+/**
+ * Move a matter along its lifecycle and record the change.
+ */
+async function changeStatus(matterId, toStatus, { changedBy, reason } = {}, client = db) {
+  if (!STATUSES.includes(toStatus)) {
+    throw httpError(400, `status must be one of: ${STATUSES.join(', ')}`);
+  }
+
+  const current = await assertMatterExists(matterId, client);
+  if (current.status === toStatus) {
+    return getMatter(matterId, client);
+  }
+  if (!STATUS_TRANSITIONS[current.status].includes(toStatus)) {
+    throw httpError(409, `Cannot move a matter from ${current.status} to ${toStatus}`);
+  }
+
+  const timestampColumn = {
+    open: 'opened_at',
+    closed: 'closed_at',
+    archived: 'archived_at'
+  }[toStatus];
+
+  // Reopening clears the earlier close date
+  const reopenClause = toStatus === 'open' ? 'closed_at = NULL,' : '';
+
+  await client.query(
+    `UPDATE matters SET
+      status = $1,
+      ${timestampColumn} = COALESCE(${timestampColumn}, NOW()),
+      ${reopenClause}
+      updated_at = NOW()
+    WHERE id = $2`,
+    [toStatus, matterId]
+  );
+
+  await client.query(
+    `INSERT INTO matter_status_history (matter_id, from_status, to_status, changed_by, reason)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [matterId, current.status, toStatus, changedBy || null, reason || null]
+  );
+
+  return getMatter(matterId, client);
+}
+
+module.exports = {
+  STATUSES,
+  STATUS_TRANSITIONS,
+  PARTY_TYPES,
+  generateMatterNumber,
+  getMatter,
+  assertMatterExists,
+  getParties,
+  addParty,
+  createMatter,
+  changeStatus
+};
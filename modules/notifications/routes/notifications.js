@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const Notification = require('../models/Notification');
-const jwt = require('jsonwebtoken');
+const { authenticateToken, requirePermission } = require('../../auth/middleware/auth');
 
 // Validate JWT_SECRET is configured
 if (!process.env.JWT_SECRET) {
@@ -9,21 +9,15 @@ if (!process.env.JWT_SECRET) {
     process.exit(1);
 }
 
-// Middleware to verify token
-const authenticate = async (req, res, next) => {
-    try {
-        const token = req.headers.authorization?.split(' ')[1];
-        if (!token) {
-            return res.status(401).json({ success: false, error: 'No token provided' });
-        }
-
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.userId = decoded.userId || decoded.id || decoded._id;
+// Verify the token and notifications:read, then expose the recipient id
+const authenticate = [
+    authenticateToken,
+    requirePermission('notifications:read'),
+    (req, res, next) => {
+        req.userId = req.user.id;
         next();
-    } catch (error) {
-        res.status(403).json({ success: false, error: 'Invalid token' });
     }
-};
+];
 
 // Get user's notifications
 router.get('/', authenticate, async (req, res) => {
@@ -0,0 +1,133 @@
+/**
+ * Portal Client Management Routes
+ * Staff side of the client portal: invite a client, see and unlink their
+ * portal logins, and read and answer their secure messages. Mounted
+ * behind portal:manage; clients behind an ethical wall are refused.
+ */
+
+const express = require('express');
+const router = express.Router();
+const sessionService = require('../../auth/services/sessionService');
+const { screen } = require('../../matters/middleware/ethicalWall');
+const invitationService = require('../services/invitationService');
+const portalService = require('../services/portalService');
+
+function sendError(res, error, fallback) {
+  if (!error.status) {
+    console.error(`[Portal] Error ${fallback}:`, error);
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : `Failed ${fallback}`
+  });
+}
+
+router.param('customerId', screen('customer'));
+
+// GET a client's portal logins and invitations
+router.get('/:customerId', async (req, res) => {
+  try {
+    const [accounts, invitations] = await Promise.all([
+      invitationService.listAccounts(req.params.customerId),
+      invitationService.listInvitations(req.params.customerId)
+    ]);
+
+    res.json({
+      success: true,
+      data: { accounts, invitations }
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching portal access');
+  }
+});
+
+// INVITE a client to the portal; earlier pending invitations stop working
+// Body: { email } (defaults to the client's email)
+router.post('/:customerId/invitations', async (req, res) => {
+  try {
+    const invitation = await invitationService.invite(req.params.customerId, {
+      email: req.body.email,
+      invitedBy: req.user.id
+    });
+
+    console.log(`[Portal] User ${req.user.id} invited client ${req.params.customerId} (${invitation.email})`);
+
+    res.status(201).json({
+      success: true,
+      message: invitation.emailed ? 'Invitation sent' : 'Invitation created; email could not be sent, share the link directly',
+      data: invitation
+    });
+  } catch (error) {
+    sendError(res, error, 'inviting client');
+  }
+});
+
+// REVOKE a pending invitation
+router.delete('/:customerId/invitations/:invitationId', async (req, res) => {
+  try {
+    await invitationService.revokeInvitation(req.params.customerId, req.params.invitationId, {
+      revokedBy: req.user.id
+    });
+
+    res.json({ success: true, message: 'Invitation revoked' });
+  } catch (error) {
+    sendError(res, error, 'revoking invitation');
+  }
+});
+
+// UNLINK a portal login from the client and sign it out
+router.delete('/:customerId/accounts/:userId', async (req, res) => {
+  try {
+    await invitationService.unlinkAccount(req.params.customerId, req.params.userId);
+    await sessionService.revokeUserSessions(req.params.userId, {
+      revokedBy: req.user.id,
+      reason: 'portal_unlinked'
+    });
+
+    console.log(`[Portal] User ${req.user.id} unlinked login ${req.params.userId} from client ${req.params.customerId}`);
+
+    res.json({ success: true, message: 'Portal login unlinked' });
+  } catch (error) {
+    sendError(res, error, 'unlinking portal login');
+  }
+});
+
+// GET a client's secure messages, newest first
+// Query: matterId
+router.get('/:customerId/messages', async (req, res) => {
+  try {
+    const messages = await portalService.listMessages(req.params.customerId, { matterId: req.query.matterId });
+
+    res.json({
+      success: true,
+      count: messages.length,
+      data: messages
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching messages');
+  }
+});
+
+// REPLY to a client; they are emailed a notice, not the message
+// Body: { subject, content, matterId }
+router.post('/:customerId/messages', async (req, res) => {
+  try {
+    const message = await portalService.postMessage(req.params.customerId, {
+      subject: req.body.subject,
+      content: req.body.content,
+      matterId: req.body.matterId,
+      senderId: req.user.id,
+      direction: 'outbound'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent',
+      data: message
+    });
+  } catch (error) {
+    sendError(res, error, 'sending message');
+  }
+});
+
+module.exports = router;
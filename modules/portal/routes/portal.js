@@ -0,0 +1,274 @@
+/**
+ * Client Portal Routes - PostgreSQL Version
+ * Clients sign in with a login linked to their customers row (created by
+ * accepting an emailed invitation) and see only their own matters,
+ * upcoming appointments, shared documents, invoices and secure messages.
+ * Client routes need portal:access and a linked login; staff manage
+ * invitations, linked logins and messages under /clients with
+ * portal:manage.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../database/db');
+const { authenticateToken, requirePermission } = require('../../auth/middleware/auth');
+const { registerLimiter } = require('../../auth/middleware/rateLimiter');
+const { accountSummary } = require('../../auth/services/accessService');
+const sessionService = require('../../auth/services/sessionService');
+const twoFactorService = require('../../auth/services/twoFactorService');
+const documentService = require('../../documents/services/documentService');
+const invitationService = require('../services/invitationService');
+const portalService = require('../services/portalService');
+
+function sendError(res, error, fallback) {
+  if (!error.status) {
+    console.error(`[Portal] Error ${fallback}:`, error);
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : `Failed ${fallback}`
+  });
+}
+
+// ---- Public: invitations, authenticated by the token in the URL ----
+
+// GET an invitation: the email it is for, the client and whether a login
+// with that email already exists (then its password links it)
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const invitation = await invitationService.findInvitation(req.params.token);
+
+    res.json({
+      success: true,
+      data: {
+        email: invitation.email,
+        clientName: invitation.client_name,
+        expiresAt: invitation.expires_at,
+        existingAccount: invitation.has_account
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching invitation');
+  }
+});
+
+// ACCEPT an invitation and sign in
+// Body: { password, fullName }
+router.post('/invitations/:token/accept', registerLimiter, async (req, res) => {
+  try {
+    const { userId, linkedExisting } = await invitationService.accept(req.params.token, req.body);
+
+    const result = await db.query(
+      `SELECT u.id, u.email, u.full_name, u.subscription_tier, u.is_admin, u.role, u.scans_used,
+         u.two_factor_enabled, COALESCE(r.require_two_factor, false) AS two_factor_required
+       FROM users u
+       LEFT JOIN roles r ON r.name = u.role
+       WHERE u.id = $1`,
+      [userId]
+    );
+    const user = result.rows[0];
+
+    console.log(`[Portal] User ${user.id} ${linkedExisting ? 'linked' : 'created'} from portal invitation`);
+
+    // Same second step as /api/auth/login when 2FA is on or required
+    if (user.two_factor_enabled || user.two_factor_required) {
+      return res.status(201).json({
+        success: true,
+        twoFactorRequired: true,
+        enrollmentRequired: !user.two_factor_enabled,
+        challengeToken: twoFactorService.issueChallenge(user.id, user.two_factor_enabled ? 'login' : 'enroll')
+      });
+    }
+
+    const tokens = await sessionService.createSession(user, { ip: req.ip, userAgent: req.get('User-Agent') });
+
+    res.status(201).json({
+      success: true,
+      ...tokens,
+      user: accountSummary(user)
+    });
+  } catch (error) {
+    sendError(res, error, 'accepting invitation');
+  }
+});
+
+// ---- Staff ----
+
+router.use('/clients', authenticateToken, requirePermission('portal:manage'), require('./clients'));
+
+// ---- Client ----
+
+// The signed-in login's client; staff and unlinked logins have none
+async function requireClientAccount(req, res, next) {
+  try {
+    const client = await portalService.clientForUser(req.user.id);
+    if (!client) {
+      return res.status(403).json({
+        success: false,
+        error: 'No client account is linked to this login'
+      });
+    }
+    req.client = client;
+    next();
+  } catch (error) {
+    sendError(res, error, 'loading client account');
+  }
+}
+
+router.use(authenticateToken, requirePermission('portal:access'), requireClientAccount);
+
+// GET the client's contact details
+router.get('/me', (req, res) => {
+  res.json({
+    success: true,
+    data: req.client
+  });
+});
+
+// GET the client's matters (archived matters are left out)
+router.get('/matters', async (req, res) => {
+  try {
+    const matters = await portalService.listMatters(req.client.id);
+
+    res.json({
+      success: true,
+      count: matters.length,
+      data: matters
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching matters');
+  }
+});
+
+// GET upcoming appointments
+router.get('/appointments', async (req, res) => {
+  try {
+    const appointments = await portalService.listAppointments(req.client.id, req.user.id);
+
+    res.json({
+      success: true,
+      count: appointments.length,
+      data: appointments
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching appointments');
+  }
+});
+
+// GET documents the firm has shared with the client
+// Query: matterId
+router.get('/documents', async (req, res) => {
+  try {
+    const documents = await portalService.listDocuments(req.client.id, { matterId: req.query.matterId });
+
+    res.json({
+      success: true,
+      count: documents.length,
+      data: documents
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching documents');
+  }
+});
+
+// DOWNLOAD a shared document
+router.get('/documents/:documentId/download', async (req, res) => {
+  try {
+    const document = await portalService.getDocument(req.client.id, req.params.documentId);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    res.download(documentService.filePath(document), document.original_name, error => {
+      if (error && !res.headersSent) {
+        console.error('[Portal] Error sending document file:', error.message);
+        res.status(404).json({
+          success: false,
+          error: 'Document file is missing'
+        });
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'downloading document');
+  }
+});
+
+// GET issued invoices with balances and payment links
+router.get('/invoices', async (req, res) => {
+  try {
+    const invoices = await portalService.listInvoices(req.client.id);
+
+    res.json({
+      success: true,
+      count: invoices.length,
+      data: invoices
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching invoices');
+  }
+});
+
+// GET one invoice with its lines and payments
+router.get('/invoices/:invoiceId', async (req, res) => {
+  try {
+    const invoice = await portalService.getInvoice(req.client.id, req.params.invoiceId);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: invoice
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching invoice');
+  }
+});
+
+// GET secure messages with the firm, newest first
+// Query: matterId
+router.get('/messages', async (req, res) => {
+  try {
+    const messages = await portalService.listMessages(req.client.id, { matterId: req.query.matterId });
+
+    res.json({
+      success: true,
+      count: messages.length,
+      data: messages
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching messages');
+  }
+});
+
+// SEND a secure message to the firm
+// Body: { subject, content, matterId }
+router.post('/messages', async (req, res) => {
+  try {
+    const message = await portalService.postMessage(req.client.id, {
+      subject: req.body.subject,
+      content: req.body.content,
+      matterId: req.body.matterId,
+      senderId: req.user.id,
+      direction: 'inbound'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent',
+      data: message
+    });
+  } catch (error) {
+    sendError(res, error, 'sending message');
+  }
+});
+
+module.exports = router;
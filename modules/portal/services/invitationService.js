@@ -0,0 +1,295 @@
+/**
+ * Portal Invitation Service
+ * Staff invite a client (a customers row) to the portal by email. The
+ * emailed link carries a one-time token, stored hashed; accepting it
+ * creates a client login linked to the customer, or links the client's
+ * existing login when they registered before being invited.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const db = require('../database/db');
+const { httpError, escapeHtml, emailService } = require('../../shared/utils');
+
+const INVITE_DAYS = parseInt(process.env.PORTAL_INVITE_DAYS) || 7;
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const INVITATION_COLUMNS = `i.id, i.customer_id, i.email, i.expires_at, i.created_at, i.accepted_at,
+  i.accepted_user_id, i.revoked_at,
+  CASE
+    WHEN i.accepted_at IS NOT NULL THEN 'accepted'
+    WHEN i.revoked_at IS NOT NULL THEN 'revoked'
+    WHEN i.expires_at < NOW() THEN 'expired'
+    ELSE 'pending'
+  END AS status,
+  u.full_name AS invited_by_name`;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function inviteUrl(token) {
+  return `${process.env.FRONTEND_URL || ''}/portal/invite/${token}`;
+}
+
+// ---- Email ----
+
+async function sendInvitationEmail(invitation, customer, url) {
+  const firm = process.env.FIRM_NAME || 'Sterling & Associates';
+  const paragraphs = [
+    `Dear ${customer.full_name || 'client'},`,
+    `${firm} has set up a secure client portal for you. In it you can follow your matters, see upcoming appointments, download the documents we share with you, view and pay invoices, and send us secure messages.`,
+    `To create your login, use the link below before ${invitation.expires_at.toDateString()}.`
+  ];
+
+  try {
+    return await emailService().sendEmailDirect({
+      from: process.env.EMAIL_FROM,
+      to: invitation.email,
+      subject: `Your ${firm} client portal`,
+      html: `<div style="font-family: Arial, sans-serif; max-width: 600px;">
+    <h2>${escapeHtml(firm)}</h2>
+    ${paragraphs.map(text => `<p>${escapeHtml(text)}</p>`).join('\n    ')}
+    <p><a href="${escapeHtml(url)}" style="display: inline-block; padding: 10px 18px; background: #1f3a5f; color: #fff; text-decoration: none; border-radius: 4px;">Create portal login</a></p>
+    <p style="color: #666; font-size: 12px;">This link is personal to you; please do not forward it.</p>
+  </div>`,
+      text: `${paragraphs.join('\n\n')}\n\nCreate portal login: ${url}`
+    });
+  } catch (error) {
+    console.error(`[Portal] Invitation email to ${invitation.email} failed:`, error.message);
+    return false;
+  }
+}
+
+// ---- Staff ----
+
+async function listInvitations(customerId) {
+  const result = await db.query(
+    `SELECT ${INVITATION_COLUMNS}
+     FROM portal_invitations i
+     LEFT JOIN users u ON u.id = i.invited_by
+     WHERE i.customer_id = $1
+     ORDER BY i.created_at DESC`,
+    [customerId]
+  );
+  return result.rows;
+}
+
+/**
+ * Portal logins linked to a client
+ */
+async function listAccounts(customerId) {
+  const result = await db.query(
+    `SELECT id, email, full_name, is_active, created_at FROM users
+     WHERE customer_id = $1
+     ORDER BY created_at`,
+    [customerId]
+  );
+  return result.rows;
+}
+
+/**
+ * Invite a client, by default at their CRM email. Pending invitations for
+ * the same client are revoked so only the newest link works. Returns the
+ * invitation with its link, which is never stored.
+ */
+async function invite(customerId, { email, invitedBy } = {}) {
+  const customerResult = await db.query(
+    'SELECT id, email, full_name, active FROM customers WHERE id = $1',
+    [customerId]
+  );
+  const customer = customerResult.rows[0];
+  if (!customer) {
+    throw httpError(404, 'Client not found');
+  }
+  if (customer.active === false) {
+    throw httpError(409, 'Client is inactive');
+  }
+
+  const address = String(email || customer.email || '').trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(address)) {
+    throw httpError(400, 'A valid email is required');
+  }
+
+  const existing = await db.query(
+    'SELECT customer_id, role FROM users WHERE LOWER(email) = $1',
+    [address]
+  );
+  const user = existing.rows[0];
+  if (user && user.role !== 'client') {
+    throw httpError(409, 'This email belongs to a staff login');
+  }
+  if (user && user.customer_id) {
+    throw httpError(409, String(user.customer_id) === String(customer.id)
+      ? 'This email already has a portal login for this client'
+      : 'This email already has a portal login for another client');
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await db.query(
+    `UPDATE portal_invitations SET revoked_at = NOW(), revoked_by = $2
+     WHERE customer_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL`,
+    [customer.id, invitedBy || null]
+  );
+  const result = await db.query(
+    `INSERT INTO portal_invitations (customer_id, email, token_hash, expires_at, invited_by)
+     VALUES ($1, $2, $3, NOW() + ($4 || ' days')::interval, $5)
+     RETURNING id, customer_id, email, expires_at, created_at`,
+    [customer.id, address, hashToken(token), INVITE_DAYS, invitedBy || null]
+  );
+  const invitation = result.rows[0];
+
+  const url = inviteUrl(token);
+  const emailed = await sendInvitationEmail(invitation, customer, url);
+
+  return { ...invitation, inviteUrl: url, emailed: Boolean(emailed) };
+}
+
+async function revokeInvitation(customerId, invitationId, { revokedBy } = {}) {
+  const result = await db.query(
+    `UPDATE portal_invitations SET revoked_at = NOW(), revoked_by = $3
+     WHERE id = $1 AND customer_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+     RETURNING id`,
+    [invitationId, customerId, revokedBy || null]
+  );
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Pending invitation not found');
+  }
+}
+
+// ---- Accepting ----
+
+/**
+ * A pending invitation by its token, with the client's name; throws when
+ * it is unknown, used, revoked or expired
+ */
+async function findInvitation(token, client = db) {
+  const result = await client.query(
+    `SELECT i.id, i.customer_id, i.email, i.expires_at, i.accepted_at, i.revoked_at,
+       i.expires_at < NOW() AS expired, c.full_name AS client_name,
+       EXISTS (SELECT 1 FROM users eu WHERE LOWER(eu.email) = i.email) AS has_account
+     FROM portal_invitations i
+     JOIN customers c ON c.id = i.customer_id
+     WHERE i.token_hash = $1`,
+    [hashToken(token)]
+  );
+  const invitation = result.rows[0];
+  if (!invitation) {
+    throw httpError(404, 'Invitation not found');
+  }
+  if (invitation.accepted_at) {
+    throw httpError(410, 'Invitation has already been used; sign in instead');
+  }
+  if (invitation.revoked_at || invitation.expired) {
+    throw httpError(410, 'Invitation has expired; ask the firm for a new one');
+  }
+  return invitation;
+}
+
+/**
+ * Create the portal login, or link an existing client login whose
+ * password is given. Returns the linked user.
+ */
+async function accept(token, { password, fullName } = {}) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw httpError(400, `password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    const invitation = await findInvitation(token, client);
+
+    // Lock the invitation so one link cannot create two logins
+    const locked = await client.query(
+      'SELECT id FROM portal_invitations WHERE id = $1 AND accepted_at IS NULL FOR UPDATE',
+      [invitation.id]
+    );
+    if (locked.rows.length === 0) {
+      throw httpError(410, 'Invitation has already been used; sign in instead');
+    }
+
+    const existing = await client.query(
+      'SELECT id, password_hash, role, customer_id, is_active FROM users WHERE LOWER(email) = $1 FOR UPDATE',
+      [invitation.email]
+    );
+    let userId;
+
+    if (existing.rows.length > 0) {
+      const user = existing.rows[0];
+      if (user.role !== 'client') {
+        throw httpError(409, 'This email belongs to a staff login');
+      }
+      if (user.customer_id && String(user.customer_id) !== String(invitation.customer_id)) {
+        throw httpError(409, 'This email already has a portal login for another client');
+      }
+      if (user.is_active === false) {
+        throw httpError(403, 'Account is deactivated');
+      }
+      // Linking an account someone registered needs its password
+      if (!(await bcrypt.compare(password, user.password_hash))) {
+        throw httpError(401, 'An account with this email exists; enter its password to link it');
+      }
+
+      await client.query(
+        'UPDATE users SET customer_id = $2, updated_at = NOW() WHERE id = $1',
+        [user.id, invitation.customer_id]
+      );
+      userId = user.id;
+    } else {
+      const inserted = await client.query(
+        `INSERT INTO users (email, password_hash, full_name, role, customer_id)
+         VALUES ($1, $2, $3, 'client', $4)
+         RETURNING id`,
+        [
+          invitation.email,
+          await bcrypt.hash(password, 10),
+          (typeof fullName === 'string' && fullName.trim()) || invitation.client_name,
+          invitation.customer_id
+        ]
+      );
+      userId = inserted.rows[0].id;
+    }
+
+    await client.query(
+      'UPDATE portal_invitations SET accepted_at = NOW(), accepted_user_id = $2 WHERE id = $1',
+      [invitation.id, userId]
+    );
+    await client.query('COMMIT');
+
+    return { userId, customerId: invitation.customer_id, linkedExisting: existing.rows.length > 0 };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Detach a login from its client; it stays a client login without portal
+ * access. The caller signs it out.
+ */
+async function unlinkAccount(customerId, userId) {
+  const result = await db.query(
+    `UPDATE users SET customer_id = NULL, updated_at = NOW()
+     WHERE id = $1 AND customer_id = $2
+     RETURNING id`,
+    [userId, customerId]
+  );
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Portal login not found for this client');
+  }
+}
+
+module.exports = {
+  INVITE_DAYS,
+  listInvitations,
+  listAccounts,
+  invite,
+  revokeInvitation,
+  findInvitation,
+  accept,
+  unlinkAccount
+};
@@ -0,0 +1,263 @@
+/**
+ * Portal Service
+ * What a client sees in the portal. Every query is scoped to the client
+ * (customers row) the signed-in login is linked to: their matters,
+ * upcoming appointments, documents staff have shared with them, issued
+ * invoices and secure messages with the firm.
+ *
+ * Secure messages are customer_communications rows of type
+ * 'portal_message': inbound from the client, outbound from staff.
+ */
+
+const db = require('../database/db');
+const invoiceService = require('../../billing/services/invoiceService');
+const { httpError, escapeHtml, emailService } = require('../../shared/utils');
+
+const MESSAGE_TYPE = 'portal_message';
+const MAX_MESSAGE_LENGTH = 10000;
+
+// Drafts and void invoices stay internal
+const VISIBLE_INVOICE_STATUSES = ['approved', 'partially_paid', 'paid'];
+
+// Internal invoice fields left out of the client's copy
+const INTERNAL_INVOICE_FIELDS = [
+  'approved_by', 'approved_by_name', 'created_by', 'voided_by', 'voided_at', 'void_reason',
+  'stripe_payment_intent_id'
+];
+
+/**
+ * The client a login is linked to, or null
+ */
+async function clientForUser(userId) {
+  const result = await db.query(
+    `SELECT c.id, c.email, c.full_name, c.phone, c.address, c.city, c.state, c.zip_code, c.country
+     FROM users u
+     JOIN customers c ON c.id = u.customer_id
+     WHERE u.id = $1 AND c.active IS NOT false`,
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+async function listMatters(customerId) {
+  const result = await db.query(
+    `SELECT m.id, m.matter_number, m.title, m.description, m.practice_area, m.status,
+       m.opened_at, m.closed_at, a.full_name AS responsible_attorney_name,
+       a.email AS responsible_attorney_email
+     FROM matters m
+     LEFT JOIN users a ON a.id = m.responsible_attorney_id
+     WHERE m.customer_id = $1 AND m.status <> 'archived'
+     ORDER BY m.status = 'closed', m.opened_at DESC NULLS FIRST, m.created_at DESC`,
+    [customerId]
+  );
+  return result.rows;
+}
+
+/**
+ * Bookings from today on that staff linked to the client (directly or
+ * through one of their matters) or that the signed-in login made. The
+ * email and matter on a booking come from the public form, so they link
+ * nothing by themselves; staff notes stay out.
+ */
+async function listAppointments(customerId, userId) {
+  const result = await db.query(
+    `SELECT b.id, b.service_type, b.booking_date, b.start_time, b.end_time, b.status,
+       a.full_name AS attorney_name, r.name AS room_name, r.location AS room_location,
+       m.matter_number, m.title AS matter_title
+     FROM bookings b
+     LEFT JOIN users a ON a.id = b.attorney_id
+     LEFT JOIN conference_rooms r ON r.id = b.room_id
+     LEFT JOIN matters m ON m.id = b.matter_id AND m.customer_id = $1
+     WHERE (b.customer_id = $1 OR b.user_id = $2)
+       AND b.booking_date >= CURRENT_DATE
+       AND b.status NOT IN ('cancelled', 'no-show')
+     ORDER BY b.booking_date, b.start_time`,
+    [customerId, userId]
+  );
+  return result.rows;
+}
+
+const SHARED_DOCUMENT_CONDITION = 'd.customer_id = $1 AND d.portal_shared_at IS NOT NULL AND d.is_deleted = false';
+
+async function listDocuments(customerId, { matterId } = {}) {
+  const params = [customerId];
+  let matterClause = '';
+  if (matterId) {
+    params.push(matterId);
+    matterClause = 'AND d.matter_id = $2';
+  }
+
+  const result = await db.query(
+    `SELECT d.id, d.title, d.document_type, d.description, d.original_name, d.mime_type,
+       d.file_size, d.current_version, d.portal_shared_at AS shared_at, d.updated_at,
+       m.matter_number, m.title AS matter_title
+     FROM documents d
+     LEFT JOIN matters m ON m.id = d.matter_id
+     WHERE ${SHARED_DOCUMENT_CONDITION} ${matterClause}
+     ORDER BY d.portal_shared_at DESC`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * A shared document with its stored file name, for download
+ */
+async function getDocument(customerId, documentId) {
+  const result = await db.query(
+    `SELECT d.id, d.title, d.original_name, d.stored_name, d.mime_type
+     FROM documents d
+     WHERE ${SHARED_DOCUMENT_CONDITION} AND d.id = $2`,
+    [customerId, documentId]
+  );
+  return result.rows[0] || null;
+}
+
+async function listInvoices(customerId) {
+  const result = await db.query(
+    `SELECT i.id, i.invoice_number, i.status, i.issue_date, i.due_date, i.period_start, i.period_end,
+       i.total, i.amount_paid, i.total - i.amount_paid AS balance_due, i.paid_at, i.payment_token,
+       m.matter_number, m.title AS matter_title
+     FROM invoices i
+     JOIN matters m ON m.id = i.matter_id
+     WHERE i.customer_id = $1 AND i.status = ANY($2)
+     ORDER BY i.issue_date DESC NULLS LAST, i.id DESC`,
+    [customerId, VISIBLE_INVOICE_STATUSES]
+  );
+  return result.rows.map(({ payment_token, ...invoice }) => ({
+    ...invoice,
+    payment_url: invoice.status === 'paid' ? null : invoiceService.paymentUrl({ payment_token })
+  }));
+}
+
+/**
+ * An issued invoice with its lines and payments, without internal fields
+ */
+async function getInvoice(customerId, invoiceId) {
+  const invoice = await invoiceService.getInvoice(invoiceId);
+  if (!invoice || String(invoice.customer_id) !== String(customerId)
+    || !VISIBLE_INVOICE_STATUSES.includes(invoice.status)) {
+    return null;
+  }
+
+  const clientCopy = { ...invoice };
+  for (const field of INTERNAL_INVOICE_FIELDS) {
+    delete clientCopy[field];
+  }
+  return clientCopy;
+}
+
+// ---- Secure messages ----
+
+// Tell the client a message is waiting; the message itself stays in the portal
+async function notifyClient(customerId) {
+  const recipients = await db.query(
+    `SELECT email FROM users WHERE customer_id = $1 AND is_active IS NOT false
+     UNION
+     SELECT email FROM customers WHERE id = $1`,
+    [customerId]
+  );
+  if (recipients.rows.length === 0) return false;
+
+  const firm = process.env.FIRM_NAME || 'Sterling & Associates';
+  const url = `${process.env.FRONTEND_URL || ''}/portal/messages`;
+  const text = `You have a new secure message from ${firm}. For your security the message is not included in this email; sign in to the client portal to read it.`;
+
+  try {
+    return await emailService().sendEmailDirect({
+      from: process.env.EMAIL_FROM,
+      to: recipients.rows.map(row => row.email).join(', '),
+      subject: `New secure message from ${firm}`,
+      html: `<div style="font-family: Arial, sans-serif; max-width: 600px;">
+    <p>${escapeHtml(text)}</p>
+    <p><a href="${escapeHtml(url)}">Open the client portal</a></p>
+  </div>`,
+      text: `${text}\n\n${url}`
+    });
+  } catch (error) {
+    console.error(`[Portal] Message notice for client ${customerId} failed:`, error.message);
+    return false;
+  }
+}
+
+async function listMessages(customerId, { matterId } = {}) {
+  const params = [customerId, MESSAGE_TYPE];
+  let matterClause = '';
+  if (matterId) {
+    params.push(matterId);
+    matterClause = 'AND cc.matter_id = $3';
+  }
+
+  const result = await db.query(
+    `SELECT cc.id, cc.subject, cc.content, cc.direction, cc.created_at, cc.matter_id,
+       m.matter_number, m.title AS matter_title, u.full_name AS sender_name
+     FROM customer_communications cc
+     LEFT JOIN matters m ON m.id = cc.matter_id
+     LEFT JOIN users u ON u.id = (cc.metadata->>'senderId')::int
+     WHERE cc.customer_id = $1 AND cc.type = $2 ${matterClause}
+     ORDER BY cc.created_at DESC, cc.id DESC`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * Post a secure message. direction is 'inbound' for the client writing to
+ * the firm and 'outbound' for staff replying; a reply emails the client a
+ * notice without the message.
+ */
+async function postMessage(customerId, { subject, content, matterId, senderId, direction }) {
+  const body = typeof content === 'string' ? content.trim() : '';
+  if (!body) {
+    throw httpError(400, 'content is required');
+  }
+  if (body.length > MAX_MESSAGE_LENGTH) {
+    throw httpError(400, `content must be at most ${MAX_MESSAGE_LENGTH} characters`);
+  }
+
+  const customer = await db.query('SELECT id FROM customers WHERE id = $1', [customerId]);
+  if (customer.rows.length === 0) {
+    throw httpError(404, 'Client not found');
+  }
+  if (matterId) {
+    const matter = await db.query('SELECT id FROM matters WHERE id = $1 AND customer_id = $2', [matterId, customerId]);
+    if (matter.rows.length === 0) {
+      throw httpError(404, 'Matter not found');
+    }
+  }
+
+  const result = await db.query(
+    `INSERT INTO customer_communications (customer_id, type, subject, content, direction, status, matter_id, metadata)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING id, subject, content, direction, matter_id, created_at`,
+    [
+      customerId,
+      MESSAGE_TYPE,
+      typeof subject === 'string' && subject.trim() ? subject.trim().slice(0, 255) : null,
+      body,
+      direction,
+      direction === 'inbound' ? 'received' : 'sent',
+      matterId || null,
+      JSON.stringify({ senderId })
+    ]
+  );
+  const message = result.rows[0];
+
+  if (direction === 'outbound') {
+    message.emailed = Boolean(await notifyClient(customerId));
+  }
+  return message;
+}
+
+module.exports = {
+  MESSAGE_TYPE,
+  clientForUser,
+  listMatters,
+  listAppointments,
+  listDocuments,
+  getDocument,
+  listInvoices,
+  getInvoice,
+  listMessages,
+  postMessage
+};
@@ -0,0 +1,35 @@
+/**
+ * Shared Utilities
+ * Helpers the modules' services have in common: errors carrying the HTTP
+ * status their routes send, HTML escaping for email bodies, and the
+ * notifications email service.
+ */
+
+const EmailNotificationService = require('../notifications/services/email');
+
+/**
+ * An Error with the HTTP status routes should answer with; `extra` is
+ * copied onto it (e.g. { details } or { passcodeRequired: true })
+ */
+function httpError(status, message, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+let mailer = null;
+
+// One notifications email service per process, created on first use
+function emailService() {
+  if (!mailer) mailer = new EmailNotificationService();
+  return mailer;
+}
+
+module.exports = { httpError, escapeHtml, emailService };
@@ -20,9 +20,18 @@ const app = express();
 app.use(helmet({ contentSecurityPolicy: false }));
 app.use(cors({ origin: true, credentials: true }));
 app.use(morgan('dev'));
-app.use(express.json({ limit: '50mb' }));
+// Keep the raw body for webhook signature checks (Stripe)
+app.use(express.json({
+  limit: '50mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
+// Shared pool for routes that read req.app.locals.pool (admin-api)
+app.locals.pool = require('./modules/admin-api/database/db').pool;
+
 // ============================================
 // MODULE ROUTES (Auto-Wired)
 // ============================================
@@ -31,18 +40,32 @@ const authRoutes = require('./modules/auth/routes/auth.js');
 const admin_dashboardRoutes = require('./modules/admin-dashboard/routes/admin.js');
 const analyticsRoutes = require('./modules/analytics/routes/metrics.js');
 const admin_apiRoutes = require('./modules/admin-api/routes/analytics.js');
+const admin_crmRoutes = require('./modules/admin-api/index.js');
 const bookingRoutes = require('./modules/booking/routes/booking.js');
 const documentsRoutes = require('./modules/documents/routes/documents.js');
 const notificationsRoutes = require('./modules/notifications/routes/notifications.js');
+const mattersRoutes = require('./modules/matters/routes/matters.js');
+const intakeRoutes = require('./modules/intake/routes/intake.js');
+const billingRoutes = require('./modules/billing/routes/billing.js');
+const calendarRoutes = require('./modules/calendar/routes/calendar.js');
+const portalRoutes = require('./modules/portal/routes/portal.js');
 
 // Register routes
 app.use('/api/auth', authRoutes);
 app.use('/api/admin', admin_dashboardRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/admin', admin_apiRoutes);
+// CRM, orders, inventory and staging, behind admin access; mounted after the
+// analytics routes so their existing URLs (public POST /track) are unchanged
+app.use('/api/admin', admin_crmRoutes);
 app.use('/api/booking', bookingRoutes);
 app.use('/api/documents', documentsRoutes);
 app.use('/api/notifications', notificationsRoutes);
+app.use('/api/matters', mattersRoutes);
+app.use('/api/intake', intakeRoutes);
+app.use('/api/billing', billingRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/portal', portalRoutes);
 
 // ============================================
 // BRAIN & HEALTH ROUTES (Admin System)
@@ -60,7 +83,7 @@ app.get('/health', (req, res) => {
     status: 'ok',
     project: 'Sterling---Associates-Law',
     timestamp: new Date().toISOString(),
-    modules: 7
+    modules: 12
   });
 });
 
@@ -92,7 +115,7 @@ app.listen(PORT, () => {
   console.log('   Health: http://localhost:' + PORT + '/health');
   console.log('   API:    http://localhost:' + PORT + '/api');
   console.log('');
-  console.log('📦 Loaded modules (7):');
+  console.log('📦 Loaded modules (12):');
   console.log('   ✅ auth');
   console.log('   ✅ admin-dashboard');
   console.log('   ✅ analytics');
@@ -100,6 +123,11 @@ app.listen(PORT, () => {
   console.log('   ✅ booking');
   console.log('   ✅ documents');
   console.log('   ✅ notifications');
+  console.log('   ✅ matters');
+  console.log('   ✅ intake');
+  console.log('   ✅ billing');
+  console.log('   ✅ calendar');
+  console.log('   ✅ portal');
 });
 
 module.exports = app;
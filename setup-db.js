@@ -14,7 +14,36 @@ const pool = new Pool({
   ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
 });
 
+const { ROLES, PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } = require('./modules/auth/services/permissions');
+
 const tables = {
+  // Firm roles; users hold one (auth module)
+  roles: `
+    CREATE TABLE IF NOT EXISTS roles (
+      name VARCHAR(30) PRIMARY KEY,
+      description VARCHAR(255),
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Everything a route can require, as area:action (auth module)
+  permissions: `
+    CREATE TABLE IF NOT EXISTS permissions (
+      key VARCHAR(100) PRIMARY KEY,
+      description VARCHAR(255),
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Permissions granted to each role (auth module)
+  role_permissions: `
+    CREATE TABLE IF NOT EXISTS role_permissions (
+      role VARCHAR(30) NOT NULL REFERENCES roles(name) ON DELETE CASCADE,
+      permission VARCHAR(100) NOT NULL REFERENCES permissions(key) ON DELETE CASCADE,
+      PRIMARY KEY (role, permission)
+    )
+  `,
+
   // Users table (auth module)
   users: `
     CREATE TABLE IF NOT EXISTS users (
@@ -25,6 +54,8 @@ const tables = {
       phone VARCHAR(50),
       subscription_tier VARCHAR(50) DEFAULT 'free',
       is_admin BOOLEAN DEFAULT false,
+      role VARCHAR(30) DEFAULT 'client' REFERENCES roles(name),
+      is_active BOOLEAN DEFAULT true,
       scans_used INTEGER DEFAULT 0,
       referred_by VARCHAR(50),
       referral_code_id INTEGER,
@@ -35,7 +66,63 @@ const tables = {
       updated_at TIMESTAMP DEFAULT NOW()
     )
   `,
+
+  // Sign-in sessions with hashed rotating refresh tokens (auth module)
+  user_sessions: `
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+      previous_token_hash VARCHAR(64),
+      device VARCHAR(100),
+      user_agent VARCHAR(500),
+      ip_address VARCHAR(64),
+      created_at TIMESTAMP DEFAULT NOW(),
+      last_used_at TIMESTAMP DEFAULT NOW(),
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP,
+      revoked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      revoked_reason VARCHAR(50)
+    )
+  `,
+
+  // One-time 2FA recovery codes, stored hashed (auth module)
+  two_factor_recovery_codes: `
+    CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      code_hash VARCHAR(64) NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Security-relevant actions: 2FA resets, role requirements, broken check-outs (auth module)
+  auth_audit_log: `
+    CREATE TABLE IF NOT EXISTS auth_audit_log (
+      id SERIAL PRIMARY KEY,
+      actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      action VARCHAR(60) NOT NULL,
+      details JSONB DEFAULT '{}',
+      ip_address VARCHAR(64),
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
   
+  // Meeting rooms that bookings can reserve (booking module)
+  conference_rooms: `
+    CREATE TABLE IF NOT EXISTS conference_rooms (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) UNIQUE NOT NULL,
+      capacity INTEGER,
+      location VARCHAR(255),
+      active BOOLEAN DEFAULT true,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
   // Bookings table (booking module)
   bookings: `
     CREATE TABLE IF NOT EXISTS bookings (
@@ -51,6 +138,8 @@ const tables = {
       party_size INTEGER DEFAULT 1,
       notes TEXT,
       status VARCHAR(50) DEFAULT 'pending',
+      attorney_id INTEGER REFERENCES users(id),
+      room_id INTEGER REFERENCES conference_rooms(id),
       cancellation_reason TEXT,
       cancelled_at TIMESTAMP,
       created_at TIMESTAMP DEFAULT NOW(),
@@ -58,6 +147,48 @@ const tables = {
     )
   `,
   
+  // Attorney weekly working hours (booking module)
+  attorney_schedules: `
+    CREATE TABLE IF NOT EXISTS attorney_schedules (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      day_of_week INTEGER NOT NULL CHECK (day_of_week >= 0 AND day_of_week <= 6),
+      start_time TIME NOT NULL,
+      end_time TIME NOT NULL,
+      lunch_start TIME,
+      lunch_end TIME,
+      buffer_minutes INTEGER DEFAULT 0,
+      active BOOLEAN DEFAULT true,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (user_id, day_of_week)
+    )
+  `,
+
+  // Attorney time off - NULL times mean the whole day (booking module)
+  attorney_time_off: `
+    CREATE TABLE IF NOT EXISTS attorney_time_off (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      start_time TIME,
+      end_time TIME,
+      reason VARCHAR(255),
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Firm-wide closures (booking module)
+  firm_holidays: `
+    CREATE TABLE IF NOT EXISTS firm_holidays (
+      id SERIAL PRIMARY KEY,
+      holiday_date DATE UNIQUE NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+  
   // Contact submissions
   contact_submissions: `
     CREATE TABLE IF NOT EXISTS contact_submissions (
@@ -91,6 +222,7 @@ const tables = {
     CREATE TABLE IF NOT EXISTS services (
       id SERIAL PRIMARY KEY,
       name VARCHAR(255) NOT NULL,
+      slug VARCHAR(100) UNIQUE,
       description TEXT,
       price DECIMAL(10, 2),
       duration_minutes INTEGER,
@@ -151,6 +283,769 @@ const tables = {
     )
   `,
 
+  // Legal matters (matters module)
+  matters: `
+    CREATE TABLE IF NOT EXISTS matters (
+      id SERIAL PRIMARY KEY,
+      matter_number VARCHAR(50) UNIQUE NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      description TEXT,
+      practice_area VARCHAR(100),
+      customer_id INTEGER REFERENCES customers(id),
+      responsible_attorney_id INTEGER REFERENCES users(id),
+      originating_attorney_id INTEGER REFERENCES users(id),
+      status VARCHAR(20) DEFAULT 'intake' CHECK (status IN ('intake', 'open', 'closed', 'archived')),
+      opened_at TIMESTAMP,
+      closed_at TIMESTAMP,
+      archived_at TIMESTAMP,
+      created_by INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Parties on a matter - clients, opposing parties, counsel (matters module)
+  matter_parties: `
+    CREATE TABLE IF NOT EXISTS matter_parties (
+      id SERIAL PRIMARY KEY,
+      matter_id INTEGER REFERENCES matters(id) ON DELETE CASCADE,
+      name VARCHAR(255) NOT NULL,
+      party_type VARCHAR(50) NOT NULL DEFAULT 'opposing',
+      organization VARCHAR(255),
+      email VARCHAR(255),
+      phone VARCHAR(50),
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Matter status changes (matters module)
+  matter_status_history: `
+    CREATE TABLE IF NOT EXISTS matter_status_history (
+      id SERIAL PRIMARY KEY,
+      matter_id INTEGER REFERENCES matters(id) ON DELETE CASCADE,
+      from_status VARCHAR(20),
+      to_status VARCHAR(20) NOT NULL,
+      changed_by INTEGER REFERENCES users(id),
+      reason TEXT,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Conflict-of-interest checks (matters module)
+  conflict_checks: `
+    CREATE TABLE IF NOT EXISTS conflict_checks (
+      id SERIAL PRIMARY KEY,
+      subject_name VARCHAR(255) NOT NULL,
+      search_terms JSONB DEFAULT '{}',
+      source VARCHAR(50) DEFAULT 'manual',
+      source_id INTEGER,
+      matter_id INTEGER REFERENCES matters(id),
+      status VARCHAR(20) DEFAULT 'pending',
+      hit_count INTEGER DEFAULT 0,
+      requested_by INTEGER REFERENCES users(id),
+      resolved_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Individual conflict matches and who cleared or waived them (matters module)
+  conflict_check_hits: `
+    CREATE TABLE IF NOT EXISTS conflict_check_hits (
+      id SERIAL PRIMARY KEY,
+      check_id INTEGER REFERENCES conflict_checks(id) ON DELETE CASCADE,
+      entity_type VARCHAR(50) NOT NULL,
+      entity_id INTEGER NOT NULL,
+      matter_id INTEGER REFERENCES matters(id),
+      searched_name VARCHAR(255),
+      matched_name VARCHAR(255),
+      matched_field VARCHAR(50),
+      score DECIMAL(4, 3),
+      grade VARCHAR(20),
+      reason TEXT,
+      resolution VARCHAR(20) DEFAULT 'pending',
+      resolution_notes TEXT,
+      resolved_by INTEGER REFERENCES users(id),
+      resolved_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Ethical walls around one matter or one client (matters module)
+  ethical_walls: `
+    CREATE TABLE IF NOT EXISTS ethical_walls (
+      id SERIAL PRIMARY KEY,
+      matter_id INTEGER REFERENCES matters(id) ON DELETE CASCADE,
+      customer_id INTEGER REFERENCES customers(id) ON DELETE CASCADE,
+      reason TEXT NOT NULL,
+      created_by INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW(),
+      lifted_at TIMESTAMP,
+      lifted_by INTEGER REFERENCES users(id),
+      lift_reason TEXT,
+      CHECK (num_nonnulls(matter_id, customer_id) = 1)
+    )
+  `,
+
+  // Users screened by each ethical wall (matters module)
+  ethical_wall_members: `
+    CREATE TABLE IF NOT EXISTS ethical_wall_members (
+      wall_id INTEGER NOT NULL REFERENCES ethical_walls(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      added_by INTEGER REFERENCES users(id),
+      added_at TIMESTAMP DEFAULT NOW(),
+      PRIMARY KEY (wall_id, user_id)
+    )
+  `,
+
+  // Refused attempts by screened users to open walled records (matters module)
+  ethical_wall_access_attempts: `
+    CREATE TABLE IF NOT EXISTS ethical_wall_access_attempts (
+      id SERIAL PRIMARY KEY,
+      wall_id INTEGER NOT NULL REFERENCES ethical_walls(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      resource_type VARCHAR(30) NOT NULL,
+      resource_id VARCHAR(50),
+      method VARCHAR(10),
+      path VARCHAR(500),
+      ip_address VARCHAR(64),
+      user_agent VARCHAR(500),
+      alerted BOOLEAN DEFAULT false,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Practice-area intake questionnaires (intake module)
+  intake_forms: `
+    CREATE TABLE IF NOT EXISTS intake_forms (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      slug VARCHAR(100) UNIQUE NOT NULL,
+      practice_area VARCHAR(100) NOT NULL,
+      description TEXT,
+      questions JSONB NOT NULL DEFAULT '[]',
+      version INTEGER DEFAULT 1,
+      is_active BOOLEAN DEFAULT true,
+      created_by INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Answers to an intake form, as structured JSON (intake module)
+  intake_submissions: `
+    CREATE TABLE IF NOT EXISTS intake_submissions (
+      id SERIAL PRIMARY KEY,
+      form_id INTEGER REFERENCES intake_forms(id),
+      form_version INTEGER,
+      questions JSONB NOT NULL DEFAULT '[]',
+      answers JSONB NOT NULL DEFAULT '{}',
+      contact_name VARCHAR(255) NOT NULL,
+      contact_email VARCHAR(255) NOT NULL,
+      contact_phone VARCHAR(50),
+      booking_id INTEGER REFERENCES bookings(id),
+      customer_id INTEGER REFERENCES customers(id),
+      matter_id INTEGER REFERENCES matters(id),
+      conflict_check_id INTEGER REFERENCES conflict_checks(id),
+      status VARCHAR(20) DEFAULT 'new',
+      staff_notes TEXT,
+      converted_by INTEGER REFERENCES users(id),
+      converted_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Triggering events (service, hearing, judgment) that start court deadlines (matters module)
+  deadline_triggers: `
+    CREATE TABLE IF NOT EXISTS deadline_triggers (
+      id SERIAL PRIMARY KEY,
+      matter_id INTEGER NOT NULL REFERENCES matters(id),
+      rule_set VARCHAR(50) NOT NULL,
+      trigger_code VARCHAR(50) NOT NULL,
+      trigger_date DATE NOT NULL,
+      description TEXT,
+      assigned_to INTEGER REFERENCES users(id),
+      created_by INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Firm calendar; events without a start time are all-day (calendar module)
+  calendar_events: `
+    CREATE TABLE IF NOT EXISTS calendar_events (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id),
+      matter_id INTEGER REFERENCES matters(id),
+      title VARCHAR(255) NOT NULL,
+      description TEXT,
+      location VARCHAR(255),
+      event_type VARCHAR(20) DEFAULT 'other',
+      event_date DATE NOT NULL,
+      start_time TIME,
+      end_time TIME,
+      status VARCHAR(20) DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'completed', 'cancelled')),
+      source VARCHAR(20) DEFAULT 'manual',
+      deadline_trigger_id INTEGER REFERENCES deadline_triggers(id) ON DELETE CASCADE,
+      rule_code VARCHAR(50),
+      citation VARCHAR(255),
+      external_uid VARCHAR(255),
+      created_by INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Court closures on top of the built-in holiday calendars (matters module)
+  court_holidays: `
+    CREATE TABLE IF NOT EXISTS court_holidays (
+      id SERIAL PRIMARY KEY,
+      jurisdiction VARCHAR(20) NOT NULL,
+      holiday_date DATE NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      created_by INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (jurisdiction, holiday_date)
+    )
+  `,
+
+  // DOCX/HTML templates with merge fields; files live under uploads/templates (documents module)
+  document_templates: `
+    CREATE TABLE IF NOT EXISTS document_templates (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      description TEXT,
+      format VARCHAR(10) NOT NULL CHECK (format IN ('docx', 'html')),
+      document_type VARCHAR(30) NOT NULL DEFAULT 'other'
+        CHECK (document_type IN ('pleading', 'contract', 'correspondence', 'evidence', 'other')),
+      original_name VARCHAR(255) NOT NULL,
+      stored_name VARCHAR(255) NOT NULL,
+      file_size BIGINT,
+      fields JSONB NOT NULL DEFAULT '{}',
+      is_active BOOLEAN DEFAULT true,
+      created_by INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // How long documents are kept, by document type and matter status; NULL years is permanent (documents module)
+  retention_policies: `
+    CREATE TABLE IF NOT EXISTS retention_policies (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      description TEXT,
+      document_type VARCHAR(30)
+        CHECK (document_type IN ('pleading', 'contract', 'correspondence', 'evidence', 'other')),
+      matter_status VARCHAR(20) CHECK (matter_status IN ('intake', 'open', 'closed', 'archived')),
+      retention_years INTEGER CHECK (retention_years BETWEEN 1 AND 100),
+      is_active BOOLEAN DEFAULT true,
+      created_by INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Legal holds on a matter or a custodian; they block deletion until released (documents module)
+  legal_holds: `
+    CREATE TABLE IF NOT EXISTS legal_holds (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      reason TEXT,
+      matter_id INTEGER REFERENCES matters(id),
+      custodian_user_id INTEGER REFERENCES users(id),
+      custodian_name VARCHAR(255),
+      issued_by INTEGER REFERENCES users(id),
+      issued_at TIMESTAMP DEFAULT NOW(),
+      released_at TIMESTAMP,
+      released_by INTEGER REFERENCES users(id),
+      release_reason TEXT,
+      CHECK (num_nonnulls(matter_id, custodian_user_id, custodian_name) = 1)
+    )
+  `,
+
+  // Each run of the retention purge, scheduled or manual (documents module)
+  retention_purge_runs: `
+    CREATE TABLE IF NOT EXISTS retention_purge_runs (
+      id SERIAL PRIMARY KEY,
+      trigger VARCHAR(10) NOT NULL CHECK (trigger IN ('schedule', 'manual')),
+      triggered_by INTEGER REFERENCES users(id),
+      status VARCHAR(10) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+      documents_destroyed INTEGER NOT NULL DEFAULT 0,
+      bytes_destroyed BIGINT NOT NULL DEFAULT 0,
+      error TEXT,
+      started_at TIMESTAMP DEFAULT NOW(),
+      completed_at TIMESTAMP
+    )
+  `,
+
+  // Client and matter documents; files live under uploads/documents (documents module)
+  documents: `
+    CREATE TABLE IF NOT EXISTS documents (
+      id SERIAL PRIMARY KEY,
+      customer_id INTEGER REFERENCES customers(id),
+      matter_id INTEGER REFERENCES matters(id),
+      title VARCHAR(255) NOT NULL,
+      document_type VARCHAR(30) NOT NULL DEFAULT 'other'
+        CHECK (document_type IN ('pleading', 'contract', 'correspondence', 'evidence', 'other')),
+      author VARCHAR(255),
+      is_privileged BOOLEAN DEFAULT false,
+      confidentiality VARCHAR(30) NOT NULL DEFAULT 'standard'
+        CHECK (confidentiality IN ('standard', 'confidential', 'highly_confidential', 'attorneys_eyes_only')),
+      description TEXT,
+      tags TEXT[] DEFAULT '{}',
+      original_name VARCHAR(255) NOT NULL,
+      stored_name VARCHAR(255) NOT NULL,
+      mime_type VARCHAR(255),
+      file_size BIGINT,
+      uploaded_by INTEGER REFERENCES users(id),
+      current_version INTEGER NOT NULL DEFAULT 1,
+      checked_out_by INTEGER REFERENCES users(id),
+      checked_out_at TIMESTAMP,
+      ocr_status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (ocr_status IN ('pending', 'processing', 'complete', 'failed', 'not_applicable')),
+      ocr_error TEXT,
+      ocr_started_at TIMESTAMP,
+      ocr_completed_at TIMESTAMP,
+      page_count INTEGER,
+      category VARCHAR(30),
+      suggested_category VARCHAR(30),
+      category_confidence DECIMAL(3, 2),
+      category_source VARCHAR(10) CHECK (category_source IN ('rules', 'manual')),
+      classified_at TIMESTAMP,
+      template_id INTEGER REFERENCES document_templates(id),
+      destroyed_at TIMESTAMP,
+      destruction_run_id INTEGER REFERENCES retention_purge_runs(id),
+      portal_shared_at TIMESTAMP,
+      portal_shared_by INTEGER REFERENCES users(id),
+      is_deleted BOOLEAN DEFAULT false,
+      deleted_at TIMESTAMP,
+      deleted_by INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      CHECK (customer_id IS NOT NULL OR matter_id IS NOT NULL)
+    )
+  `,
+
+  // Every file uploaded for a document, numbered per document (documents module)
+  document_versions: `
+    CREATE TABLE IF NOT EXISTS document_versions (
+      id SERIAL PRIMARY KEY,
+      document_id INTEGER NOT NULL REFERENCES documents(id),
+      version_number INTEGER NOT NULL,
+      original_name VARCHAR(255) NOT NULL,
+      stored_name VARCHAR(255) NOT NULL,
+      mime_type VARCHAR(255),
+      file_size BIGINT,
+      checksum VARCHAR(64),
+      comment TEXT NOT NULL,
+      restored_from_version INTEGER,
+      created_by INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (document_id, version_number)
+    )
+  `,
+
+  // Text extracted from each page of a document version (documents module)
+  document_pages: `
+    CREATE TABLE IF NOT EXISTS document_pages (
+      id SERIAL PRIMARY KEY,
+      document_id INTEGER NOT NULL REFERENCES documents(id),
+      version_number INTEGER NOT NULL,
+      page_number INTEGER NOT NULL,
+      text TEXT NOT NULL DEFAULT '',
+      method VARCHAR(20) NOT NULL CHECK (method IN ('text_layer', 'ocr', 'plain_text')),
+      confidence DECIMAL(5, 2),
+      search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', text)) STORED,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (document_id, version_number, page_number)
+    )
+  `,
+
+  // Fields extracted from a document, with staff edits (documents module)
+  document_fields: `
+    CREATE TABLE IF NOT EXISTS document_fields (
+      id SERIAL PRIMARY KEY,
+      document_id INTEGER NOT NULL REFERENCES documents(id),
+      field_name VARCHAR(50) NOT NULL,
+      value JSONB,
+      extracted_value JSONB,
+      page_number INTEGER,
+      source VARCHAR(10) NOT NULL DEFAULT 'rules' CHECK (source IN ('rules', 'manual')),
+      updated_by INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (document_id, field_name)
+    )
+  `,
+
+  // Staff corrections of extracted fields and categories (documents module)
+  document_field_corrections: `
+    CREATE TABLE IF NOT EXISTS document_field_corrections (
+      id SERIAL PRIMARY KEY,
+      document_id INTEGER NOT NULL REFERENCES documents(id),
+      version_number INTEGER,
+      field_name VARCHAR(50) NOT NULL,
+      extracted_value JSONB,
+      corrected_value JSONB NOT NULL,
+      corrected_by INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Expiring public links to documents; only the token's hash is kept (documents module)
+  document_shares: `
+    CREATE TABLE IF NOT EXISTS document_shares (
+      id SERIAL PRIMARY KEY,
+      document_id INTEGER NOT NULL REFERENCES documents(id),
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      passcode_hash VARCHAR(255),
+      expires_at TIMESTAMP NOT NULL,
+      max_downloads INTEGER CHECK (max_downloads > 0),
+      download_count INTEGER NOT NULL DEFAULT 0,
+      recipient_email VARCHAR(255),
+      note TEXT,
+      created_by INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW(),
+      revoked_at TIMESTAMP,
+      revoked_by INTEGER REFERENCES users(id)
+    )
+  `,
+
+  // Every request made with a share link, including failed ones (documents module)
+  document_share_access: `
+    CREATE TABLE IF NOT EXISTS document_share_access (
+      id SERIAL PRIMARY KEY,
+      share_id INTEGER REFERENCES document_shares(id),
+      outcome VARCHAR(20) NOT NULL CHECK (outcome IN (
+        'viewed', 'downloaded', 'passcode_required', 'wrong_passcode', 'locked',
+        'expired', 'revoked', 'limit_reached', 'not_found'
+      )),
+      ip_address VARCHAR(64),
+      user_agent VARCHAR(500),
+      token_hash_prefix VARCHAR(12),
+      accessed_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Documents sent for electronic signature; the signed version is pinned (documents module)
+  signature_requests: `
+    CREATE TABLE IF NOT EXISTS signature_requests (
+      id SERIAL PRIMARY KEY,
+      document_id INTEGER NOT NULL REFERENCES documents(id),
+      version_number INTEGER NOT NULL,
+      original_name VARCHAR(255) NOT NULL,
+      stored_name VARCHAR(255) NOT NULL,
+      source_checksum VARCHAR(64),
+      customer_id INTEGER REFERENCES customers(id),
+      matter_id INTEGER REFERENCES matters(id),
+      booking_id INTEGER REFERENCES bookings(id),
+      title VARCHAR(255) NOT NULL,
+      message TEXT,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'completed', 'declined', 'voided')),
+      expires_at TIMESTAMP NOT NULL,
+      signed_document_id INTEGER REFERENCES documents(id),
+      created_by INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW(),
+      completed_at TIMESTAMP,
+      voided_at TIMESTAMP,
+      voided_by INTEGER REFERENCES users(id),
+      void_reason TEXT
+    )
+  `,
+
+  // People asked to sign, in signing order, with their consent and signature (documents module)
+  signature_signers: `
+    CREATE TABLE IF NOT EXISTS signature_signers (
+      id SERIAL PRIMARY KEY,
+      request_id INTEGER NOT NULL REFERENCES signature_requests(id) ON DELETE CASCADE,
+      name VARCHAR(255) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      role VARCHAR(100),
+      signing_order INTEGER NOT NULL DEFAULT 1 CHECK (signing_order > 0),
+      status VARCHAR(20) NOT NULL DEFAULT 'waiting'
+        CHECK (status IN ('waiting', 'sent', 'viewed', 'signed', 'declined')),
+      token_hash VARCHAR(64) UNIQUE,
+      copy_expires_at TIMESTAMP,
+      placement JSONB,
+      notified_at TIMESTAMP,
+      viewed_at TIMESTAMP,
+      consented_at TIMESTAMP,
+      consent_ip VARCHAR(64),
+      signed_at TIMESTAMP,
+      sign_ip VARCHAR(64),
+      user_agent VARCHAR(500),
+      signature_method VARCHAR(10) CHECK (signature_method IN ('drawn', 'typed')),
+      typed_name VARCHAR(100),
+      signature_image BYTEA,
+      declined_at TIMESTAMP,
+      decline_reason TEXT,
+      UNIQUE (request_id, email)
+    )
+  `,
+
+  // Audit trail of a signature request, with IP addresses (documents module)
+  signature_events: `
+    CREATE TABLE IF NOT EXISTS signature_events (
+      id SERIAL PRIMARY KEY,
+      request_id INTEGER NOT NULL REFERENCES signature_requests(id) ON DELETE CASCADE,
+      signer_id INTEGER REFERENCES signature_signers(id),
+      event VARCHAR(20) NOT NULL CHECK (event IN (
+        'created', 'sent', 'email_failed', 'viewed', 'downloaded', 'consented',
+        'signed', 'declined', 'voided', 'completed', 'matter_updated', 'revoked'
+      )),
+      ip_address VARCHAR(64),
+      user_agent VARCHAR(500),
+      detail TEXT,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // What each purge run destroyed, kept after the files are gone (documents module)
+  retention_purge_items: `
+    CREATE TABLE IF NOT EXISTS retention_purge_items (
+      id SERIAL PRIMARY KEY,
+      run_id INTEGER NOT NULL REFERENCES retention_purge_runs(id),
+      document_id INTEGER NOT NULL REFERENCES documents(id),
+      title VARCHAR(255) NOT NULL,
+      document_type VARCHAR(30),
+      original_name VARCHAR(255),
+      customer_id INTEGER REFERENCES customers(id),
+      client_name VARCHAR(255),
+      matter_id INTEGER REFERENCES matters(id),
+      matter_number VARCHAR(50),
+      matter_status VARCHAR(20),
+      policy_id INTEGER REFERENCES retention_policies(id),
+      policy_name VARCHAR(255),
+      retention_years INTEGER,
+      retain_until TIMESTAMP,
+      uploaded_at TIMESTAMP,
+      versions INTEGER NOT NULL DEFAULT 0,
+      bytes BIGINT NOT NULL DEFAULT 0,
+      checksums TEXT[] DEFAULT '{}',
+      files_removed BOOLEAN NOT NULL DEFAULT false,
+      file_error TEXT,
+      destroyed_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Bates-numbered discovery productions; ZIPs live under uploads/productions (documents module)
+  production_sets: `
+    CREATE TABLE IF NOT EXISTS production_sets (
+      id SERIAL PRIMARY KEY,
+      matter_id INTEGER NOT NULL REFERENCES matters(id),
+      name VARCHAR(255) NOT NULL,
+      prefix VARCHAR(20) NOT NULL,
+      start_number INTEGER NOT NULL CHECK (start_number > 0),
+      end_number INTEGER,
+      digits INTEGER NOT NULL DEFAULT 6 CHECK (digits BETWEEN 4 AND 10),
+      volume VARCHAR(50) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'generating', 'complete', 'failed')),
+      error TEXT,
+      document_count INTEGER NOT NULL DEFAULT 0,
+      withheld_count INTEGER NOT NULL DEFAULT 0,
+      page_count INTEGER,
+      stored_name VARCHAR(255),
+      file_size BIGINT,
+      checksum VARCHAR(64),
+      created_by INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW(),
+      started_at TIMESTAMP,
+      completed_at TIMESTAMP
+    )
+  `,
+
+  // Documents in a production, in Bates order; withheld ones are on the privilege log (documents module)
+  production_documents: `
+    CREATE TABLE IF NOT EXISTS production_documents (
+      id SERIAL PRIMARY KEY,
+      set_id INTEGER NOT NULL REFERENCES production_sets(id) ON DELETE CASCADE,
+      document_id INTEGER NOT NULL REFERENCES documents(id),
+      position INTEGER NOT NULL,
+      withheld BOOLEAN NOT NULL DEFAULT false,
+      privilege_basis VARCHAR(100),
+      privilege_description TEXT,
+      produced_as VARCHAR(10) CHECK (produced_as IN ('pdf', 'native', 'withheld')),
+      version_number INTEGER,
+      begin_bates VARCHAR(40),
+      end_bates VARCHAR(40),
+      page_count INTEGER,
+      checksum VARCHAR(64),
+      UNIQUE (set_id, document_id)
+    )
+  `,
+
+  // Attorney time per matter, billed in tenths of an hour (billing module)
+  time_entries: `
+    CREATE TABLE IF NOT EXISTS time_entries (
+      id SERIAL PRIMARY KEY,
+      matter_id INTEGER NOT NULL REFERENCES matters(id),
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      entry_date DATE NOT NULL DEFAULT CURRENT_DATE,
+      description TEXT,
+      started_at TIMESTAMP,
+      stopped_at TIMESTAMP,
+      minutes INTEGER,
+      hours DECIMAL(6, 1),
+      rate DECIMAL(10, 2) DEFAULT 0,
+      amount DECIMAL(12, 2) DEFAULT 0,
+      is_billable BOOLEAN DEFAULT true,
+      task_code VARCHAR(10),
+      activity_code VARCHAR(10),
+      status VARCHAR(20) DEFAULT 'unbilled' CHECK (status IN ('running', 'unbilled', 'billed', 'written_off')),
+      created_by INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Disbursements recorded against a matter (billing module)
+  expenses: `
+    CREATE TABLE IF NOT EXISTS expenses (
+      id SERIAL PRIMARY KEY,
+      matter_id INTEGER NOT NULL REFERENCES matters(id),
+      user_id INTEGER REFERENCES users(id),
+      expense_date DATE NOT NULL DEFAULT CURRENT_DATE,
+      description TEXT NOT NULL,
+      expense_code VARCHAR(10),
+      quantity DECIMAL(10, 2) DEFAULT 1,
+      unit_cost DECIMAL(10, 2) NOT NULL,
+      amount DECIMAL(12, 2) NOT NULL,
+      is_billable BOOLEAN DEFAULT true,
+      receipt_url TEXT,
+      status VARCHAR(20) DEFAULT 'unbilled' CHECK (status IN ('unbilled', 'billed', 'written_off')),
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Invoices; drafts are pre-bills and get a number on approval (billing module)
+  invoices: `
+    CREATE TABLE IF NOT EXISTS invoices (
+      id SERIAL PRIMARY KEY,
+      invoice_number VARCHAR(50) UNIQUE,
+      matter_id INTEGER NOT NULL REFERENCES matters(id),
+      customer_id INTEGER REFERENCES customers(id),
+      status VARCHAR(20) DEFAULT 'draft' CHECK (status IN ('draft', 'approved', 'partially_paid', 'paid', 'void')),
+      period_start DATE,
+      period_end DATE,
+      issue_date DATE,
+      due_date DATE,
+      fees_total DECIMAL(12, 2) DEFAULT 0,
+      expenses_total DECIMAL(12, 2) DEFAULT 0,
+      adjustments_total DECIMAL(12, 2) DEFAULT 0,
+      total DECIMAL(12, 2) DEFAULT 0,
+      amount_paid DECIMAL(12, 2) DEFAULT 0,
+      notes TEXT,
+      payment_token VARCHAR(64) UNIQUE,
+      stripe_payment_intent_id VARCHAR(255),
+      approved_by INTEGER REFERENCES users(id),
+      approved_at TIMESTAMP,
+      paid_at TIMESTAMP,
+      void_reason TEXT,
+      voided_by INTEGER REFERENCES users(id),
+      voided_at TIMESTAMP,
+      created_by INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Invoice lines copied from time entries and expenses (billing module)
+  invoice_line_items: `
+    CREATE TABLE IF NOT EXISTS invoice_line_items (
+      id SERIAL PRIMARY KEY,
+      invoice_id INTEGER REFERENCES invoices(id) ON DELETE CASCADE,
+      line_type VARCHAR(20) NOT NULL CHECK (line_type IN ('fee', 'expense', 'adjustment')),
+      time_entry_id INTEGER REFERENCES time_entries(id),
+      expense_id INTEGER REFERENCES expenses(id),
+      user_id INTEGER REFERENCES users(id),
+      item_date DATE,
+      description TEXT,
+      task_code VARCHAR(10),
+      activity_code VARCHAR(10),
+      expense_code VARCHAR(10),
+      quantity DECIMAL(10, 2),
+      rate DECIMAL(10, 2),
+      amount DECIMAL(12, 2) NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Payments received against invoices (billing module)
+  invoice_payments: `
+    CREATE TABLE IF NOT EXISTS invoice_payments (
+      id SERIAL PRIMARY KEY,
+      invoice_id INTEGER REFERENCES invoices(id),
+      amount DECIMAL(12, 2) NOT NULL,
+      method VARCHAR(20) DEFAULT 'other',
+      reference VARCHAR(255),
+      stripe_payment_intent_id VARCHAR(255) UNIQUE,
+      received_by INTEGER REFERENCES users(id),
+      received_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // IOLTA / client trust bank accounts (billing module)
+  trust_accounts: `
+    CREATE TABLE IF NOT EXISTS trust_accounts (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      bank_name VARCHAR(255),
+      account_last4 VARCHAR(4),
+      is_active BOOLEAN DEFAULT true,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Three-way reconciliations of a trust account against a bank statement
+  trust_reconciliations: `
+    CREATE TABLE IF NOT EXISTS trust_reconciliations (
+      id SERIAL PRIMARY KEY,
+      trust_account_id INTEGER NOT NULL REFERENCES trust_accounts(id),
+      statement_date DATE NOT NULL,
+      statement_balance DECIMAL(12, 2) NOT NULL,
+      deposits_in_transit DECIMAL(12, 2) DEFAULT 0,
+      outstanding_disbursements DECIMAL(12, 2) DEFAULT 0,
+      adjusted_bank_balance DECIMAL(12, 2) NOT NULL,
+      ledger_balance DECIMAL(12, 2) NOT NULL,
+      client_ledgers_total DECIMAL(12, 2) NOT NULL,
+      is_balanced BOOLEAN DEFAULT false,
+      statement_file_name VARCHAR(255),
+      report JSONB DEFAULT '{}',
+      status VARCHAR(20) DEFAULT 'draft' CHECK (status IN ('draft', 'final')),
+      created_by INTEGER REFERENCES users(id),
+      finalized_by INTEGER REFERENCES users(id),
+      finalized_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
+  // Trust ledger; amounts are signed and each row belongs to one client sub-ledger
+  trust_transactions: `
+    CREATE TABLE IF NOT EXISTS trust_transactions (
+      id SERIAL PRIMARY KEY,
+      trust_account_id INTEGER NOT NULL REFERENCES trust_accounts(id),
+      customer_id INTEGER NOT NULL REFERENCES customers(id),
+      matter_id INTEGER REFERENCES matters(id),
+      invoice_id INTEGER REFERENCES invoices(id),
+      transaction_type VARCHAR(20) NOT NULL CHECK (transaction_type IN ('deposit', 'disbursement', 'transfer')),
+      amount DECIMAL(12, 2) NOT NULL,
+      transaction_date DATE NOT NULL DEFAULT CURRENT_DATE,
+      reference VARCHAR(255),
+      counterparty VARCHAR(255),
+      description TEXT,
+      cleared_at DATE,
+      reconciliation_id INTEGER REFERENCES trust_reconciliations(id),
+      created_by INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `,
+
   // Customer communications
   customer_communications: `
     CREATE TABLE IF NOT EXISTS customer_communications (
@@ -161,11 +1056,29 @@ const tables = {
       content TEXT,
       direction VARCHAR(20) DEFAULT 'outbound',
       status VARCHAR(50) DEFAULT 'sent',
+      matter_id INTEGER REFERENCES matters(id),
       metadata JSONB DEFAULT '{}',
       created_at TIMESTAMP DEFAULT NOW()
     )
   `,
 
+  // Emailed invitations to create a client-portal login (portal module)
+  portal_invitations: `
+    CREATE TABLE IF NOT EXISTS portal_invitations (
+      id SERIAL PRIMARY KEY,
+      customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+      email VARCHAR(255) NOT NULL,
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      accepted_at TIMESTAMP,
+      accepted_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      revoked_at TIMESTAMP,
+      revoked_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+    )
+  `,
+
   // Products/Inventory
   products: `
     CREATE TABLE IF NOT EXISTS products (
@@ -375,21 +1288,198 @@ async function setupDatabase() {
       }
     }
 
+    await seedRolesAndPermissions();
+
+    // Add columns and sequences introduced after tables were first created
+    console.log('\n🧩 Applying schema migrations...');
+
+    const migrations = [
+      // Roles and permissions; users from before roles are clients, and
+      // administrators keep full access through is_admin
+      'ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(30) REFERENCES roles(name)',
+      'ALTER TABLE users ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT true',
+      "UPDATE users SET role = 'client' WHERE role IS NULL AND is_admin = false",
+      "ALTER TABLE users ALTER COLUMN role SET DEFAULT 'client'",
+      // Booking availability
+      'ALTER TABLE bookings ADD COLUMN IF NOT EXISTS attorney_id INTEGER REFERENCES users(id)',
+      'ALTER TABLE services ADD COLUMN IF NOT EXISTS slug VARCHAR(100) UNIQUE',
+      'ALTER TABLE bookings ADD COLUMN IF NOT EXISTS room_id INTEGER REFERENCES conference_rooms(id)',
+      // Matters
+      'CREATE SEQUENCE IF NOT EXISTS matter_number_seq',
+      'ALTER TABLE bookings ADD COLUMN IF NOT EXISTS matter_id INTEGER REFERENCES matters(id)',
+      'ALTER TABLE customer_communications ADD COLUMN IF NOT EXISTS matter_id INTEGER REFERENCES matters(id)',
+      // Billing
+      'ALTER TABLE users ADD COLUMN IF NOT EXISTS hourly_rate DECIMAL(10, 2)',
+      'ALTER TABLE users ADD COLUMN IF NOT EXISTS timekeeper_classification VARCHAR(10)',
+      'CREATE SEQUENCE IF NOT EXISTS invoice_number_seq',
+      'ALTER TABLE time_entries ADD COLUMN IF NOT EXISTS invoice_id INTEGER REFERENCES invoices(id)',
+      'ALTER TABLE expenses ADD COLUMN IF NOT EXISTS invoice_id INTEGER REFERENCES invoices(id)',
+      // Calendar
+      'ALTER TABLE calendar_events ADD COLUMN IF NOT EXISTS external_uid VARCHAR(255)',
+      'ALTER TABLE users ADD COLUMN IF NOT EXISTS calendar_feed_token_hash VARCHAR(64) UNIQUE',
+      // Feed tokens used to be stored in plain text; hashing keeps existing
+      // subscription URLs working
+      `DO $$ BEGIN
+        IF EXISTS (SELECT 1 FROM information_schema.columns
+                   WHERE table_name = 'users' AND column_name = 'calendar_feed_token') THEN
+          UPDATE users SET calendar_feed_token_hash = encode(sha256(calendar_feed_token::bytea), 'hex')
+          WHERE calendar_feed_token IS NOT NULL AND calendar_feed_token_hash IS NULL;
+          ALTER TABLE users DROP COLUMN calendar_feed_token;
+        END IF;
+      END $$`,
+      // Documents
+      'ALTER TABLE documents ADD COLUMN IF NOT EXISTS current_version INTEGER NOT NULL DEFAULT 1',
+      'ALTER TABLE documents ADD COLUMN IF NOT EXISTS checked_out_by INTEGER REFERENCES users(id)',
+      'ALTER TABLE documents ADD COLUMN IF NOT EXISTS checked_out_at TIMESTAMP',
+      // Documents uploaded before versioning become version 1
+      `INSERT INTO document_versions (document_id, version_number, original_name, stored_name, mime_type, file_size, comment, created_by, created_at)
+       SELECT d.id, 1, d.original_name, d.stored_name, d.mime_type, d.file_size, 'Initial version', d.uploaded_by, d.created_at
+       FROM documents d
+       WHERE NOT EXISTS (SELECT 1 FROM document_versions v WHERE v.document_id = d.id)`,
+      // Existing documents join the OCR queue
+      `ALTER TABLE documents ADD COLUMN IF NOT EXISTS ocr_status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (ocr_status IN ('pending', 'processing', 'complete', 'failed', 'not_applicable'))`,
+      'ALTER TABLE documents ADD COLUMN IF NOT EXISTS ocr_error TEXT',
+      'ALTER TABLE documents ADD COLUMN IF NOT EXISTS ocr_started_at TIMESTAMP',
+      'ALTER TABLE documents ADD COLUMN IF NOT EXISTS ocr_completed_at TIMESTAMP',
+      'ALTER TABLE documents ADD COLUMN IF NOT EXISTS page_count INTEGER',
+      `ALTER TABLE document_pages ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+        GENERATED ALWAYS AS (to_tsvector('english', text)) STORED`,
+      'ALTER TABLE users ADD COLUMN IF NOT EXISTS privileged_access BOOLEAN DEFAULT false',
+      'ALTER TABLE documents ADD COLUMN IF NOT EXISTS category VARCHAR(30)',
+      'ALTER TABLE documents ADD COLUMN IF NOT EXISTS suggested_category VARCHAR(30)',
+      'ALTER TABLE documents ADD COLUMN IF NOT EXISTS category_confidence DECIMAL(3, 2)',
+      "ALTER TABLE documents ADD COLUMN IF NOT EXISTS category_source VARCHAR(10) CHECK (category_source IN ('rules', 'manual'))",
+      'ALTER TABLE documents ADD COLUMN IF NOT EXISTS classified_at TIMESTAMP',
+      'ALTER TABLE documents ADD COLUMN IF NOT EXISTS template_id INTEGER REFERENCES document_templates(id)',
+      'ALTER TABLE documents ADD COLUMN IF NOT EXISTS destroyed_at TIMESTAMP',
+      'ALTER TABLE documents ADD COLUMN IF NOT EXISTS destruction_run_id INTEGER REFERENCES retention_purge_runs(id)',
+      // Two-factor authentication; secrets are encrypted at rest
+      'ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_enabled BOOLEAN DEFAULT false',
+      'ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_secret TEXT',
+      'ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_pending_secret TEXT',
+      'ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_enabled_at TIMESTAMP',
+      'ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_last_step BIGINT',
+      'ALTER TABLE roles ADD COLUMN IF NOT EXISTS require_two_factor BOOLEAN DEFAULT false',
+      // Client portal: logins linked to their client, documents shown there
+      'ALTER TABLE users ADD COLUMN IF NOT EXISTS customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL',
+      'ALTER TABLE documents ADD COLUMN IF NOT EXISTS portal_shared_at TIMESTAMP',
+      'ALTER TABLE documents ADD COLUMN IF NOT EXISTS portal_shared_by INTEGER REFERENCES users(id)',
+      // The client staff linked a booking to; only these show in the portal
+      'ALTER TABLE bookings ADD COLUMN IF NOT EXISTS customer_id INTEGER REFERENCES customers(id)',
+      // Links to a signed copy expire and can be revoked
+      'ALTER TABLE signature_signers ADD COLUMN IF NOT EXISTS copy_expires_at TIMESTAMP',
+      'ALTER TABLE signature_events DROP CONSTRAINT IF EXISTS signature_events_event_check',
+      `ALTER TABLE signature_events ADD CONSTRAINT signature_events_event_check CHECK (event IN (
+        'created', 'sent', 'email_failed', 'viewed', 'downloaded', 'consented',
+        'signed', 'declined', 'voided', 'completed', 'matter_updated', 'revoked'
+      ))`,
+      // Attempts on unknown share tokens keep the start of the token's hash
+      'ALTER TABLE document_share_access ADD COLUMN IF NOT EXISTS token_hash_prefix VARCHAR(12)'
+    ];
+
+    for (const migration of migrations) {
+      try {
+        await pool.query(migration);
+      } catch (err) {
+        console.error('❌ Migration failed:', migration, '-', err.message);
+      }
+    }
+    console.log('✅ Schema up to date');
+
     // Create indexes for performance
     console.log('\n📊 Creating indexes...');
 
     const indexes = [
       // Core tables
       'CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)',
+      'CREATE INDEX IF NOT EXISTS idx_users_role ON users(role)',
+      'CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id) WHERE revoked_at IS NULL',
+      'CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_token ON user_sessions(previous_token_hash)',
+      'CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_codes_user ON two_factor_recovery_codes(user_id) WHERE used_at IS NULL',
+      'CREATE INDEX IF NOT EXISTS idx_auth_audit_log_user ON auth_audit_log(user_id, created_at DESC)',
       'CREATE INDEX IF NOT EXISTS idx_bookings_date ON bookings(booking_date)',
       'CREATE INDEX IF NOT EXISTS idx_bookings_user ON bookings(user_id)',
       'CREATE INDEX IF NOT EXISTS idx_bookings_status ON bookings(status)',
+      'CREATE INDEX IF NOT EXISTS idx_bookings_attorney_date ON bookings(attorney_id, booking_date)',
+      'CREATE INDEX IF NOT EXISTS idx_bookings_room_date ON bookings(room_id, booking_date)',
+      'CREATE INDEX IF NOT EXISTS idx_attorney_time_off_user ON attorney_time_off(user_id, start_date, end_date)',
       'CREATE INDEX IF NOT EXISTS idx_contact_status ON contact_submissions(status)',
       // Customers
       'CREATE INDEX IF NOT EXISTS idx_customers_email ON customers(email)',
       'CREATE INDEX IF NOT EXISTS idx_customers_type ON customers(customer_type)',
       'CREATE INDEX IF NOT EXISTS idx_customers_active ON customers(active)',
       'CREATE INDEX IF NOT EXISTS idx_customer_comms_customer ON customer_communications(customer_id)',
+      // Matters
+      'CREATE INDEX IF NOT EXISTS idx_matters_customer ON matters(customer_id)',
+      'CREATE INDEX IF NOT EXISTS idx_matters_status ON matters(status)',
+      'CREATE INDEX IF NOT EXISTS idx_matters_responsible ON matters(responsible_attorney_id)',
+      'CREATE INDEX IF NOT EXISTS idx_matter_parties_matter ON matter_parties(matter_id)',
+      'CREATE INDEX IF NOT EXISTS idx_matter_status_history_matter ON matter_status_history(matter_id)',
+      'CREATE INDEX IF NOT EXISTS idx_deadline_triggers_matter ON deadline_triggers(matter_id)',
+      'CREATE INDEX IF NOT EXISTS idx_calendar_events_user_date ON calendar_events(user_id, event_date)',
+      'CREATE INDEX IF NOT EXISTS idx_calendar_events_matter ON calendar_events(matter_id)',
+      'CREATE INDEX IF NOT EXISTS idx_calendar_events_trigger ON calendar_events(deadline_trigger_id)',
+      'CREATE INDEX IF NOT EXISTS idx_calendar_events_external_uid ON calendar_events(user_id, external_uid)',
+      'CREATE INDEX IF NOT EXISTS idx_documents_customer ON documents(customer_id) WHERE is_deleted = false',
+      'CREATE INDEX IF NOT EXISTS idx_documents_matter ON documents(matter_id) WHERE is_deleted = false',
+      'CREATE INDEX IF NOT EXISTS idx_documents_type ON documents(document_type)',
+      'CREATE INDEX IF NOT EXISTS idx_document_versions_document ON document_versions(document_id)',
+      "CREATE INDEX IF NOT EXISTS idx_documents_ocr_pending ON documents(id) WHERE ocr_status = 'pending'",
+      'CREATE INDEX IF NOT EXISTS idx_document_pages_search ON document_pages USING GIN (search_vector)',
+      'CREATE INDEX IF NOT EXISTS idx_documents_category ON documents(category) WHERE is_deleted = false',
+      'CREATE INDEX IF NOT EXISTS idx_document_field_corrections_field ON document_field_corrections(field_name)',
+      'CREATE INDEX IF NOT EXISTS idx_document_shares_document ON document_shares(document_id)',
+      'CREATE INDEX IF NOT EXISTS idx_document_share_access_share ON document_share_access(share_id, accessed_at)',
+      'CREATE INDEX IF NOT EXISTS idx_documents_template ON documents(template_id) WHERE template_id IS NOT NULL',
+      'CREATE INDEX IF NOT EXISTS idx_signature_requests_document ON signature_requests(document_id)',
+      'CREATE INDEX IF NOT EXISTS idx_signature_requests_matter ON signature_requests(matter_id)',
+      'CREATE INDEX IF NOT EXISTS idx_signature_signers_request ON signature_signers(request_id, signing_order)',
+      'CREATE INDEX IF NOT EXISTS idx_signature_events_request ON signature_events(request_id, created_at)',
+      // One active retention policy per document type and matter status
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_retention_policies_scope
+        ON retention_policies ((COALESCE(document_type, '')), (COALESCE(matter_status, ''))) WHERE is_active = true`,
+      'CREATE INDEX IF NOT EXISTS idx_legal_holds_matter ON legal_holds(matter_id) WHERE released_at IS NULL',
+      'CREATE INDEX IF NOT EXISTS idx_legal_holds_custodian ON legal_holds(custodian_user_id) WHERE released_at IS NULL',
+      'CREATE INDEX IF NOT EXISTS idx_documents_uploaded_by ON documents(uploaded_by)',
+      'CREATE INDEX IF NOT EXISTS idx_retention_purge_items_run ON retention_purge_items(run_id)',
+      'CREATE INDEX IF NOT EXISTS idx_production_sets_matter ON production_sets(matter_id, prefix)',
+      "CREATE INDEX IF NOT EXISTS idx_production_sets_pending ON production_sets(id) WHERE status = 'pending'",
+      'CREATE INDEX IF NOT EXISTS idx_production_documents_set ON production_documents(set_id, position)',
+      'CREATE INDEX IF NOT EXISTS idx_bookings_matter ON bookings(matter_id)',
+      'CREATE INDEX IF NOT EXISTS idx_bookings_customer ON bookings(customer_id)',
+      'CREATE INDEX IF NOT EXISTS idx_customer_comms_matter ON customer_communications(matter_id)',
+      // Client portal
+      'CREATE INDEX IF NOT EXISTS idx_users_customer ON users(customer_id) WHERE customer_id IS NOT NULL',
+      'CREATE INDEX IF NOT EXISTS idx_portal_invitations_customer ON portal_invitations(customer_id)',
+      'CREATE INDEX IF NOT EXISTS idx_documents_portal ON documents(customer_id) WHERE portal_shared_at IS NOT NULL AND is_deleted = false',
+      'CREATE INDEX IF NOT EXISTS idx_conflict_checks_status ON conflict_checks(status)',
+      'CREATE INDEX IF NOT EXISTS idx_conflict_checks_source ON conflict_checks(source, source_id)',
+      'CREATE INDEX IF NOT EXISTS idx_conflict_check_hits_check ON conflict_check_hits(check_id)',
+      'CREATE INDEX IF NOT EXISTS idx_ethical_walls_matter ON ethical_walls(matter_id) WHERE lifted_at IS NULL',
+      'CREATE INDEX IF NOT EXISTS idx_ethical_walls_customer ON ethical_walls(customer_id) WHERE lifted_at IS NULL',
+      'CREATE INDEX IF NOT EXISTS idx_ethical_wall_members_user ON ethical_wall_members(user_id)',
+      'CREATE INDEX IF NOT EXISTS idx_ethical_wall_attempts_wall ON ethical_wall_access_attempts(wall_id, user_id, created_at DESC)',
+      // Intake
+      'CREATE INDEX IF NOT EXISTS idx_intake_forms_practice_area ON intake_forms(practice_area)',
+      'CREATE INDEX IF NOT EXISTS idx_intake_submissions_form ON intake_submissions(form_id)',
+      'CREATE INDEX IF NOT EXISTS idx_intake_submissions_status ON intake_submissions(status)',
+      'CREATE INDEX IF NOT EXISTS idx_intake_submissions_booking ON intake_submissions(booking_id)',
+      // Billing
+      'CREATE INDEX IF NOT EXISTS idx_time_entries_matter_status ON time_entries(matter_id, status)',
+      'CREATE INDEX IF NOT EXISTS idx_time_entries_user_date ON time_entries(user_id, entry_date)',
+      "CREATE UNIQUE INDEX IF NOT EXISTS idx_time_entries_one_running ON time_entries(user_id) WHERE status = 'running'",
+      'CREATE INDEX IF NOT EXISTS idx_time_entries_invoice ON time_entries(invoice_id)',
+      'CREATE INDEX IF NOT EXISTS idx_expenses_matter_status ON expenses(matter_id, status)',
+      'CREATE INDEX IF NOT EXISTS idx_expenses_invoice ON expenses(invoice_id)',
+      'CREATE INDEX IF NOT EXISTS idx_invoices_matter ON invoices(matter_id)',
+      'CREATE INDEX IF NOT EXISTS idx_invoices_status ON invoices(status)',
+      'CREATE INDEX IF NOT EXISTS idx_invoice_lines_invoice ON invoice_line_items(invoice_id)',
+      'CREATE INDEX IF NOT EXISTS idx_invoice_payments_invoice ON invoice_payments(invoice_id)',
+      'CREATE INDEX IF NOT EXISTS idx_trust_transactions_client ON trust_transactions(trust_account_id, customer_id)',
+      'CREATE INDEX IF NOT EXISTS idx_trust_transactions_date ON trust_transactions(trust_account_id, transaction_date)',
+      'CREATE INDEX IF NOT EXISTS idx_trust_transactions_invoice ON trust_transactions(invoice_id)',
+      'CREATE INDEX IF NOT EXISTS idx_trust_reconciliations_account ON trust_reconciliations(trust_account_id, statement_date)',
       // Products/Inventory
       'CREATE INDEX IF NOT EXISTS idx_products_sku ON products(sku)',
       'CREATE INDEX IF NOT EXISTS idx_products_category ON products(category)',
@@ -449,6 +1539,49 @@ async function setupDatabase() {
   }
 }
 
+/**
+ * Seed roles and permissions from modules/auth/services/permissions.js.
+ * A role gets its default grants when it is first created, and existing
+ * roles get the defaults of permissions added since; grants changed
+ * through the access API are left alone.
+ */
+async function seedRolesAndPermissions() {
+  console.log('\n🔐 Seeding roles and permissions...');
+
+  try {
+    const existingRoles = new Set((await pool.query('SELECT name FROM roles')).rows.map(row => row.name));
+    const existingPermissions = new Set((await pool.query('SELECT key FROM permissions')).rows.map(row => row.key));
+
+    for (const [name, description] of Object.entries(ROLES)) {
+      await pool.query(
+        'INSERT INTO roles (name, description) VALUES ($1, $2) ON CONFLICT (name) DO UPDATE SET description = $2',
+        [name, description]
+      );
+    }
+    for (const [key, description] of Object.entries(PERMISSIONS)) {
+      await pool.query(
+        'INSERT INTO permissions (key, description) VALUES ($1, $2) ON CONFLICT (key) DO UPDATE SET description = $2',
+        [key, description]
+      );
+    }
+
+    for (const [role, permissions] of Object.entries(DEFAULT_ROLE_PERMISSIONS)) {
+      const grants = existingRoles.has(role)
+        ? permissions.filter(permission => !existingPermissions.has(permission))
+        : permissions;
+      for (const permission of grants) {
+        await pool.query(
+          'INSERT INTO role_permissions (role, permission) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+          [role, permission]
+        );
+      }
+    }
+    console.log(`✅ ${Object.keys(ROLES).length} roles, ${Object.keys(PERMISSIONS).length} permissions`);
+  } catch (err) {
+    console.error('❌ Could not seed roles and permissions:', err.message);
+  }
+}
+
 /**
  * Seed admin user from environment variables
  * Only creates if ADMIN_EMAIL and ADMIN_PASSWORD are set
@@ -487,8 +1620,8 @@ async function seedAdminUser() {
       const passwordHash = await bcrypt.hash(adminPassword, 10);
 
       await pool.query(
-        `INSERT INTO users (email, password_hash, full_name, is_admin, subscription_tier, created_at, updated_at)
-         VALUES ($1, $2, $3, true, 'admin', NOW(), NOW())`,
+        `INSERT INTO users (email, password_hash, full_name, is_admin, role, subscription_tier, created_at, updated_at)
+         VALUES ($1, $2, $3, true, 'partner', 'admin', NOW(), NOW())`,
         [adminEmail, passwordHash, 'Admin']
       );
       console.log(`✅ Admin user created: ${adminEmail}`);
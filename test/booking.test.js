@@ -0,0 +1,187 @@
+/**
+ * Bookings: a booking that overlaps another for the same attorney or room,
+ * or that no attorney can take, is refused with 409 and the nearest free
+ * slots. Only staff link a booking to a client.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockDb, signedIn, appWith, request } = require('./helpers');
+
+const bookingRoutes = require('../modules/booking/routes/booking');
+
+const app = appWith('/api/booking', bookingRoutes);
+const staff = signedIn({ id: 2, permissions: ['bookings:read', 'bookings:write'] });
+
+const DATE = '2026-11-02';
+
+// An attorney 5 booking from 10:30 to 11:30 on DATE
+const EXISTING = { id: 50, attorney_id: 5, room_id: null, service_type: 'consultation', start_time: '10:30:00', end_time: '11:30:00' };
+
+function mockBookings(extra = []) {
+  return mockDb([
+    ...staff.answers,
+    [/^SELECT id, attorney_id, room_id, service_type, start_time, end_time FROM bookings WHERE booking_date = \$1/, params =>
+      (params[0] === DATE ? [EXISTING].filter(booking => booking.id !== params[1]) : [])],
+    ...extra
+  ]);
+}
+
+function writes(queries) {
+  return queries.filter(query => /^(INSERT INTO bookings|UPDATE bookings)/.test(query.sql));
+}
+
+test('a new booking overlapping the attorney\'s booking gets 409', async () => {
+  const queries = mockBookings();
+
+  const response = await request(app, 'POST', '/api/booking', {
+    body: {
+      customerName: 'Dana Reyes',
+      customerEmail: 'dana@example.com',
+      bookingDate: DATE,
+      startTime: '10:00',
+      endTime: '11:00',
+      attorneyId: 5
+    }
+  });
+
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error, 'This time overlaps an existing booking');
+  assert.deepEqual(response.body.conflicts, [
+    { bookingId: 50, startTime: '10:30', endTime: '11:30', reason: 'attorney', attorneyId: 5 }
+  ]);
+  assert.ok(Array.isArray(response.body.alternatives));
+  assert.equal(writes(queries).length, 0);
+
+  const lock = queries.findIndex(query => query.sql.includes('pg_advisory_xact_lock'));
+  const overlapCheck = queries.findIndex(query => query.sql.includes('FROM bookings WHERE booking_date = $1'));
+  assert.ok(lock !== -1 && lock < overlapCheck, 'the day is locked before overlaps are read');
+  assert.ok(queries.some(query => query.sql === 'ROLLBACK'));
+});
+
+test('restoring a cancelled booking into a taken slot gets 409', async () => {
+  const cancelled = {
+    id: 51, status: 'cancelled', booking_day: DATE, start_time: '11:00:00', end_time: '12:00:00',
+    attorney_id: 5, room_id: null, service_type: 'consultation', matter_id: null, customer_email: null
+  };
+  const queries = mockBookings([
+    [/FROM bookings WHERE id = \$1 FOR UPDATE/, [cancelled]]
+  ]);
+
+  const response = await request(app, 'PATCH', '/api/booking/51/status', {
+    token: staff.token,
+    body: { status: 'confirmed' }
+  });
+
+  assert.equal(response.status, 409);
+  assert.equal(response.body.conflicts[0].bookingId, 50);
+  assert.equal(writes(queries).length, 0);
+
+  const overlapCheck = queries.find(query => query.sql.includes('FROM bookings WHERE booking_date = $1'));
+  assert.equal(overlapCheck.params[1], 51, 'the booking itself is not counted as an overlap');
+});
+
+test('restoring a cancelled booking into a free slot succeeds', async () => {
+  const cancelled = {
+    id: 52, status: 'cancelled', booking_day: DATE, start_time: '14:00:00', end_time: '15:00:00',
+    attorney_id: 5, room_id: null, service_type: 'consultation', matter_id: null, customer_email: null
+  };
+  const queries = mockBookings([
+    [/FROM bookings WHERE id = \$1 FOR UPDATE/, [cancelled]],
+    [/^UPDATE bookings SET status = \$1/, params => [{ ...cancelled, status: params[0] }]]
+  ]);
+
+  const response = await request(app, 'PATCH', '/api/booking/52/status', {
+    token: staff.token,
+    body: { status: 'confirmed' }
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.status, 'confirmed');
+  assert.equal(writes(queries).length, 1);
+  assert.equal(queries[queries.length - 1].sql, 'COMMIT');
+});
+
+test('a new booking no attorney can take gets 409 with the nearest free slots', async () => {
+  const queries = mockBookings([
+    [/FROM attorney_schedules/, [{ user_id: 5, full_name: 'Ana Ortiz', start_time: '09:00:00', end_time: '17:00:00', buffer_minutes: 0 }]]
+  ]);
+
+  const response = await request(app, 'POST', '/api/booking', {
+    body: {
+      customerName: 'Dana Reyes',
+      customerEmail: 'dana@example.com',
+      bookingDate: DATE,
+      startTime: '07:00',
+      endTime: '08:00'
+    }
+  });
+
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error, 'No attorney is available at this time');
+  assert.deepEqual(response.body.conflicts, []);
+  assert.equal(response.body.alternatives[0].time, '09:00');
+  assert.equal(writes(queries).length, 0);
+});
+
+test('a pool that cannot connect gets a 500 instead of an unhandled rejection', async () => {
+  mockBookings();
+  require('../modules/booking/database/db').pool.connect = async () => {
+    throw new Error('too many clients already');
+  };
+
+  const response = await request(app, 'POST', '/api/booking', {
+    body: { customerName: 'Dana Reyes', bookingDate: DATE, startTime: '14:00', attorneyId: 5 }
+  });
+
+  assert.equal(response.status, 500);
+  assert.equal(response.body.error, 'Failed to create booking');
+});
+
+function inserted(queries) {
+  const insert = queries.find(query => query.sql.startsWith('INSERT INTO bookings'));
+  const [userId, , customerEmail] = insert.params;
+  return { userId, customerEmail, matterId: insert.params[12], customerId: insert.params[14] };
+}
+
+test('a booking from the public form links no client, whatever its body says', async () => {
+  const queries = mockBookings([
+    [/^SELECT id, status FROM matters WHERE id = \$1/, [{ id: 12, status: 'open' }]],
+    [/^INSERT INTO conflict_checks|FROM conflict_checks c/, [{ id: 8, status: 'clear', hit_count: 0 }]],
+    [/^INSERT INTO bookings/, [{ id: 53 }]]
+  ]);
+
+  const response = await request(app, 'POST', '/api/booking', {
+    body: {
+      userId: 31,
+      customerName: 'Someone Else',
+      customerEmail: 'dana@example.com',
+      bookingDate: DATE,
+      startTime: '14:00',
+      attorneyId: 5,
+      matterId: 12,
+      customerId: 3
+    }
+  });
+
+  assert.equal(response.status, 201);
+  assert.deepEqual(inserted(queries), { userId: null, customerEmail: 'dana@example.com', matterId: 12, customerId: null });
+});
+
+test('staff booking for a matter links the matter\'s client and records who booked it', async () => {
+  const queries = mockBookings([
+    [/^SELECT id, status FROM matters WHERE id = \$1/, [{ id: 12, status: 'open' }]],
+    [/^SELECT customer_id FROM matters WHERE id = \$1/, [{ customer_id: 3 }]],
+    [/^INSERT INTO conflict_checks|FROM conflict_checks c/, [{ id: 8, status: 'clear', hit_count: 0 }]],
+    [/^INSERT INTO bookings/, [{ id: 54 }]]
+  ]);
+
+  const response = await request(app, 'POST', '/api/booking', {
+    token: staff.token,
+    body: { customerName: 'Dana Reyes', bookingDate: DATE, startTime: '14:00', attorneyId: 5, matterId: 12 }
+  });
+
+  assert.equal(response.status, 201);
+  assert.equal(inserted(queries).userId, 2);
+  assert.equal(inserted(queries).customerId, 3);
+});
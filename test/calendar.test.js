@@ -0,0 +1,52 @@
+/**
+ * Calendar: the whole firm's calendar (userId=all) needs calendar:read:all;
+ * everyone else sees their own.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockDb, signedIn, appWith, request } = require('./helpers');
+
+const calendarRoutes = require('../modules/calendar/routes/calendar');
+
+const app = appWith('/api/calendar', calendarRoutes);
+
+function calendarQueries(user) {
+  return mockDb([
+    ...user.answers,
+    [/^SELECT \* FROM \( SELECT 'event' AS kind/, []]
+  ]);
+}
+
+test("a user without calendar:read:all cannot list everyone's events", async () => {
+  const associate = signedIn({ id: 8, permissions: ['calendar:read'] });
+  const queries = calendarQueries(associate);
+
+  const response = await request(app, 'GET', '/api/calendar/events?userId=all', { token: associate.token });
+
+  assert.equal(response.status, 403);
+  assert.equal(queries.filter(query => /FROM calendar_events/.test(query.sql)).length, 0);
+});
+
+test("without userId the calendar is the signed-in user's own", async () => {
+  const associate = signedIn({ id: 8, permissions: ['calendar:read'] });
+  const queries = calendarQueries(associate);
+
+  const response = await request(app, 'GET', '/api/calendar/events', { token: associate.token });
+
+  assert.equal(response.status, 200);
+  const list = queries.find(query => /FROM calendar_events/.test(query.sql));
+  assert.equal(list.params[0], 8);
+});
+
+test("calendar:read:all lists every user's events", async () => {
+  const receptionist = signedIn({ id: 5, role: 'receptionist', permissions: ['calendar:read', 'calendar:read:all'] });
+  const queries = calendarQueries(receptionist);
+
+  const response = await request(app, 'GET', '/api/calendar/events?userId=all', { token: receptionist.token });
+
+  assert.equal(response.status, 200);
+  const list = queries.find(query => /FROM calendar_events/.test(query.sql));
+  assert.equal(list.params[0], null);
+  assert.equal(list.params[5], 5);
+});
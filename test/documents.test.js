@@ -0,0 +1,98 @@
+/**
+ * Privileged documents: users without privileged access get 404 from
+ * every route that names one, before anything is read or changed. Public
+ * share links: attempts on unknown tokens can be correlated in the log.
+ */
+
+const crypto = require('crypto');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockDb, signedIn, appWith, request } = require('./helpers');
+
+const documentsRoutes = require('../modules/documents/routes/documents');
+
+const app = appWith('/api/documents', documentsRoutes);
+const writer = signedIn({
+  id: 8,
+  permissions: ['documents:read', 'documents:write', 'documents:delete', 'documents:share']
+});
+
+const PRIVILEGED = '30';
+const ORDINARY = '31';
+
+function mockDocuments() {
+  return mockDb([
+    ...writer.answers,
+    [/JOIN ethical_walls w ON w\.lifted_at IS NULL/, []],
+    // viewerAccessClause: the writer may see the ordinary document only
+    [/^SELECT 1 FROM documents d WHERE d\.id = \$1 AND/, params => (params[0] === ORDINARY ? [{ '?column?': 1 }] : [])],
+    [/^SELECT d\.\*, c\.full_name AS client_name/, params => [{ id: Number(params[0]), title: 'Engagement letter', is_privileged: false }]]
+  ]);
+}
+
+function changes(queries) {
+  return queries.filter(query => /^(UPDATE|INSERT|DELETE)/.test(query.sql));
+}
+
+const REFUSED = [
+  ['PUT', `/api/documents/${PRIVILEGED}`, { isPrivileged: false }],
+  ['DELETE', `/api/documents/${PRIVILEGED}`],
+  ['GET', `/api/documents/${PRIVILEGED}/retention`],
+  ['POST', `/api/documents/${PRIVILEGED}/checkout`],
+  ['DELETE', `/api/documents/${PRIVILEGED}/checkout`],
+  ['POST', `/api/documents/${PRIVILEGED}/versions/1/restore`, { comment: 'Back to v1' }],
+  ['POST', `/api/documents/${PRIVILEGED}/ocr`],
+  ['GET', `/api/documents/${PRIVILEGED}/fields`],
+  ['PUT', `/api/documents/${PRIVILEGED}/fields`, { category: 'contract' }],
+  ['POST', `/api/documents/${PRIVILEGED}/classify`],
+  ['GET', `/api/documents/${PRIVILEGED}/download`]
+];
+
+for (const [method, url, body] of REFUSED) {
+  test(`a writer without privileged access gets 404 from ${method} ${url}`, async () => {
+    const queries = mockDocuments();
+
+    const response = await request(app, method, url, { token: writer.token, body });
+
+    assert.equal(response.status, 404);
+    assert.equal(response.body.error, 'Document not found');
+    assert.equal(changes(queries).length, 0);
+  });
+}
+
+test('a document the writer may see is still served', async () => {
+  const queries = mockDocuments();
+
+  const response = await request(app, 'GET', `/api/documents/${ORDINARY}`, { token: writer.token });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.id, 31);
+  assert.equal(changes(queries).length, 0);
+});
+
+test('an id that is not a number is reported as missing', async () => {
+  mockDb([
+    ...writer.answers,
+    [/JOIN ethical_walls w ON w\.lifted_at IS NULL/, []],
+    [/^SELECT 1 FROM documents d WHERE d\.id = \$1 AND/, () => {
+      throw Object.assign(new Error('invalid input syntax for type integer'), { code: '22P02' });
+    }]
+  ]);
+
+  const response = await request(app, 'GET', '/api/documents/latest', { token: writer.token });
+
+  assert.equal(response.status, 404);
+});
+
+test('an unknown share token is logged with the start of its hash', async () => {
+  const queries = mockDb([]);
+
+  const response = await request(app, 'GET', '/api/documents/shared/no-such-token');
+
+  assert.equal(response.status, 404);
+  const logged = queries.find(query => /^INSERT INTO document_share_access/.test(query.sql));
+  const hash = crypto.createHash('sha256').update('no-such-token').digest('hex');
+  assert.equal(logged.params[0], null);
+  assert.equal(logged.params[1], 'not_found');
+  assert.equal(logged.params[4], hash.slice(0, 12));
+});
@@ -0,0 +1,204 @@
+/**
+ * Ethical walls: screened users are refused walled records, including
+ * records named in a request body, and lists leave walled records out.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockDb, signedIn, appWith, request } = require('./helpers');
+
+const documentsRoutes = require('../modules/documents/routes/documents');
+const bookingRoutes = require('../modules/booking/routes/booking');
+const billingRoutes = require('../modules/billing/routes/billing');
+const calendarRoutes = require('../modules/calendar/routes/calendar');
+const intakeRoutes = require('../modules/intake/routes/intake');
+const mattersRoutes = require('../modules/matters/routes/matters');
+const calendarService = require('../modules/calendar/services/calendarService');
+
+const SCREENED_USER = 4;
+const WALL = { id: 7, matter_id: 12, customer_id: null, reason: 'Lateral hire' };
+
+// Records behind WALL, by the table wallFor looks them up in
+const WALLED = {
+  matters: ['12'],
+  documents: ['30'],
+  production_sets: ['5'],
+  signature_requests: ['9'],
+  legal_holds: ['2'],
+  bookings: ['40'],
+  calendar_events: ['60'],
+  time_entries: ['70'],
+  expenses: ['75'],
+  invoices: ['80'],
+  intake_submissions: ['90'],
+  conflict_checks: ['100']
+};
+
+const user = signedIn({
+  id: SCREENED_USER,
+  permissions: [
+    'documents:read', 'documents:write', 'documents:sign', 'documents:produce', 'documents:retention',
+    'time:read', 'time:write', 'billing:read', 'billing:write', 'calendar:read', 'calendar:write',
+    'intake:read', 'intake:write', 'matters:read', 'matters:write', 'bookings:read', 'bookings:write'
+  ]
+});
+const app = appWith('/api/documents', documentsRoutes);
+app.use('/api/booking', bookingRoutes);
+app.use('/api/billing', billingRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/intake', intakeRoutes);
+app.use('/api/matters', mattersRoutes);
+
+function mockWalls(extra = []) {
+  return mockDb([
+    ...user.answers,
+    [/JOIN ethical_walls w ON w\.lifted_at IS NULL/, (params, sql) => {
+      const table = sql.match(/FROM (\w+) r JOIN/)[1];
+      const walled = (WALLED[table] || []).includes(String(params[0])) && params[1] === SCREENED_USER;
+      return walled ? [WALL] : [];
+    }],
+    [/^INSERT INTO ethical_wall_access_attempts/, params => [{ id: 1, wall_id: params[0], alerted: false }]],
+    ...extra
+  ]);
+}
+
+function attemptsLogged(queries) {
+  return queries.filter(query => query.sql.startsWith('INSERT INTO ethical_wall_access_attempts'));
+}
+
+const REFUSED = [
+  ['POST', '/api/documents/productions', { matterId: 12, name: 'Volume 1' }],
+  ['GET', '/api/documents/productions/5'],
+  ['POST', '/api/documents/productions/5/retry'],
+  ['POST', '/api/documents/templates/3/generate', { matterId: 12 }],
+  ['POST', '/api/documents/templates/3/preview', { matterId: 12 }],
+  ['POST', '/api/documents/signatures', { documentId: 30 }],
+  ['GET', '/api/documents/signatures/9'],
+  ['POST', '/api/documents/signatures/9/void', { reason: 'Sent in error' }],
+  ['POST', '/api/documents/retention/holds', { name: 'Litigation', matterId: 12 }],
+  ['GET', '/api/documents/retention/holds/2'],
+  ['GET', '/api/documents/30'],
+  ['GET', '/api/booking/40'],
+  ['PATCH', '/api/booking/40/status', { status: 'confirmed' }],
+  ['PUT', '/api/calendar/events/60', { title: 'Moved' }],
+  ['DELETE', '/api/calendar/events/60'],
+  ['POST', '/api/calendar/events', { title: 'Strategy call', date: '2026-11-02', matterId: 12 }],
+  ['GET', '/api/billing/time-entries/70'],
+  ['PUT', '/api/billing/time-entries/70', { hours: 2 }],
+  ['DELETE', '/api/billing/time-entries/70'],
+  ['POST', '/api/billing/time-entries', { matterId: 12, hours: 1 }],
+  ['POST', '/api/billing/time-entries/timer/start', { matterId: 12 }],
+  ['DELETE', '/api/billing/expenses/75'],
+  ['GET', '/api/billing/invoices/80'],
+  ['POST', '/api/billing/invoices/80/approve'],
+  ['POST', '/api/billing/invoices/prebill', { matterId: 12 }],
+  ['POST', '/api/billing/trust/accounts/1/deposits', { customerId: 3, matterId: 12, amount: 500 }],
+  ['POST', '/api/billing/trust/accounts/1/transfers', { invoiceId: 80 }],
+  ['GET', '/api/billing/wip/matters/12'],
+  ['GET', '/api/intake/admin/submissions/90'],
+  ['POST', '/api/intake/admin/submissions/90/convert', { title: 'Reyes' }],
+  ['GET', '/api/matters/conflicts/100'],
+  ['POST', '/api/matters/conflicts', { name: 'Harbor Freight', matterId: 12 }]
+];
+
+for (const [method, url, body] of REFUSED) {
+  test(`screened user gets 403 from ${method} ${url}`, async () => {
+    const queries = mockWalls();
+
+    const response = await request(app, method, url, { token: user.token, body });
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.error, 'You are screened from this matter by an ethical wall');
+    assert.equal(attemptsLogged(queries).length, 1);
+    assert.ok(!queries.some(query => /^(INSERT INTO (?!ethical_wall_access_attempts)|UPDATE|DELETE)/.test(query.sql)),
+      'nothing is written for a refused request');
+  });
+}
+
+test('unwalled matter passes the screen and reaches the production service', async () => {
+  const queries = mockWalls();
+
+  const response = await request(app, 'POST', '/api/documents/productions', {
+    token: user.token,
+    body: { matterId: 13, name: 'Volume 1', prefix: 'ACME' }
+  });
+
+  assert.equal(response.status, 404);
+  assert.equal(response.body.error, 'Matter not found');
+  assert.equal(attemptsLogged(queries).length, 0);
+});
+
+test('a template filled from a walled booking is refused', async () => {
+  const queries = mockWalls();
+
+  const response = await request(app, 'POST', '/api/documents/templates/3/generate', {
+    token: user.token,
+    body: { bookingId: 40 }
+  });
+
+  assert.equal(response.status, 403);
+  assert.equal(attemptsLogged(queries)[0].params[2], 'booking');
+});
+
+test('signature, production and legal hold lists leave walled matters out', async () => {
+  for (const url of ['/api/documents/signatures', '/api/documents/productions', '/api/documents/retention/holds']) {
+    const queries = mockWalls();
+
+    const response = await request(app, 'GET', url, { token: user.token });
+
+    assert.equal(response.status, 200);
+    const list = queries[queries.length - 1];
+    assert.match(list.sql, /NOT EXISTS \( SELECT 1 FROM ethical_walls w JOIN ethical_wall_members wmb ON wmb\.wall_id = w\.id AND wmb\.user_id = \$1/);
+    assert.deepEqual(list.params, [SCREENED_USER]);
+  }
+});
+
+test('billing, intake and conflict check lists leave walled records out', async () => {
+  const lists = [
+    ['/api/billing/time-entries', /FROM time_entries t WHERE 1=1 AND NOT EXISTS/],
+    ['/api/billing/expenses', /w\.matter_id = e\.matter_id/],
+    ['/api/billing/invoices', /w\.customer_id = i\.customer_id/],
+    ['/api/billing/trust/accounts/1/transactions', /w\.customer_id = t\.customer_id/],
+    ['/api/billing/trust/accounts/1/clients', /w\.customer_id = c\.id/],
+    ['/api/billing/wip/matters', /w\.matter_id = m\.id/],
+    ['/api/intake/admin/submissions', /w\.customer_id IN \(SELECT wc\.id FROM customers wc WHERE wc\.email = s\.contact_email\)/],
+    ['/api/matters/conflicts', /w\.matter_id = c\.matter_id/]
+  ];
+
+  for (const [url, walled] of lists) {
+    const queries = mockWalls([
+      [/FROM time_entries t WHERE/, [{ count: '0', hours: '0', billable_hours: '0', amount: '0' }]]
+    ]);
+
+    const response = await request(app, 'GET', url, { token: user.token });
+
+    assert.equal(response.status, 200, url);
+    const list = queries.find(query => walled.test(query.sql));
+    assert.ok(list, `${url} filters out walled records`);
+    assert.ok(list.params.includes(SCREENED_USER), url);
+  }
+});
+
+test('the calendar leaves out bookings for walled clients', async () => {
+  const queries = mockDb([]);
+
+  await calendarService.getEvents(null, '2026-11-01', '2026-11-30', { viewerId: SCREENED_USER });
+
+  assert.match(queries[0].sql, /w\.customer_id IN \(SELECT wc\.id FROM customers wc WHERE wc\.email = merged\.customer_email\)/);
+  assert.equal(queries[0].params[5], SCREENED_USER);
+});
+
+test('a conflict check shows only the hits the user is not screened from', async () => {
+  const check = { id: 101, matter_id: null, status: 'pending', hit_count: 2 };
+  mockWalls([
+    [/^SELECT c\.\*, u\.full_name AS requested_by_name FROM conflict_checks c/, [check]],
+    [/^SELECT h\.\*, u\.full_name AS resolved_by_name/, [{ id: 1, matter_id: 13 }, { id: 2, matter_id: 12 }]],
+    [/^SELECT h\.id FROM conflict_check_hits h WHERE h\.check_id = \$1 AND NOT EXISTS/, [{ id: 1 }]]
+  ]);
+
+  const response = await request(app, 'GET', '/api/matters/conflicts/101', { token: user.token });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.data.hits.map(hit => hit.id), [1]);
+  assert.equal(response.body.data.hit_count, 2);
+});
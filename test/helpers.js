@@ -0,0 +1,127 @@
+/**
+ * Test Helpers
+ * Every module has its own database/db.js; mockDb points all of them at
+ * one set of canned answers so routes and services run without Postgres.
+ * request() sends one HTTP request to an Express app on a free port, and
+ * signedIn() supplies the token and auth lookups for a staff user.
+ *
+ * Require this file before any module: it sets the environment the
+ * modules read when loaded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.RETENTION_PURGE_SCHEDULE = 'off';
+delete process.env.ETHICAL_WALL_ALERT_EMAIL;
+delete process.env.ADMIN_EMAIL;
+
+const MODULES_DIR = path.join(__dirname, '..', 'modules');
+
+const DB_FILES = fs.readdirSync(MODULES_DIR)
+  .map(name => path.join(MODULES_DIR, name, 'database', 'db.js'))
+  .filter(file => fs.existsSync(file));
+
+function toResult(answer) {
+  if (Array.isArray(answer)) return { rows: answer, rowCount: answer.length };
+  return answer || { rows: [], rowCount: 0 };
+}
+
+/**
+ * Answer every module's queries from `answers`, a list of
+ * [pattern, rows | (params, sql) => rows]; the first pattern matching the
+ * whitespace-collapsed SQL wins and anything unmatched gets no rows.
+ * Returns the queries run, in order, as { sql, params }.
+ */
+function mockDb(answers = []) {
+  const queries = [];
+
+  async function query(text, params = []) {
+    const sql = String(text).replace(/\s+/g, ' ').trim();
+    queries.push({ sql, params });
+    for (const [pattern, answer] of answers) {
+      if (pattern.test(sql)) {
+        return toResult(typeof answer === 'function' ? await answer(params, sql) : answer);
+      }
+    }
+    return toResult(null);
+  }
+
+  for (const file of DB_FILES) {
+    const db = require(file);
+    db.query = query;
+    db.pool.connect = async () => ({ query, release() {} });
+  }
+  return queries;
+}
+
+/**
+ * A signed-in staff user: the access token to send and the answers for
+ * the session and permission lookups authenticateToken and
+ * requirePermission make
+ */
+function signedIn({ id = 1, email = 'staff@example.com', role = 'associate', isAdmin = false, permissions = [] } = {}) {
+  const sessionId = `session-${id}`;
+  return {
+    token: jwt.sign({ id, email, is_admin: isAdmin, sid: sessionId }, process.env.JWT_SECRET),
+    answers: [
+      [/FROM user_sessions WHERE id = \$1 AND user_id = \$2 AND revoked_at IS NULL/, params =>
+        (params[0] === sessionId && params[1] === id ? [{ '?column?': 1 }] : [])],
+      [/^SELECT u\.id, u\.role, u\.is_admin, u\.is_active, COALESCE\(ARRAY/, [
+        { id, role, is_admin: isAdmin, is_active: true, permissions }
+      ]]
+    ]
+  };
+}
+
+/**
+ * An app serving `router` at `mountPath`, with JSON bodies parsed as in
+ * server.js
+ */
+function appWith(mountPath, router) {
+  const app = express();
+  app.use(express.json());
+  app.use(mountPath, router);
+  return app;
+}
+
+/**
+ * Send one request and resolve to { status, body }
+ */
+async function request(app, method, url, { token, body } = {}) {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+
+  try {
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${url}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      // Not JSON (e.g. a download); keep the text
+    }
+    return { status: response.status, body: parsed };
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+}
+
+module.exports = {
+  mockDb,
+  signedIn,
+  appWith,
+  request
+};
@@ -0,0 +1,31 @@
+/**
+ * Client portal: appointments are the bookings staff linked to the client
+ * or that the signed-in login made, never ones matched by email.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockDb, signedIn, appWith, request } = require('./helpers');
+
+const portalRoutes = require('../modules/portal/routes/portal');
+
+const app = appWith('/api/portal', portalRoutes);
+const login = signedIn({ id: 31, email: 'dana@example.com', role: 'client', permissions: ['portal:access'] });
+
+test('appointments are matched by the staff link and the signed-in login only', async () => {
+  const queries = mockDb([
+    ...login.answers,
+    [/FROM users u JOIN customers c ON c\.id = u\.customer_id/, [{ id: 3, email: 'dana@example.com' }]],
+    [/FROM bookings b/, [{ id: 50, service_type: 'consultation' }]]
+  ]);
+
+  const response = await request(app, 'GET', '/api/portal/appointments', { token: login.token });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.count, 1);
+
+  const list = queries.find(query => query.sql.includes('FROM bookings b'));
+  assert.match(list.sql, /WHERE \(b\.customer_id = \$1 OR b\.user_id = \$2\)/);
+  assert.doesNotMatch(list.sql, /customer_email|b\.notes/);
+  assert.deepEqual(list.params, [3, 31]);
+});
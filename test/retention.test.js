@@ -0,0 +1,102 @@
+/**
+ * Retention: a document under an active hold, or whose retention period
+ * has not run out since its matter closed, can be neither deleted nor
+ * destroyed by a retention purge.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockDb, signedIn, appWith, request } = require('./helpers');
+
+const documentsRoutes = require('../modules/documents/routes/documents');
+const retentionService = require('../modules/documents/services/retentionService');
+
+const app = appWith('/api/documents', documentsRoutes);
+const staff = signedIn({ id: 6, permissions: ['documents:read', 'documents:delete'] });
+
+const DOCUMENT = { id: 30, destroyed_at: null, policy_id: null, policy_name: null, retention_years: null, retain_until: null };
+const HOLD = { id: 2, name: 'Reyes v. Harbor Freight', reason: 'Anticipated litigation', matter_id: 12 };
+
+// The hold clause every purge and eligibility query must carry
+const NOT_ON_HOLD = /NOT EXISTS \(SELECT 1 FROM legal_holds h WHERE h\.released_at IS NULL AND \( h\.matter_id = d\.matter_id OR h\.custodian_user_id = d\.uploaded_by OR LOWER\(h\.custodian_name\) = LOWER\(d\.author\) \)\)/;
+
+function mockDocument({ holds, document = DOCUMENT }) {
+  return mockDb([
+    ...staff.answers,
+    [/JOIN ethical_walls w ON w\.lifted_at IS NULL/, []],
+    [/^SELECT 1 FROM documents d WHERE d\.id = \$1 AND/, [{ '?column?': 1 }]],
+    [/^SELECT d\.id, d\.destroyed_at, policy\.id AS policy_id/, [document]],
+    [/JOIN legal_holds h ON h\.released_at IS NULL/, holds],
+    [/^SELECT d\.\*, c\.full_name AS client_name/, [{ id: 30, checked_out_by: null }]],
+    [/^UPDATE documents SET is_deleted = true/, [{ id: 30 }]]
+  ]);
+}
+
+function deletes(queries) {
+  return queries.filter(query => query.sql.startsWith('UPDATE documents SET is_deleted = true'));
+}
+
+test('deleting a document under legal hold gets 409 naming the hold', async () => {
+  const queries = mockDocument({ holds: [HOLD] });
+
+  const response = await request(app, 'DELETE', '/api/documents/30', { token: staff.token });
+
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error, 'Document is under legal hold: Reyes v. Harbor Freight');
+  assert.equal(deletes(queries).length, 0);
+  assert.ok(queries.some(query => query.sql === 'ROLLBACK'));
+});
+
+test('a document without an active hold can be deleted', async () => {
+  const queries = mockDocument({ holds: [] });
+
+  const response = await request(app, 'DELETE', '/api/documents/30', { token: staff.token });
+
+  assert.equal(response.status, 200);
+  assert.equal(deletes(queries).length, 1);
+});
+
+test('a document on an open matter under a retention policy cannot be deleted yet', async () => {
+  const queries = mockDocument({
+    holds: [],
+    document: { ...DOCUMENT, policy_id: 3, policy_name: 'Client files', retention_years: 7 }
+  });
+
+  const response = await request(app, 'DELETE', '/api/documents/30', { token: staff.token });
+
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error, 'Document must be kept until its matter closes and then for 7 years under retention policy "Client files"');
+  assert.equal(deletes(queries).length, 0);
+});
+
+test('retention counts from the matter closing and only closed matters are purged', async () => {
+  const queries = mockDb([]);
+
+  await retentionService.eligibleDocuments();
+
+  assert.match(queries[0].sql, /m\.status IN \('closed', 'archived'\) AND policy\.retention_years IS NOT NULL/);
+  assert.match(queries[0].sql, /THEN COALESCE\(m\.closed_at, m\.archived_at\) \+ make_interval\(years => policy\.retention_years\) END/);
+  assert.doesNotMatch(queries[0].sql, /d\.created_at \+|COALESCE\([^)]*d\.created_at/);
+});
+
+test('the purge only claims documents not under an active hold', async () => {
+  const queries = mockDb([
+    [/^INSERT INTO retention_purge_runs/, [{ id: 4 }]],
+    [/FROM retention_purge_runs r/, [{ id: 4, status: 'completed', documents_destroyed: 0 }]]
+  ]);
+
+  const run = await retentionService.purge({ trigger: 'manual', userId: 6 });
+
+  assert.equal(run.documents_destroyed, 0);
+  const claim = queries.find(query => query.sql.includes('FOR UPDATE OF d SKIP LOCKED'));
+  assert.match(claim.sql, NOT_ON_HOLD);
+  assert.ok(!queries.some(query => query.sql.startsWith('UPDATE documents SET destroyed_at')));
+});
+
+test('documents under hold are not listed as due for destruction', async () => {
+  const queries = mockDb([]);
+
+  await retentionService.eligibleDocuments();
+
+  assert.match(queries[0].sql, NOT_ON_HOLD);
+});
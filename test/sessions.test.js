@@ -0,0 +1,83 @@
+/**
+ * Sessions: refresh tokens rotate, and presenting a rotated token again
+ * revokes the whole session.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockDb } = require('./helpers');
+
+const sessionService = require('../modules/auth/services/sessionService');
+
+const USER = { id: 3, email: 'associate@example.com', is_admin: false };
+
+// One user_sessions row, kept in memory
+function mockSessions() {
+  const session = { id: 11, refresh_token_hash: null, previous_token_hash: null, revoked_at: null, revoked_reason: null };
+  const queries = mockDb([
+    [/^INSERT INTO user_sessions/, params => {
+      session.refresh_token_hash = params[1];
+      return [{ id: session.id, expires_at: new Date(Date.now() + 86400000) }];
+    }],
+    [/WHERE s\.refresh_token_hash = \$1 OR s\.previous_token_hash = \$1 FOR UPDATE OF s/, ([hash]) =>
+      ([session.refresh_token_hash, session.previous_token_hash].includes(hash)
+        ? [{ ...session, expired: false, user_id: USER.id, email: USER.email, is_admin: false, is_active: true }]
+        : [])],
+    [/^UPDATE user_sessions SET revoked_at = NOW\(\), revoked_reason = '(\w+)'/, (params, sql) => {
+      session.revoked_at = new Date();
+      session.revoked_reason = sql.match(/revoked_reason = '(\w+)'/)[1];
+      return [];
+    }],
+    [/^UPDATE user_sessions SET previous_token_hash = refresh_token_hash, refresh_token_hash = \$2/, params => {
+      session.previous_token_hash = session.refresh_token_hash;
+      session.refresh_token_hash = params[1];
+      return [{ expires_at: new Date(Date.now() + 86400000) }];
+    }],
+    [/FROM user_sessions WHERE id = \$1 AND user_id = \$2 AND revoked_at IS NULL/, params =>
+      (params[0] === session.id && !session.revoked_at ? [{ '?column?': 1 }] : [])]
+  ]);
+  return { session, queries };
+}
+
+test('a refresh returns a new refresh token and keeps the session', async () => {
+  const { session } = mockSessions();
+  const first = await sessionService.createSession(USER, { userAgent: 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0' });
+
+  const second = await sessionService.refreshSession(first.refreshToken);
+
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  assert.equal(second.sessionId, session.id);
+  assert.equal(session.revoked_at, null);
+  assert.equal(await sessionService.isSessionActive(session.id, USER.id), true);
+});
+
+test('reusing a rotated refresh token revokes the session', async () => {
+  const { session, queries } = mockSessions();
+  const first = await sessionService.createSession(USER);
+  const second = await sessionService.refreshSession(first.refreshToken);
+
+  await assert.rejects(
+    sessionService.refreshSession(first.refreshToken),
+    error => error.status === 401 && error.message === 'Session has been revoked; please sign in again'
+  );
+
+  assert.equal(session.revoked_reason, 'refresh_token_reuse');
+  assert.equal(queries[queries.length - 1].sql, 'COMMIT', 'the revocation is committed, not rolled back');
+  assert.equal(await sessionService.isSessionActive(session.id, USER.id), false);
+
+  // The legitimate holder's newer token stops working too
+  await assert.rejects(
+    sessionService.refreshSession(second.refreshToken),
+    error => error.status === 401
+  );
+});
+
+test('an unknown refresh token is refused without touching any session', async () => {
+  const { session, queries } = mockSessions();
+  await sessionService.createSession(USER);
+
+  await assert.rejects(sessionService.refreshSession('not-a-token'), error => error.status === 401);
+
+  assert.equal(session.revoked_at, null);
+  assert.ok(!queries.some(query => query.sql.startsWith('UPDATE user_sessions')));
+});
@@ -0,0 +1,111 @@
+/**
+ * Signed copies: the link to a completed request's signed copy lasts
+ * COPY_LINK_DAYS and stops working once staff revoke it.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockDb, signedIn, appWith, request } = require('./helpers');
+
+const documentsRoutes = require('../modules/documents/routes/documents');
+const signatureService = require('../modules/documents/services/signatureService');
+const EmailNotificationService = require('../modules/notifications/services/email');
+
+const app = appWith('/api/documents', documentsRoutes);
+const signer = signedIn({ id: 8, permissions: ['documents:read', 'documents:sign'] });
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function completedSigner(copyExpiresAt) {
+  return [/FROM signature_signers s JOIN signature_requests r ON r\.id = s\.request_id WHERE s\.token_hash = \$1/, [{
+    id: 4,
+    request_id: 9,
+    name: 'Dana Client',
+    email: 'dana@example.com',
+    status: 'signed',
+    title: 'Engagement letter',
+    request_status: 'completed',
+    expires_at: new Date(Date.now() - 60 * DAY),
+    copy_expires_at: copyExpiresAt,
+    signed_document_id: 44
+  }]];
+}
+
+test('a signed copy link opens until it expires', async () => {
+  mockDb([completedSigner(new Date(Date.now() + DAY))]);
+
+  const response = await request(app, 'GET', '/api/documents/signing/copy-token');
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.status, 'completed');
+});
+
+test('an expired signed copy link is refused', async () => {
+  const queries = mockDb([completedSigner(new Date(Date.now() - DAY))]);
+
+  const response = await request(app, 'GET', '/api/documents/signing/copy-token/document');
+
+  assert.equal(response.status, 410);
+  assert.equal(response.body.error, 'This link to the signed copy has expired');
+  assert.equal(queries.filter(query => /^INSERT INTO signature_events/.test(query.sql)).length, 0);
+});
+
+test('a completed request link without a copy expiry is refused', async () => {
+  mockDb([completedSigner(null)]);
+
+  const response = await request(app, 'GET', '/api/documents/signing/copy-token');
+
+  assert.equal(response.status, 410);
+});
+
+test('completion emails copy links that expire', async t => {
+  // No transport or queue timer; the email itself is not under test
+  t.mock.method(EmailNotificationService.prototype, 'initialize', () => {});
+  t.mock.method(EmailNotificationService.prototype, 'loadTemplates', () => {});
+  t.mock.method(EmailNotificationService.prototype, 'sendEmailDirect', async () => true);
+  const queries = mockDb([
+    [/^SELECT \* FROM signature_requests WHERE id = \$1/, [{ id: 9, title: 'Engagement letter' }]],
+    [/^SELECT id, name, email FROM signature_signers/, [{ id: 4, name: 'Dana Client', email: 'dana@example.com' }]]
+  ]);
+
+  await signatureService.notifyCompleted(9);
+
+  const update = queries.find(query => /^UPDATE signature_signers SET token_hash = \$1/.test(query.sql));
+  assert.match(update.sql, /copy_expires_at = NOW\(\) \+ make_interval\(days => \$2\)/);
+  assert.deepEqual(update.params.slice(1), [signatureService.COPY_LINK_DAYS, 4]);
+});
+
+test('staff can revoke the links to a signed copy', async () => {
+  const queries = mockDb([
+    ...signer.answers,
+    [/JOIN ethical_walls w ON w\.lifted_at IS NULL/, []],
+    [/^SELECT status FROM signature_requests WHERE id = \$1/, [{ status: 'completed' }]],
+    [/^UPDATE signature_signers SET token_hash = NULL, copy_expires_at = NULL/, [{ id: 4 }, { id: 5 }]]
+  ]);
+
+  const response = await request(app, 'POST', '/api/documents/signatures/9/revoke-copy-links', {
+    token: signer.token,
+    body: { reason: 'Sent to the wrong address' }
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.revoked, 2);
+  const event = queries.find(query => /^INSERT INTO signature_events/.test(query.sql));
+  assert.deepEqual(event.params.slice(0, 3), ['9', null, 'revoked']);
+});
+
+test('only completed requests have copy links to revoke', async () => {
+  const queries = mockDb([
+    ...signer.answers,
+    [/JOIN ethical_walls w ON w\.lifted_at IS NULL/, []],
+    [/^SELECT status FROM signature_requests WHERE id = \$1/, [{ status: 'pending' }]]
+  ]);
+
+  const response = await request(app, 'POST', '/api/documents/signatures/9/revoke-copy-links', {
+    token: signer.token,
+    body: {}
+  });
+
+  assert.equal(response.status, 409);
+  assert.equal(queries.filter(query => /^UPDATE signature_signers/.test(query.sql)).length, 0);
+});
@@ -0,0 +1,73 @@
+/**
+ * Trust accounting: withdrawals never take a client's sub-ledger below zero.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockDb } = require('./helpers');
+
+const db = require('../modules/billing/database/db');
+const trustService = require('../modules/billing/services/trustService');
+
+const ACCOUNT = { id: 1, name: 'IOLTA', is_active: true };
+
+function mockLedger({ balance, invoice } = {}) {
+  return mockDb([
+    [/^SELECT \* FROM trust_accounts WHERE id = \$1/, [ACCOUNT]],
+    [/FROM trust_transactions WHERE trust_account_id = \$1 AND customer_id = \$2/, [{ balance: String(balance) }]],
+    [/FROM invoices WHERE id = \$1 FOR UPDATE/, invoice ? [invoice] : []],
+    [/^INSERT INTO trust_transactions/, params => [{ id: 99, amount: params[5], transaction_type: params[4] }]]
+  ]);
+}
+
+function inserts(queries) {
+  return queries.filter(query => query.sql.startsWith('INSERT INTO trust_transactions'));
+}
+
+test('a disbursement larger than the client balance is refused with 409', async () => {
+  const queries = mockLedger({ balance: 100 });
+  const client = await db.pool.connect();
+
+  await assert.rejects(
+    trustService.recordDisbursement({ accountId: 1, customerId: 5, counterparty: 'County Court', amount: 150.5 }, client),
+    error => error.status === 409 && /Insufficient trust funds: client balance is 100\.00, requested 150\.50/.test(error.message)
+  );
+  assert.equal(inserts(queries).length, 0);
+});
+
+test('the balance is read after taking the client ledger lock', async () => {
+  const queries = mockLedger({ balance: 100 });
+  const client = await db.pool.connect();
+
+  await assert.rejects(
+    trustService.recordDisbursement({ accountId: 1, customerId: 5, counterparty: 'Expert', amount: 101 }, client)
+  );
+  const lock = queries.findIndex(query => query.sql.includes('pg_advisory_xact_lock'));
+  const balance = queries.findIndex(query => query.sql.includes('FROM trust_transactions'));
+  assert.ok(lock !== -1 && lock < balance);
+});
+
+test('a disbursement within the balance is recorded as a negative amount', async () => {
+  const queries = mockLedger({ balance: 100 });
+  const client = await db.pool.connect();
+
+  const result = await trustService.recordDisbursement({ accountId: 1, customerId: 5, counterparty: 'Expert', amount: 100 }, client);
+
+  assert.equal(result.balance, 0);
+  assert.equal(inserts(queries).length, 1);
+  assert.equal(inserts(queries)[0].params[5], -100);
+});
+
+test('a transfer to operating cannot overdraw the client either', async () => {
+  const queries = mockLedger({
+    balance: 40,
+    invoice: { id: 3, status: 'approved', customer_id: 5, matter_id: 8, balance_due: '250.00', invoice_number: 'INV-3' }
+  });
+  const client = await db.pool.connect();
+
+  await assert.rejects(
+    trustService.transferToOperating({ accountId: 1, invoiceId: 3, amount: 60 }, client),
+    error => error.status === 409 && /Insufficient trust funds/.test(error.message)
+  );
+  assert.equal(inserts(queries).length, 0);
+});